@@ -1,18 +1,29 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
 
 /**
- * @title AttestationPlatform
+ * @title AttestationPlatformBase
  * @dev A platform for financial exchanges to prove their reserves exceed liabilities without
  * revealing exact values using homomorphic encryption and zero-knowledge proofs.
+ * Shared by the plain AttestationPlatform and the proxied AttestationPlatformUpgradeable,
+ * so it has no constructor. New state variables must be added after the existing ones.
  */
-contract AttestationPlatform is Ownable {
+abstract contract AttestationPlatformBase is OwnableUpgradeable {
+    // Part an attestor plays in a period; selects which prover input its attestation is
+    enum AttestorRole {
+        Unspecified,
+        ReservesProvider,
+        LiabilitiesProvider,
+        Auditor
+    }
+
     struct Attestor {
         address addr;
         string name;
         bool isRegistered;
+        AttestorRole role;
     }
 
     struct Attestation {
@@ -21,6 +32,18 @@ contract AttestationPlatform is Ownable {
         uint256 timestamp;
     }
 
+    // Attestation uploaded in chunks over several transactions. contentHash
+    // commits to the chunk hash chain h_i = keccak256(h_{i-1} ++ keccak256(chunk_i)),
+    // h_0 = 0, so finalizing needs no second pass over the data.
+    struct AttestationUpload {
+        bytes32 contentHash;
+        uint256 totalSize;
+        uint256 uploadedSize;
+        bytes32 chainHash;
+        bool finalized;
+        bytes[] chunks;
+    }
+
     struct VerificationRule {
         string description;
         bytes ruleData;
@@ -42,7 +65,7 @@ contract AttestationPlatform is Ownable {
     address[] public attestorAddresses;
     
     // Current attestation period
-    uint256 public currentPeriodId = 0;
+    uint256 public currentPeriodId;
     
     // Mapping from period ID to attestations
     mapping(uint256 => mapping(address => Attestation)) public attestations;
@@ -50,6 +73,9 @@ contract AttestationPlatform is Ownable {
     // Mapping from period ID to attestor addresses that have submitted
     mapping(uint256 => address[]) public periodAttestors;
     
+    // Chunked uploads by period and attestor (chunks are kept after finalizing)
+    mapping(uint256 => mapping(address => AttestationUpload)) internal attestationUploads;
+    
     // Verification rules
     VerificationRule[] public verificationRules;
     
@@ -57,17 +83,22 @@ contract AttestationPlatform is Ownable {
     mapping(uint256 => VerificationResult) public verificationResults;
 
     // Events
-    event AttestorRegistered(address indexed attestor, string name);
+    event AttestorRegistered(address indexed attestor, string name, AttestorRole role);
     event AttestationSubmitted(uint256 indexed periodId, address indexed attestor, uint256 timestamp);
     event AttestationPeriodComplete(uint256 indexed periodId, uint256 attestorCount);
+    event AttestationUploadStarted(uint256 indexed periodId, address indexed attestor, bytes32 contentHash, uint256 totalSize);
+    event AttestationChunkAppended(uint256 indexed periodId, address indexed attestor, uint256 chunkIndex, uint256 uploadedSize);
     event VerificationRuleAdded(uint256 indexed ruleId, string description);
+    event VerificationRuleUpdated(uint256 indexed ruleId);
     event VerificationResultSubmitted(uint256 indexed periodId, bool passed, uint256 timestamp);
 
     /**
-     * @dev Constructor
+     * @dev Initializer, run by the constructor or the proxy's initialize
+     * @param _owner Owner of the platform
      * @param _requiredAttestorCount Number of attestors required for a complete attestation period
      */
-    constructor(uint256 _requiredAttestorCount) Ownable(msg.sender) {
+    function __AttestationPlatformBase_init(address _owner, uint256 _requiredAttestorCount) internal onlyInitializing {
+        __Ownable_init(_owner);
         requiredAttestorCount = _requiredAttestorCount;
     }
 
@@ -75,19 +106,22 @@ contract AttestationPlatform is Ownable {
      * @dev Register an attestor
      * @param _attestor Address of the attestor
      * @param _name Name or identifier of the attestor (e.g., "Exchange A", "Regulator B")
+     * @param _role Role of the attestor (e.g., ReservesProvider, LiabilitiesProvider)
      */
-    function registerAttestor(address _attestor, string memory _name) external onlyOwner {
+    function registerAttestor(address _attestor, string memory _name, AttestorRole _role) external onlyOwner {
         require(!attestors[_attestor].isRegistered, "Attestor already registered");
+        require(_role != AttestorRole.Unspecified, "Attestor role required");
         
         attestors[_attestor] = Attestor({
             addr: _attestor,
             name: _name,
-            isRegistered: true
+            isRegistered: true,
+            role: _role
         });
         
         attestorAddresses.push(_attestor);
         
-        emit AttestorRegistered(_attestor, _name);
+        emit AttestorRegistered(_attestor, _name, _role);
     }
 
     /**
@@ -96,22 +130,8 @@ contract AttestationPlatform is Ownable {
      */
     function submitAttestation(bytes calldata _encryptedData) external {
         require(attestors[msg.sender].isRegistered, "Sender is not a registered attestor");
-        require(attestations[currentPeriodId][msg.sender].timestamp == 0, "Attestor already submitted for this period");
-        
-        attestations[currentPeriodId][msg.sender] = Attestation({
-            attestor: msg.sender,
-            encryptedData: _encryptedData,
-            timestamp: block.timestamp
-        });
-        
-        periodAttestors[currentPeriodId].push(msg.sender);
         
-        emit AttestationSubmitted(currentPeriodId, msg.sender, block.timestamp);
-        
-        // Check if attestation period is complete
-        if (periodAttestors[currentPeriodId].length >= requiredAttestorCount) {
-            emit AttestationPeriodComplete(currentPeriodId, periodAttestors[currentPeriodId].length);
-        }
+        _recordAttestation(msg.sender, _encryptedData);
     }
     
     /**
@@ -121,28 +141,72 @@ contract AttestationPlatform is Ownable {
      */
     function submitAttestationFor(address _attestor, bytes calldata _encryptedData) external onlyOwner {
         require(attestors[_attestor].isRegistered, "Address is not a registered attestor");
+        
+        _recordAttestation(_attestor, _encryptedData);
+    }
+    
+    /**
+     * @dev Start a chunked attestation upload for the current period, discarding
+     * any unfinished upload of the attestor. Callable by the attestor or by the owner on its behalf.
+     * @param _attestor Address of the attestor
+     * @param _contentHash Final chunk hash chain value (see AttestationUpload)
+     * @param _totalSize Total size of the attestation in bytes
+     */
+    function beginAttestationUpload(address _attestor, bytes32 _contentHash, uint256 _totalSize) external {
+        _checkSubmitter(_attestor);
         require(attestations[currentPeriodId][_attestor].timestamp == 0, "Attestor already submitted for this period");
+        require(_totalSize > 0, "Upload size must be positive");
         
-        attestations[currentPeriodId][_attestor] = Attestation({
-            attestor: _attestor,
-            encryptedData: _encryptedData,
-            timestamp: block.timestamp
-        });
+        delete attestationUploads[currentPeriodId][_attestor];
         
-        periodAttestors[currentPeriodId].push(_attestor);
+        AttestationUpload storage upload = attestationUploads[currentPeriodId][_attestor];
+        upload.contentHash = _contentHash;
+        upload.totalSize = _totalSize;
         
-        emit AttestationSubmitted(currentPeriodId, _attestor, block.timestamp);
+        emit AttestationUploadStarted(currentPeriodId, _attestor, _contentHash, _totalSize);
+    }
+    
+    /**
+     * @dev Append the next chunk to the attestor's upload for the current period
+     * @param _attestor Address of the attestor
+     * @param _chunkIndex Index of the chunk, must equal the number of chunks uploaded so far
+     * @param _chunk Chunk data
+     */
+    function appendAttestationChunk(address _attestor, uint256 _chunkIndex, bytes calldata _chunk) external {
+        _checkSubmitter(_attestor);
+        AttestationUpload storage upload = attestationUploads[currentPeriodId][_attestor];
+        require(upload.totalSize > 0 && !upload.finalized, "No upload in progress");
+        require(_chunkIndex == upload.chunks.length, "Unexpected chunk index");
+        require(_chunk.length > 0, "Empty chunk");
+        require(upload.uploadedSize + _chunk.length <= upload.totalSize, "Chunk exceeds upload size");
         
-        // Check if attestation period is complete
-        if (periodAttestors[currentPeriodId].length >= requiredAttestorCount) {
-            emit AttestationPeriodComplete(currentPeriodId, periodAttestors[currentPeriodId].length);
-        }
+        upload.chunks.push(_chunk);
+        upload.uploadedSize += _chunk.length;
+        upload.chainHash = keccak256(abi.encodePacked(upload.chainHash, keccak256(_chunk)));
+        
+        emit AttestationChunkAppended(currentPeriodId, _attestor, _chunkIndex, upload.uploadedSize);
+    }
+    
+    /**
+     * @dev Finish a chunked upload: check its size and hash, then record the attestation.
+     * The attestation's encryptedData stays empty; read the data with getAttestationChunk.
+     * @param _attestor Address of the attestor
+     */
+    function finalizeAttestationUpload(address _attestor) external {
+        _checkSubmitter(_attestor);
+        AttestationUpload storage upload = attestationUploads[currentPeriodId][_attestor];
+        require(upload.totalSize > 0 && !upload.finalized, "No upload in progress");
+        require(upload.uploadedSize == upload.totalSize, "Upload incomplete");
+        require(upload.chainHash == upload.contentHash, "Upload hash mismatch");
+        
+        upload.finalized = true;
+        _recordAttestation(_attestor, "");
     }
     
     /**
      * @dev Add verification rule
      * @param _description Description of the rule
-     * @param _ruleData Encoded rule data
+     * @param _ruleData Encoded rule data (see scripts/lib/verification_rules.js)
      */
     function addVerificationRule(string memory _description, bytes calldata _ruleData) external onlyOwner {
         verificationRules.push(VerificationRule({
@@ -153,6 +217,19 @@ contract AttestationPlatform is Ownable {
         emit VerificationRuleAdded(verificationRules.length - 1, _description);
     }
     
+    /**
+     * @dev Replace the data of a verification rule, e.g. to deactivate it
+     * @param _ruleId Rule ID
+     * @param _ruleData Encoded rule data
+     */
+    function updateVerificationRule(uint256 _ruleId, bytes calldata _ruleData) external onlyOwner {
+        require(_ruleId < verificationRules.length, "Verification rule does not exist");
+        
+        verificationRules[_ruleId].ruleData = _ruleData;
+        
+        emit VerificationRuleUpdated(_ruleId);
+    }
+    
     /**
      * @dev Submit verification result
      * @param _periodId Period ID
@@ -192,6 +269,31 @@ contract AttestationPlatform is Ownable {
         return periodAttestors[_periodId].length;
     }
     
+    /**
+     * @dev Get the role of an attestor (Unspecified if not registered)
+     * @param _attestor Attestor address
+     */
+    function getAttestorRole(address _attestor) external view returns (AttestorRole) {
+        return attestors[_attestor].role;
+    }
+    
+    /**
+     * @dev Get the registered attestors with a given role
+     * @param _role Attestor role
+     */
+    function getAttestorsByRole(AttestorRole _role) external view returns (address[] memory) {
+        return _filterByRole(attestorAddresses, _role);
+    }
+    
+    /**
+     * @dev Get the attestors with a given role that submitted in a period
+     * @param _periodId Period ID
+     * @param _role Attestor role
+     */
+    function getPeriodAttestorsByRole(uint256 _periodId, AttestorRole _role) external view returns (address[] memory) {
+        return _filterByRole(periodAttestors[_periodId], _role);
+    }
+    
     /**
      * @dev Get verification rule count
      */
@@ -199,6 +301,43 @@ contract AttestationPlatform is Ownable {
         return verificationRules.length;
     }
     
+    /**
+     * @dev Get the state of an attestor's chunked upload in a period. chainHash is the
+     * hash chain over the chunks uploaded so far, so a client can check them before resuming.
+     * @param _periodId Period ID
+     * @param _attestor Attestor address
+     */
+    function getAttestationUpload(uint256 _periodId, address _attestor) external view returns (
+        bytes32 contentHash,
+        uint256 totalSize,
+        uint256 uploadedSize,
+        uint256 chunkCount,
+        bytes32 chainHash,
+        bool finalized
+    ) {
+        AttestationUpload storage upload = attestationUploads[_periodId][_attestor];
+        return (
+            upload.contentHash,
+            upload.totalSize,
+            upload.uploadedSize,
+            upload.chunks.length,
+            upload.chainHash,
+            upload.finalized
+        );
+    }
+    
+    /**
+     * @dev Get one chunk of an attestor's upload in a period
+     * @param _periodId Period ID
+     * @param _attestor Attestor address
+     * @param _chunkIndex Chunk index
+     */
+    function getAttestationChunk(uint256 _periodId, address _attestor, uint256 _chunkIndex) external view returns (bytes memory) {
+        AttestationUpload storage upload = attestationUploads[_periodId][_attestor];
+        require(_chunkIndex < upload.chunks.length, "Chunk does not exist");
+        return upload.chunks[_chunkIndex];
+    }
+    
     /**
      * @dev Get attestation for a specific attestor in a period
      * @param _periodId Period ID
@@ -208,6 +347,62 @@ contract AttestationPlatform is Ownable {
         return attestations[_periodId][_attestor];
     }
     
+    /**
+     * @dev Store an attestation for the current period and emit the submission events
+     */
+    function _recordAttestation(address _attestor, bytes memory _encryptedData) internal {
+        require(attestations[currentPeriodId][_attestor].timestamp == 0, "Attestor already submitted for this period");
+        
+        attestations[currentPeriodId][_attestor] = Attestation({
+            attestor: _attestor,
+            encryptedData: _encryptedData,
+            timestamp: block.timestamp
+        });
+        
+        periodAttestors[currentPeriodId].push(_attestor);
+        
+        emit AttestationSubmitted(currentPeriodId, _attestor, block.timestamp);
+        
+        // Check if attestation period is complete
+        if (periodAttestors[currentPeriodId].length >= requiredAttestorCount) {
+            emit AttestationPeriodComplete(currentPeriodId, periodAttestors[currentPeriodId].length);
+        }
+    }
+    
+    /**
+     * @dev Check that the sender may submit for an attestor: the registered attestor itself,
+     * or the owner on behalf of a registered attestor
+     */
+    function _checkSubmitter(address _attestor) internal view {
+        if (msg.sender == _attestor) {
+            require(attestors[_attestor].isRegistered, "Sender is not a registered attestor");
+        } else {
+            _checkOwner();
+            require(attestors[_attestor].isRegistered, "Address is not a registered attestor");
+        }
+    }
+    
+    /**
+     * @dev Select the addresses whose attestor has the given role, keeping their order
+     */
+    function _filterByRole(address[] storage _addresses, AttestorRole _role) internal view returns (address[] memory) {
+        uint256 count = 0;
+        for (uint256 i = 0; i < _addresses.length; i++) {
+            if (attestors[_addresses[i]].role == _role) {
+                count++;
+            }
+        }
+        
+        address[] memory result = new address[](count);
+        uint256 index = 0;
+        for (uint256 i = 0; i < _addresses.length; i++) {
+            if (attestors[_addresses[i]].role == _role) {
+                result[index++] = _addresses[i];
+            }
+        }
+        return result;
+    }
+    
     /**
      * @dev Force start a new attestation period
      * Only callable by owner, useful if current period will never get enough attestations
@@ -215,4 +410,18 @@ contract AttestationPlatform is Ownable {
     function startNewPeriod() external onlyOwner {
         currentPeriodId++;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * @title AttestationPlatform
+ * @dev Non-upgradeable deployment of the platform, owned by the deployer
+ */
+contract AttestationPlatform is AttestationPlatformBase {
+    /**
+     * @dev Constructor
+     * @param _requiredAttestorCount Number of attestors required for a complete attestation period
+     */
+    constructor(uint256 _requiredAttestorCount) initializer {
+        __AttestationPlatformBase_init(msg.sender, _requiredAttestorCount);
+    }
+}
@@ -0,0 +1,34 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "./AttestationPlatform.sol";
+
+/**
+ * @title AttestationPlatformUpgradeable
+ * @dev AttestationPlatform behind a UUPS (ERC1967) proxy, so new features can be rolled out
+ * without a redeploy and the attestation history stays at the proxy address. Deployed with
+ * scripts/deploy_upgradeable.js and upgraded with scripts/upgrade.js, which checks that the
+ * new implementation's storage layout is compatible.
+ */
+contract AttestationPlatformUpgradeable is AttestationPlatformBase, UUPSUpgradeable {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Initialize the proxy's storage
+     * @param _owner Owner of the platform, allowed to upgrade it
+     * @param _requiredAttestorCount Number of attestors required for a complete attestation period
+     */
+    function initialize(address _owner, uint256 _requiredAttestorCount) external initializer {
+        __AttestationPlatformBase_init(_owner, _requiredAttestorCount);
+        __UUPSUpgradeable_init();
+    }
+
+    /**
+     * @dev Only the owner can upgrade the implementation
+     */
+    function _authorizeUpgrade(address) internal override onlyOwner {}
+}
@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "../AttestationPlatformUpgradeable.sol";
+
+/**
+ * @dev Test upgrade: appends a state variable, which keeps the storage layout compatible.
+ * The proxy was already initialized by the first version.
+ * @custom:oz-upgrades-unsafe-allow missing-initializer
+ */
+contract AttestationPlatformUpgradeableV2 is AttestationPlatformUpgradeable {
+    string public releaseNote;
+
+    function setReleaseNote(string calldata _releaseNote) external onlyOwner {
+        releaseNote = _releaseNote;
+    }
+}
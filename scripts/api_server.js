@@ -0,0 +1,89 @@
+/**
+ * Read-only REST API for AttestationPlatform
+ *
+ * Serves periods, attestations, attestors, verification rules and results
+ * as JSON (see scripts/lib/api.js for the endpoints), reading straight from
+ * a JSON-RPC node. It needs no Hardhat environment, only compiled artifacts
+ * (npx hardhat compile) for the contract ABI.
+ *
+ * The operator dashboard is served on /dashboard. Its proof jobs are read
+ * from PROOF_QUEUE_FILE, so run the API on the monitor's machine to see them.
+ *
+ * Usage:
+ * node scripts/api_server.js
+ *
+ * The contract is CONTRACT_ADDRESS, or the one in the deployment manifest of
+ * API_NETWORK (deployments/<network>.json). Configuration is loaded from
+ * the environment, .env and the optional CONFIG_FILE, see
+ * scripts/lib/config.js
+ */
+
+const { ethers } = require("ethers");
+const { AttestationClient } = require("./lib/attestation_client");
+const { resolveContractOffline } = require("./lib/deployments");
+const { loadConfigOrExit, printConfigReport, configLogger } = require("./lib/config");
+const { createBlobStore } = require("./lib/blob_stores");
+const { ProofQueue } = require("./lib/proof_queue");
+const { startApiServer } = require("./lib/api");
+
+// Configuration, validated up front (see scripts/lib/config.js)
+const CONFIG = loadConfigOrExit(["contract", "storage", "eventScan", "proofQueue", "logging", "api"]);
+const { API_RPC_URL, API_NETWORK, API_PORT, API_HOST, API_START_BLOCK } = CONFIG.values;
+
+const logger = configLogger(CONFIG);
+
+async function main() {
+  printConfigReport(CONFIG, logger);
+
+  const deployment = resolveContractOffline(API_NETWORK, { address: CONFIG.values.CONTRACT_ADDRESS });
+  if (deployment.abiChanged) {
+    logger.warn(
+      `⚠️ The compiled AttestationPlatform ABI differs from the one deployed at ${deployment.address}`
+    );
+  }
+
+  const provider = new ethers.JsonRpcProvider(API_RPC_URL);
+  const network = await provider.getNetwork();
+  if (deployment.manifest && deployment.manifest.chainId !== network.chainId.toString()) {
+    throw new Error(
+      `${API_RPC_URL} is chain ${network.chainId}, but ${deployment.source} was deployed on chain ${deployment.manifest.chainId}`
+    );
+  }
+
+  // Reads only: the client has no signer and never sends a transaction
+  const client = new AttestationClient(new ethers.Contract(deployment.address, deployment.abi, provider));
+  const blobStore = createBlobStore({
+    backend: CONFIG.values.BLOB_STORE,
+    dir: CONFIG.values.BLOB_STORE_DIR,
+  });
+
+  // Only read here; the monitor runs the queue
+  const proofQueue = new ProofQueue(CONFIG.values.PROOF_QUEUE_FILE, {
+    chainId: network.chainId,
+    contractAddress: deployment.address,
+  });
+
+  const server = await startApiServer({
+    client,
+    blobStore,
+    proofQueue,
+    fromBlock: API_START_BLOCK ?? (deployment.manifest ? deployment.manifest.blockNumber : 0),
+    blockRange: CONFIG.values.BACKFILL_BLOCK_RANGE,
+    reorgBlocks: CONFIG.values.REORG_RESCAN_BLOCKS,
+    logger,
+    port: API_PORT,
+    host: API_HOST,
+  });
+
+  const { address, port } = server.address();
+  logger.info(`Contract: ${deployment.address} on chain ${network.chainId}`);
+  logger.info(`Contract from: ${deployment.source === "address" ? "CONTRACT_ADDRESS" : deployment.source}`);
+  logger.info(`REST API listening on http://${address}:${port}`);
+  logger.info(`Dashboard: http://${address}:${port}/dashboard`);
+}
+
+main().catch((error) => {
+  logger.error(`❌ ${error.message}`, { error });
+  logger.debug(error.stack);
+  process.exit(1);
+});
@@ -8,61 +8,156 @@
  *
  * The flow works as follows:
  * 1. Generate keys for homomorphic encryption
- * 2. Create attestations (exchange reserves and regulator liabilities)
+ * 2. Create one attestation per attestor (by default exchange reserves and
+ *    regulator liabilities)
  * 3. Submit attestations to the smart contract
  * 4. Listen for attestation complete event
  * 5. Generate ZK proof using SP1
  * 6. Submit verification result to the contract
  *
- * Configuration is loaded from .env file (copy from .env.example)
+ * Configuration is loaded from the environment, .env (copy from .env.example)
+ * and the optional CONFIG_FILE, see scripts/lib/config.js
  */
 
-// Load environment variables from .env file
-require("dotenv").config();
-
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
 const fs = require("fs");
 const path = require("path");
 const { execSync } = require("child_process");
-const { spawn } = require("child_process");
-
-// Configuration from environment variables
-const CONTRACT_ADDRESS =
-  process.env.CONTRACT_ADDRESS ||
-  (() => {
-    console.error("❌ CONTRACT_ADDRESS not set in .env file");
+const { AttestationClient } = require("./lib/attestation_client");
+const { resolveContract } = require("./lib/deployments");
+const { loadConfigOrExit, printConfigReport, configLogger } = require("./lib/config");
+const { newRunId, logProcessOutput } = require("./lib/logger");
+const {
+  TransactionManager,
+  PeriodNotCompleteError,
+  transactionOptionsFromEnv,
+} = require("./lib/transaction_manager");
+const { printDryRunReport } = require("./lib/dry_run");
+const { createBlobStore } = require("./lib/blob_stores");
+const { storeAttestation } = require("./lib/attestation_storage");
+const { verifyProofSidecar } = require("./lib/prover_output");
+const { createProver, generateProof: runProver } = require("./lib/provers");
+const { ROLE, selectProverInputs } = require("./lib/attestor_roles");
+const { parseOperation } = require("./lib/operations");
+
+// Configuration, validated up front (see scripts/lib/config.js)
+const CONFIG = loadConfigOrExit(["contract", "attestors", "prover", "storage", "transactions", "logging"], {
+  network: hre.network.name,
+});
+
+// Leveled text or JSON logging (LOG_LEVEL, LOG_FORMAT, see scripts/lib/logger.js).
+// Every line carries the ID of this run.
+const logger = configLogger(CONFIG, { runId: newRunId() });
+const {
+  CONFIRMATIONS,
+  DRY_RUN,
+  EXCHANGE_VALUE,
+  REGULATOR_VALUE,
+  OPERATION,
+  EPIC_NODE_BINARY,
+  SP1_BINARY,
+  ATTESTATION_STORAGE,
+  ATTESTATION_CHUNK_SIZE,
+} = CONFIG.values;
+
+// Contract to use: CONTRACT_ADDRESS if set, otherwise the deployment manifest
+// of the selected --network (see scripts/lib/deployments.js)
+const DEPLOYMENT = (() => {
+  try {
+    return resolveContract(hre, { address: CONFIG.values.CONTRACT_ADDRESS });
+  } catch (error) {
+    logger.error(`❌ ${error.message}`);
     process.exit(1);
-  })();
+  }
+})();
+const CONTRACT_ADDRESS = DEPLOYMENT.address;
+if (DEPLOYMENT.abiChanged) {
+  logger.warn(
+    `⚠️ The compiled AttestationPlatform ABI differs from the one deployed at ${CONTRACT_ADDRESS}`
+  );
+}
 
-// Attestation values
-const EXCHANGE_VALUE = process.env.EXCHANGE_VALUE || "1000000";
-const REGULATOR_VALUE = process.env.REGULATOR_VALUE || "900000";
-const OPERATION = process.env.OPERATION || "GreaterThan";
+// Attestors taking part in the flow, one per value. ATTESTATION_VALUES lists
+// the values, ATTESTOR_NAMES and ATTESTOR_ROLES optionally name them and give
+// their on-chain roles (the first attestor defaults to ReservesProvider, the
+// others to LiabilitiesProvider). Without ATTESTATION_VALUES the
+// exchange/regulator pair is used.
+const ATTESTORS = parseAttestors(
+  CONFIG.values.ATTESTATION_VALUES,
+  CONFIG.values.ATTESTOR_NAMES,
+  CONFIG.values.ATTESTOR_ROLES
+);
 
 // Directories for attestation data
-const TEMP_DIR = path.join(__dirname, "../attestation_temp");
+const TEMP_DIR = CONFIG.values.ATTESTATION_TEMP_DIR;
 const KEYS_DIR = path.join(TEMP_DIR, "keys");
 const ATTESTATIONS_DIR = path.join(TEMP_DIR, "attestations");
 
-// Path to epic-node binary (for attestation creation)
-const EPIC_NODE_BINARY =
-  process.env.EPIC_NODE_BINARY || 
-  "/Users/agam/succinct/epic-node/target/debug/epic-node";
-
-// Path to SP1 binary (for proof generation)
-const SP1_BINARY =
-  process.env.SP1_BINARY ||
-  "/Users/agam/succinct/fibonacci/target/debug/epic_attestation";
+// With ATTESTATION_STORAGE=offchain ciphertexts go to the BLOB_STORE and only
+// their hash and locator are submitted (see scripts/lib/attestation_storage.js)
+const blobStore =
+  ATTESTATION_STORAGE === "offchain"
+    ? createBlobStore({ backend: CONFIG.values.BLOB_STORE, dir: CONFIG.values.BLOB_STORE_DIR })
+    : null;
+
+// One transaction manager for the whole run, so nonces are tracked across
+// steps and dry-run estimates end up in a single report
+const transactionManager = new TransactionManager({
+  confirmations: CONFIRMATIONS,
+  dryRun: DRY_RUN,
+  logger,
+  ...transactionOptionsFromEnv(CONFIG.values),
+});
+
+// Prover backend: "sp1" (default) or "mock" (no SP1 toolchain needed)
+const prover = createProver({
+  backend: CONFIG.values.PROVER_BACKEND,
+  sp1Binary: SP1_BINARY,
+  keysDir: KEYS_DIR,
+  mockFixturesFile: CONFIG.values.MOCK_PROVER_FIXTURES,
+  network: hre.network.name,
+  allowMockProver: CONFIG.values.ALLOW_MOCK_PROVER,
+});
 
 // Log configuration at startup
-console.log("=== Configuration ===");
-console.log(`Contract Address: ${CONTRACT_ADDRESS}`);
-console.log(`Exchange Value: ${EXCHANGE_VALUE}`);
-console.log(`Regulator Value: ${REGULATOR_VALUE}`);
-console.log(`Operation: ${OPERATION}`);
-console.log(`Epic Node Binary: ${EPIC_NODE_BINARY}`);
-console.log(`SP1 Prover Binary: ${SP1_BINARY}`);
-console.log("====================\n");
+printConfigReport(CONFIG, logger);
+logger.info(
+  `Contract Address: ${CONTRACT_ADDRESS} (from ${DEPLOYMENT.source === "address" ? "CONTRACT_ADDRESS" : DEPLOYMENT.source})`,
+  { contractAddress: CONTRACT_ADDRESS }
+);
+for (const attestor of ATTESTORS) {
+  logger.info(`${attestor.name} (${attestor.role}) Value: ${attestor.value}`);
+}
+logger.info(`Prover Backend: ${prover.name}`);
+if (blobStore) {
+  logger.info(`Blob Store: ${blobStore.name}`);
+}
+logger.info("");
+
+// Connect a client that sends through the run's transaction manager
+function connectClient() {
+  return AttestationClient.connect(ethers, CONTRACT_ADDRESS, undefined, {
+    confirmations: CONFIRMATIONS,
+    transactionManager,
+  });
+}
+
+// Build the attestor list from the configured values, names and roles
+function parseAttestors(values, names = [], roles = []) {
+  if (!values) {
+    return [
+      { name: "Exchange", role: ROLE.ReservesProvider, value: EXCHANGE_VALUE },
+      { name: "Regulator", role: ROLE.LiabilitiesProvider, value: REGULATOR_VALUE },
+    ];
+  }
+
+  return values.map((value, i) => ({
+    name: names[i] || `Attestor ${i + 1}`,
+    role: roles[i] || (i === 0 ? ROLE.ReservesProvider : ROLE.LiabilitiesProvider),
+    value,
+  }));
+}
 
 // Function to ensure directories exist
 function ensureDirectories() {
@@ -78,8 +173,8 @@ function ensureDirectories() {
 }
 
 // Generate a single shared encryption key for all attestor nodes
-async function generateKeys() {
-  console.log("Generating single shared encryption key for all attestor nodes...");
+async function generateKeys(log = logger) {
+  log.info("Generating single shared encryption key for all attestor nodes...");
   ensureDirectories();
   
   // Check if keys already exist
@@ -87,648 +182,480 @@ async function generateKeys() {
   const privateKeyPath = path.join(KEYS_DIR, "private.key");
   
   if (fs.existsSync(publicKeyPath) && fs.existsSync(privateKeyPath)) {
-    console.log("Using existing shared encryption keys");
+    log.info("Using existing shared encryption keys");
     return true;
   }
   
   try {
     // Use the epic-node binary to generate deterministic keys
-    console.log("Creating new encryption keys with deterministic seed...");
+    log.info("Creating new encryption keys with deterministic seed...");
     const output = execSync(`${EPIC_NODE_BINARY} generate-keys 1024 ${KEYS_DIR}`, {
       cwd: TEMP_DIR
     });
-    console.log(output.toString());
+    logProcessOutput(log.child({ source: "epic-node" }), output);
 
     // Verify keys were generated
     if (!fs.existsSync(publicKeyPath) || !fs.existsSync(privateKeyPath)) {
       throw new Error("Failed to generate encryption keys");
     }
 
-    console.log("Encryption keys generated and saved:");
-    console.log(`Public key: ${publicKeyPath}`);
-    console.log(`Private key: ${privateKeyPath}`);
-    console.log("\nIMPORTANT: These keys must be shared with all attestor nodes!");
-    console.log("          These same keys will be needed by the monitor_events.js script.");
+    log.info("Encryption keys generated and saved:");
+    log.info(`Public key: ${publicKeyPath}`);
+    log.info(`Private key: ${privateKeyPath}`);
+    log.info("\nIMPORTANT: These keys must be shared with all attestor nodes!");
+    log.info("          These same keys will be needed by the monitor_events.js script.");
 
     return true;
   } catch (error) {
-    console.error("Error generating keys:", error.message);
-    if (error.stdout) console.error(error.stdout.toString());
-    if (error.stderr) console.error(error.stderr.toString());
+    log.error(`Error generating keys: ${error.message}`, { error });
+    logProcessOutput(log.child({ source: "epic-node" }), error.stdout, error.stderr);
     return false;
   }
 }
 
-// Create attestations for exchange and regulator using the shared keys
-async function createAttestations(exchangeValue, regulatorValue) {
-  console.log(
-    `Creating attestations: Exchange=${exchangeValue}, Regulator=${regulatorValue}`
+// Create one attestation per attestor using the shared keys.
+// Attestor i (1-based) is node i and writes attestation_<i>.bin.
+async function createAttestations(attestors, log = logger) {
+  log.info(
+    `Creating attestations: ${attestors
+      .map((attestor) => `${attestor.name}=${attestor.value}`)
+      .join(", ")}`
   );
 
   try {
     // Ensure we have the shared public key
     const publicKeyPath = path.join(KEYS_DIR, "public.key");
     if (!fs.existsSync(publicKeyPath)) {
-      console.log("Public key not found - generating shared keys first");
+      log.info("Public key not found - generating shared keys first");
       const keysGenerated = await generateKeys();
       if (!keysGenerated) {
         throw new Error("Failed to generate required encryption keys");
       }
     }
 
-    console.log("Using shared public key for all attestations");
-    
-    // Create a temporary file with the exchange value
-    const exchangeValuesFile = path.join(TEMP_DIR, "exchange_values.txt");
-    fs.writeFileSync(exchangeValuesFile, exchangeValue.toString());
-
-    // Create a temporary file with the regulator value
-    const regulatorValuesFile = path.join(TEMP_DIR, "regulator_values.txt");
-    fs.writeFileSync(regulatorValuesFile, regulatorValue.toString());
-
-    // Create exchange attestation using the shared public key
-    console.log("Creating exchange attestation (node 1)...");
-    let output = execSync(
-      `${EPIC_NODE_BINARY} create-attestation 1 ${publicKeyPath} ${exchangeValuesFile} ${path.join(ATTESTATIONS_DIR, "attestation_1.bin")}`,
-      { cwd: TEMP_DIR }
-    );
-    console.log(output.toString());
+    log.info("Using shared public key for all attestations");
 
-    // Create regulator attestation using the same shared public key
-    console.log("Creating regulator attestation (node 2)...");
-    output = execSync(
-      `${EPIC_NODE_BINARY} create-attestation 2 ${publicKeyPath} ${regulatorValuesFile} ${path.join(ATTESTATIONS_DIR, "attestation_2.bin")}`,
-      { cwd: TEMP_DIR }
-    );
-    console.log(output.toString());
+    const attestationFiles = [];
 
-    return {
-      exchangeAttestation: path.join(ATTESTATIONS_DIR, "attestation_1.bin"),
-      regulatorAttestation: path.join(ATTESTATIONS_DIR, "attestation_2.bin"),
-    };
+    for (const [i, attestor] of attestors.entries()) {
+      const nodeId = i + 1;
+
+      // Create a temporary file with the attestor's value
+      const valuesFile = path.join(TEMP_DIR, `values_${nodeId}.txt`);
+      fs.writeFileSync(valuesFile, attestor.value.toString());
+
+      const attestationFile = path.join(
+        ATTESTATIONS_DIR,
+        `attestation_${nodeId}.bin`
+      );
+
+      log.info(`Creating ${attestor.name} attestation (node ${nodeId})...`);
+      const output = execSync(
+        `${EPIC_NODE_BINARY} create-attestation ${nodeId} ${publicKeyPath} ${valuesFile} ${attestationFile}`,
+        { cwd: TEMP_DIR }
+      );
+      logProcessOutput(log.child({ source: "epic-node", attestor: attestor.name }), output);
+
+      attestationFiles.push(attestationFile);
+    }
+
+    return attestationFiles;
   } catch (error) {
-    console.error("Error creating attestations:", error.message);
-    if (error.stdout) console.error(error.stdout.toString());
-    if (error.stderr) console.error(error.stderr.toString());
+    log.error(`Error creating attestations: ${error.message}`, { error });
+    logProcessOutput(log.child({ source: "epic-node" }), error.stdout, error.stderr);
     return null;
   }
 }
 
 // Submit attestations to smart contract
-async function submitAttestationsToContract(
-  exchangeAttestation,
-  regulatorAttestation
-) {
-  console.log("Submitting attestations to smart contract...");
+// Attestor i is Hardhat account i + 1; account 0 pays for every transaction
+async function submitAttestationsToContract(attestors, attestationFiles, log = logger) {
+  log.info("Submitting attestations to smart contract...");
 
   try {
     // First check if we can connect to the network
     try {
       const provider = ethers.provider;
       const network = await provider.getNetwork();
-      console.log(
+      log.info(
         `Connected to network: ${network.name} (chainId: ${network.chainId})`
       );
     } catch (error) {
-      console.error(
+      log.error(
         "Failed to connect to network. Make sure your network settings are correct in hardhat.config.js"
       );
       throw new Error("Network connection failed");
     }
 
-    // Get contract instance
-    console.log(`Connecting to contract at address: ${CONTRACT_ADDRESS}`);
-    const attestationPlatform = await ethers.getContractAt(
-      "AttestationPlatform",
-      CONTRACT_ADDRESS
-    );
+    // Get contract client
+    log.info(`Connecting to contract at address: ${CONTRACT_ADDRESS}`);
+    const client = await connectClient();
 
     // Verify contract connection with a simple call
     try {
-      // Call a simple view function to check if contract exists and is accessible
-      await attestationPlatform.getAddress();
-      console.log("Successfully connected to the contract");
+      await client.getCurrentPeriodId();
+      log.info("Successfully connected to the contract");
     } catch (error) {
-      console.error(
+      log.error(
         "Failed to connect to contract. Make sure the contract address is correct and the contract is deployed on this network"
       );
       throw new Error("Contract connection failed");
     }
 
     // Get signers (accounts)
-    const [deployer, exchange, regulator] = await ethers.getSigners();
-    console.log(`Using deployer account: ${deployer.address}`);
-    console.log(`Using exchange account: ${exchange.address}`);
-    console.log(`Using regulator account: ${regulator.address}`);
+    const [deployer, ...accounts] = await ethers.getSigners();
+    if (accounts.length < attestors.length) {
+      throw new Error(
+        `${attestors.length} attestors configured but only ${accounts.length} attestor accounts available`
+      );
+    }
+    log.info(`Using deployer account: ${deployer.address}`);
+    attestors.forEach((attestor, i) =>
+      log.info(`Using ${attestor.name} account: ${accounts[i].address}`)
+    );
 
     // Register attestors if not already registered
-    console.log("Checking if attestors are registered...");
+    log.info("Checking if attestors are registered...");
     try {
-      const exchangeCount = await attestationPlatform.getAttestorCount();
-      console.log(`Current attestor count: ${exchangeCount}`);
-
-      if (exchangeCount.toString() === "0") {
-        console.log("Registering attestors...");
-
-        // Register exchange
-        let tx = await attestationPlatform.registerAttestor(
-          exchange.address,
-          "Exchange"
-        );
-        await tx.wait();
-        console.log(`Exchange registered: ${exchange.address}`);
-
-        // Register regulator
-        tx = await attestationPlatform.registerAttestor(
-          regulator.address,
-          "Regulator"
+      for (const [i, attestor] of attestors.entries()) {
+        const address = accounts[i].address;
+        const registration = await client.registerAttestor(
+          address,
+          attestor.name,
+          attestor.role
         );
-        await tx.wait();
-        console.log(`Regulator registered: ${regulator.address}`);
-      } else {
-        console.log("Attestors already registered");
+        if (registration.dryRun) {
+          log.info(`Dry run: would register ${attestor.name} as ${attestor.role}: ${address}`);
+        } else if (registration.alreadyRegistered) {
+          log.info(`${attestor.name} already registered: ${address}`);
+          if (registration.role !== attestor.role) {
+            log.warn(
+              `WARNING: ${address} is registered as ${registration.role}, not ${attestor.role}`
+            );
+          }
+        } else {
+          log.info(`${attestor.name} registered as ${attestor.role}: ${address}`, {
+            txHash: registration.transactionHash,
+          });
+        }
       }
     } catch (error) {
-      console.error("Error checking/registering attestors:", error.message);
+      log.error(`Error checking/registering attestors: ${error.message}`, { error });
       throw new Error("Failed to register attestors");
     }
 
-    // Read attestation files
-    console.log(`Reading attestation file: ${exchangeAttestation}`);
-    const exchangeData = fs.readFileSync(exchangeAttestation);
-    console.log(`Exchange attestation size: ${exchangeData.length} bytes`);
-
-    console.log(`Reading attestation file: ${regulatorAttestation}`);
-    const regulatorData = fs.readFileSync(regulatorAttestation);
-    console.log(`Regulator attestation size: ${regulatorData.length} bytes`);
-
-    // Submit exchange attestation using the deployer account which has funds
-    console.log("Submitting exchange attestation...");
-    console.log(
+    // Submit every attestation from the deployer account, which has funds,
+    // through the owner's submitAttestationFor function
+    log.info(
       "Note: Using deployer account for all transactions to avoid funding multiple accounts"
     );
 
-    // Check if the contract has the submitAttestationFor function
-    let hasSubmitFor = false;
-    try {
-      // Check if function exists (will throw if doesn't exist)
-      const fragment = attestationPlatform.interface.getFunction(
-        "submitAttestationFor"
-      );
-      hasSubmitFor = !!fragment;
-      console.log("Contract has submitAttestationFor function:", hasSubmitFor);
-    } catch (error) {
-      console.log("Contract does not have submitAttestationFor function");
-      console.log(
-        "Please redeploy the contract or transfer SepoliaETH to the exchange/regulator accounts"
-      );
-    }
-
-    // First, check if exchange has already submitted an attestation
-    let periodId = await attestationPlatform.currentPeriodId();
-    let exchangeSubmitted = false;
-
-    try {
-      // Get attestation count for current period
-      const attestorCount = await attestationPlatform.getPeriodAttestorCount(
-        periodId
-      );
-
-      // Check all attestors in the period to see if exchange is among them
-      for (let i = 0; i < Number(attestorCount); i++) {
-        const attestorAddress = await attestationPlatform.periodAttestors(
-          periodId,
-          i
-        );
-        if (attestorAddress.toLowerCase() === exchange.address.toLowerCase()) {
-          exchangeSubmitted = true;
-          break;
-        }
+    const periodId = await client.getCurrentPeriodId();
+    log = log.child({ periodId });
+
+    for (const [i, attestor] of attestors.entries()) {
+      log.info(`Reading attestation file: ${attestationFiles[i]}`);
+      const data = fs.readFileSync(attestationFiles[i]);
+      log.info(`${attestor.name} attestation size: ${data.length} bytes`);
+
+      // Off-chain storage: keep the ciphertext in the blob store and submit
+      // its hash and locator instead
+      let payload = data;
+      if (blobStore) {
+        const stored = await storeAttestation(blobStore, data);
+        payload = stored.reference;
+        log.info(`Stored ${attestor.name} attestation at ${stored.locator}`);
+        log.info(`Content hash: ${stored.contentHash}`);
       }
 
-      if (exchangeSubmitted) {
-        console.log("Exchange has already submitted an attestation");
-      }
-    } catch (error) {
-      console.log("Error checking existing attestations:", error.message);
-    }
-
-    // Submit attestation if not already submitted
-    if (!exchangeSubmitted) {
+      log.info(`Submitting ${attestor.name} attestation...`);
       try {
-        let tx;
-        if (hasSubmitFor) {
-          // Use the owner's function to submit on behalf of the exchange
-          console.log(
-            "Submitting attestation using owner's submitAttestationFor function"
-          );
-          tx = await attestationPlatform.submitAttestationFor(
-            exchange.address,
-            ethers.hexlify(exchangeData)
-          );
-        } else {
-          // If deployer is attempting to submit as the exchange itself
-          console.log(
-            "WARNING: Attempting to submit attestation directly as exchange account"
-          );
-          console.log(
-            "This will likely fail unless the account has SepoliaETH"
-          );
-
-          // Try impersonating exchange
-          try {
-            tx = await attestationPlatform
-              .connect(exchange)
-              .submitAttestation(ethers.hexlify(exchangeData));
-          } catch (error) {
-            console.error("Failed to submit as exchange:", error.message);
-            console.log("Attempting to submit using deployer's attestation...");
-
-            // Register deployer as attestor if needed
-            const isDeployerRegistered = (
-              await attestationPlatform.attestors(deployer.address)
-            ).isRegistered;
-            if (!isDeployerRegistered) {
-              console.log("Registering deployer as attestor...");
-              const regTx = await attestationPlatform.registerAttestor(
-                deployer.address,
-                "DeployerAttestor"
-              );
-              await regTx.wait();
-              console.log("Deployer registered as attestor");
-            }
-
-            // Submit attestation as deployer
-            tx = await attestationPlatform.submitAttestation(
-              ethers.hexlify(exchangeData)
-            );
-          }
+        const payloadSize = ethers.getBytes(payload).length;
+        const chunked = ATTESTATION_CHUNK_SIZE > 0 && payloadSize > ATTESTATION_CHUNK_SIZE;
+
+        // Large payloads go up in chunks; re-running the flow after a failed
+        // upload resumes from the last chunk that made it on-chain
+        const submission = chunked
+          ? await client.uploadAttestation(payload, {
+              attestor: accounts[i].address,
+              chunkSize: ATTESTATION_CHUNK_SIZE,
+              onChunk: ({ index, chunkCount, uploadedSize, totalSize }) =>
+                log.info(
+                  `Uploaded chunk ${index + 1}/${chunkCount} (${uploadedSize}/${totalSize} bytes)`
+                ),
+            })
+          : await client.submitAttestation(payload, {
+              attestor: accounts[i].address,
+            });
+
+        if (submission.resumedFrom > 0) {
+          log.info(`Resumed ${attestor.name} upload at chunk ${submission.resumedFrom + 1}`);
         }
 
-        console.log(`Transaction hash: ${tx.hash}`);
-        await tx.wait();
-        console.log("Exchange attestation submitted successfully");
-      } catch (error) {
-        console.error("Failed to submit exchange attestation:", error.message);
-        throw error;
-      }
-    }
-
-    // Submit regulator attestation using the deployer account
-    console.log("Submitting regulator attestation...");
-
-    // Check if regulator has already submitted
-    let regulatorSubmitted = false;
-
-    try {
-      // Check all attestors in the period to see if regulator is among them
-      const attestorCount = await attestationPlatform.getPeriodAttestorCount(
-        periodId
-      );
-
-      for (let i = 0; i < Number(attestorCount); i++) {
-        const attestorAddress = await attestationPlatform.periodAttestors(
-          periodId,
-          i
-        );
-        if (attestorAddress.toLowerCase() === regulator.address.toLowerCase()) {
-          regulatorSubmitted = true;
-          break;
-        }
-      }
-
-      if (regulatorSubmitted) {
-        console.log("Regulator has already submitted an attestation");
-      }
-    } catch (error) {
-      console.log("Error checking existing attestations:", error.message);
-    }
-
-    // Submit attestation if not already submitted
-    if (!regulatorSubmitted) {
-      try {
-        let tx;
-        if (hasSubmitFor) {
-          // Use the owner's function to submit on behalf of the regulator
-          console.log(
-            "Submitting attestation using owner's submitAttestationFor function"
-          );
-          tx = await attestationPlatform.submitAttestationFor(
-            regulator.address,
-            ethers.hexlify(regulatorData)
-          );
+        if (submission.dryRun) {
+          log.info(`Dry run: would submit ${attestor.name} attestation (${data.length} bytes)`);
+        } else if (submission.alreadySubmitted) {
+          log.info(`${attestor.name} has already submitted an attestation`);
         } else {
-          // Try directly as regulator (likely to fail)
-          console.log(
-            "WARNING: Attempting to submit attestation directly as regulator account"
-          );
-          console.log(
-            "This will likely fail unless the account has SepoliaETH"
-          );
-
-          try {
-            tx = await attestationPlatform
-              .connect(regulator)
-              .submitAttestation(ethers.hexlify(regulatorData));
-          } catch (error) {
-            console.error("Failed to submit as regulator:", error.message);
-            console.log("Attempting to submit using deployer's attestation...");
-
-            // Use deployer (must be registered as attestor for this to work)
-            const isDeployerRegistered = (
-              await attestationPlatform.attestors(deployer.address)
-            ).isRegistered;
-            if (!isDeployerRegistered) {
-              console.log("Registering deployer as attestor...");
-              const regTx = await attestationPlatform.registerAttestor(
-                deployer.address,
-                "DeployerAttestor"
-              );
-              await regTx.wait();
-              console.log("Deployer registered as attestor");
-            }
-
-            // Submit as deployer
-            tx = await attestationPlatform.submitAttestation(
-              ethers.hexlify(regulatorData)
-            );
-          }
+          const txLog = log.child({ txHash: submission.transactionHash, attestor: attestor.name });
+          txLog.info(`Transaction hash: ${submission.transactionHash}`);
+          txLog.info(`${attestor.name} attestation submitted successfully`);
         }
-
-        console.log(`Transaction hash: ${tx.hash}`);
-        await tx.wait();
-        console.log("Regulator attestation submitted successfully");
       } catch (error) {
-        console.error("Failed to submit regulator attestation:", error.message);
+        log.error(`Failed to submit ${attestor.name} attestation: ${error.message}`, {
+          attestor: attestor.name,
+          error,
+        });
         throw error;
       }
     }
 
-    // // Check attestation period status
-    // const periodId = await attestationPlatform.currentPeriodId();
-    const attestorCount = await attestationPlatform.getPeriodAttestorCount(
-      periodId
-    );
+    // Check attestation period status
+    const status = await client.getPeriodStatus(periodId);
 
-    console.log(`Current period: ${periodId}`);
-    console.log(`Attestations received: ${attestorCount}`);
+    log.info(`Current period: ${periodId}`);
+    log.info(
+      `Attestations received: ${status.attestorCount}/${status.requiredAttestorCount}`
+    );
 
     return {
       periodId,
-      complete: attestorCount >= 2, // Required attestor count
+      complete: status.complete,
     };
   } catch (error) {
-    console.error("Error submitting attestations:", error.message);
+    log.error(`Error submitting attestations: ${error.message}`, { error });
     if (error.code) {
-      console.error("Error code:", error.code);
+      log.error(`Error code: ${error.code}`);
     }
     if (error.stack) {
-      console.error("Stack trace:", error.stack);
+      log.debug(`Stack trace: ${error.stack}`);
     }
     return null;
   }
 }
 
-// Generate proof using SP1 with actual attestation files
-async function generateProof(
-  exchangeAttestation,
-  regulatorAttestation,
-  operation
-) {
-  console.log(`Generating proof for operation: ${operation}`);
+// Generate proof with the configured prover backend. The prover inputs are
+// selected from the attestations by attestor role; the operation defaults to
+// OPERATION.
+async function generateProof(attestors, attestationFiles, operation = OPERATION, log = logger) {
+  log = log.child({ step: "prove" });
+  log.info(`Generating proof for operation: ${parseOperation(operation).spec}`);
+  log.info(`Prover backend: ${prover.name}`);
 
-  return new Promise((resolve, reject) => {
-    try {
-      // Ensure the shared encryption keys are available
-      const publicKeyPath = path.join(KEYS_DIR, "public.key");
-      if (!fs.existsSync(publicKeyPath)) {
-        console.error("Shared public key not found. Cannot generate proof.");
-        reject(new Error("Missing shared encryption key"));
-        return;
-      }
-      
-      // Verify attestation files exist
-      if (!fs.existsSync(exchangeAttestation) || !fs.existsSync(regulatorAttestation)) {
-        console.error("Attestation files not found");
-        reject(new Error("Missing attestation files"));
-        return;
-      }
-      
-      console.log("Using actual attestation files with shared encryption key");
-      console.log(`Exchange attestation: ${exchangeAttestation}`);
-      console.log(`Regulator attestation: ${regulatorAttestation}`);
-
-      // Use SP1 binary for proof generation
-      const process = spawn(
-        SP1_BINARY,
-        [
-          "--prove",
-          "--operation",
-          operation,
-          "--att-file1",
-          exchangeAttestation,
-          "--att-file2",
-          regulatorAttestation,
-          "--debug",
-        ],
-        { 
-          cwd: TEMP_DIR,
-          env: {
-            ...process.env,
-            KEYS_DIR: KEYS_DIR,
-            ATTESTATIONS_DIR: ATTESTATIONS_DIR
-          }
-        }
-      );
+  try {
+    // Verify attestation files exist
+    const missing = attestationFiles.filter((file) => !fs.existsSync(file));
+    if (missing.length > 0) {
+      log.error(`Attestation files not found: ${missing.join(", ")}`, { missing });
+      throw new Error("Missing attestation files");
+    }
 
-      process.stdout.on("data", (data) => {
-        console.log(data.toString());
-      });
+    const { inputs, reservesCount } = selectProverInputs(
+      attestors.map((attestor, i) => ({ ...attestor, file: attestationFiles[i] }))
+    );
+    inputs.forEach((input, i) =>
+      log.info(`Attestation ${i + 1} (${input.role}): ${input.file}`)
+    );
 
-      process.stderr.on("data", (data) => {
-        console.error(data.toString());
-      });
+    const proofResult = await runProver(prover, {
+      operation,
+      attestationFiles: inputs.map((input) => input.file),
+      reservesCount,
+      workDir: TEMP_DIR,
+      logger: log,
+    });
 
-      process.on("close", (code) => {
-        if (code === 0) {
-          console.log("Proof generation completed successfully");
-          resolve({
-            proofPath: path.join(TEMP_DIR, "proof.bin"),
-            verificationKeyPath: path.join(TEMP_DIR, "verification_key.bin"),
-          });
-        } else {
-          console.error(`Proof generation process exited with code ${code}`);
-          reject(new Error(`Proof generation failed with code ${code}`));
-        }
-      });
-    } catch (error) {
-      console.error("Error generating proof:", error.message);
-      reject(error);
-    }
-  });
+    log.info("Proof generation completed successfully");
+    log.info(`Prover verdict: ${proofResult.passed ? "PASSED" : "FAILED"}`);
+
+    return {
+      proofPath: proofResult.proofFile,
+      verificationKeyPath: path.join(TEMP_DIR, "verification_key.bin"),
+      passed: proofResult.passed,
+    };
+  } catch (error) {
+    log.error(`Error generating proof: ${error.message}`, { error });
+    throw error;
+  }
 }
 
 // Submit verification result to the contract
-async function submitVerificationResult(periodId, proofPath) {
-  console.log(`Submitting verification result for period ${periodId}...`);
+async function submitVerificationResult(periodId, proofPath, log = logger) {
+  log = log.child({ periodId, step: "submit-verification" });
+  log.info(`Submitting verification result for period ${periodId}...`);
 
   try {
-    // Get contract instance
-    const attestationPlatform = await ethers.getContractAt(
-      "AttestationPlatform",
-      CONTRACT_ADDRESS
-    );
+    // Get contract client
+    const client = await connectClient();
 
     // Read proof data
     const proofData = fs.readFileSync(proofPath);
 
-    // Determine if verification passed (for demo, always true if reserves > liabilities)
-    const passed =
-      OPERATION === "GreaterThan" &&
-      parseInt(EXCHANGE_VALUE) > parseInt(REGULATOR_VALUE);
+    // Take the verdict from the prover outputs, after checking the sidecar
+    // still matches the proof and attestations
+    const { passed } = verifyProofSidecar(proofPath, periodId);
 
     // Submit verification result
-    const tx = await attestationPlatform.submitVerificationResult(
+    const submission = await client.submitVerification(
       periodId,
       passed,
-      ethers.hexlify(proofData)
+      proofData
     );
-    await tx.wait();
+    if (submission.alreadySubmitted) {
+      log.info(`Verification result already exists for period ${periodId}`);
+      return {
+        alreadySubmitted: true,
+      };
+    }
+    if (submission.dryRun) {
+      log.info(`Dry run: would submit result ${passed ? "PASSED" : "FAILED"}`);
+      return {
+        passed,
+        dryRun: submission.dryRun,
+      };
+    }
 
-    console.log(
-      `Verification result submitted: ${passed ? "PASSED" : "FAILED"}`
-    );
+    log.info(`Verification result submitted: ${passed ? "PASSED" : "FAILED"}`, {
+      txHash: submission.transactionHash,
+      passed,
+    });
 
     return {
       passed,
-      transaction: tx.hash,
+      transaction: submission.transactionHash,
     };
   } catch (error) {
-    console.error("Error submitting verification result:", error.message);
+    log.error(`Error submitting verification result: ${error.message}`, { error });
+    if (error instanceof PeriodNotCompleteError) {
+      log.error(`Period ${periodId} does not have the required number of attestations yet`);
+    }
     return null;
   }
 }
 
-// Event listener for AttestationPeriodComplete event
-async function waitForAttestationComplete(attestationPlatform, periodId) {
-  console.log(
+// Wait for the AttestationPeriodComplete event (or enough submissions)
+async function waitForAttestationComplete(client, periodId, log = logger) {
+  log.info(
     `Waiting for all attestations to be submitted for period ${periodId}...`
   );
 
-  // Check if already complete
-  const attestorCount = await attestationPlatform.getPeriodAttestorCount(
-    periodId
-  );
-  if (attestorCount >= 2) {
-    console.log("Attestation period already complete");
-    return true;
-  }
+  const complete = await client.waitForPeriodComplete(periodId, {
+    timeout: 60000, // 1 minute timeout
+  });
 
-  return new Promise((resolve) => {
-    attestationPlatform.on(
-      "AttestationPeriodComplete",
-      (completedPeriodId, count) => {
-        if (completedPeriodId.toString() === periodId.toString()) {
-          console.log(
-            `Attestation period ${periodId} complete with ${count} attestations`
-          );
-          resolve(true);
-        }
-      }
-    );
+  if (complete) {
+    log.info(`Attestation period ${periodId} complete`);
+  } else {
+    log.info("Timeout waiting for attestation period complete event");
+  }
 
-    // Set a timeout in case no event is received
-    setTimeout(() => {
-      console.log("Timeout waiting for attestation period complete event");
-      resolve(false);
-    }, 60000); // 1 minute timeout
-  });
+  return complete;
 }
 
-// Main function to run the full attestation flow
+// Main function to run the full attestation flow. Its lines carry the step
+// and, once known, the period.
 async function runAttestationFlow() {
-  console.log("Starting attestation flow integration");
+  let log = logger;
+  log.info("Starting attestation flow integration");
 
   // Ensure all directories exist
   ensureDirectories();
 
   // Step 1: Generate keys
-  console.log("\n=== Step 1: Generate encryption keys ===");
-  const keysGenerated = await generateKeys();
+  log = log.child({ step: "generate-keys" });
+  log.info("\n=== Step 1: Generate encryption keys ===");
+  const keysGenerated = await generateKeys(log);
   if (!keysGenerated) {
-    console.error("Failed to generate keys. Aborting.");
+    log.error("Failed to generate keys. Aborting.");
     return;
   }
 
   // Step 2: Create attestations
-  console.log("\n=== Step 2: Create attestations ===");
-  const attestations = await createAttestations(
-    EXCHANGE_VALUE,
-    REGULATOR_VALUE
-  );
-  if (!attestations) {
-    console.error("Failed to create attestations. Aborting.");
+  log = log.child({ step: "create-attestations" });
+  log.info("\n=== Step 2: Create attestations ===");
+  const attestationFiles = await createAttestations(ATTESTORS, log);
+  if (!attestationFiles) {
+    log.error("Failed to create attestations. Aborting.");
     return;
   }
 
   // Step 3: Submit attestations to contract
-  console.log("\n=== Step 3: Submit attestations to contract ===");
+  log = log.child({ step: "submit-attestations" });
+  log.info("\n=== Step 3: Submit attestations to contract ===");
   const submissionResult = await submitAttestationsToContract(
-    attestations.exchangeAttestation,
-    attestations.regulatorAttestation
+    ATTESTORS,
+    attestationFiles,
+    log
   );
   if (!submissionResult) {
-    console.error("Failed to submit attestations. Aborting.");
+    log.error("Failed to submit attestations. Aborting.");
     return;
   }
+  log = log.child({ periodId: submissionResult.periodId });
 
-  // Get contract instance for event listening
-  const attestationPlatform = await ethers.getContractAt(
-    "AttestationPlatform",
-    CONTRACT_ADDRESS
-  );
+  // Nothing was sent, so there is no period completion to wait for
+  if (DRY_RUN) {
+    printDryRunReport(transactionManager.estimates, log);
+    log.info("\nRun the monitor with DRY_RUN=true to estimate submitting the verification result");
+    return;
+  }
+
+  // Get contract client for event listening
+  const client = await connectClient();
 
   // Step 4: Wait for attestation period complete (if not already)
-  console.log("\n=== Step 4: Wait for attestation period complete ===");
+  log = log.child({ step: "wait-complete" });
+  log.info("\n=== Step 4: Wait for attestation period complete ===");
   if (!submissionResult.complete) {
     const complete = await waitForAttestationComplete(
-      attestationPlatform,
-      submissionResult.periodId
+      client,
+      submissionResult.periodId,
+      log
     );
     if (!complete) {
-      console.error("Attestation period not completed. Aborting.");
+      log.error("Attestation period not completed. Aborting.");
       return;
     }
   } else {
-    console.log("Attestation period already complete");
+    log.info("Attestation period already complete");
   }
 
   // Inform about next steps with monitor_events.js
-  console.log("\n=== Attestation Submission Complete ===");
-  console.log(`Exchange reserves: ${EXCHANGE_VALUE}`);
-  console.log(`Regulator liabilities: ${REGULATOR_VALUE}`);
+  log = log.child({ step: "summary" });
+  log.info("\n=== Attestation Submission Complete ===");
+  for (const attestor of ATTESTORS) {
+    log.info(`${attestor.name} (${attestor.role}): ${attestor.value}`);
+  }
 
   if (submissionResult.complete) {
-    console.log("\nAll attestations have been submitted successfully.");
-    console.log("The attestation period is now complete.");
+    log.info("\nAll attestations have been submitted successfully.");
+    log.info("The attestation period is now complete.");
   } else {
-    console.log("\nAttestation period not yet complete. Waiting for more attestations.");
-    console.log("Once all required attestations are submitted, the period will be marked complete.");
+    log.info("\nAttestation period not yet complete. Waiting for more attestations.");
+    log.info("Once all required attestations are submitted, the period will be marked complete.");
   }
   
-  console.log("\n=== Next Steps: Monitor Events to Generate Proof ===");
-  console.log("To complete the verification process, run the monitor_events.js script:");
-  console.log("  npx hardhat run scripts/monitor_events.js --network <network>");
-  console.log("\nThe monitor_events.js script will:");
-  console.log("1. Detect the AttestationPeriodComplete event");
-  console.log("2. Retrieve the attestations from the blockchain");
-  console.log("3. Generate a proof using the shared encryption keys");
-  console.log("4. Submit the verification result back to the smart contract");
+  log.info("\n=== Next Steps: Monitor Events to Generate Proof ===");
+  log.info("To complete the verification process, run the monitor_events.js script:");
+  log.info("  npx hardhat run scripts/monitor_events.js --network <network>");
+  log.info("\nThe monitor_events.js script will:");
+  log.info("1. Detect the AttestationPeriodComplete event");
+  log.info("2. Retrieve the attestations from the blockchain");
+  log.info("3. Generate a proof using the shared encryption keys");
+  log.info("4. Submit the verification result back to the smart contract");
   
   // Optional: Can generate proof here if immediate testing is needed
-  if (submissionResult.complete) {
-    console.log("\nTIP: You can also generate a proof immediately by running:");
-    console.log(`${SP1_BINARY} --prove --operation ${OPERATION} --att-file1 ${attestations.exchangeAttestation} --att-file2 ${attestations.regulatorAttestation} --debug`);
+  if (submissionResult.complete && prover.name === "sp1") {
+    const { inputs, reservesCount } = selectProverInputs(
+      ATTESTORS.map((attestor, i) => ({ ...attestor, file: attestationFiles[i] }))
+    );
+    const args = prover.buildArgs(
+      OPERATION,
+      inputs.map((input) => input.file),
+      reservesCount
+    );
+    log.info("\nTIP: You can also generate a proof immediately by running:");
+    log.info(`${SP1_BINARY} ${args.join(" ")}`);
   }
 
   // Clean up if needed
@@ -740,7 +667,8 @@ if (require.main === module) {
   runAttestationFlow()
     .then(() => process.exit(0))
     .catch((error) => {
-      console.error("Error in attestation flow:", error);
+      logger.error(`Error in attestation flow: ${error.message}`, { error });
+      logger.debug(error.stack);
       process.exit(1);
     });
 }
@@ -5,10 +5,13 @@
  * on the specified network
  */
 
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { AttestationClient } = require("./lib/attestation_client");
+const { resolveContract } = require("./lib/deployments");
+const { loadConfigOrExit } = require("./lib/config");
 
-// The contract address to check
-const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS || "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const CONFIG = loadConfigOrExit(["contract"]);
 
 async function main() {
   // Get network information
@@ -16,33 +19,51 @@ async function main() {
   const network = await provider.getNetwork();
   console.log(`Connected to network: ${network.name} (chainId: ${network.chainId})`);
   
+  // The contract to check: CONTRACT_ADDRESS, or the network's deployment manifest
+  const deployment = resolveContract(hre, { address: CONFIG.values.CONTRACT_ADDRESS });
+  const contractAddress = deployment.address;
+  if (deployment.manifest) {
+    const { blockNumber, transactionHash } = deployment.manifest;
+    console.log(`Deployed in block ${blockNumber} by transaction ${transactionHash}`);
+    if (deployment.abiChanged) {
+      console.warn("Warning: the compiled AttestationPlatform ABI differs from the deployed one");
+    }
+  }
+  
   // Get contract bytecode to check if contract exists
-  const bytecode = await provider.getCode(CONTRACT_ADDRESS);
+  const bytecode = await provider.getCode(contractAddress);
   if (bytecode === "0x") {
-    console.error(`No contract deployed at address ${CONTRACT_ADDRESS}`);
+    console.error(`No contract deployed at address ${contractAddress}`);
     return;
   }
   
-  console.log(`Contract exists at ${CONTRACT_ADDRESS} (bytecode length: ${bytecode.length})`);
+  console.log(`Contract exists at ${contractAddress} (bytecode length: ${bytecode.length})`);
   
   // Try to connect to the contract with our ABI
   try {
-    const attestationPlatform = await ethers.getContractAt("AttestationPlatform", CONTRACT_ADDRESS);
+    const client = await AttestationClient.connect(ethers, contractAddress);
+    const attestationPlatform = client.contract;
     console.log("Successfully connected to contract with AttestationPlatform ABI");
     
     // Test calling some functions
     try {
-      const attestorCount = await attestationPlatform.getAttestorCount();
-      console.log(`getAttestorCount() returned: ${attestorCount}`);
+      const attestors = await client.listAttestors();
+      console.log(`Registered attestors: ${attestors.length}`);
+      for (const attestor of attestors) {
+        console.log(`- ${attestor.name} (${attestor.role}): ${attestor.address}`);
+      }
     } catch (error) {
-      console.error("Error calling getAttestorCount():", error.message);
+      console.error("Error listing attestors:", error.message);
     }
     
     try {
-      const periodId = await attestationPlatform.currentPeriodId();
-      console.log(`currentPeriodId() returned: ${periodId}`);
+      const status = await client.getPeriodStatus();
+      console.log(`Current period: ${status.periodId}`);
+      console.log(`- Attestations: ${status.attestorCount}/${status.requiredAttestorCount}`);
+      console.log(`- Complete: ${status.complete}`);
+      console.log(`- Verified: ${status.verified}`);
     } catch (error) {
-      console.error("Error calling currentPeriodId():", error.message);
+      console.error("Error getting period status:", error.message);
     }
     
     // Get the owner of the contract
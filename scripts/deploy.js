@@ -1,10 +1,15 @@
 const hre = require("hardhat");
+const { recordDeployment } = require("./lib/deployments");
+const { loadConfigOrExit } = require("./lib/config");
+
+const CONFIG = loadConfigOrExit(["deploy"]);
 
 async function main() {
   console.log("Deploying AttestationPlatform contract...");
 
   // The number of required attestors for a complete attestation
-  const requiredAttestorCount = 2; // Exchange and Regulator
+  const requiredAttestorCount = CONFIG.values.REQUIRED_ATTESTOR_COUNT;
+  console.log(`Required attestors: ${requiredAttestorCount}`);
   
   // Deploy the contract
   const AttestationPlatform = await hre.ethers.getContractFactory("AttestationPlatform");
@@ -15,6 +20,17 @@ async function main() {
   const address = await attestationPlatform.getAddress();
   console.log(`AttestationPlatform deployed to: ${address}`);
   
+  // The in-process hardhat network is gone when this script exits, so there
+  // is nothing for a manifest to point at
+  if (hre.network.name === "hardhat") {
+    console.log("Skipping the deployment manifest on the in-process hardhat network");
+  } else {
+    const { manifest, file } = await recordDeployment(hre, attestationPlatform, {
+      constructorArgs: [requiredAttestorCount],
+    });
+    console.log(`Deployment manifest written to ${file} (block ${manifest.blockNumber})`);
+  }
+  
   console.log("Deployment complete!");
   
   // For testnet/mainnet deployments, uncomment these lines:
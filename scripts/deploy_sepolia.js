@@ -3,11 +3,17 @@
  * 
  * This script will:
  * 1. Deploy the AttestationPlatform contract to Sepolia
- * 2. Log the deployed address for future reference
+ * 2. Write the deployment manifest (deployments/sepolia.json) that the other
+ *    scripts resolve the contract from
  * 3. Perform basic validation to ensure the contract is working
  */
 
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { recordDeployment } = require("./lib/deployments");
+const { loadConfigOrExit } = require("./lib/config");
+
+const CONFIG = loadConfigOrExit(["deploy"]);
 
 async function main() {
   console.log("Deploying AttestationPlatform contract to Sepolia...");
@@ -36,7 +42,8 @@ async function main() {
   }
 
   // The number of required attestors for a complete attestation
-  const requiredAttestorCount = 2; // Exchange and Regulator
+  const requiredAttestorCount = CONFIG.values.REQUIRED_ATTESTOR_COUNT;
+  console.log(`Required attestors: ${requiredAttestorCount}`);
   
   // Deploy the contract
   const AttestationPlatform = await ethers.getContractFactory("AttestationPlatform");
@@ -47,7 +54,11 @@ async function main() {
   
   const address = await attestationPlatform.getAddress();
   console.log(`AttestationPlatform deployed to: ${address}`);
-  console.log("Save this address for future reference!");
+  
+  const { manifest, file } = await recordDeployment(hre, attestationPlatform, {
+    constructorArgs: [requiredAttestorCount],
+  });
+  console.log(`Deployment manifest written to ${file} (block ${manifest.blockNumber})`);
   
   // Verify the contract is working
   console.log("\nVerifying contract functionality...");
@@ -67,7 +78,7 @@ async function main() {
   console.log(`Owner is deployer: ${owner.toLowerCase() === deployer.address.toLowerCase()}`);
   
   console.log("\nDeployment and verification complete!");
-  console.log(`Use this address in your scripts: export CONTRACT_ADDRESS="${address}"`);
+  console.log(`Scripts run with --network ${hre.network.name} now use this deployment`);
 }
 
 main()
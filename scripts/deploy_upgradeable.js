@@ -0,0 +1,68 @@
+/**
+ * Deploy Script for the Upgradeable AttestationPlatform
+ *
+ * This script will:
+ * 1. Deploy the AttestationPlatformUpgradeable implementation and a UUPS
+ *    (ERC1967) proxy in front of it, initialized with the deployer as owner
+ * 2. Write the deployment manifest (deployments/<network>.json) with the
+ *    proxy address, which the other scripts resolve the contract from
+ *
+ * Later versions are rolled out with scripts/upgrade.js; the proxy address
+ * and all attestation history stay the same.
+ *
+ * Usage:
+ * npx hardhat run scripts/deploy_upgradeable.js --network sepolia
+ */
+
+const hre = require("hardhat");
+const { ethers, upgrades } = hre;
+const { recordDeployment } = require("./lib/deployments");
+const { loadConfigOrExit } = require("./lib/config");
+
+const CONFIG = loadConfigOrExit(["deploy"]);
+
+async function main() {
+  console.log("Deploying upgradeable AttestationPlatform...");
+
+  const [deployer] = await ethers.getSigners();
+  console.log(`Deploying with account: ${deployer.address}`);
+
+  // The number of required attestors for a complete attestation
+  const requiredAttestorCount = CONFIG.values.REQUIRED_ATTESTOR_COUNT;
+  console.log(`Required attestors: ${requiredAttestorCount}`);
+
+  const AttestationPlatform = await ethers.getContractFactory("AttestationPlatformUpgradeable");
+  const proxy = await upgrades.deployProxy(
+    AttestationPlatform,
+    [deployer.address, requiredAttestorCount],
+    { kind: "uups" }
+  );
+  await proxy.waitForDeployment();
+
+  const address = await proxy.getAddress();
+  const implementation = await upgrades.erc1967.getImplementationAddress(address);
+  console.log(`Proxy deployed to: ${address}`);
+  console.log(`Implementation: ${implementation}`);
+
+  // The in-process hardhat network is gone when this script exits, so there
+  // is nothing for a manifest to point at
+  if (hre.network.name === "hardhat") {
+    console.log("Skipping the deployment manifest on the in-process hardhat network");
+  } else {
+    const { manifest, file } = await recordDeployment(hre, proxy, {
+      contractName: "AttestationPlatformUpgradeable",
+      constructorArgs: [deployer.address, requiredAttestorCount],
+      proxy: { kind: "uups", implementation },
+    });
+    console.log(`Deployment manifest written to ${file} (block ${manifest.blockNumber})`);
+  }
+
+  console.log("Deployment complete!");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("Deployment failed:", error);
+    process.exit(1);
+  });
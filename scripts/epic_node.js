@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * Local epic-node
+ *
+ * Drop-in replacement for the epic-node binary's key generation and
+ * attestation commands, so the attestation flow runs on machines without the
+ * Rust toolchain. Uses a toy Paillier scheme - see lib/epic_node/paillier.js.
+ *
+ * Usage:
+ *   node scripts/epic_node.js generate-keys <bits> <keys-dir>
+ *   node scripts/epic_node.js create-attestation <node-id> <public-key> <values-file> <output-file>
+ *
+ * Key generation is deterministic; set EPIC_NODE_SEED to derive other keys.
+ */
+
+const epicNode = require("./lib/epic_node");
+
+const USAGE = `Usage:
+  epic_node.js generate-keys <bits> <keys-dir>
+  epic_node.js create-attestation <node-id> <public-key> <values-file> <output-file>`;
+
+function main(args) {
+  const [command, ...rest] = args;
+
+  switch (command) {
+    case "generate-keys": {
+      if (rest.length !== 2) throw new Error(USAGE);
+      const [bits, keysDir] = rest;
+      const seed = process.env.EPIC_NODE_SEED || epicNode.DEFAULT_SEED;
+
+      const { publicKeyPath, privateKeyPath } = epicNode.generateKeys(
+        parseInt(bits),
+        keysDir,
+        seed
+      );
+      console.log(`Generated ${bits}-bit Paillier key pair`);
+      console.log(`Public key: ${publicKeyPath}`);
+      console.log(`Private key: ${privateKeyPath}`);
+      break;
+    }
+
+    case "create-attestation": {
+      if (rest.length !== 4) throw new Error(USAGE);
+      const [nodeId, publicKeyFile, valuesFile, outputFile] = rest;
+
+      const attestation = epicNode.createAttestation(
+        nodeId,
+        publicKeyFile,
+        valuesFile,
+        outputFile
+      );
+      console.log(
+        `Node ${nodeId}: encrypted ${attestation.ciphertexts.length} value(s) to ${outputFile}`
+      );
+      break;
+    }
+
+    default:
+      throw new Error(USAGE);
+  }
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -0,0 +1,537 @@
+/**
+ * Read-only REST API
+ *
+ * JSON views of an AttestationPlatform deployment for internal tools and
+ * auditors, built on the contract's view functions and events:
+ *
+ *   GET /                                        contract and current period
+ *   GET /periods?limit=20&from=<id>              latest periods, newest first
+ *   GET /periods/:id                             one period with its attestations
+ *                                                and verification result
+ *   GET /periods/:id/verification                the verification result
+ *   GET /periods/:id/attestations/:attestor      one attestation
+ *   GET /periods/:id/attestations/:attestor/ciphertext
+ *                                                the raw ciphertext (octet-stream);
+ *                                                off-chain attestations are
+ *                                                fetched from the blob store and
+ *                                                checked against their hash
+ *   GET /attestors, /attestors/:address          registered attestors
+ *   GET /rules, /rules/:id                       verification rules
+ *   GET /status                                  current period with the
+ *                                                registered attestors that
+ *                                                have and have not submitted
+ *   GET /proof-jobs?status=<status>              the monitor's proof jobs
+ *   GET /dashboard                               operator dashboard (HTML)
+ *                                                built on the endpoints above
+ *
+ * Timestamps are given as unix seconds (`timestamp`) and ISO 8601 (`time`).
+ * Transactions are referenced as { transactionHash, blockNumber }, found
+ * through the contract's events from `fromBlock` on. The events are read in
+ * ranges of `blockRange` blocks and kept in memory, so a request only reads
+ * the blocks mined since the previous one, plus the last `reorgBlocks`
+ * blocks, which a reorg may still replace. Errors are returned as
+ * { error } with status 400 (bad request), 404 (not found) or 502 (the RPC
+ * node or blob store failed).
+ *
+ * Usage:
+ *   const server = await startApiServer({ client, blobStore, proofQueue, port: 8080 });
+ */
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { ethers } = require("ethers");
+const { decodeAttestationReference, resolveAttestation } = require("./attestation_storage");
+const { decodeProofBundle } = require("./verification_rules");
+const { JOB_STATUS } = require("./proof_queue");
+const { defaultLogger } = require("./logger");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const DEFAULT_BLOCK_RANGE = 2000;
+const DEFAULT_REORG_BLOCKS = 12;
+
+// Events the API links transactions from
+const REFERENCED_EVENTS = [
+  "AttestorRegistered",
+  "AttestationSubmitted",
+  "VerificationRuleAdded",
+  "VerificationRuleUpdated",
+  "VerificationResultSubmitted",
+];
+
+const DASHBOARD_FILE = path.join(__dirname, "dashboard.html");
+
+// Error answered with an HTTP status instead of a 502
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+  }
+}
+
+function parsePeriodId(text) {
+  if (!/^\d+$/.test(text)) {
+    throw new ApiError(400, `Invalid period ID "${text}"`);
+  }
+  return BigInt(text);
+}
+
+function parseAddress(text) {
+  if (!ethers.isAddress(text)) {
+    throw new ApiError(400, `Invalid address "${text}"`);
+  }
+  return ethers.getAddress(text);
+}
+
+function parseLimit(text) {
+  if (text === null) {
+    return DEFAULT_PAGE_SIZE;
+  }
+  const limit = Number(text);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new ApiError(400, `limit must be an integer from 1 to ${MAX_PAGE_SIZE}`);
+  }
+  return limit;
+}
+
+// { timestamp, time } for a unix timestamp in seconds
+function formatTime(timestamp) {
+  return { timestamp, time: new Date(timestamp * 1000).toISOString() };
+}
+
+// Transaction reference of an event, or null if none was found
+function txReference(event) {
+  return event ? { transactionHash: event.transactionHash, blockNumber: event.blockNumber } : null;
+}
+
+// Whether an event's arguments match every filter value (addresses compare
+// case-insensitively, numbers as BigInts)
+function matchesArgs(event, filter) {
+  return Object.entries(filter).every(([name, value]) =>
+    typeof value === "string"
+      ? event.args[name].toLowerCase() === value.toLowerCase()
+      : BigInt(event.args[name]) === BigInt(value)
+  );
+}
+
+/**
+ * Cache of the contract's REFERENCED_EVENTS from `fromBlock` on
+ *
+ * Blocks more than `reorgBlocks` behind the head are read once, in ranges of
+ * `blockRange`, and kept; the newer ones are read again on every call.
+ *
+ * @returns async (eventNames, filter) => matching ethers EventLog objects of
+ *          one or more event names, in the order they were emitted
+ */
+function createEventCache(client, { fromBlock, blockRange, reorgBlocks }) {
+  const settled = [];
+  let settledTo = fromBlock - 1;
+  let pending = Promise.resolve();
+
+  async function read(from, to) {
+    const events = [];
+    for (let start = from; start <= to; start += blockRange) {
+      events.push(...(await client.getEvents(REFERENCED_EVENTS, start, Math.min(start + blockRange - 1, to))));
+    }
+    return events;
+  }
+
+  async function sync() {
+    const head = await client.contract.runner.provider.getBlockNumber();
+    const settledEnd = head - reorgBlocks;
+    if (settledEnd > settledTo) {
+      settled.push(...(await read(settledTo + 1, settledEnd)));
+      settledTo = settledEnd;
+    }
+    return [...settled, ...(await read(settledTo + 1, head))];
+  }
+
+  return async function findEvents(eventNames, filter = {}) {
+    const names = [].concat(eventNames);
+    // One sync at a time, so concurrent requests do not add a range twice
+    const events = (pending = pending.catch(() => {}).then(sync));
+    return (await events).filter((event) => names.includes(event.eventName) && matchesArgs(event, filter));
+  };
+}
+
+function sendJson(response, status, body) {
+  response.writeHead(status, { "Content-Type": "application/json" });
+  response.end(
+    JSON.stringify(body, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2) + "\n"
+  );
+}
+
+/**
+ * Create the request handler of the API
+ *
+ * @param options.client AttestationClient for the deployment (reads only)
+ * @param options.blobStore Blob store holding off-chain attestations, needed
+ *                          to download their ciphertexts
+ * @param options.fromBlock First block searched for transaction references,
+ *                          usually the deployment block (default 0)
+ * @param options.blockRange Blocks per log query (default 2000)
+ * @param options.reorgBlocks Blocks behind the head that are read again on
+ *                            every request (default 12)
+ * @param options.proofQueue ProofQueue of the monitor, read for /proof-jobs
+ *                           (without one the endpoint answers 404)
+ * @param options.logger Logger for one line per request (see logger.js)
+ * @returns (request, response) => Promise
+ */
+function createApiHandler({
+  client,
+  blobStore = null,
+  fromBlock = 0,
+  blockRange = DEFAULT_BLOCK_RANGE,
+  reorgBlocks = DEFAULT_REORG_BLOCKS,
+  proofQueue = null,
+  logger = defaultLogger,
+}) {
+  const dashboard = fs.readFileSync(DASHBOARD_FILE);
+  const findEvents = createEventCache(client, { fromBlock, blockRange, reorgBlocks });
+
+  async function getPeriodId(text) {
+    const periodId = parsePeriodId(text);
+    const currentPeriodId = await client.getCurrentPeriodId();
+    if (periodId > currentPeriodId) {
+      throw new ApiError(404, `Period ${periodId} has not started (current period is ${currentPeriodId})`);
+    }
+    return periodId;
+  }
+
+  // An attestation, with the data of a chunked upload (which leaves
+  // encryptedData empty) reassembled from its chunks
+  async function getAttestation(periodId, address) {
+    const attestation = await client.getAttestation(periodId, address);
+    if (attestation && attestation.encryptedData.length === 0) {
+      const uploaded = await client.getUploadedAttestationData(periodId, address);
+      if (uploaded) {
+        return { ...attestation, encryptedData: uploaded };
+      }
+    }
+    return attestation;
+  }
+
+  async function getAttestationOrFail(periodId, address) {
+    const attestation = await getAttestation(periodId, address);
+    if (!attestation) {
+      throw new ApiError(404, `${address} has not submitted an attestation for period ${periodId}`);
+    }
+    return attestation;
+  }
+
+  async function describeAttestation(periodId, attestation, event) {
+    const reference = decodeAttestationReference(attestation.encryptedData);
+    const attestor = await client.getAttestor(attestation.attestor);
+    return {
+      periodId,
+      attestor: attestation.attestor,
+      name: attestor.name,
+      role: attestor.role,
+      submitted: formatTime(attestation.timestamp),
+      storage: reference ? "offchain" : "inline",
+      size: reference ? null : attestation.encryptedData.length,
+      contentHash: reference ? reference.contentHash : ethers.keccak256(attestation.encryptedData),
+      locator: reference ? reference.locator : null,
+      ciphertextUrl: `/periods/${periodId}/attestations/${attestation.attestor}/ciphertext`,
+      transaction: txReference(event),
+    };
+  }
+
+  async function describeVerification(periodId) {
+    const result = await client.getVerificationResult(periodId);
+    if (!result) {
+      return null;
+    }
+
+    const [event] = await findEvents("VerificationResultSubmitted", { periodId });
+    const bundle = decodeProofBundle(result.proofData);
+    return {
+      periodId,
+      passed: result.passed,
+      submitted: formatTime(result.timestamp),
+      proofSize: ethers.dataLength(result.proofData),
+      rules: bundle ? bundle.map(({ ruleId, passed }) => ({ ruleId, passed })) : null,
+      transaction: txReference(event),
+    };
+  }
+
+  async function describePeriodSummary(periodId) {
+    const status = await client.getPeriodStatus(periodId);
+    return {
+      periodId,
+      attestorCount: status.attestorCount,
+      requiredAttestorCount: status.requiredAttestorCount,
+      complete: status.complete,
+      verified: status.verified,
+      passed: status.passed,
+      verifiedAt: status.verified ? formatTime(status.verifiedAt) : null,
+    };
+  }
+
+  function describeRule({ ruleId, description, ruleData, rule }, events) {
+    const added = events.find((event) => event.eventName === "VerificationRuleAdded");
+    return {
+      ruleId,
+      description,
+      ruleData,
+      rule: rule
+        ? {
+            operation: rule.operation.spec,
+            leftRole: rule.leftRole,
+            rightRole: rule.rightRole,
+            active: rule.active,
+          }
+        : null,
+      added: txReference(added),
+      updates: events.filter((event) => event.eventName === "VerificationRuleUpdated").map(txReference),
+    };
+  }
+
+  async function listRuleEvents(ruleId) {
+    const filter = ruleId === undefined ? {} : { ruleId };
+    const events = await findEvents(["VerificationRuleAdded", "VerificationRuleUpdated"], filter);
+    return (id) => events.filter((event) => Number(event.args.ruleId) === id);
+  }
+
+  async function describeAttestors(address) {
+    const attestors = address ? [await client.getAttestor(address)] : await client.listAttestors();
+    const events = await findEvents("AttestorRegistered", address ? { attestor: address } : {});
+    return attestors.map((attestor) => ({
+      address: attestor.address,
+      name: attestor.name,
+      role: attestor.role,
+      registered: txReference(
+        events.find((event) => event.args.attestor.toLowerCase() === attestor.address.toLowerCase())
+      ),
+    }));
+  }
+
+  async function describeContract() {
+    const [network, currentPeriodId, requiredAttestorCount] = await Promise.all([
+      client.contract.runner.provider.getNetwork(),
+      client.getCurrentPeriodId(),
+      client.getRequiredAttestorCount(),
+    ]);
+    return {
+      contract: await client.getAddress(),
+      chainId: network.chainId,
+      currentPeriodId,
+      requiredAttestorCount,
+    };
+  }
+
+  // [method-less path pattern, handler(params, query, response)]; handlers
+  // return a JSON body or answer the response themselves
+  const routes = [
+    [/^\/$/, describeContract],
+    [
+      /^\/periods$/,
+      async (params, query) => {
+        const limit = parseLimit(query.get("limit"));
+        const currentPeriodId = await client.getCurrentPeriodId();
+        const from = query.has("from") ? parsePeriodId(query.get("from")) : currentPeriodId;
+        const first = from > currentPeriodId ? currentPeriodId : from;
+
+        const periods = [];
+        for (let periodId = first; periodId >= 0n && periods.length < limit; periodId--) {
+          periods.push(await describePeriodSummary(periodId));
+        }
+        const last = first - BigInt(periods.length);
+        return { periods, next: last >= 0n ? `/periods?limit=${limit}&from=${last}` : null };
+      },
+    ],
+    [
+      /^\/periods\/([^/]+)$/,
+      async ([id]) => {
+        const periodId = await getPeriodId(id);
+        const [summary, addresses, events, verification] = await Promise.all([
+          describePeriodSummary(periodId),
+          client.listPeriodAttestors(periodId),
+          findEvents("AttestationSubmitted", { periodId }),
+          describeVerification(periodId),
+        ]);
+
+        const attestations = [];
+        for (const address of addresses) {
+          const event = events.find((entry) => entry.args.attestor.toLowerCase() === address.toLowerCase());
+          attestations.push(await describeAttestation(periodId, await getAttestation(periodId, address), event));
+        }
+        return { ...summary, attestations, verification };
+      },
+    ],
+    [
+      /^\/periods\/([^/]+)\/verification$/,
+      async ([id]) => {
+        const periodId = await getPeriodId(id);
+        const verification = await describeVerification(periodId);
+        if (!verification) {
+          throw new ApiError(404, `Period ${periodId} has no verification result`);
+        }
+        return verification;
+      },
+    ],
+    [
+      /^\/periods\/([^/]+)\/attestations\/([^/]+)$/,
+      async ([id, attestor]) => {
+        const periodId = await getPeriodId(id);
+        const attestation = await getAttestationOrFail(periodId, parseAddress(attestor));
+        const [event] = await findEvents("AttestationSubmitted", { periodId, attestor: attestation.attestor });
+        return describeAttestation(periodId, attestation, event);
+      },
+    ],
+    [
+      /^\/periods\/([^/]+)\/attestations\/([^/]+)\/ciphertext$/,
+      async ([id, attestor], query, response) => {
+        const periodId = await getPeriodId(id);
+        const attestation = await getAttestationOrFail(periodId, parseAddress(attestor));
+        const { data } = await resolveAttestation(attestation.encryptedData, blobStore);
+
+        response.writeHead(200, {
+          "Content-Type": "application/octet-stream",
+          "Content-Length": data.length,
+          "Content-Disposition": `attachment; filename="period-${periodId}-${attestation.attestor}.bin"`,
+        });
+        response.end(data);
+      },
+    ],
+    [/^\/attestors$/, async () => ({ attestors: await describeAttestors() })],
+    [
+      /^\/attestors\/([^/]+)$/,
+      async ([text]) => {
+        const address = parseAddress(text);
+        if (!(await client.isRegistered(address))) {
+          throw new ApiError(404, `${address} is not a registered attestor`);
+        }
+        const [attestor] = await describeAttestors(address);
+        return attestor;
+      },
+    ],
+    [
+      /^\/rules$/,
+      async () => {
+        const [rules, eventsOf] = await Promise.all([client.listVerificationRules(), listRuleEvents()]);
+        return { rules: rules.map((rule) => describeRule(rule, eventsOf(rule.ruleId))) };
+      },
+    ],
+    [
+      /^\/rules\/([^/]+)$/,
+      async ([text]) => {
+        if (!/^\d+$/.test(text)) {
+          throw new ApiError(400, `Invalid rule ID "${text}"`);
+        }
+        const ruleId = Number(text);
+        const rules = await client.listVerificationRules();
+        if (ruleId >= rules.length) {
+          throw new ApiError(404, `Rule ${ruleId} does not exist (${rules.length} rules)`);
+        }
+        const eventsOf = await listRuleEvents(ruleId);
+        return describeRule(rules[ruleId], eventsOf(ruleId));
+      },
+    ],
+    [
+      /^\/status$/,
+      async () => {
+        const [overview, registered] = await Promise.all([describeContract(), client.listAttestors()]);
+        const periodId = overview.currentPeriodId;
+
+        const attestors = [];
+        for (const attestor of registered) {
+          const attestation = await client.getAttestation(periodId, attestor.address);
+          attestors.push({
+            address: attestor.address,
+            name: attestor.name,
+            role: attestor.role,
+            submitted: attestation ? formatTime(attestation.timestamp) : null,
+          });
+        }
+        return { ...overview, currentPeriod: { ...(await describePeriodSummary(periodId)), attestors } };
+      },
+    ],
+    [
+      /^\/proof-jobs$/,
+      async (params, query) => {
+        if (!proofQueue) {
+          throw new ApiError(404, "No proof queue is configured");
+        }
+        const status = query.get("status");
+        if (status !== null && !Object.values(JOB_STATUS).includes(status)) {
+          const statuses = Object.values(JOB_STATUS).join(", ");
+          throw new ApiError(400, `Invalid job status "${status}" (expected one of: ${statuses})`);
+        }
+        return { jobs: proofQueue.list(status) };
+      },
+    ],
+    [
+      /^\/dashboard$/,
+      async (params, query, response) => {
+        response.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+        response.end(dashboard);
+      },
+    ],
+  ];
+
+  return async function handle(request, response) {
+    const start = Date.now();
+    const url = new URL(request.url, "http://localhost");
+
+    try {
+      if (request.method !== "GET") {
+        response.setHeader("Allow", "GET");
+        throw new ApiError(405, `Method ${request.method} not allowed, the API is read-only`);
+      }
+
+      const pathname = url.pathname.length > 1 ? url.pathname.replace(/\/$/, "") : url.pathname;
+      const route = routes.find(([pattern]) => pattern.test(pathname));
+      if (!route) {
+        throw new ApiError(404, `No such endpoint: ${pathname}`);
+      }
+
+      const [pattern, handler] = route;
+      const params = pattern.exec(pathname).slice(1).map(decodeURIComponent);
+      const body = await handler(params, url.searchParams, response);
+      if (!response.headersSent) {
+        sendJson(response, 200, body);
+      }
+    } catch (error) {
+      const status = error instanceof ApiError ? error.status : 502;
+      if (status === 502) {
+        logger.error(`${request.method} ${url.pathname} failed: ${error.message}`, { error });
+      }
+      sendJson(response, status, { error: error.message });
+    }
+
+    logger.info(`${request.method} ${url.pathname}${url.search} ${response.statusCode} ${Date.now() - start}ms`, {
+      status: response.statusCode,
+    });
+  };
+}
+
+/**
+ * Start the API server
+ *
+ * @param options See createApiHandler, plus:
+ * @param options.port Port to listen on (0 picks a free one)
+ * @param options.host Interface to listen on, defaults to 127.0.0.1
+ * @returns The listening http.Server; server.address().port is the port
+ */
+async function startApiServer({ port, host = "127.0.0.1", ...options }) {
+  const server = http.createServer(createApiHandler(options));
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      server.off("error", reject);
+      resolve();
+    });
+  });
+  return server;
+}
+
+module.exports = {
+  ApiError,
+  createApiHandler,
+  startApiServer,
+};
@@ -0,0 +1,694 @@
+/**
+ * AttestationPlatform Client
+ *
+ * High-level wrapper around a deployed AttestationPlatform contract. It
+ * bundles the contract lookups the scripts used to re-implement on their own
+ * (period status, "has this attestor submitted", verification result checks)
+ * so that services can embed the attestation flow without copying script
+ * internals.
+ *
+ * Usage inside Hardhat:
+ *   const client = await AttestationClient.connect(hre.ethers, CONTRACT_ADDRESS);
+ *
+ * Usage with a plain ethers Contract:
+ *   const client = new AttestationClient(new ethers.Contract(address, abi, signer));
+ *
+ * Writes go through a TransactionManager (nonce tracking, retries, fee
+ * bumping) and throw its typed errors, e.g. PeriodNotCompleteError. With
+ * the manager in dry-run mode, writes send nothing and return
+ * `{ dryRun: estimate }` in place of the transaction details.
+ */
+
+const { ethers } = require("ethers");
+const { parseRole, roleName } = require("./attestor_roles");
+const { encodeRule, decodeRule, tryDecodeRule } = require("./verification_rules");
+const { TransactionManager } = require("./transaction_manager");
+const {
+  DEFAULT_CHUNK_SIZE,
+  splitChunks,
+  chunkChainHash,
+  joinChunks,
+  resumableChunkCount,
+} = require("./chunked_upload");
+
+// Default interval between on-chain checks while waiting for a period
+const DEFAULT_POLL_INTERVAL = 5000;
+
+// Default time to wait for a period to complete before giving up
+const DEFAULT_WAIT_TIMEOUT = 60000;
+
+// Normalise attestation/proof payloads (hex string, Buffer, Uint8Array) to hex
+function toHex(data) {
+  if (typeof data === "string") {
+    return ethers.isHexString(data) ? data : ethers.hexlify(ethers.toUtf8Bytes(data));
+  }
+  return ethers.hexlify(data);
+}
+
+function sameAddress(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+class AttestationClient {
+  /**
+   * @param contract An ethers Contract attached to an AttestationPlatform deployment
+   * @param options.confirmations Blocks to wait for after each transaction
+   *                              before treating it as final (default 1)
+   * @param options.transactionManager Shared TransactionManager; otherwise
+   *                                   one is created from the remaining
+   *                                   options (see transaction_manager.js)
+   */
+  constructor(contract, options = {}) {
+    this.contract = contract;
+    this.confirmations = options.confirmations || 1;
+    this.transactions =
+      options.transactionManager ||
+      new TransactionManager({ ...options, confirmations: this.confirmations });
+  }
+
+  /**
+   * Create a client from a Hardhat ethers object
+   * @param hardhatEthers `hre.ethers` (or `require("hardhat").ethers`)
+   * @param address Address of the deployed contract
+   * @param signer Optional signer, defaults to the first Hardhat account
+   * @param options Client options, see the constructor
+   */
+  static async connect(hardhatEthers, address, signer, options = {}) {
+    const contract = await hardhatEthers.getContractAt(
+      "AttestationPlatform",
+      address,
+      signer
+    );
+    return new AttestationClient(contract, options);
+  }
+
+  /**
+   * Return a client that sends transactions from a different signer
+   */
+  withSigner(signer) {
+    return new AttestationClient(this.contract.connect(signer), {
+      confirmations: this.confirmations,
+      transactionManager: this.transactions,
+    });
+  }
+
+  async getAddress() {
+    return this.contract.getAddress();
+  }
+
+  async getCurrentPeriodId() {
+    return this.contract.currentPeriodId();
+  }
+
+  async getRequiredAttestorCount() {
+    return this.contract.requiredAttestorCount();
+  }
+
+  /**
+   * List every registered attestor
+   * @returns Array of { address, name, role, isRegistered }
+   */
+  async listAttestors() {
+    const count = await this.contract.getAttestorCount();
+    const attestors = [];
+
+    for (let i = 0; i < Number(count); i++) {
+      const address = await this.contract.attestorAddresses(i);
+      attestors.push(await this.getAttestor(address));
+    }
+
+    return attestors;
+  }
+
+  /**
+   * Get a single attestor record
+   * @returns { address, name, role (e.g. "ReservesProvider"), isRegistered }
+   */
+  async getAttestor(address) {
+    const attestor = await this.contract.attestors(address);
+    return {
+      address,
+      name: attestor.name,
+      role: roleName(attestor.role),
+      isRegistered: attestor.isRegistered,
+    };
+  }
+
+  /**
+   * List the registered attestors with a role
+   * @param role Role name (e.g. "ReservesProvider") or enum value
+   */
+  async listAttestorsByRole(role) {
+    return [...(await this.contract.getAttestorsByRole(parseRole(role)))];
+  }
+
+  async isRegistered(address) {
+    return (await this.contract.attestors(address)).isRegistered;
+  }
+
+  /**
+   * Register an attestor unless it is already registered (owner only)
+   * @param role Role name (e.g. "ReservesProvider") or enum value
+   * @returns { registered, alreadyRegistered, role, transactionHash }
+   *          (`role` is the existing role when already registered)
+   */
+  async registerAttestor(address, name, role) {
+    const existing = await this.getAttestor(address);
+    if (existing.isRegistered) {
+      return { registered: false, alreadyRegistered: true, role: existing.role };
+    }
+
+    const receipt = await this.transactions.send(this.contract, "registerAttestor", [
+      address,
+      name,
+      parseRole(role),
+    ]);
+    if (receipt.dryRun) {
+      return { registered: false, alreadyRegistered: false, role: roleName(role), dryRun: receipt };
+    }
+
+    return {
+      registered: true,
+      alreadyRegistered: false,
+      role: roleName(role),
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+    };
+  }
+
+  /**
+   * List the addresses that have submitted an attestation in a period
+   */
+  async listPeriodAttestors(periodId) {
+    const count = await this.contract.getPeriodAttestorCount(periodId);
+    const addresses = [];
+
+    for (let i = 0; i < Number(count); i++) {
+      addresses.push(await this.contract.periodAttestors(periodId, i));
+    }
+
+    return addresses;
+  }
+
+  /**
+   * List the addresses with a role that have submitted in a period
+   * @param role Role name (e.g. "ReservesProvider") or enum value
+   */
+  async listPeriodAttestorsByRole(periodId, role) {
+    return [
+      ...(await this.contract.getPeriodAttestorsByRole(periodId, parseRole(role))),
+    ];
+  }
+
+  /**
+   * Check whether an attestor has submitted for a period
+   */
+  async hasSubmitted(periodId, address) {
+    const attestation = await this.contract.getAttestation(periodId, address);
+    return Number(attestation.timestamp) > 0;
+  }
+
+  /**
+   * Get an attestation, or null if the attestor has not submitted
+   * @returns { attestor, encryptedData (Uint8Array), timestamp (seconds) }
+   */
+  async getAttestation(periodId, address) {
+    const attestation = await this.contract.getAttestation(periodId, address);
+    if (Number(attestation.timestamp) === 0) {
+      return null;
+    }
+
+    return {
+      attestor: attestation.attestor,
+      encryptedData: ethers.getBytes(attestation.encryptedData),
+      timestamp: Number(attestation.timestamp),
+    };
+  }
+
+  /**
+   * Get the verification result for a period, or null if none was submitted
+   * @returns { passed, proofData (hex), timestamp (seconds) }
+   */
+  async getVerificationResult(periodId) {
+    const result = await this.contract.verificationResults(periodId);
+    if (!result || Number(result.timestamp) === 0) {
+      return null;
+    }
+
+    return {
+      passed: result.passed,
+      proofData: result.proofData,
+      timestamp: Number(result.timestamp),
+    };
+  }
+
+  /**
+   * Summarise a period: submissions, completeness and verification outcome
+   * @param periodId Period to inspect, defaults to the current period
+   */
+  async getPeriodStatus(periodId) {
+    if (periodId === undefined || periodId === null) {
+      periodId = await this.getCurrentPeriodId();
+    }
+
+    const [attestorCount, requiredAttestorCount, verification] =
+      await Promise.all([
+        this.contract.getPeriodAttestorCount(periodId),
+        this.contract.requiredAttestorCount(),
+        this.getVerificationResult(periodId),
+      ]);
+
+    return {
+      periodId: BigInt(periodId),
+      attestorCount: Number(attestorCount),
+      requiredAttestorCount: Number(requiredAttestorCount),
+      complete: attestorCount >= requiredAttestorCount,
+      verified: verification !== null,
+      passed: verification ? verification.passed : null,
+      verifiedAt: verification ? verification.timestamp : null,
+    };
+  }
+
+  /**
+   * Submit an attestation for the current period
+   *
+   * When `attestor` is given and differs from the signer, the owner-only
+   * `submitAttestationFor` is used so a single funded account can submit on
+   * behalf of every attestor.
+   *
+   * @param data Encrypted attestation (hex string, Buffer or Uint8Array)
+   * @param options.attestor Attestor to submit for, defaults to the signer
+   * @returns { submitted, alreadySubmitted, periodId, transactionHash }
+   */
+  async submitAttestation(data, options = {}) {
+    const signerAddress = await this.contract.runner.getAddress();
+    const attestor = options.attestor || signerAddress;
+    const periodId = await this.getCurrentPeriodId();
+
+    if (await this.hasSubmitted(periodId, attestor)) {
+      return { submitted: false, alreadySubmitted: true, periodId };
+    }
+
+    const receipt = sameAddress(attestor, signerAddress)
+      ? await this.transactions.send(this.contract, "submitAttestation", [toHex(data)])
+      : await this.transactions.send(this.contract, "submitAttestationFor", [
+          attestor,
+          toHex(data),
+        ]);
+    if (receipt.dryRun) {
+      return { submitted: false, alreadySubmitted: false, periodId, dryRun: receipt };
+    }
+
+    return {
+      submitted: true,
+      alreadySubmitted: false,
+      periodId,
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+    };
+  }
+
+  /**
+   * Get the state of an attestor's chunked upload, or null if none was started
+   * @returns { contentHash, totalSize, uploadedSize, chunkCount, chainHash, finalized }
+   */
+  async getAttestationUpload(periodId, address) {
+    const upload = await this.contract.getAttestationUpload(periodId, address);
+    if (upload.totalSize === 0n) {
+      return null;
+    }
+
+    return {
+      contentHash: upload.contentHash,
+      totalSize: Number(upload.totalSize),
+      uploadedSize: Number(upload.uploadedSize),
+      chunkCount: Number(upload.chunkCount),
+      chainHash: upload.chainHash,
+      finalized: upload.finalized,
+    };
+  }
+
+  /**
+   * Read back a finalized chunked upload, checked against its on-chain hash
+   * @returns Buffer, or null if the attestor has no finalized upload
+   */
+  async getUploadedAttestationData(periodId, address) {
+    const upload = await this.getAttestationUpload(periodId, address);
+    if (!upload || !upload.finalized) {
+      return null;
+    }
+
+    const chunks = [];
+    for (let i = 0; i < upload.chunkCount; i++) {
+      chunks.push(ethers.getBytes(await this.contract.getAttestationChunk(periodId, address, i)));
+    }
+    return joinChunks(chunks, upload.contentHash);
+  }
+
+  /**
+   * Submit an attestation for the current period in chunks (see
+   * chunked_upload.js)
+   *
+   * An unfinished upload of the same data with the same chunk size is
+   * resumed from its last chunk; any other unfinished upload is restarted.
+   * Like submitAttestation, the owner can upload on behalf of an attestor.
+   *
+   * @param data Encrypted attestation (hex string, Buffer or Uint8Array)
+   * @param options.attestor Attestor to submit for, defaults to the signer
+   * @param options.chunkSize Maximum chunk size in bytes
+   * @param options.onChunk Called with { index, chunkCount, uploadedSize,
+   *                        totalSize } after each appended chunk
+   * @returns In dry-run mode, { submitted: false, dryRun } with one estimate
+   *          per transaction; only the first is simulated, the others depend
+   *          on it and are marked skipped
+   * @returns { submitted, alreadySubmitted, periodId, chunkCount,
+   *            resumedFrom, transactionHash, blockNumber }, where resumedFrom
+   *            is the first chunk sent by this call
+   */
+  async uploadAttestation(data, options = {}) {
+    const signerAddress = await this.contract.runner.getAddress();
+    const attestor = options.attestor || signerAddress;
+    const periodId = await this.getCurrentPeriodId();
+
+    if (await this.hasSubmitted(periodId, attestor)) {
+      return { submitted: false, alreadySubmitted: true, periodId };
+    }
+
+    const chunks = splitChunks(toHex(data), options.chunkSize || DEFAULT_CHUNK_SIZE);
+    if (chunks.length === 0) {
+      throw new Error("Cannot upload an empty attestation");
+    }
+    const contentHash = chunkChainHash(chunks);
+    const totalSize = chunks.reduce((size, chunk) => size + chunk.length, 0);
+    const estimates = [];
+
+    // A dry run sends nothing, so every write after the first would be
+    // simulated against an upload that was never started or extended
+    const send = (method, args) =>
+      estimates.length > 0
+        ? this.transactions.skipEstimate(
+            this.contract,
+            method,
+            args,
+            `needs ${estimates[0].method} to be sent first`
+          )
+        : this.transactions.send(this.contract, method, args);
+
+    let resumedFrom = resumableChunkCount(
+      await this.getAttestationUpload(periodId, attestor),
+      chunks,
+      contentHash
+    );
+    if (resumedFrom === null) {
+      resumedFrom = 0;
+      const receipt = await send("beginAttestationUpload", [
+        attestor,
+        contentHash,
+        totalSize,
+      ]);
+      if (receipt.dryRun) estimates.push(receipt);
+    }
+
+    let uploadedSize = chunks.slice(0, resumedFrom).reduce((size, chunk) => size + chunk.length, 0);
+    for (let index = resumedFrom; index < chunks.length; index++) {
+      const receipt = await send("appendAttestationChunk", [
+        attestor,
+        index,
+        ethers.hexlify(chunks[index]),
+      ]);
+      if (receipt.dryRun) {
+        estimates.push(receipt);
+        continue;
+      }
+
+      uploadedSize += chunks[index].length;
+      if (options.onChunk) {
+        options.onChunk({ index, chunkCount: chunks.length, uploadedSize, totalSize });
+      }
+    }
+
+    const receipt = await send("finalizeAttestationUpload", [attestor]);
+    if (receipt.dryRun) {
+      estimates.push(receipt);
+      return { submitted: false, alreadySubmitted: false, periodId, dryRun: estimates };
+    }
+
+    return {
+      submitted: true,
+      alreadySubmitted: false,
+      periodId,
+      chunkCount: chunks.length,
+      resumedFrom,
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+    };
+  }
+
+  /**
+   * Force start a new attestation period (owner only)
+   * @returns { previousPeriodId, transactionHash, blockNumber }
+   */
+  async startNewPeriod() {
+    const previousPeriodId = await this.getCurrentPeriodId();
+    const receipt = await this.transactions.send(this.contract, "startNewPeriod", []);
+    if (receipt.dryRun) {
+      return { previousPeriodId, dryRun: receipt };
+    }
+
+    return {
+      previousPeriodId,
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+    };
+  }
+
+  /**
+   * Submit the verification result for a period (owner only)
+   * @param proofData ZK proof (hex string, Buffer or Uint8Array)
+   * @returns { submitted, alreadySubmitted, transactionHash }
+   */
+  async submitVerification(periodId, passed, proofData) {
+    if (await this.getVerificationResult(periodId)) {
+      return { submitted: false, alreadySubmitted: true };
+    }
+
+    const receipt = await this.transactions.send(
+      this.contract,
+      "submitVerificationResult",
+      [periodId, passed, toHex(proofData)]
+    );
+    if (receipt.dryRun) {
+      return { submitted: false, alreadySubmitted: false, dryRun: receipt };
+    }
+
+    return {
+      submitted: true,
+      alreadySubmitted: false,
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+    };
+  }
+
+  /**
+   * List verification rules with their decoded rule data
+   * @returns Array of { ruleId, description, ruleData (hex), rule }, where
+   *          `rule` is { operation, leftRole, rightRole, active } or null if
+   *          the rule data is not an encoded rule
+   */
+  async listVerificationRules() {
+    const count = await this.contract.getVerificationRuleCount();
+    const rules = [];
+
+    for (let i = 0; i < Number(count); i++) {
+      const rule = await this.contract.verificationRules(i);
+      rules.push({
+        ruleId: i,
+        description: rule.description,
+        ruleData: rule.ruleData,
+        rule: tryDecodeRule(rule.ruleData),
+      });
+    }
+
+    return rules;
+  }
+
+  /**
+   * List the encoded rules that are active
+   */
+  async listActiveRules() {
+    return (await this.listVerificationRules()).filter(
+      (entry) => entry.rule && entry.rule.active
+    );
+  }
+
+  /**
+   * Add a verification rule (owner only)
+   * @param rule Rule fields for encodeRule, or raw rule data bytes
+   * @returns { ruleId, transactionHash, blockNumber }
+   */
+  async addVerificationRule(description, rule) {
+    const ruleData =
+      typeof rule === "object" && !(rule instanceof Uint8Array)
+        ? encodeRule(rule)
+        : toHex(rule);
+
+    const receipt = await this.transactions.send(this.contract, "addVerificationRule", [
+      description,
+      ruleData,
+    ]);
+    if (receipt.dryRun) {
+      return { ruleId: null, dryRun: receipt };
+    }
+
+    const added = receipt.logs
+      .map((log) => this.contract.interface.parseLog(log))
+      .find((event) => event && event.name === "VerificationRuleAdded");
+
+    return {
+      ruleId: Number(added.args.ruleId),
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+    };
+  }
+
+  /**
+   * Activate or deactivate an encoded verification rule (owner only)
+   * @returns { changed, transactionHash }
+   */
+  async setVerificationRuleActive(ruleId, active) {
+    const { ruleData } = await this.contract.verificationRules(ruleId);
+    const rule = decodeRule(ruleData);
+    if (rule.active === active) {
+      return { changed: false };
+    }
+
+    const receipt = await this.transactions.send(
+      this.contract,
+      "updateVerificationRule",
+      [ruleId, encodeRule({ ...rule, active })]
+    );
+    if (receipt.dryRun) {
+      return { changed: false, dryRun: receipt };
+    }
+
+    return {
+      changed: true,
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+    };
+  }
+
+  /**
+   * Fetch contract events in a block range, ordered as they were emitted
+   * @param eventNames Event names to include, e.g. ["AttestationPeriodComplete"]
+   * @returns Array of ethers EventLog objects
+   */
+  async getEvents(eventNames, fromBlock, toBlock) {
+    const batches = await Promise.all(
+      eventNames.map((name) =>
+        this.contract.queryFilter(this.contract.filters[name](), fromBlock, toBlock)
+      )
+    );
+
+    return batches
+      .flat()
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+  }
+
+  /**
+   * Fetch the events of one kind matching indexed arguments, e.g.
+   * findEvents("AttestationSubmitted", [periodId]) for one period's
+   * submissions
+   * @returns Array of ethers EventLog objects, in the order they were emitted
+   */
+  async findEvents(eventName, args = [], fromBlock = 0, toBlock = "latest") {
+    return this.contract.queryFilter(this.contract.filters[eventName](...args), fromBlock, toBlock);
+  }
+
+  /**
+   * Hash of a block on the provider's current chain, or null if the chain
+   * is not that long (e.g. it was reorganised to a shorter fork)
+   */
+  async getBlockHash(blockNumber) {
+    const block = await this.contract.runner.provider.getBlock(blockNumber);
+    return block ? block.hash : null;
+  }
+
+  /**
+   * Timestamp (unix seconds) of a block, or null if the chain is not that
+   * long
+   */
+  async getBlockTimestamp(blockNumber) {
+    const block = await this.contract.runner.provider.getBlock(blockNumber);
+    return block ? block.timestamp : null;
+  }
+
+  /**
+   * Whether a block (e.g. the one an event was seen in) is still part of
+   * the canonical chain
+   */
+  async isBlockCanonical(blockNumber, blockHash) {
+    return (await this.getBlockHash(blockNumber)) === blockHash;
+  }
+
+  /**
+   * Wait until a period has the required number of attestations
+   *
+   * Resolves as soon as either an AttestationPeriodComplete event for the
+   * period arrives or polling sees enough submissions.
+   *
+   * @param options.timeout Milliseconds to wait, 0 to wait forever
+   * @param options.pollInterval Milliseconds between on-chain checks
+   * @returns true if the period completed, false on timeout
+   */
+  async waitForPeriodComplete(periodId, options = {}) {
+    const timeout =
+      options.timeout === undefined ? DEFAULT_WAIT_TIMEOUT : options.timeout;
+    const pollInterval = options.pollInterval || DEFAULT_POLL_INTERVAL;
+
+    if ((await this.getPeriodStatus(periodId)).complete) {
+      return true;
+    }
+
+    return new Promise((resolve) => {
+      let pollTimer;
+      let timeoutTimer;
+      let settled = false;
+
+      const finish = (complete) => {
+        if (settled) return;
+        settled = true;
+        clearInterval(pollTimer);
+        clearTimeout(timeoutTimer);
+        this.contract.off("AttestationPeriodComplete", onComplete);
+        resolve(complete);
+      };
+
+      const onComplete = (completedPeriodId) => {
+        if (completedPeriodId.toString() === periodId.toString()) {
+          finish(true);
+        }
+      };
+
+      this.contract.on("AttestationPeriodComplete", onComplete);
+
+      pollTimer = setInterval(async () => {
+        try {
+          if ((await this.getPeriodStatus(periodId)).complete) {
+            finish(true);
+          }
+        } catch (error) {
+          // Transient RPC errors are retried on the next tick
+        }
+      }, pollInterval);
+
+      if (timeout > 0) {
+        timeoutTimer = setTimeout(() => finish(false), timeout);
+      }
+    });
+  }
+}
+
+module.exports = {
+  AttestationClient,
+};
@@ -0,0 +1,104 @@
+/**
+ * Off-chain Attestation Storage
+ *
+ * Storing kilobytes of ciphertext in contract storage is expensive. Instead,
+ * `Attestation.encryptedData` can hold a reference to a ciphertext kept in a
+ * blob store (see blob_stores/):
+ *
+ *   (bytes32 magic, bytes32 contentHash, string locator)
+ *
+ *   magic        REFERENCE_MAGIC, bytes32("epic-attestation-ref-v1")
+ *   contentHash  keccak256 of the ciphertext
+ *   locator      where the blob store keeps it, e.g. "fs:<hash>"
+ *
+ * Readers fetch the blob and check it against contentHash before using it,
+ * so a store can lose a ciphertext but never substitute a different one.
+ * Inline attestations (anything that is not a reference) are used as is.
+ */
+
+const { ethers } = require("ethers");
+
+const REFERENCE_MAGIC = ethers.encodeBytes32String("epic-attestation-ref-v1");
+const REFERENCE_TYPES = ["bytes32", "bytes32", "string"];
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+/**
+ * Encode a reference for encryptedData
+ * @returns Hex string
+ */
+function encodeAttestationReference({ contentHash, locator }) {
+  return abiCoder.encode(REFERENCE_TYPES, [REFERENCE_MAGIC, contentHash, locator]);
+}
+
+/**
+ * Decode encryptedData as a reference
+ * @returns { contentHash, locator }, or null for an inline attestation
+ */
+function decodeAttestationReference(encryptedData) {
+  const data = ethers.getBytes(encryptedData);
+  if (data.length < 96 || ethers.hexlify(data.slice(0, 32)) !== REFERENCE_MAGIC) {
+    return null;
+  }
+
+  try {
+    const [, contentHash, locator] = abiCoder.decode(REFERENCE_TYPES, data);
+    return { contentHash, locator };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Put a ciphertext into a blob store
+ * @returns { contentHash, locator, reference } where `reference` is the
+ *          encoded value to submit on-chain
+ */
+async function storeAttestation(store, data) {
+  const bytes = ethers.getBytes(data);
+  const contentHash = ethers.keccak256(bytes);
+  const locator = await store.put(Buffer.from(bytes));
+
+  return {
+    contentHash,
+    locator,
+    reference: encodeAttestationReference({ contentHash, locator }),
+  };
+}
+
+/**
+ * Turn on-chain encryptedData into the ciphertext, fetching referenced blobs
+ * from the store and verifying them against the committed hash
+ *
+ * @returns { data (Buffer), reference (null for inline attestations) }
+ * @throws If the blob cannot be fetched or does not match its hash
+ */
+async function resolveAttestation(encryptedData, store) {
+  const reference = decodeAttestationReference(encryptedData);
+  if (!reference) {
+    return { data: Buffer.from(ethers.getBytes(encryptedData)), reference: null };
+  }
+
+  if (!store) {
+    throw new Error(`Attestation is stored off-chain at ${reference.locator} but no blob store is configured`);
+  }
+
+  const data = await store.get(reference.locator);
+  const actualHash = ethers.keccak256(data);
+  if (actualHash !== reference.contentHash) {
+    throw new Error(
+      `Blob ${reference.locator} does not match its on-chain hash ` +
+        `(expected ${reference.contentHash}, got ${actualHash})`
+    );
+  }
+
+  return { data: Buffer.from(data), reference };
+}
+
+module.exports = {
+  REFERENCE_MAGIC,
+  encodeAttestationReference,
+  decodeAttestationReference,
+  storeAttestation,
+  resolveAttestation,
+};
@@ -0,0 +1,112 @@
+/**
+ * Attestor Roles
+ *
+ * Mirrors the AttestationPlatform.AttestorRole enum. The role an attestor was
+ * registered with decides which side of the verified operation its
+ * attestation feeds:
+ *
+ *   ReservesProvider     - left operand (reserves)
+ *   LiabilitiesProvider  - right operand (liabilities)
+ *   Auditor              - attests to the period but is not a prover input
+ *
+ * The prover receives the reserves attestations first, then the liabilities
+ * attestations, plus the number of reserves attestations. A verification
+ * rule may pick other roles for its operands (see verification_rules.js).
+ */
+
+// Same order as the Solidity enum
+const ATTESTOR_ROLES = [
+  "Unspecified",
+  "ReservesProvider",
+  "LiabilitiesProvider",
+  "Auditor",
+];
+
+const ROLE = Object.fromEntries(ATTESTOR_ROLES.map((name) => [name, name]));
+
+/**
+ * Convert a role name (case-insensitive) or enum value to the enum value
+ */
+function parseRole(role) {
+  if (typeof role === "number" || typeof role === "bigint") {
+    const index = Number(role);
+    if (index >= 0 && index < ATTESTOR_ROLES.length) {
+      return index;
+    }
+  } else if (typeof role === "string") {
+    if (/^\d+$/.test(role)) {
+      return parseRole(Number(role));
+    }
+    const index = ATTESTOR_ROLES.findIndex(
+      (name) => name.toLowerCase() === role.toLowerCase()
+    );
+    if (index >= 0) {
+      return index;
+    }
+  }
+
+  throw new Error(
+    `Unknown attestor role "${role}" (expected one of: ${ATTESTOR_ROLES.slice(1).join(", ")})`
+  );
+}
+
+/**
+ * Convert an enum value to its role name
+ */
+function roleName(role) {
+  return ATTESTOR_ROLES[parseRole(role)];
+}
+
+// Plain-words name of the summed attestations of a role, used when
+// describing a result (see operations.js)
+const OPERAND_NAMES = {
+  ReservesProvider: "exchange reserves",
+  LiabilitiesProvider: "liabilities",
+  Auditor: "auditor attestations",
+};
+
+/**
+ * Name of an operand of the given role, e.g. "exchange reserves"
+ */
+function operandName(role) {
+  const name = roleName(role);
+  return OPERAND_NAMES[name] || `${name} attestations`;
+}
+
+/**
+ * Pick the prover inputs from a period's attestations by role
+ *
+ * @param attestations Array of objects with a `role` name, in a stable order
+ * @param operands.leftRole Role of the left operand (default ReservesProvider)
+ * @param operands.rightRole Role of the right operand (default LiabilitiesProvider)
+ * @returns { inputs: left then right operand attestations, reservesCount }
+ *          where reservesCount is the number of left operand attestations
+ */
+function selectProverInputs(attestations, operands = {}) {
+  const leftRole = roleName(operands.leftRole || ROLE.ReservesProvider);
+  const rightRole = roleName(operands.rightRole || ROLE.LiabilitiesProvider);
+
+  const reserves = attestations.filter((a) => a.role === leftRole);
+  const liabilities = attestations.filter((a) => a.role === rightRole);
+
+  if (reserves.length === 0 || liabilities.length === 0) {
+    throw new Error(
+      `Need at least one ${leftRole} and one ${rightRole} attestation ` +
+        `(got ${reserves.length} and ${liabilities.length})`
+    );
+  }
+
+  return {
+    inputs: [...reserves, ...liabilities],
+    reservesCount: reserves.length,
+  };
+}
+
+module.exports = {
+  ATTESTOR_ROLES,
+  ROLE,
+  parseRole,
+  roleName,
+  operandName,
+  selectProverInputs,
+};
@@ -0,0 +1,72 @@
+/**
+ * Filesystem Blob Store
+ *
+ * Keeps every blob in a directory under its keccak256 hash, so storing the
+ * same attestation twice is a no-op. Locators look like `fs:<hash hex>` and
+ * are resolved against the store's own directory, so the directory can be
+ * copied or synced between the flow and monitor machines.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const LOCATOR_PREFIX = "fs:";
+
+class FsBlobStore {
+  /**
+   * @param options.dir Directory holding the blobs
+   */
+  constructor(options = {}) {
+    if (!options.dir) {
+      throw new Error("Filesystem blob store needs a directory");
+    }
+    this.name = "fs";
+    this.dir = options.dir;
+  }
+
+  // Path of a blob, refusing locators that are not a plain hash
+  blobPath(locator) {
+    const key = locator.startsWith(LOCATOR_PREFIX)
+      ? locator.slice(LOCATOR_PREFIX.length)
+      : null;
+    if (!key || !/^[0-9a-f]{64}$/.test(key)) {
+      throw new Error(`Not a filesystem blob locator: ${locator}`);
+    }
+    return path.join(this.dir, key);
+  }
+
+  /**
+   * Store a blob
+   * @returns Locator of the blob
+   */
+  async put(data) {
+    const locator = LOCATOR_PREFIX + ethers.keccak256(data).slice(2);
+    const file = this.blobPath(locator);
+
+    if (!fs.existsSync(file)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+      const tempFile = `${file}.tmp`;
+      fs.writeFileSync(tempFile, data);
+      fs.renameSync(tempFile, file);
+    }
+
+    return locator;
+  }
+
+  /**
+   * Fetch a blob
+   * @returns Buffer
+   */
+  async get(locator) {
+    const file = this.blobPath(locator);
+    if (!fs.existsSync(file)) {
+      throw new Error(`Blob ${locator} not found in ${this.dir}`);
+    }
+    return fs.readFileSync(file);
+  }
+}
+
+module.exports = {
+  FsBlobStore,
+};
@@ -0,0 +1,50 @@
+/**
+ * Blob Stores
+ *
+ * Off-chain storage for attestation ciphertexts (see attestation_storage.js).
+ * Every store implements:
+ *
+ *   name           - identifier used in logs and config ("fs")
+ *   put(data)      - stores the bytes and resolves to a locator string
+ *   get(locator)   - resolves to the bytes stored under a locator
+ *
+ * Stores do not need to verify content: readers check every blob against the
+ * hash committed on-chain. Other backends (S3, IPFS, HTTP) can be plugged in
+ * with `registerBlobStore`.
+ */
+
+const { FsBlobStore } = require("./fs");
+
+const BLOB_STORES = {
+  fs: (config) => new FsBlobStore({ dir: config.dir }),
+};
+
+/**
+ * Make a blob store backend available to createBlobStore
+ * @param factory (config) => store
+ */
+function registerBlobStore(name, factory) {
+  BLOB_STORES[name] = factory;
+}
+
+/**
+ * Create the blob store selected in the configuration
+ *
+ * @param config.backend "fs" (default) or a registered backend
+ * @param config.dir Blob directory (fs backend)
+ */
+function createBlobStore(config = {}) {
+  const backend = config.backend || "fs";
+
+  if (!Object.hasOwn(BLOB_STORES, backend)) {
+    throw new Error(
+      `Unknown blob store "${backend}" (expected one of: ${Object.keys(BLOB_STORES).join(", ")})`
+    );
+  }
+  return BLOB_STORES[backend](config);
+}
+
+module.exports = {
+  createBlobStore,
+  registerBlobStore,
+};
@@ -0,0 +1,58 @@
+/**
+ * Monitor Checkpoint
+ *
+ * Persists the last block the event monitor has fully processed so that a
+ * restart only has to backfill the blocks it missed while it was down.
+ * The hash of that block is stored too, so the monitor can tell when the
+ * block has since been replaced by a reorg, as is notifiedThroughBlock, the
+ * highest block whose events webhooks may already have been sent for, so a
+ * rescan after a reorg or restart does not notify them again.
+ */
+
+const { readJson, writeJsonAtomic } = require("./json_file");
+
+/**
+ * Load a checkpoint for a contract deployment
+ *
+ * A checkpoint written for a different chain or contract address is ignored,
+ * so pointing the monitor at a new deployment starts a fresh backfill.
+ *
+ * @param file Path of the checkpoint JSON file
+ * @param chainId Chain the monitor is connected to
+ * @param contractAddress Address of the monitored contract
+ * @param startBlock Block to start from when there is no usable checkpoint
+ * @returns { chainId, contractAddress, startBlock, lastProcessedBlock,
+ *            lastProcessedBlockHash, notifiedThroughBlock (if saved) }
+ */
+function loadCheckpoint(file, chainId, contractAddress, startBlock) {
+  const fresh = {
+    chainId: chainId.toString(),
+    contractAddress: contractAddress.toLowerCase(),
+    startBlock,
+    lastProcessedBlock: startBlock - 1,
+    lastProcessedBlockHash: null,
+  };
+
+  const saved = readJson(file, null);
+  if (
+    !saved ||
+    saved.chainId !== fresh.chainId ||
+    saved.contractAddress !== fresh.contractAddress
+  ) {
+    return fresh;
+  }
+
+  return { ...fresh, ...saved };
+}
+
+/**
+ * Save a checkpoint
+ */
+function saveCheckpoint(file, checkpoint) {
+  writeJsonAtomic(file, checkpoint);
+}
+
+module.exports = {
+  loadCheckpoint,
+  saveCheckpoint,
+};
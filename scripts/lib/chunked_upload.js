@@ -0,0 +1,99 @@
+/**
+ * Chunked Attestation Uploads
+ *
+ * Attestations too large for a single transaction are uploaded in chunks:
+ * beginAttestationUpload, one appendAttestationChunk per chunk, then
+ * finalizeAttestationUpload, which checks the size and hash on-chain and
+ * records the attestation (with empty encryptedData).
+ *
+ * The committed hash is a chain over the chunks rather than a hash of the
+ * whole attestation, so the contract can update it as chunks arrive:
+ *
+ *   h_0 = 0x00..00
+ *   h_i = keccak256(h_{i-1} ++ keccak256(chunk_i))
+ *
+ * The upload state (chunk count, chain hash so far) is readable on-chain,
+ * which is what lets a failed upload resume where it stopped.
+ */
+
+const { ethers } = require("ethers");
+
+// Default chunk size in bytes; each chunk costs roughly 20k gas per 32 bytes
+// of storage, so this keeps an append well below common block gas limits
+const DEFAULT_CHUNK_SIZE = 24 * 1024;
+
+/**
+ * Split data into chunks of at most chunkSize bytes
+ * @returns Array of Uint8Array
+ */
+function splitChunks(data, chunkSize = DEFAULT_CHUNK_SIZE) {
+  if (!Number.isInteger(chunkSize) || chunkSize <= 0) {
+    throw new Error(`Invalid chunk size: ${chunkSize}`);
+  }
+
+  const bytes = ethers.getBytes(data);
+  const chunks = [];
+  for (let offset = 0; offset < bytes.length; offset += chunkSize) {
+    chunks.push(bytes.slice(offset, offset + chunkSize));
+  }
+  return chunks;
+}
+
+/**
+ * Hash chain over chunks, as computed by the contract
+ * @param chunks Chunks in upload order
+ * @returns bytes32 hex string (ZeroHash for no chunks)
+ */
+function chunkChainHash(chunks) {
+  return chunks.reduce(
+    (hash, chunk) => ethers.solidityPackedKeccak256(["bytes32", "bytes32"], [hash, ethers.keccak256(chunk)]),
+    ethers.ZeroHash
+  );
+}
+
+/**
+ * Concatenate chunks read back from the contract and check them against the
+ * committed hash
+ * @returns Buffer
+ * @throws If the chunks do not match contentHash
+ */
+function joinChunks(chunks, contentHash) {
+  const actualHash = chunkChainHash(chunks);
+  if (actualHash !== contentHash) {
+    throw new Error(
+      `Uploaded chunks do not match their on-chain hash (expected ${contentHash}, got ${actualHash})`
+    );
+  }
+  return Buffer.concat(chunks.map((chunk) => Buffer.from(ethers.getBytes(chunk))));
+}
+
+/**
+ * Number of leading chunks an existing upload already holds, or null if it
+ * cannot be resumed for these chunks (different data or chunk size, already
+ * finalized, or nothing started)
+ * @param upload Upload state from AttestationClient.getAttestationUpload
+ */
+function resumableChunkCount(upload, chunks, contentHash) {
+  if (!upload || upload.finalized || upload.contentHash !== contentHash) {
+    return null;
+  }
+  const totalSize = chunks.reduce((size, chunk) => size + chunk.length, 0);
+  if (upload.totalSize !== totalSize || upload.chunkCount > chunks.length) {
+    return null;
+  }
+
+  const uploaded = chunks.slice(0, upload.chunkCount);
+  const uploadedSize = uploaded.reduce((size, chunk) => size + chunk.length, 0);
+  if (uploadedSize !== upload.uploadedSize || chunkChainHash(uploaded) !== upload.chainHash) {
+    return null;
+  }
+  return upload.chunkCount;
+}
+
+module.exports = {
+  DEFAULT_CHUNK_SIZE,
+  splitChunks,
+  chunkChainHash,
+  joinChunks,
+  resumableChunkCount,
+};
@@ -0,0 +1,621 @@
+/**
+ * Configuration Loader
+ *
+ * One place for the settings of the flow, monitor and deploy scripts. Every
+ * setting is named after its environment variable and read from, in order
+ * of precedence:
+ *
+ *   1. the environment
+ *   2. the .env file
+ *   3. an optional JSON or YAML config file (CONFIG_FILE), using the same
+ *      names as keys, e.g. `EXCHANGE_VALUE: 1000000`
+ *   4. the setting's default
+ *
+ * Settings are grouped in sections; a script loads the sections it uses.
+ * Loading validates every value (numbers, addresses, enums, that files and
+ * binaries exist) and collects all problems instead of stopping at the
+ * first, so a misconfigured run fails up front with the full list.
+ *
+ * Usage:
+ *   const config = loadConfigOrExit(["contract", "monitor"]);
+ *   printConfigReport(config);
+ *   const { CONFIRMATIONS } = config.values;
+ */
+
+const fs = require("fs");
+const path = require("path");
+const dotenv = require("dotenv");
+const yaml = require("js-yaml");
+const { ethers } = require("ethers");
+const { roleName } = require("./attestor_roles");
+const { parseOperation } = require("./operations");
+const { PROVER_BACKENDS, MOCK_PROVER_NETWORKS } = require("./provers");
+const { DEFAULT_CHUNK_SIZE } = require("./chunked_upload");
+const { DEFAULT_QUEUE_FILE } = require("./proof_queue");
+const { DEFAULT_INDEX_FILE } = require("./event_index");
+const { NOTIFICATION_TYPES } = require("./webhooks");
+const { LOG_LEVELS, LOG_FORMATS, createLogger } = require("./logger");
+
+const DEFAULT_TEMP_DIR = path.join(__dirname, "../../attestation_temp");
+
+/**
+ * Setting definitions
+ *
+ * type      How the raw value is parsed, see TYPES
+ * default   Value (or function of the settings parsed before it) used when
+ *           the setting is not configured; parsed like a configured value
+ * optional  No default; the setting is undefined unless configured
+ * secret    Shown masked in the configuration report
+ */
+const SETTINGS = {
+  contract: {
+    CONTRACT_ADDRESS: {
+      type: "address",
+      optional: true,
+      description: "AttestationPlatform address (defaults to the network's deployment manifest)",
+    },
+    CONFIRMATIONS: { type: "integer", min: 1, default: 1, description: "Confirmations to wait for" },
+    DRY_RUN: { type: "boolean", default: false, description: "Estimate transactions instead of sending them" },
+  },
+  attestors: {
+    EXCHANGE_VALUE: { type: "decimal", default: "1000000", description: "Exchange reserves" },
+    REGULATOR_VALUE: { type: "decimal", default: "900000", description: "Regulator liabilities" },
+    ATTESTATION_VALUES: {
+      type: "list",
+      item: "decimal",
+      optional: true,
+      description: "One value per attestor (replaces EXCHANGE_VALUE / REGULATOR_VALUE)",
+    },
+    ATTESTOR_NAMES: { type: "list", item: "string", optional: true, description: "Attestor names" },
+    ATTESTOR_ROLES: { type: "list", item: "role", optional: true, description: "Attestor roles" },
+  },
+  prover: {
+    OPERATION: { type: "operation", default: "GreaterThan", description: "Operation to verify" },
+    PROVER_BACKEND: { type: "enum", values: PROVER_BACKENDS, default: "sp1", description: "Prover backend" },
+    SP1_BINARY: { type: "binary", optional: true, description: "SP1 prover binary (PROVER_BACKEND=sp1)" },
+    EPIC_NODE_BINARY: {
+      type: "command",
+      default: `"${process.execPath}" "${path.join(__dirname, "../epic_node.js")}"`,
+      description: "epic-node command (defaults to the local stand-in, scripts/epic_node.js)",
+    },
+    MOCK_PROVER_FIXTURES: { type: "file", optional: true, description: "Plaintext fixtures for the mock prover" },
+    ALLOW_MOCK_PROVER: {
+      type: "boolean",
+      default: false,
+      description: `Allow the mock prover on networks other than ${MOCK_PROVER_NETWORKS.join(" and ")}`,
+    },
+  },
+  storage: {
+    ATTESTATION_TEMP_DIR: { type: "path", default: DEFAULT_TEMP_DIR, description: "Working directory" },
+    ATTESTATION_STORAGE: {
+      type: "enum",
+      values: ["onchain", "offchain"],
+      default: "onchain",
+      description: "Where attestation ciphertexts are kept",
+    },
+    BLOB_STORE: { type: "string", default: "fs", description: "Blob store backend for off-chain attestations" },
+    BLOB_STORE_DIR: {
+      type: "path",
+      default: (values) => path.join(values.ATTESTATION_TEMP_DIR, "blobs"),
+      description: "Filesystem blob store directory",
+    },
+    ATTESTATION_CHUNK_SIZE: {
+      type: "integer",
+      min: 0,
+      default: DEFAULT_CHUNK_SIZE,
+      description: "Upload attestations larger than this in chunks (0 disables)",
+    },
+  },
+  monitor: {
+    AUTO_GENERATE_PROOF: { type: "boolean", default: true, description: "Prove completed periods" },
+    MONITOR_CHECKPOINT_FILE: {
+      type: "path",
+      default: (values) => path.join(values.ATTESTATION_TEMP_DIR || DEFAULT_TEMP_DIR, "monitor_checkpoint.json"),
+      description: "Last processed block",
+    },
+    MONITOR_START_BLOCK: {
+      type: "integer",
+      min: 0,
+      optional: true,
+      description: "First block to scan (defaults to the deployment block)",
+    },
+    PROOF_CONCURRENCY: { type: "integer", min: 1, default: 1, description: "Proofs generated in parallel" },
+    PROOF_MAX_ATTEMPTS: { type: "integer", min: 1, default: 3, description: "Attempts per period" },
+    PROOF_RETRY_DELAY: { type: "integer", min: 0, default: 60000, description: "Base retry delay (ms)" },
+  },
+  // Shared by the monitor and the API, which both read events in block ranges
+  eventScan: {
+    BACKFILL_BLOCK_RANGE: { type: "integer", min: 1, default: 2000, description: "Blocks per log query" },
+    REORG_RESCAN_BLOCKS: {
+      type: "integer",
+      min: 0,
+      default: (values) => Math.max(values.CONFIRMATIONS || 1, 12),
+      description: "Blocks to rescan after a reorg",
+    },
+  },
+  // Local event database of the events:index and events:query tasks
+  eventIndex: {
+    EVENT_INDEX_FILE: { type: "path", default: DEFAULT_INDEX_FILE, description: "SQLite event index" },
+  },
+  // Shared by the monitor, which runs the queue, and the API dashboard
+  proofQueue: {
+    PROOF_QUEUE_FILE: { type: "path", default: DEFAULT_QUEUE_FILE, description: "Persistent proof queue" },
+  },
+  transactions: {
+    TX_MAX_RETRIES: { type: "integer", min: 0, optional: true, description: "Retries of transient RPC errors" },
+    TX_RETRY_DELAY: { type: "integer", min: 0, optional: true, description: "Base retry delay (ms)" },
+    TX_STUCK_TIMEOUT: { type: "integer", min: 0, optional: true, description: "Time before fee bumping (ms, 0 = never)" },
+    TX_FEE_BUMP_PERCENT: { type: "integer", min: 10, optional: true, description: "Fee increase per replacement" },
+    TX_MAX_REPLACEMENTS: { type: "integer", min: 0, optional: true, description: "Fee bumps before giving up" },
+    TX_MAX_FEE_PER_GAS: { type: "decimal", optional: true, description: "Cap on maxFeePerGas (wei)" },
+  },
+  logging: {
+    LOG_LEVEL: { type: "enum", values: LOG_LEVELS, default: "info", description: "Lowest level logged" },
+    LOG_FORMAT: {
+      type: "enum",
+      values: LOG_FORMATS,
+      default: "text",
+      description: "text, or json for one JSON object per line",
+    },
+  },
+  metrics: {
+    METRICS_PORT: {
+      type: "integer",
+      min: 0,
+      max: 65535,
+      optional: true,
+      description: "Port of the /metrics and /healthz server (unset disables it)",
+    },
+    METRICS_HOST: { type: "string", default: "127.0.0.1", description: "Interface the metrics server listens on" },
+  },
+  notifications: {
+    WEBHOOK_URLS: {
+      type: "list",
+      item: "url",
+      optional: true,
+      description: "Endpoints notifications are posted to (unset disables webhooks)",
+    },
+    WEBHOOK_SECRET: {
+      type: "string",
+      optional: true,
+      secret: true,
+      description: "HMAC key the requests are signed with",
+    },
+    WEBHOOK_EVENTS: {
+      type: "list",
+      item: "enum",
+      values: NOTIFICATION_TYPES,
+      default: NOTIFICATION_TYPES,
+      description: "Notification types to send",
+    },
+    WEBHOOK_MAX_ATTEMPTS: { type: "integer", min: 1, default: 5, description: "Attempts per delivery" },
+    WEBHOOK_RETRY_DELAY: { type: "integer", min: 0, default: 2000, description: "Base retry delay (ms)" },
+    WEBHOOK_TIMEOUT: { type: "integer", min: 1, default: 10000, description: "Time an endpoint has to answer (ms)" },
+    WEBHOOK_DEAD_LETTER_FILE: {
+      type: "path",
+      default: (values) => path.join(values.ATTESTATION_TEMP_DIR || DEFAULT_TEMP_DIR, "webhook_dead_letters.jsonl"),
+      description: "Deliveries that failed every attempt",
+    },
+    PERIOD_STUCK_AFTER: {
+      type: "integer",
+      min: 1,
+      default: 3600,
+      description: "Seconds below quorum after the first attestation before period.stuck fires",
+    },
+  },
+  api: {
+    API_RPC_URL: { type: "string", default: "http://127.0.0.1:8545", description: "JSON-RPC endpoint to read from" },
+    API_NETWORK: {
+      type: "string",
+      default: "localhost",
+      description: "Network whose deployment manifest names the contract",
+    },
+    API_PORT: { type: "integer", min: 0, max: 65535, default: 8080, description: "Port of the REST API" },
+    API_HOST: { type: "string", default: "127.0.0.1", description: "Interface the REST API listens on" },
+    API_START_BLOCK: {
+      type: "integer",
+      min: 0,
+      optional: true,
+      description: "First block searched for transactions (defaults to the deployment block)",
+    },
+  },
+  deploy: {
+    REQUIRED_ATTESTOR_COUNT: {
+      type: "integer",
+      min: 1,
+      default: 2,
+      description: "Attestations needed to complete a period",
+    },
+    UPGRADE_CONTRACT: {
+      type: "string",
+      default: "AttestationPlatformUpgradeable",
+      description: "Contract scripts/upgrade.js upgrades to",
+    },
+  },
+};
+
+// Whether a binary can be run: an executable path, or a command on PATH
+function findBinary(command) {
+  const isExecutable = (file) => {
+    try {
+      fs.accessSync(file, fs.constants.X_OK);
+      return fs.statSync(file).isFile();
+    } catch (error) {
+      return false;
+    }
+  };
+
+  if (command.includes("/") || command.includes(path.sep)) {
+    return isExecutable(path.resolve(command)) ? path.resolve(command) : null;
+  }
+  for (const dir of (process.env.PATH || "").split(path.delimiter)) {
+    if (dir && isExecutable(path.join(dir, command))) {
+      return path.join(dir, command);
+    }
+  }
+  return null;
+}
+
+/**
+ * Parsers by setting type: (raw value, setting, base directory) -> value.
+ * They throw an Error describing what was expected.
+ */
+const TYPES = {
+  string: (raw) => String(raw),
+
+  integer: (raw, setting) => {
+    const text = String(raw).trim();
+    if (!/^-?\d+$/.test(text)) {
+      throw new Error(`expected an integer, got "${raw}"`);
+    }
+    const value = Number(text);
+    if (setting.min !== undefined && value < setting.min) {
+      throw new Error(`must be at least ${setting.min}, got ${value}`);
+    }
+    if (setting.max !== undefined && value > setting.max) {
+      throw new Error(`must be at most ${setting.max}, got ${value}`);
+    }
+    return value;
+  },
+
+  // Non-negative integer of any size, kept as a string of digits
+  decimal: (raw) => {
+    const text = String(raw).trim();
+    if (!/^\d+$/.test(text)) {
+      throw new Error(`expected a non-negative integer, got "${raw}"`);
+    }
+    return text;
+  },
+
+  boolean: (raw) => {
+    const text = String(raw).trim().toLowerCase();
+    if (["true", "1", "yes"].includes(text)) return true;
+    if (["false", "0", "no"].includes(text)) return false;
+    throw new Error(`expected true or false, got "${raw}"`);
+  },
+
+  enum: (raw, setting) => {
+    const text = String(raw).trim();
+    if (!setting.values.includes(text)) {
+      throw new Error(`expected one of ${setting.values.join(", ")}, got "${raw}"`);
+    }
+    return text;
+  },
+
+  address: (raw) => {
+    const text = String(raw).trim();
+    if (!ethers.isAddress(text)) {
+      throw new Error(`expected an Ethereum address, got "${raw}"`);
+    }
+    return ethers.getAddress(text);
+  },
+
+  path: (raw, setting, baseDir) => path.resolve(baseDir, String(raw)),
+
+  url: (raw) => {
+    const text = String(raw).trim();
+    let url;
+    try {
+      url = new URL(text);
+    } catch (error) {
+      throw new Error(`expected an http(s) URL, got "${raw}"`);
+    }
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+      throw new Error(`expected an http(s) URL, got "${raw}"`);
+    }
+    return text;
+  },
+
+  file: (raw, setting, baseDir) => {
+    const file = path.resolve(baseDir, String(raw));
+    if (!fs.existsSync(file)) {
+      throw new Error(`file not found: ${file}`);
+    }
+    return file;
+  },
+
+  binary: (raw, setting, baseDir) => {
+    const command = String(raw).trim();
+    const found = findBinary(command.includes("/") ? path.resolve(baseDir, command) : command);
+    if (!found) {
+      throw new Error(`no executable found at ${command}`);
+    }
+    return found;
+  },
+
+  // Shell command prefix, e.g. `node scripts/epic_node.js`; only the program
+  // (the first, optionally quoted, word) has to exist
+  command: (raw) => {
+    const command = String(raw).trim();
+    const [, quoted, bare] = command.match(/^(?:"([^"]+)"|(\S+))/) || [];
+    if (!findBinary(quoted || bare || "")) {
+      throw new Error(`no executable found for ${quoted || bare || "an empty command"}`);
+    }
+    return command;
+  },
+
+  role: (raw) => roleName(String(raw).trim()),
+
+  operation: (raw) => parseOperation(String(raw)),
+
+  // Comma-separated string, or an array in a config file
+  list: (raw, setting, baseDir) => {
+    const items = Array.isArray(raw) ? raw : String(raw).split(",");
+    return items.map((item, i) => {
+      try {
+        return TYPES[setting.item](typeof item === "string" ? item.trim() : item, setting, baseDir);
+      } catch (error) {
+        throw new Error(`item ${i + 1}: ${error.message}`);
+      }
+    });
+  },
+};
+
+/**
+ * Checks across settings, run after every setting of their section parsed
+ * @param options The options given to loadConfig
+ * @returns Array of { key, message }
+ */
+const CHECKS = {
+  prover: (values, options) => {
+    const problems = [];
+    const proving = values.AUTO_GENERATE_PROOF !== false;
+    if (proving && values.PROVER_BACKEND === "sp1" && !values.SP1_BINARY) {
+      problems.push({
+        key: "SP1_BINARY",
+        message: "required with PROVER_BACKEND=sp1 (or set PROVER_BACKEND=mock)",
+      });
+    }
+    if (
+      proving &&
+      values.PROVER_BACKEND === "mock" &&
+      !values.ALLOW_MOCK_PROVER &&
+      options.network !== undefined &&
+      !MOCK_PROVER_NETWORKS.includes(options.network)
+    ) {
+      problems.push({
+        key: "PROVER_BACKEND",
+        message:
+          `mock writes fake proofs and only runs on ${MOCK_PROVER_NETWORKS.join(" or ")}, not ${options.network} ` +
+          "(set ALLOW_MOCK_PROVER=true to use it anyway)",
+      });
+    }
+    return problems;
+  },
+  attestors: (values) => {
+    const problems = [];
+    const count = values.ATTESTATION_VALUES ? values.ATTESTATION_VALUES.length : 2;
+    for (const key of ["ATTESTOR_NAMES", "ATTESTOR_ROLES"]) {
+      if (values[key] && values[key].length > count) {
+        problems.push({ key, message: `has ${values[key].length} entries for ${count} attestor(s)` });
+      }
+    }
+    return problems;
+  },
+  notifications: (values) => {
+    if (values.WEBHOOK_URLS && !values.WEBHOOK_SECRET) {
+      return [{ key: "WEBHOOK_SECRET", message: "required with WEBHOOK_URLS, receivers check the signatures" }];
+    }
+    return [];
+  },
+};
+
+// Read a JSON or YAML config file into a plain object
+function readConfigFile(file) {
+  const text = fs.readFileSync(file, "utf8");
+  const data = /\.ya?ml$/i.test(file) ? yaml.load(text) : JSON.parse(text);
+  if (data === null || data === undefined) {
+    return {};
+  }
+  if (typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("expected a mapping of setting names to values");
+  }
+  return data;
+}
+
+/**
+ * Load and validate the settings of some sections
+ *
+ * @param sections Section names, e.g. ["contract", "monitor"]
+ * @param options.env Environment, defaults to process.env
+ * @param options.envFile .env file, defaults to .env in the working directory
+ * @param options.file Config file, defaults to CONFIG_FILE
+ * @param options.network Hardhat network the settings are used on, for the
+ *                        checks that depend on it
+ * @returns { values, sources, problems, warnings, file } where sources maps
+ *          each setting to "env", ".env", the config file or "default", and
+ *          problems lists { key, message } for every invalid setting
+ */
+function loadConfig(sections, options = {}) {
+  const env = options.env || process.env;
+  const envFile = options.envFile || path.resolve(".env");
+  const problems = [];
+  const warnings = [];
+
+  for (const section of sections) {
+    if (!Object.hasOwn(SETTINGS, section)) {
+      throw new Error(`Unknown config section "${section}" (expected one of: ${Object.keys(SETTINGS).join(", ")})`);
+    }
+  }
+
+  const dotenvValues = fs.existsSync(envFile) ? dotenv.parse(fs.readFileSync(envFile)) : {};
+
+  const configFile = options.file || env.CONFIG_FILE || dotenvValues.CONFIG_FILE;
+  const file = configFile ? path.resolve(configFile) : null;
+  let fileValues = {};
+  if (file) {
+    try {
+      fileValues = readConfigFile(file);
+    } catch (error) {
+      problems.push({ key: "CONFIG_FILE", message: `cannot read ${file}: ${error.message}` });
+    }
+
+    const known = new Set(Object.values(SETTINGS).flatMap((settings) => Object.keys(settings)));
+    for (const key of Object.keys(fileValues)) {
+      if (!known.has(key)) {
+        warnings.push(`Unknown setting ${key} in ${file}`);
+      }
+    }
+  }
+
+  const values = {};
+  const sources = {};
+
+  for (const section of sections) {
+    for (const [key, setting] of Object.entries(SETTINGS[section])) {
+      let raw;
+      let source;
+      let baseDir = process.cwd();
+
+      if (env[key] !== undefined && env[key] !== "") {
+        raw = env[key];
+        source = dotenvValues[key] === env[key] ? ".env" : "env";
+      } else if (dotenvValues[key] !== undefined && dotenvValues[key] !== "") {
+        raw = dotenvValues[key];
+        source = ".env";
+      } else if (fileValues[key] !== undefined && fileValues[key] !== null) {
+        raw = fileValues[key];
+        source = file;
+        baseDir = path.dirname(file);
+      } else if (setting.default !== undefined) {
+        raw = typeof setting.default === "function" ? setting.default(values) : setting.default;
+        source = "default";
+      } else {
+        continue;
+      }
+
+      try {
+        values[key] = TYPES[setting.type](raw, setting, baseDir);
+        sources[key] = source;
+      } catch (error) {
+        problems.push({ key, message: `${error.message} (from ${source})` });
+      }
+    }
+  }
+
+  // Cross-setting checks, skipping settings already reported as invalid
+  const invalid = new Set(problems.map((problem) => problem.key));
+  for (const section of sections) {
+    if (CHECKS[section]) {
+      problems.push(...CHECKS[section](values, options).filter((problem) => !invalid.has(problem.key)));
+    }
+  }
+
+  return { sections, values, sources, problems, warnings, file };
+}
+
+// Printable form of a parsed value
+function formatValue(value, setting = {}) {
+  if (setting.secret) return "********";
+  if (Array.isArray(value)) return value.map((item) => formatValue(item)).join(", ");
+  if (value && typeof value === "object" && value.spec) return value.spec;
+  return String(value);
+}
+
+/**
+ * Settings of the loaded sections with their sources, for logging
+ * @returns { file, settings: { KEY: { value, source } }, warnings, problems }
+ */
+function summarizeConfig(config) {
+  const settings = {};
+  for (const section of config.sections) {
+    for (const key of Object.keys(SETTINGS[section])) {
+      settings[key] = Object.hasOwn(config.values, key)
+        ? { value: formatValue(config.values[key], SETTINGS[section][key]), source: config.sources[key] }
+        : { value: null, source: null };
+    }
+  }
+  return { file: config.file, settings, warnings: config.warnings, problems: config.problems };
+}
+
+/**
+ * Print every setting of the loaded sections with its source, then any
+ * warnings and problems. With LOG_FORMAT=json (a loaded logging section) the
+ * report is a single line of the given logger instead.
+ */
+function printConfigReport(config, logger = configLogger(config)) {
+  if (logger.format === "json") {
+    logger.info("Configuration", { config: summarizeConfig(config) });
+    return;
+  }
+
+  console.log("=== Configuration ===");
+  console.log(`Config file: ${config.file || "none (set CONFIG_FILE to use one)"}`);
+
+  const problemKeys = new Set(config.problems.map((problem) => problem.key));
+  for (const section of config.sections) {
+    console.log(`[${section}]`);
+    for (const key of Object.keys(SETTINGS[section])) {
+      if (problemKeys.has(key)) {
+        console.log(`  ${key}: ❌ invalid`);
+      } else if (Object.hasOwn(config.values, key)) {
+        console.log(`  ${key}: ${formatValue(config.values[key], SETTINGS[section][key])} (${config.sources[key]})`);
+      } else {
+        console.log(`  ${key}: not set`);
+      }
+    }
+  }
+
+  for (const warning of config.warnings) {
+    console.warn(`⚠️ ${warning}`);
+  }
+  if (config.problems.length > 0) {
+    console.error(`\n${config.problems.length} configuration problem(s):`);
+    for (const { key, message } of config.problems) {
+      console.error(`❌ ${key}: ${message}`);
+    }
+  }
+  console.log("====================\n");
+}
+
+/**
+ * Logger configured by the logging section (text at info level if it was
+ * not loaded)
+ * @param fields Fields added to every line, e.g. { runId }
+ */
+function configLogger(config, fields = {}) {
+  return createLogger({ level: config.values.LOG_LEVEL, format: config.values.LOG_FORMAT }).child(fields);
+}
+
+/**
+ * Load the settings of some sections, or print the report and exit if any
+ * setting is invalid
+ * @returns The loaded config, see loadConfig
+ */
+function loadConfigOrExit(sections, options = {}) {
+  const config = loadConfig(sections, options);
+  if (config.problems.length > 0) {
+    printConfigReport(config);
+    process.exit(1);
+  }
+  return config;
+}
+
+module.exports = {
+  SETTINGS,
+  loadConfig,
+  loadConfigOrExit,
+  summarizeConfig,
+  printConfigReport,
+  configLogger,
+};
@@ -0,0 +1,274 @@
+/**
+ * Deployment Manifests
+ *
+ * Every deployment writes deployments/<network>.json with what is needed to
+ * find and trust the contract later:
+ *
+ *   { network, chainId, contractName, address, deployer, transactionHash,
+ *     blockNumber, blockHash, constructorArgs, compiler, abiHash, deployedAt }
+ *
+ * Proxied deployments (AttestationPlatformUpgradeable) also record
+ *
+ *   proxy: { kind, implementation, upgrades: [{ previousImplementation,
+ *            implementation, contractName, transactionHash, blockNumber,
+ *            compiler, abiHash, upgradedAt }] }
+ *
+ * where `address` is the proxy, `constructorArgs` the initializer arguments
+ * and the top-level contractName, compiler and abiHash describe the current
+ * implementation.
+ *
+ * Scripts and tasks resolve the contract for the selected --network from
+ * the manifest, so the address lives in one place per network. An explicit
+ * address (--address or CONTRACT_ADDRESS) still takes precedence. The
+ * monitor starts its first backfill at the manifest's blockNumber. Tools that
+ * run without Hardhat (the REST API) name the network explicitly and read the
+ * ABI from the compiled artifacts with resolveContractOffline.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { readJson, writeJsonAtomic } = require("./json_file");
+
+const DEFAULT_DEPLOYMENTS_DIR =
+  process.env.DEPLOYMENTS_DIR || path.join(__dirname, "../../deployments");
+
+const DEFAULT_ARTIFACTS_DIR = path.join(__dirname, "../../artifacts");
+
+const CONTRACT_NAME = "AttestationPlatform";
+
+function manifestFile(network, dir = DEFAULT_DEPLOYMENTS_DIR) {
+  return path.join(dir, `${network}.json`);
+}
+
+/**
+ * keccak256 of the ABI as JSON, to tell whether a deployment still matches
+ * the compiled contract
+ */
+function abiHash(abi) {
+  return ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify(abi)));
+}
+
+// JSON-safe copy of constructor arguments (BigInts become strings)
+function serializeArgs(args) {
+  return args.map((arg) => (typeof arg === "bigint" ? arg.toString() : arg));
+}
+
+// Compiler version and the settings that affect the bytecode
+async function compilerSettings(hre, contractName) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const buildInfo = await hre.artifacts.getBuildInfo(
+    `${artifact.sourceName}:${artifact.contractName}`
+  );
+  if (!buildInfo) {
+    return null;
+  }
+
+  const { optimizer, evmVersion, viaIR } = buildInfo.input.settings;
+  return {
+    version: buildInfo.solcLongVersion,
+    optimizer,
+    evmVersion: evmVersion || null,
+    viaIR: Boolean(viaIR),
+  };
+}
+
+/**
+ * Read the manifest of a network
+ * @returns The manifest, or null if nothing was deployed there
+ */
+function loadDeployment(network, dir = DEFAULT_DEPLOYMENTS_DIR) {
+  return readJson(manifestFile(network, dir), null);
+}
+
+/**
+ * Write the manifest for a contract that was just deployed
+ *
+ * @param hre Hardhat runtime environment
+ * @param contract The deployed ethers Contract (from factory.deploy)
+ * @param options.constructorArgs Arguments passed to the constructor (or the
+ *                                initializer of a proxy)
+ * @param options.contractName Defaults to AttestationPlatform
+ * @param options.proxy { kind, implementation } for a proxied deployment
+ * @param options.dir Directory for manifests, defaults to deployments/
+ * @returns { manifest, file }
+ */
+async function recordDeployment(hre, contract, options = {}) {
+  const contractName = options.contractName || CONTRACT_NAME;
+  const dir = options.dir || DEFAULT_DEPLOYMENTS_DIR;
+
+  const transaction = contract.deploymentTransaction();
+  const receipt = await transaction.wait();
+  const network = await hre.ethers.provider.getNetwork();
+  const artifact = await hre.artifacts.readArtifact(contractName);
+
+  const manifest = {
+    network: hre.network.name,
+    chainId: network.chainId.toString(),
+    contractName,
+    address: await contract.getAddress(),
+    deployer: transaction.from,
+    transactionHash: transaction.hash,
+    blockNumber: receipt.blockNumber,
+    blockHash: receipt.blockHash,
+    constructorArgs: serializeArgs(options.constructorArgs || []),
+    compiler: await compilerSettings(hre, contractName),
+    abiHash: abiHash(artifact.abi),
+    deployedAt: new Date().toISOString(),
+  };
+  if (options.proxy) {
+    manifest.proxy = { ...options.proxy, upgrades: [] };
+  }
+
+  const file = manifestFile(hre.network.name, dir);
+  writeJsonAtomic(file, manifest);
+  return { manifest, file };
+}
+
+/**
+ * Record an upgrade of a proxied deployment in its manifest
+ *
+ * @param hre Hardhat runtime environment
+ * @param upgrade.contractName Contract of the new implementation
+ * @param upgrade.previousImplementation, upgrade.implementation Addresses
+ * @param upgrade.transactionHash, upgrade.blockNumber The upgrade transaction
+ * @param options.dir Directory for manifests, defaults to deployments/
+ * @returns { manifest, file }
+ * @throws If the network has no proxied deployment
+ */
+async function recordUpgrade(hre, upgrade, options = {}) {
+  const dir = options.dir || DEFAULT_DEPLOYMENTS_DIR;
+  const file = manifestFile(hre.network.name, dir);
+  const manifest = loadDeployment(hre.network.name, dir);
+  if (!manifest || !manifest.proxy) {
+    throw new Error(`${file} does not describe a proxied deployment`);
+  }
+
+  const artifact = await hre.artifacts.readArtifact(upgrade.contractName);
+  const entry = {
+    contractName: upgrade.contractName,
+    previousImplementation: upgrade.previousImplementation,
+    implementation: upgrade.implementation,
+    transactionHash: upgrade.transactionHash,
+    blockNumber: upgrade.blockNumber,
+    compiler: await compilerSettings(hre, upgrade.contractName),
+    abiHash: abiHash(artifact.abi),
+    upgradedAt: new Date().toISOString(),
+  };
+
+  manifest.contractName = entry.contractName;
+  manifest.compiler = entry.compiler;
+  manifest.abiHash = entry.abiHash;
+  manifest.proxy.implementation = entry.implementation;
+  manifest.proxy.upgrades.push(entry);
+
+  writeJsonAtomic(file, manifest);
+  return { manifest, file };
+}
+
+/**
+ * Find the contract to talk to on the selected network
+ *
+ * @param hre Hardhat runtime environment
+ * @param options.address Explicit address (e.g. --address or
+ *                        CONTRACT_ADDRESS), used instead of the manifest
+ * @param options.dir Directory for manifests, defaults to deployments/
+ * @returns { address, source, manifest, abiChanged }, where source is
+ *          "address" or the manifest file, manifest is null unless it
+ *          describes the returned address, and abiChanged tells whether the
+ *          compiled ABI differs from the deployed one
+ * @throws If there is neither an address nor a manifest
+ */
+function resolveContract(hre, options = {}) {
+  return resolveDeployment(
+    hre.network.name,
+    (contractName) => hre.artifacts.readArtifactSync(contractName).abi,
+    options
+  );
+}
+
+/**
+ * Read the ABI of a compiled contract from the Hardhat artifacts directory,
+ * for tools that run without a Hardhat runtime
+ * @throws If the contract has not been compiled
+ */
+function readArtifactAbi(contractName, artifactsDir = DEFAULT_ARTIFACTS_DIR) {
+  const walk = (dir) =>
+    fs.existsSync(dir)
+      ? fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+          const file = path.join(dir, entry.name);
+          if (entry.isDirectory()) return walk(file);
+          return entry.name === `${contractName}.json` ? [file] : [];
+        })
+      : [];
+
+  const [file] = walk(path.join(artifactsDir, "contracts"));
+  if (!file) {
+    throw new Error(
+      `No compiled artifact for ${contractName} in ${artifactsDir} (run npx hardhat compile)`
+    );
+  }
+  return readJson(file).abi;
+}
+
+/**
+ * resolveContract without a Hardhat runtime: the network is named
+ * explicitly and ABIs are read from the artifacts directory
+ *
+ * @param options.artifactsDir Defaults to artifacts/
+ * @returns { address, source, manifest, abiChanged, abi }, where abi is
+ *          that of the manifest's contract (AttestationPlatform without one)
+ */
+function resolveContractOffline(network, options = {}) {
+  const readAbi = (contractName) => readArtifactAbi(contractName, options.artifactsDir);
+  const deployment = resolveDeployment(network, readAbi, options);
+  const contractName = deployment.manifest ? deployment.manifest.contractName : CONTRACT_NAME;
+  return { ...deployment, abi: readAbi(contractName) };
+}
+
+function resolveDeployment(network, readAbi, options) {
+  const file = manifestFile(network, options.dir);
+  const deployment = loadDeployment(network, options.dir);
+
+  let address;
+  let source;
+  if (options.address) {
+    if (!ethers.isAddress(options.address)) {
+      throw new Error(`Invalid contract address: ${options.address}`);
+    }
+    address = options.address;
+    source = "address";
+  } else if (deployment) {
+    address = deployment.address;
+    source = file;
+  } else {
+    throw new Error(
+      `No ${CONTRACT_NAME} deployment for network ${network}: deploy with ` +
+        `scripts/deploy.js (writes ${file}) or set CONTRACT_ADDRESS`
+    );
+  }
+
+  const manifest =
+    deployment && deployment.address.toLowerCase() === address.toLowerCase()
+      ? deployment
+      : null;
+
+  let abiChanged = false;
+  if (manifest) {
+    abiChanged = abiHash(readAbi(manifest.contractName)) !== manifest.abiHash;
+  }
+
+  return { address, source, manifest, abiChanged };
+}
+
+module.exports = {
+  DEFAULT_DEPLOYMENTS_DIR,
+  manifestFile,
+  abiHash,
+  loadDeployment,
+  recordDeployment,
+  recordUpgrade,
+  resolveContract,
+  readArtifactAbi,
+  resolveContractOffline,
+};
@@ -0,0 +1,118 @@
+/**
+ * Dry-run Report
+ *
+ * Formats the estimates a TransactionManager collects in dry-run mode
+ * (DRY_RUN=true in the flow and monitor): expected gas and fee of every
+ * write, its calldata size, and the revert reason of calls that would fail.
+ * Writes that depend on an earlier unsent write are listed as not estimated.
+ */
+
+const { ethers } = require("ethers");
+const { defaultLogger } = require("./logger");
+
+function formatGas(gas) {
+  return `${Number(gas).toLocaleString("en-US")} gas`;
+}
+
+function formatEth(wei) {
+  return `${ethers.formatEther(wei)} ETH`;
+}
+
+/**
+ * One-line description of an estimate
+ */
+function formatEstimate(estimate) {
+  const calldata = `calldata ${estimate.calldataBytes.toLocaleString("en-US")} bytes`;
+
+  if (estimate.skipped) {
+    return (
+      `${estimate.method}: NOT ESTIMATED (${estimate.skipReason}); ` +
+      `${calldata}, at least ${formatGas(estimate.intrinsicGas)}`
+    );
+  }
+
+  if (estimate.reverted) {
+    return (
+      `${estimate.method}: REVERTS (${estimate.revertReason || "no reason"}); ` +
+      `${calldata}, at least ${formatGas(estimate.intrinsicGas)}`
+    );
+  }
+
+  let line = `${estimate.method}: ${formatGas(estimate.gasEstimate)}, ${calldata}`;
+  if (estimate.expectedFee !== null) {
+    line += `, fee ~${formatEth(estimate.expectedFee)}`;
+  }
+  if (estimate.maxFee !== null) {
+    line += ` (max ${formatEth(estimate.maxFee)})`;
+  }
+  return line;
+}
+
+/**
+ * Totals over a list of estimates (reverting and skipped calls are counted
+ * separately)
+ */
+function summarizeEstimates(estimates) {
+  const sum = (values) => values.reduce((total, value) => total + value, 0n);
+  const succeeding = estimates.filter((estimate) => !estimate.reverted && !estimate.skipped);
+
+  return {
+    transactions: estimates.length,
+    reverting: estimates.filter((estimate) => estimate.reverted).length,
+    skipped: estimates.filter((estimate) => estimate.skipped).length,
+    gas: sum(succeeding.map((estimate) => estimate.gasEstimate)),
+    expectedFee: sum(succeeding.map((estimate) => estimate.expectedFee || 0n)),
+    maxFee: sum(succeeding.map((estimate) => estimate.maxFee || 0n)),
+    calldataBytes: estimates.reduce((total, estimate) => total + estimate.calldataBytes, 0),
+  };
+}
+
+/**
+ * Write every estimate and the totals through a logger. Each line carries
+ * its estimate (or the totals) as fields for the JSON log format.
+ */
+function printDryRunReport(estimates, logger = defaultLogger) {
+  const log = logger.child({ step: "dry-run" });
+  log.info("\n=== Dry Run Report (no transactions were sent) ===");
+
+  if (estimates.length === 0) {
+    log.info("No transactions would be sent");
+    return;
+  }
+
+  const { gasPrice, maxFeePerGas } = estimates[estimates.length - 1];
+  if (gasPrice !== null) {
+    let prices = `Gas price: ${ethers.formatUnits(gasPrice, "gwei")} gwei`;
+    if (maxFeePerGas !== null) {
+      prices += `, max fee per gas: ${ethers.formatUnits(maxFeePerGas, "gwei")} gwei`;
+    }
+    log.info(prices, { gasPrice, maxFeePerGas });
+  }
+
+  estimates.forEach((estimate, i) => log.info(`${i + 1}. ${formatEstimate(estimate)}`, { estimate }));
+
+  const totals = summarizeEstimates(estimates);
+  log.info(
+    `Total: ${totals.transactions} transaction(s), ${formatGas(totals.gas)}, ` +
+      `fee ~${formatEth(totals.expectedFee)} (max ${formatEth(totals.maxFee)}), ` +
+      `calldata ${totals.calldataBytes.toLocaleString("en-US")} bytes`,
+    { estimates: totals }
+  );
+
+  if (totals.reverting > 0) {
+    log.warn(
+      `${totals.reverting} call(s) would revert. Some may only revert because ` +
+        "earlier calls of this run were not sent (e.g. submitting for an " +
+        "attestor that is not registered yet)."
+    );
+  }
+  if (totals.skipped > 0) {
+    log.info(`${totals.skipped} call(s) could not be estimated and are not in the total`);
+  }
+}
+
+module.exports = {
+  formatEstimate,
+  summarizeEstimates,
+  printDryRunReport,
+};
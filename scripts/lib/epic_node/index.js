@@ -0,0 +1,154 @@
+/**
+ * Local epic-node
+ *
+ * JavaScript implementation of the epic-node `generate-keys` and
+ * `create-attestation` commands on top of the toy Paillier scheme in
+ * ./paillier.js. It writes the same file layout as the Rust binary:
+ *
+ *   <keys-dir>/public.key    shared public key
+ *   <keys-dir>/private.key   private key (kept by the prover side)
+ *   <output>.bin             encrypted attestation of one node
+ *
+ * Keys and attestations are JSON documents with hex-encoded integers.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const paillier = require("./paillier");
+
+const KEY_FORMAT = "epic-paillier-key";
+const ATTESTATION_FORMAT = "epic-paillier-attestation";
+
+// Seed used when none is given, so every machine derives the same keys
+const DEFAULT_SEED = "epic-node";
+
+const toHex = (value) => `0x${value.toString(16)}`;
+
+function writeJson(file, value) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(value, null, 2));
+}
+
+function readJsonFile(file, format) {
+  const document = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (document.format !== format) {
+    throw new Error(`${file} is not a ${format} file`);
+  }
+  return document;
+}
+
+/**
+ * Generate a deterministic key pair and write public.key / private.key
+ * @returns { publicKeyPath, privateKeyPath }
+ */
+function generateKeys(bits, keysDir, seed = DEFAULT_SEED) {
+  const { publicKey, privateKey } = paillier.generateKeyPair(bits, seed);
+
+  const publicKeyPath = path.join(keysDir, "public.key");
+  const privateKeyPath = path.join(keysDir, "private.key");
+
+  writeJson(publicKeyPath, {
+    format: KEY_FORMAT,
+    type: "public",
+    bits,
+    n: toHex(publicKey.n),
+    g: toHex(publicKey.g),
+  });
+  writeJson(privateKeyPath, {
+    format: KEY_FORMAT,
+    type: "private",
+    bits,
+    n: toHex(privateKey.n),
+    lambda: toHex(privateKey.lambda),
+    mu: toHex(privateKey.mu),
+  });
+
+  return { publicKeyPath, privateKeyPath };
+}
+
+function readPublicKey(file) {
+  const key = readJsonFile(file, KEY_FORMAT);
+  return { n: BigInt(key.n), g: BigInt(key.g) };
+}
+
+function readPrivateKey(file) {
+  const key = readJsonFile(file, KEY_FORMAT);
+  if (key.type !== "private") {
+    throw new Error(`${file} is not a private key`);
+  }
+  return { n: BigInt(key.n), lambda: BigInt(key.lambda), mu: BigInt(key.mu) };
+}
+
+/**
+ * Parse a values file: non-negative integers separated by whitespace or commas
+ */
+function readValues(file) {
+  const values = fs
+    .readFileSync(file, "utf8")
+    .split(/[\s,]+/)
+    .filter(Boolean);
+
+  if (values.length === 0) {
+    throw new Error(`No values found in ${file}`);
+  }
+  for (const value of values) {
+    if (!/^\d+$/.test(value)) {
+      throw new Error(`Invalid value "${value}" in ${file}`);
+    }
+  }
+  return values.map(BigInt);
+}
+
+/**
+ * Encrypt a node's values under the shared public key
+ * @returns The attestation document that was written
+ */
+function createAttestation(nodeId, publicKeyFile, valuesFile, outputFile) {
+  const publicKey = readPublicKey(publicKeyFile);
+  const values = readValues(valuesFile);
+
+  const attestation = {
+    format: ATTESTATION_FORMAT,
+    version: 1,
+    nodeId: Number(nodeId),
+    n: toHex(publicKey.n),
+    ciphertexts: values.map((value) => toHex(paillier.encrypt(publicKey, value))),
+  };
+
+  writeJson(outputFile, attestation);
+  return attestation;
+}
+
+/**
+ * Parse attestation bytes produced by createAttestation
+ * @returns The attestation document, or null for other formats
+ */
+function parseAttestation(data) {
+  try {
+    const document = JSON.parse(Buffer.from(data).toString("utf8"));
+    return document.format === ATTESTATION_FORMAT ? document : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Decrypt every value of an attestation
+ */
+function decryptAttestation(privateKey, attestation) {
+  if (BigInt(attestation.n) !== privateKey.n) {
+    throw new Error("Attestation was encrypted under a different key");
+  }
+  return attestation.ciphertexts.map((c) => paillier.decrypt(privateKey, BigInt(c)));
+}
+
+module.exports = {
+  DEFAULT_SEED,
+  generateKeys,
+  readPublicKey,
+  readPrivateKey,
+  readValues,
+  createAttestation,
+  parseAttestation,
+  decryptAttestation,
+};
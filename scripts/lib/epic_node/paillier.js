@@ -0,0 +1,208 @@
+/**
+ * Paillier Encryption
+ *
+ * Minimal additively homomorphic Paillier scheme over BigInt, used by the
+ * local epic-node stand-in. Keys are small (the default is 1024-bit n) and
+ * the implementation is not constant-time: it exists so the attestation flow
+ * can run end to end without the Rust epic-node binary, not to protect real
+ * financial data.
+ *
+ * With g = n + 1:
+ *   Enc(m; r) = (1 + m·n) · r^n  mod n²
+ *   Dec(c)    = L(c^λ mod n²) · μ mod n,  L(x) = (x - 1) / n,  μ = λ⁻¹ mod n
+ *   Enc(a) · Enc(b) = Enc(a + b)
+ */
+
+const crypto = require("crypto");
+
+// Witnesses for Miller-Rabin; plus random bases for large candidates
+const SMALL_PRIMES = [2n, 3n, 5n, 7n, 11n, 13n, 17n, 19n, 23n, 29n, 31n, 37n];
+const MILLER_RABIN_ROUNDS = 24;
+
+function modPow(base, exponent, modulus) {
+  let result = 1n;
+  base %= modulus;
+  while (exponent > 0n) {
+    if (exponent & 1n) result = (result * base) % modulus;
+    base = (base * base) % modulus;
+    exponent >>= 1n;
+  }
+  return result;
+}
+
+function gcd(a, b) {
+  while (b) [a, b] = [b, a % b];
+  return a;
+}
+
+function lcm(a, b) {
+  return (a / gcd(a, b)) * b;
+}
+
+function modInverse(a, modulus) {
+  let [oldR, r] = [a % modulus, modulus];
+  let [oldS, s] = [1n, 0n];
+  while (r) {
+    const q = oldR / r;
+    [oldR, r] = [r, oldR - q * r];
+    [oldS, s] = [s, oldS - q * s];
+  }
+  if (oldR !== 1n) {
+    throw new Error("Value is not invertible");
+  }
+  return ((oldS % modulus) + modulus) % modulus;
+}
+
+function bytesToBigInt(bytes) {
+  return BigInt(`0x${Buffer.from(bytes).toString("hex") || "0"}`);
+}
+
+/**
+ * Deterministic byte stream: SHA-256(seed || counter) blocks
+ */
+function seededRandom(seed) {
+  let counter = 0;
+  return (length) => {
+    const chunks = [];
+    let produced = 0;
+    while (produced < length) {
+      const block = crypto
+        .createHash("sha256")
+        .update(seed)
+        .update(String(counter++))
+        .digest();
+      chunks.push(block);
+      produced += block.length;
+    }
+    return Buffer.concat(chunks).subarray(0, length);
+  };
+}
+
+// Random integer with exactly `bits` bits
+function randomBits(bits, random) {
+  const bytes = random(Math.ceil(bits / 8));
+  let value = bytesToBigInt(bytes) & ((1n << BigInt(bits)) - 1n);
+  return value | (1n << BigInt(bits - 1));
+}
+
+// Random integer in [1, max)
+function randomBelow(max, random) {
+  const bytes = Math.ceil(max.toString(2).length / 8) + 8;
+  return (bytesToBigInt(random(bytes)) % (max - 1n)) + 1n;
+}
+
+function isProbablePrime(n, random) {
+  if (n < 2n) return false;
+  for (const p of SMALL_PRIMES) {
+    if (n === p) return true;
+    if (n % p === 0n) return false;
+  }
+
+  let d = n - 1n;
+  let s = 0;
+  while ((d & 1n) === 0n) {
+    d >>= 1n;
+    s++;
+  }
+
+  for (let i = 0; i < MILLER_RABIN_ROUNDS; i++) {
+    const a = i < SMALL_PRIMES.length ? SMALL_PRIMES[i] : randomBelow(n - 2n, random) + 1n;
+    let x = modPow(a, d, n);
+    if (x === 1n || x === n - 1n) continue;
+
+    let composite = true;
+    for (let r = 1; r < s; r++) {
+      x = (x * x) % n;
+      if (x === n - 1n) {
+        composite = false;
+        break;
+      }
+    }
+    if (composite) return false;
+  }
+  return true;
+}
+
+function generatePrime(bits, random) {
+  for (;;) {
+    const candidate = randomBits(bits, random) | 1n;
+    if (isProbablePrime(candidate, random)) {
+      return candidate;
+    }
+  }
+}
+
+/**
+ * Generate a key pair
+ * @param bits Size of the modulus n
+ * @param seed Optional seed; the same seed always yields the same keys
+ * @returns { publicKey: { n, g }, privateKey: { n, lambda, mu } }
+ */
+function generateKeyPair(bits, seed) {
+  if (!Number.isInteger(bits) || bits < 64) {
+    throw new Error(`Key size must be an integer of at least 64 bits, got ${bits}`);
+  }
+
+  const random = seed === undefined ? crypto.randomBytes : seededRandom(seed);
+  const half = Math.floor(bits / 2);
+
+  for (;;) {
+    const p = generatePrime(half, random);
+    const q = generatePrime(bits - half, random);
+    const n = p * q;
+
+    if (p === q || gcd(n, (p - 1n) * (q - 1n)) !== 1n) {
+      continue;
+    }
+
+    const lambda = lcm(p - 1n, q - 1n);
+    return {
+      publicKey: { n, g: n + 1n },
+      privateKey: { n, lambda, mu: modInverse(lambda, n) },
+    };
+  }
+}
+
+/**
+ * Encrypt a non-negative integer smaller than n
+ */
+function encrypt(publicKey, message) {
+  const { n } = publicKey;
+  const m = BigInt(message);
+  if (m < 0n || m >= n) {
+    throw new Error("Message out of range for this key");
+  }
+
+  const n2 = n * n;
+  let r;
+  do {
+    r = randomBelow(n, crypto.randomBytes);
+  } while (gcd(r, n) !== 1n);
+
+  return (((1n + m * n) % n2) * modPow(r, n, n2)) % n2;
+}
+
+/**
+ * Decrypt a ciphertext
+ */
+function decrypt(privateKey, ciphertext) {
+  const { n, lambda, mu } = privateKey;
+  const n2 = n * n;
+  const x = modPow(BigInt(ciphertext), lambda, n2);
+  return (((x - 1n) / n) * mu) % n;
+}
+
+/**
+ * Homomorphically add two ciphertexts: Dec(add(a, b)) = Dec(a) + Dec(b) mod n
+ */
+function addCiphertexts(publicKey, a, b) {
+  const n2 = publicKey.n * publicKey.n;
+  return (BigInt(a) * BigInt(b)) % n2;
+}
+
+module.exports = {
+  generateKeyPair,
+  encrypt,
+  decrypt,
+  addCiphertexts,
+};
@@ -0,0 +1,373 @@
+/**
+ * Event Index
+ *
+ * Historical store of AttestationPlatform events in an embedded SQLite
+ * database (sql.js, kept in a single file), filled by event_indexer.js, and
+ * the queries over it. Questions like "which periods failed in the last
+ * quarter" or "when did attestor X last submit" become one indexed query
+ * instead of a scan of contract state:
+ *
+ *   const index = await EventIndex.open("attestation_temp/events.sqlite");
+ *   index.queryEvents({ event: "VerificationResultSubmitted", passed: false, since: parseTime("90d") });
+ *   index.queryEvents({ event: "AttestationSubmitted", attestor, limit: 1 });
+ *
+ * Every event is one row keyed by (blockNumber, logIndex) with the block
+ * hash and time, the transaction hash and the fields the queries filter on
+ * (periodId, attestor, ruleId, passed); the remaining arguments are kept as
+ * JSON. The index also records which chain and contract it belongs to and
+ * the last indexed block with its hash, so a reorg can be rolled back.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const initSqlJs = require("sql.js");
+const { ethers } = require("ethers");
+const { roleName } = require("./attestor_roles");
+
+const DEFAULT_INDEX_FILE = path.join(__dirname, "../../attestation_temp/events.sqlite");
+
+// Events the indexer ingests
+const INDEXED_EVENTS = [
+  "AttestorRegistered",
+  "AttestationSubmitted",
+  "AttestationPeriodComplete",
+  "VerificationRuleAdded",
+  "VerificationResultSubmitted",
+];
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+  CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    block_time INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    event TEXT NOT NULL,
+    period_id INTEGER,
+    attestor TEXT,
+    rule_id INTEGER,
+    passed INTEGER,
+    data TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS events_by_period ON events (period_id, event);
+  CREATE INDEX IF NOT EXISTS events_by_attestor ON events (attestor, block_time);
+  CREATE INDEX IF NOT EXISTS events_by_time ON events (event, block_time);
+`;
+
+let sqlJs = null;
+
+// sql.js compiles its WebAssembly module once per process
+function loadSqlJs() {
+  sqlJs = sqlJs || initSqlJs();
+  return sqlJs;
+}
+
+/**
+ * Parse a point in time for a query: an ISO 8601 date or date-time, unix
+ * seconds, or a duration before now such as "90d", "12h" or "30m"
+ * @returns Unix seconds
+ */
+function parseTime(text, now = Date.now()) {
+  const value = String(text).trim();
+
+  const relative = /^(\d+)([dhm])$/.exec(value);
+  if (relative) {
+    const seconds = { d: 86400, h: 3600, m: 60 }[relative[2]];
+    return Math.floor(now / 1000) - Number(relative[1]) * seconds;
+  }
+  if (/^\d+$/.test(value)) {
+    return Number(value);
+  }
+
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid time "${text}" (expected an ISO date, unix seconds or a duration like 90d)`);
+  }
+  return Math.floor(time / 1000);
+}
+
+// Row for an event, see the schema
+function eventRow(event, blockTime) {
+  const { args } = event;
+  const row = {
+    block_number: event.blockNumber,
+    log_index: event.index,
+    block_hash: event.blockHash,
+    block_time: blockTime,
+    transaction_hash: event.transactionHash,
+    event: event.eventName,
+    period_id: null,
+    attestor: null,
+    rule_id: null,
+    passed: null,
+    data: {},
+  };
+
+  switch (event.eventName) {
+    case "AttestorRegistered":
+      row.attestor = args.attestor.toLowerCase();
+      row.data = { name: args.name, role: roleName(args.role) };
+      break;
+    case "AttestationSubmitted":
+      row.period_id = Number(args.periodId);
+      row.attestor = args.attestor.toLowerCase();
+      break;
+    case "AttestationPeriodComplete":
+      row.period_id = Number(args.periodId);
+      row.data = { attestorCount: Number(args.attestorCount) };
+      break;
+    case "VerificationRuleAdded":
+      row.rule_id = Number(args.ruleId);
+      row.data = { description: args.description };
+      break;
+    case "VerificationResultSubmitted":
+      row.period_id = Number(args.periodId);
+      row.passed = args.passed ? 1 : 0;
+      break;
+    default:
+      throw new Error(`Event ${event.eventName} is not indexed`);
+  }
+
+  return { ...row, data: JSON.stringify(row.data) };
+}
+
+// Query result for a row
+function eventFromRow(row) {
+  return {
+    event: row.event,
+    periodId: row.period_id,
+    attestor: row.attestor === null ? null : ethers.getAddress(row.attestor),
+    ruleId: row.rule_id,
+    passed: row.passed === null ? null : row.passed === 1,
+    timestamp: row.block_time,
+    time: new Date(row.block_time * 1000).toISOString(),
+    blockNumber: row.block_number,
+    logIndex: row.log_index,
+    blockHash: row.block_hash,
+    transactionHash: row.transaction_hash,
+    ...JSON.parse(row.data),
+  };
+}
+
+class EventIndex {
+  /**
+   * Open an index file, creating an empty index if it does not exist
+   */
+  static async open(file = DEFAULT_INDEX_FILE) {
+    const SQL = await loadSqlJs();
+    const db = fs.existsSync(file) ? new SQL.Database(fs.readFileSync(file)) : new SQL.Database();
+    return new EventIndex(db, file);
+  }
+
+  constructor(db, file) {
+    this.db = db;
+    this.file = file;
+    this.db.exec(SCHEMA);
+  }
+
+  _all(sql, params = {}) {
+    const statement = this.db.prepare(sql);
+    try {
+      statement.bind(params);
+      const rows = [];
+      while (statement.step()) {
+        rows.push(statement.getAsObject());
+      }
+      return rows;
+    } finally {
+      statement.free();
+    }
+  }
+
+  _getMeta(key) {
+    const [row] = this._all("SELECT value FROM meta WHERE key = $key", { $key: key });
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  _setMeta(key, value) {
+    this.db.run("INSERT OR REPLACE INTO meta (key, value) VALUES ($key, $value)", {
+      $key: key,
+      $value: JSON.stringify(value),
+    });
+  }
+
+  /**
+   * The chain and contract the index belongs to and how far it got
+   * @returns { chainId, contractAddress, startBlock, lastIndexedBlock,
+   *            lastIndexedBlockHash }, or null for a new index
+   */
+  getState() {
+    return this._getMeta("state");
+  }
+
+  /**
+   * Bind a new index to a deployment, or check that an existing one belongs
+   * to it
+   * @throws If the index was built for another chain or contract
+   */
+  initialize(chainId, contractAddress, startBlock) {
+    const state = this.getState();
+    if (!state) {
+      const fresh = {
+        chainId: chainId.toString(),
+        contractAddress: contractAddress.toLowerCase(),
+        startBlock,
+        lastIndexedBlock: startBlock - 1,
+        lastIndexedBlockHash: null,
+      };
+      this._setMeta("state", fresh);
+      return fresh;
+    }
+
+    if (state.chainId !== chainId.toString() || state.contractAddress !== contractAddress.toLowerCase()) {
+      throw new Error(
+        `${this.file} indexes ${state.contractAddress} on chain ${state.chainId}, ` +
+          `not ${contractAddress} on chain ${chainId}; use another index file`
+      );
+    }
+    return state;
+  }
+
+  /**
+   * Store the events of a block range and move the checkpoint to its end,
+   * in one transaction
+   * @param events ethers EventLog objects
+   * @param blockTimes Map of block number -> timestamp (seconds)
+   */
+  ingest(events, blockTimes, lastIndexedBlock, lastIndexedBlockHash) {
+    this.db.exec("BEGIN");
+    try {
+      for (const event of events) {
+        const row = eventRow(event, blockTimes.get(event.blockNumber));
+        this.db.run(
+          `INSERT OR REPLACE INTO events VALUES ($block_number, $log_index, $block_hash, $block_time,
+             $transaction_hash, $event, $period_id, $attestor, $rule_id, $passed, $data)`,
+          Object.fromEntries(Object.entries(row).map(([key, value]) => [`$${key}`, value]))
+        );
+      }
+      this._setMeta("state", { ...this.getState(), lastIndexedBlock, lastIndexedBlockHash });
+      this.db.exec("COMMIT");
+    } catch (error) {
+      this.db.exec("ROLLBACK");
+      throw error;
+    }
+  }
+
+  /**
+   * Drop every event after a block, e.g. the blocks replaced by a reorg
+   * @param blockHash Hash of `blockNumber` for the new checkpoint
+   * @returns Number of events removed
+   */
+  rollback(blockNumber, blockHash) {
+    this.db.exec("BEGIN");
+    this.db.run("DELETE FROM events WHERE block_number > $block", { $block: blockNumber });
+    const removed = this.db.getRowsModified();
+    this._setMeta("state", {
+      ...this.getState(),
+      lastIndexedBlock: blockNumber,
+      lastIndexedBlockHash: blockHash,
+    });
+    this.db.exec("COMMIT");
+    return removed;
+  }
+
+  /**
+   * Write the index to its file (via a temporary file, so readers never see
+   * a partial database)
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tempFile = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, Buffer.from(this.db.export()));
+    fs.renameSync(tempFile, this.file);
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  /**
+   * Find events, newest first
+   *
+   * @param filters.event Event name (see INDEXED_EVENTS)
+   * @param filters.periodId Period ID
+   * @param filters.attestor Attestor address (any case)
+   * @param filters.passed true or false to only get verification results
+   *                       with that outcome
+   * @param filters.since, filters.until Time range in unix seconds
+   *                                     (inclusive), see parseTime
+   * @param filters.limit Maximum number of events
+   * @param filters.order "desc" (default) or "asc"
+   * @returns Array of { event, periodId, attestor, ruleId, passed,
+   *          timestamp, time (ISO), blockNumber, logIndex, blockHash,
+   *          transactionHash, ...other event arguments }
+   */
+  queryEvents(filters = {}) {
+    const where = [];
+    const params = {};
+    const add = (condition, key, value) => {
+      where.push(condition);
+      params[key] = value;
+    };
+
+    if (filters.event !== undefined) {
+      if (!INDEXED_EVENTS.includes(filters.event)) {
+        throw new Error(`Unknown event "${filters.event}" (expected one of: ${INDEXED_EVENTS.join(", ")})`);
+      }
+      add("event = $event", "$event", filters.event);
+    }
+    if (filters.periodId !== undefined) add("period_id = $period", "$period", Number(filters.periodId));
+    if (filters.attestor !== undefined) add("attestor = $attestor", "$attestor", filters.attestor.toLowerCase());
+    if (filters.passed !== undefined) add("passed = $passed", "$passed", filters.passed ? 1 : 0);
+    if (filters.since !== undefined) add("block_time >= $since", "$since", filters.since);
+    if (filters.until !== undefined) add("block_time <= $until", "$until", filters.until);
+
+    const order = filters.order === "asc" ? "ASC" : "DESC";
+    let sql = "SELECT * FROM events";
+    if (where.length > 0) sql += ` WHERE ${where.join(" AND ")}`;
+    sql += ` ORDER BY block_number ${order}, log_index ${order}`;
+    if (filters.limit !== undefined) {
+      sql += " LIMIT $limit";
+      params.$limit = filters.limit;
+    }
+
+    return this._all(sql, params).map(eventFromRow);
+  }
+
+  /**
+   * Registered attestors by address, from AttestorRegistered
+   * @returns Map of address -> { name, role }
+   */
+  attestorNames() {
+    return new Map(
+      this.queryEvents({ event: "AttestorRegistered", order: "asc" }).map(({ attestor, name, role }) => [
+        attestor,
+        { name, role },
+      ])
+    );
+  }
+
+  /**
+   * Number of indexed events by event name
+   */
+  countEvents() {
+    return Object.fromEntries(
+      this._all("SELECT event, COUNT(*) AS count FROM events GROUP BY event").map(({ event, count }) => [
+        event,
+        count,
+      ])
+    );
+  }
+}
+
+module.exports = {
+  DEFAULT_INDEX_FILE,
+  INDEXED_EVENTS,
+  EventIndex,
+  parseTime,
+};
@@ -0,0 +1,98 @@
+/**
+ * Event Indexer
+ *
+ * Copies the contract's events into an EventIndex (see event_index.js) in
+ * block ranges, moving the index's checkpoint after each range so an
+ * interrupted run resumes where it stopped.
+ *
+ * Reorgs are handled like in the event monitor: the index stores the hash of
+ * its last indexed block, and when that block is no longer on the chain the
+ * last `reorgBlocks` blocks are dropped from the index and indexed again.
+ * Indexing only up to blocks with enough confirmations keeps reorgs within
+ * that window.
+ */
+
+const { INDEXED_EVENTS } = require("./event_index");
+const { defaultLogger } = require("./logger");
+
+const DEFAULT_BLOCK_RANGE = 2000;
+const DEFAULT_REORG_BLOCKS = 12;
+
+/**
+ * Roll the index back if its last indexed block was reorged out
+ * @returns Number of events removed, or null if there was no reorg
+ */
+async function rollbackReorg(client, index, reorgBlocks, logger) {
+  const state = index.getState();
+  if (!state.lastIndexedBlockHash) {
+    return null;
+  }
+
+  const hash = await client.getBlockHash(state.lastIndexedBlock);
+  if (hash === state.lastIndexedBlockHash) {
+    return null;
+  }
+
+  const rewindTo = Math.max(state.startBlock - 1, state.lastIndexedBlock - reorgBlocks);
+  const removed = index.rollback(rewindTo, rewindTo >= 0 ? await client.getBlockHash(rewindTo) : null);
+  index.save();
+
+  logger.warn(
+    `Reorg detected: block ${state.lastIndexedBlock} changed, removed ${removed} event(s) ` +
+      `and re-indexing from block ${rewindTo + 1}`
+  );
+  return removed;
+}
+
+/**
+ * Index every event up to a block
+ *
+ * @param client AttestationClient of the indexed contract
+ * @param index EventIndex, initialized for the contract
+ * @param toBlock Last block to index, usually the head minus confirmations
+ * @param options.blockRange Blocks per log query
+ * @param options.reorgBlocks Blocks re-indexed after a reorg
+ * @param options.logger Logger for progress and reorgs (see logger.js)
+ * @returns { indexed, removed, lastIndexedBlock }, where removed is the
+ *          number of events rolled back by a reorg
+ */
+async function syncEventIndex(client, index, toBlock, options = {}) {
+  const blockRange = options.blockRange || DEFAULT_BLOCK_RANGE;
+  const reorgBlocks = options.reorgBlocks ?? DEFAULT_REORG_BLOCKS;
+  const logger = options.logger || defaultLogger;
+
+  const removed = (await rollbackReorg(client, index, reorgBlocks, logger)) || 0;
+  let indexed = 0;
+
+  while (index.getState().lastIndexedBlock < toBlock) {
+    const fromBlock = index.getState().lastIndexedBlock + 1;
+    const rangeEnd = Math.min(fromBlock + blockRange - 1, toBlock);
+
+    // Take the hash of the range's last block before its logs: if a reorg
+    // lands in between, the stored hash is the replaced one and the next
+    // sync rolls the range back
+    const rangeEndHash = await client.getBlockHash(rangeEnd);
+    const events = await client.getEvents(INDEXED_EVENTS, fromBlock, rangeEnd);
+
+    const blockTimes = new Map();
+    for (const event of events) {
+      if (!blockTimes.has(event.blockNumber)) {
+        blockTimes.set(event.blockNumber, await client.getBlockTimestamp(event.blockNumber));
+      }
+    }
+
+    index.ingest(events, blockTimes, rangeEnd, rangeEndHash);
+    index.save();
+    indexed += events.length;
+
+    logger.debug(`Indexed blocks ${fromBlock} to ${rangeEnd}: ${events.length} event(s)`);
+  }
+
+  return { indexed, removed, lastIndexedBlock: index.getState().lastIndexedBlock };
+}
+
+module.exports = {
+  DEFAULT_BLOCK_RANGE,
+  DEFAULT_REORG_BLOCKS,
+  syncEventIndex,
+};
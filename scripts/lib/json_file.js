@@ -0,0 +1,33 @@
+/**
+ * Small helpers for the JSON state files kept by the monitor
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Read a JSON file, returning `fallback` if it does not exist
+ */
+function readJson(file, fallback) {
+  if (!fs.existsSync(file)) {
+    return fallback;
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Write a JSON file atomically (write to a temp file, then rename) so a
+ * crash never leaves a half-written state file behind
+ */
+function writeJsonAtomic(file, value) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  const tempFile = `${file}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(value, null, 2));
+  fs.renameSync(tempFile, file);
+}
+
+module.exports = {
+  readJson,
+  writeJsonAtomic,
+};
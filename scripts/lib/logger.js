@@ -0,0 +1,179 @@
+/**
+ * Logger
+ *
+ * Leveled logger for the scripts (LOG_LEVEL debug, info, warn or error) with
+ * two output formats (LOG_FORMAT):
+ *
+ *   text  the message alone, as the scripts have always printed it (default)
+ *   json  one JSON object per line for log pipelines:
+ *           { time, level, msg, runId, periodId, step, txHash, ...fields }
+ *
+ * Loggers carry fields: `logger.child({ periodId })` returns a logger that
+ * adds them to every line. The correlation fields runId, periodId, step and
+ * txHash are on every JSON line, null while not known, so a pipeline can
+ * group the lines of a run or a period.
+ *
+ * Usage:
+ *   const log = createLogger({ format: "json" }).child({ runId: newRunId() });
+ *   log.info("Attestation submitted", { txHash: receipt.hash });
+ */
+
+const crypto = require("crypto");
+
+const LOG_LEVELS = ["debug", "info", "warn", "error"];
+const LOG_FORMATS = ["text", "json"];
+const CORRELATION_FIELDS = ["runId", "periodId", "step", "txHash"];
+
+// JSON-safe copy of a field value (BigInts become strings, errors objects)
+function serializeField(value) {
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      ...(value.code !== undefined ? { code: value.code } : {}),
+    };
+  }
+  return value;
+}
+
+function writeConsole(level, line) {
+  if (level === "error") {
+    console.error(line);
+  } else if (level === "warn") {
+    console.warn(line);
+  } else {
+    console.log(line);
+  }
+}
+
+class Logger {
+  /**
+   * @param options.level Lowest level written, defaults to info
+   * @param options.format "text" (default) or "json"
+   * @param options.fields Fields added to every line
+   * @param options.prefix Text prepended to messages in text format
+   * @param options.write (level, line) => void, defaults to the console
+   */
+  constructor(options = {}) {
+    this.level = options.level || "info";
+    this.format = options.format || "text";
+    this.fields = options.fields || {};
+    this.prefix = options.prefix || "";
+    this.write = options.write || writeConsole;
+
+    if (!LOG_LEVELS.includes(this.level)) {
+      throw new Error(`Unknown log level "${this.level}" (expected one of: ${LOG_LEVELS.join(", ")})`);
+    }
+    if (!LOG_FORMATS.includes(this.format)) {
+      throw new Error(`Unknown log format "${this.format}" (expected one of: ${LOG_FORMATS.join(", ")})`);
+    }
+  }
+
+  /**
+   * Logger adding fields to every line, e.g. child({ periodId: 3 })
+   * @param options.prefix Text prepended to messages in text format, e.g.
+   *                       "SP1: " for a subprocess's output
+   */
+  child(fields, options = {}) {
+    return new Logger({
+      level: this.level,
+      format: this.format,
+      fields: { ...this.fields, ...fields },
+      prefix: this.prefix + (options.prefix || ""),
+      write: this.write,
+    });
+  }
+
+  enabled(level) {
+    return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.level);
+  }
+
+  log(level, message, fields = {}) {
+    if (!this.enabled(level)) {
+      return;
+    }
+
+    if (this.format === "text") {
+      this.write(level, this.prefix ? `${this.prefix}${message}` : message);
+      return;
+    }
+
+    // Headings and blank lines only structure the text output
+    const msg = String(message).trim();
+    if (!msg) {
+      return;
+    }
+
+    const entry = { time: new Date().toISOString(), level, msg };
+    for (const field of CORRELATION_FIELDS) {
+      entry[field] = null;
+    }
+    for (const [key, value] of Object.entries({ ...this.fields, ...fields })) {
+      if (value !== undefined) {
+        entry[key] = serializeField(value);
+      }
+    }
+    this.write(level, JSON.stringify(entry, (key, value) => serializeField(value)));
+  }
+
+  debug(message, fields) {
+    this.log("debug", message, fields);
+  }
+
+  info(message, fields) {
+    this.log("info", message, fields);
+  }
+
+  warn(message, fields) {
+    this.log("warn", message, fields);
+  }
+
+  error(message, fields) {
+    this.log("error", message, fields);
+  }
+}
+
+/**
+ * Create a logger
+ * @param options See Logger
+ */
+function createLogger(options = {}) {
+  return new Logger(options);
+}
+
+/**
+ * Log the captured output of a finished subprocess one line at a time,
+ * stdout at info and stderr at error level
+ * @param stdout, stderr Buffers or strings, either may be missing
+ */
+function logProcessOutput(logger, stdout, stderr) {
+  const lines = (output) => (output ? output.toString().split(/\r?\n/).filter((line) => line.trim()) : []);
+  for (const line of lines(stdout)) {
+    logger.info(line, { stream: "stdout" });
+  }
+  for (const line of lines(stderr)) {
+    logger.error(line, { stream: "stderr" });
+  }
+}
+
+// Identifier correlating the lines of one run of a script
+function newRunId() {
+  return crypto.randomUUID();
+}
+
+// Text logger at info level, for library code that is given no logger
+const defaultLogger = new Logger();
+
+module.exports = {
+  LOG_LEVELS,
+  LOG_FORMATS,
+  CORRELATION_FIELDS,
+  Logger,
+  createLogger,
+  defaultLogger,
+  logProcessOutput,
+  newRunId,
+};
@@ -0,0 +1,297 @@
+/**
+ * Metrics
+ *
+ * Counters, gauges and histograms rendered in the Prometheus text format,
+ * and a small HTTP server exposing them:
+ *
+ *   GET /metrics  all metrics of a registry
+ *   GET /healthz  JSON health report; 200 when healthy, 503 otherwise
+ *
+ * Usage:
+ *   const registry = new MetricsRegistry({ prefix: "attestation_monitor_" });
+ *   const events = registry.counter("events_total", "Events handled", ["event"]);
+ *   events.inc({ event: "AttestationPeriodComplete" });
+ *   const server = await startMetricsServer({ registry, health, port: 9464 });
+ */
+
+const http = require("http");
+
+// Default histogram buckets (seconds), suited to proof generation times
+const DEFAULT_BUCKETS = [1, 5, 15, 30, 60, 120, 300, 600, 1800, 3600];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return "";
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(",")}}`;
+}
+
+function formatNumber(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+// Key of a label set, independent of property order
+function labelKey(labelNames, labels) {
+  for (const name of Object.keys(labels)) {
+    if (!labelNames.includes(name)) {
+      throw new Error(`Unknown label "${name}" (expected one of: ${labelNames.join(", ") || "none"})`);
+    }
+  }
+  return JSON.stringify(labelNames.map((name) => (labels[name] === undefined ? "" : String(labels[name]))));
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  // Series for a label set, created on first use. Metrics without labels
+  // have their one series from the start, so they are exported as 0.
+  _get(labels, create) {
+    const key = labelKey(this.labelNames, labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: { ...labels }, value: create() });
+    }
+    return this.series.get(key);
+  }
+
+  render() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this._samples()].join("\n");
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super("counter", name, help, labelNames);
+    if (this.labelNames.length === 0) {
+      this.inc({}, 0);
+    }
+  }
+
+  inc(labels = {}, amount = 1) {
+    if (amount < 0) {
+      throw new Error(`Counter ${this.name} cannot decrease`);
+    }
+    this._get(labels, () => 0).value += amount;
+  }
+
+  get(labels = {}) {
+    return this._get(labels, () => 0).value;
+  }
+
+  _samples() {
+    return [...this.series.values()].map(
+      ({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatNumber(value)}`
+    );
+  }
+}
+
+class Gauge extends Metric {
+  /**
+   * @param options.collect Function returning the current value when the
+   *                        metrics are rendered (null = no sample), instead
+   *                        of values set with set()
+   */
+  constructor(name, help, labelNames, options = {}) {
+    super("gauge", name, help, labelNames);
+    this.collect = options.collect;
+    if (!this.collect && this.labelNames.length === 0) {
+      this.set({}, 0);
+    }
+  }
+
+  set(labels, value) {
+    if (value === undefined) {
+      [labels, value] = [{}, labels];
+    }
+    this._get(labels, () => 0).value = value;
+  }
+
+  get(labels = {}) {
+    if (this.collect) {
+      return this.collect();
+    }
+    return this._get(labels, () => 0).value;
+  }
+
+  _samples() {
+    if (this.collect) {
+      const value = this.collect();
+      return value === null || value === undefined ? [] : [`${this.name} ${formatNumber(value)}`];
+    }
+    return [...this.series.values()].map(
+      ({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatNumber(value)}`
+    );
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, options = {}) {
+    super("histogram", name, help, labelNames);
+    this.buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+    if (this.labelNames.length === 0) {
+      this._series({});
+    }
+  }
+
+  _series(labels) {
+    return this._get(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 })).value;
+  }
+
+  observe(labels, value) {
+    if (value === undefined) {
+      [labels, value] = [{}, labels];
+    }
+    const series = this._series(labels);
+
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        series.counts[i]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  get(labels = {}) {
+    const { sum, count } = this._series(labels);
+    return { sum, count };
+  }
+
+  _samples() {
+    const samples = [];
+    for (const { labels, value } of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        samples.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatNumber(bound) })} ${value.counts[i]}`);
+      });
+      samples.push(`${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${value.count}`);
+      samples.push(`${this.name}_sum${formatLabels(labels)} ${formatNumber(value.sum)}`);
+      samples.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+    }
+    return samples;
+  }
+}
+
+class MetricsRegistry {
+  /**
+   * @param options.prefix Prepended to every metric name
+   */
+  constructor(options = {}) {
+    this.prefix = options.prefix || "";
+    this.metrics = new Map();
+  }
+
+  _register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames = []) {
+    return this._register(new Counter(this.prefix + name, help, labelNames));
+  }
+
+  /**
+   * @param options.collect See Gauge
+   */
+  gauge(name, help, labelNames = [], options = {}) {
+    return this._register(new Gauge(this.prefix + name, help, labelNames, options));
+  }
+
+  /**
+   * @param options.buckets Upper bounds of the buckets, defaults to
+   *                        DEFAULT_BUCKETS
+   */
+  histogram(name, help, labelNames = [], options = {}) {
+    return this._register(new Histogram(this.prefix + name, help, labelNames, options));
+  }
+
+  /**
+   * Registered metric by name, without the prefix
+   */
+  get(name) {
+    return this.metrics.get(this.prefix + name);
+  }
+
+  /**
+   * All metrics in the Prometheus text exposition format
+   */
+  render() {
+    return [...this.metrics.values()].map((metric) => metric.render()).join("\n\n") + "\n";
+  }
+}
+
+/**
+ * Serve /metrics and /healthz
+ *
+ * @param options.registry MetricsRegistry to expose
+ * @param options.health Async function returning { healthy, ...details };
+ *                       a thrown error counts as unhealthy
+ * @param options.port Port to listen on (0 picks a free one)
+ * @param options.host Interface to listen on, defaults to 127.0.0.1
+ * @returns The listening http.Server; server.address().port is the port
+ */
+async function startMetricsServer({ registry, health, port, host = "127.0.0.1" }) {
+  const server = http.createServer(async (request, response) => {
+    const { pathname } = new URL(request.url, "http://localhost");
+
+    if (request.method !== "GET") {
+      response.writeHead(405, { Allow: "GET" }).end();
+      return;
+    }
+
+    if (pathname === "/metrics") {
+      response.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+      response.end(registry.render());
+      return;
+    }
+
+    if (pathname === "/healthz") {
+      let report;
+      try {
+        report = health ? await health() : { healthy: true };
+      } catch (error) {
+        report = { healthy: false, error: error.message };
+      }
+      const body = JSON.stringify({ status: report.healthy ? "ok" : "unhealthy", ...report }, (key, value) =>
+        typeof value === "bigint" ? value.toString() : value
+      );
+      response.writeHead(report.healthy ? 200 : 503, { "Content-Type": "application/json" });
+      response.end(body + "\n");
+      return;
+    }
+
+    response.writeHead(404, { "Content-Type": "text/plain" }).end("Not found\n");
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      server.off("error", reject);
+      resolve();
+    });
+  });
+  return server;
+}
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  MetricsRegistry,
+  Counter,
+  Gauge,
+  Histogram,
+  startMetricsServer,
+};
@@ -0,0 +1,225 @@
+/**
+ * Operation Registry
+ *
+ * The operations a period can be verified against. Every operation compares
+ * the summed reserves attestations (R) with the summed liabilities
+ * attestations (L) — see attestor_roles.js — and knows how to validate its
+ * parameters, evaluate itself on plaintext values (mock prover), build the
+ * SP1 prover arguments and describe a result in plain words.
+ *
+ * Operations are written as a name with optional parameters:
+ *
+ *   GreaterThan                      R > L
+ *   LessThan                         R < L
+ *   Equal[:tolerance=0.01]           |R - L| <= tolerance * L
+ *   CollateralRatio[:min=1.05]       R >= min * L
+ *   RatioInRange:min=1,max=1.5       min * L <= R <= max * L
+ *
+ * Ratio parameters are decimals and evaluated exactly (no floating point).
+ * Results are described in terms of the operands' roles, so a rule comparing
+ * e.g. auditor attestations with liabilities reads as such.
+ */
+
+const { ROLE, operandName } = require("./attestor_roles");
+
+// A non-negative decimal such as "1.05", kept as an exact fraction
+function parseDecimal(name, value) {
+  const text = String(value).trim();
+  const match = /^(\d+)(?:\.(\d+))?$/.exec(text);
+  if (!match) {
+    throw new Error(`Operation parameter ${name} must be a non-negative decimal, got "${value}"`);
+  }
+
+  const fraction = match[2] || "";
+  return {
+    text,
+    numerator: BigInt(match[1] + fraction),
+    denominator: 10n ** BigInt(fraction.length),
+  };
+}
+
+// Compare a with value * ratio without rounding: returns -1, 0 or 1
+function compareToRatio(a, value, ratio) {
+  const lhs = a * ratio.denominator;
+  const rhs = value * ratio.numerator;
+  return lhs > rhs ? 1 : lhs < rhs ? -1 : 0;
+}
+
+const OPERATIONS = {
+  GreaterThan: {
+    description: "reserves exceed liabilities",
+    params: {},
+    evaluate: (reserves, liabilities) => reserves > liabilities,
+    proverArgs: () => [],
+    interpret: (passed, params, { left, right }) =>
+      passed ? `${left} exceed ${right}` : `${left} do not exceed ${right}`,
+  },
+
+  LessThan: {
+    description: "reserves are below liabilities",
+    params: {},
+    evaluate: (reserves, liabilities) => reserves < liabilities,
+    proverArgs: () => [],
+    interpret: (passed, params, { left, right }) =>
+      passed ? `${left} are below ${right}` : `${left} are not below ${right}`,
+  },
+
+  Equal: {
+    description: "reserves equal liabilities within a relative tolerance",
+    params: {
+      tolerance: { default: "0" },
+    },
+    evaluate: (reserves, liabilities, { tolerance }) => {
+      const difference =
+        reserves > liabilities ? reserves - liabilities : liabilities - reserves;
+      return compareToRatio(difference, liabilities, tolerance) <= 0;
+    },
+    proverArgs: ({ tolerance }) =>
+      tolerance.numerator === 0n ? [] : ["--tolerance", tolerance.text],
+    interpret: (passed, { tolerance }, { left, right }) => {
+      const within =
+        tolerance.numerator === 0n ? "" : ` within ${tolerance.text} of ${right}`;
+      return passed
+        ? `${left} match ${right}${within}`
+        : `${left} do not match ${right}${within}`;
+    },
+  },
+
+  CollateralRatio: {
+    description: "reserves cover liabilities at a minimum collateral ratio",
+    params: {
+      min: { default: "1.05" },
+    },
+    validate: ({ min }) => {
+      if (min.numerator === 0n) {
+        throw new Error("CollateralRatio min must be greater than 0");
+      }
+    },
+    evaluate: (reserves, liabilities, { min }) =>
+      compareToRatio(reserves, liabilities, min) >= 0,
+    proverArgs: ({ min }) => ["--min-ratio", min.text],
+    interpret: (passed, { min }, { left, right }) =>
+      passed
+        ? `${left} are at least ${min.text}x ${right}`
+        : `${left} are below ${min.text}x ${right}`,
+  },
+
+  RatioInRange: {
+    description: "reserves stay within a band relative to liabilities",
+    params: {
+      min: {},
+      max: {},
+    },
+    validate: ({ min, max }) => {
+      if (min.numerator * max.denominator > max.numerator * min.denominator) {
+        throw new Error(`RatioInRange min (${min.text}) must not exceed max (${max.text})`);
+      }
+    },
+    evaluate: (reserves, liabilities, { min, max }) =>
+      compareToRatio(reserves, liabilities, min) >= 0 &&
+      compareToRatio(reserves, liabilities, max) <= 0,
+    proverArgs: ({ min, max }) => ["--min-ratio", min.text, "--max-ratio", max.text],
+    interpret: (passed, { min, max }, { left, right }) =>
+      passed
+        ? `${left} are between ${min.text}x and ${max.text}x ${right}`
+        : `${left} are outside ${min.text}x-${max.text}x ${right}`,
+  },
+};
+
+/**
+ * Parse and validate an operation
+ *
+ * @param spec Operation string (e.g. "CollateralRatio:min=1.1"), or an
+ *             operation returned by an earlier call (returned unchanged)
+ * @returns { name, params, spec } where `spec` is the canonical string
+ */
+function parseOperation(spec) {
+  if (spec && typeof spec === "object" && spec.name && spec.params) {
+    return spec;
+  }
+
+  const [name, paramList = ""] = String(spec || "").trim().split(/:(.*)/s);
+  const definition = Object.hasOwn(OPERATIONS, name) ? OPERATIONS[name] : null;
+  if (!definition) {
+    throw new Error(
+      `Unknown operation "${name}" (expected one of: ${Object.keys(OPERATIONS).join(", ")})`
+    );
+  }
+
+  const given = {};
+  for (const pair of paramList.split(",").filter((item) => item.trim())) {
+    const [key, value] = pair.split("=").map((item) => item && item.trim());
+    if (!Object.hasOwn(definition.params, key)) {
+      throw new Error(`Operation ${name} has no parameter "${key}"`);
+    }
+    if (value === undefined || value === "") {
+      throw new Error(`Operation ${name} parameter ${key} needs a value`);
+    }
+    given[key] = value;
+  }
+
+  const params = {};
+  for (const [key, param] of Object.entries(definition.params)) {
+    const value = given[key] !== undefined ? given[key] : param.default;
+    if (value === undefined) {
+      throw new Error(`Operation ${name} requires parameter ${key}`);
+    }
+    params[key] = parseDecimal(key, value);
+  }
+
+  if (definition.validate) {
+    definition.validate(params);
+  }
+
+  return {
+    name,
+    params,
+    spec: formatOperation(name, params),
+  };
+}
+
+// Canonical string form, with every parameter spelled out
+function formatOperation(name, params) {
+  const pairs = Object.entries(params).map(([key, value]) => `${key}=${value.text}`);
+  return pairs.length > 0 ? `${name}:${pairs.join(",")}` : name;
+}
+
+/**
+ * Evaluate an operation on plaintext reserves and liabilities (BigInt)
+ */
+function evaluateOperation(operation, reserves, liabilities) {
+  const { name, params } = parseOperation(operation);
+  return OPERATIONS[name].evaluate(reserves, liabilities, params);
+}
+
+/**
+ * SP1 prover arguments selecting the operation and its parameters
+ */
+function operationArgs(operation) {
+  const { name, params } = parseOperation(operation);
+  return ["--operation", name, ...OPERATIONS[name].proverArgs(params)];
+}
+
+/**
+ * Human-readable meaning of a pass/fail result
+ *
+ * @param operands.leftRole Role of the left operand (default ReservesProvider)
+ * @param operands.rightRole Role of the right operand (default LiabilitiesProvider)
+ */
+function interpretResult(operation, passed, operands = {}) {
+  const { name, params } = parseOperation(operation);
+  const left = operandName(operands.leftRole || ROLE.ReservesProvider);
+  const right = operandName(operands.rightRole || ROLE.LiabilitiesProvider);
+  return OPERATIONS[name].interpret(passed, params, {
+    left: left[0].toUpperCase() + left.slice(1),
+    right,
+  });
+}
+
+module.exports = {
+  OPERATIONS,
+  parseOperation,
+  evaluateOperation,
+  operationArgs,
+  interpretResult,
+};
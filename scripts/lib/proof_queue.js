@@ -0,0 +1,350 @@
+/**
+ * Proof Job Queue
+ *
+ * Persistent queue of attestation periods waiting for a proof. Every period
+ * that completes is recorded as a job, so a period that completes while
+ * another proof is running is proven afterwards instead of being dropped,
+ * and jobs left behind by a crash are picked up again on restart.
+ *
+ * Job lifecycle: queued -> running -> done
+ *                                  -> queued (retry with backoff)
+ *                                  -> failed (after maxAttempts)
+ *                queued/running/failed -> cancelled (event reorged out)
+ *
+ * The queue state lives in a JSON file that is re-read before every change,
+ * so `npx hardhat proof-queue:list` / `proof-queue:retry` can inspect and
+ * modify it while the monitor is running. Like the monitor checkpoint, the
+ * file records the chain and contract it belongs to: a queue opened for
+ * another deployment starts empty and replaces the file on its first change.
+ * A running job records the process working on it, so a restart only takes
+ * over jobs whose process has died.
+ */
+
+const os = require("os");
+const path = require("path");
+const { readJson, writeJsonAtomic } = require("./json_file");
+
+const DEFAULT_QUEUE_FILE = path.join(
+  __dirname,
+  "../../attestation_temp/proof_queue.json"
+);
+
+const JOB_STATUS = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  FAILED: "failed",
+  DONE: "done",
+  CANCELLED: "cancelled",
+};
+
+// Whether the process that marked a job running still exists. A process on
+// another host cannot be checked and is assumed alive.
+function isWorkerAlive(worker) {
+  if (!worker) {
+    return false;
+  }
+  if (worker.host !== os.hostname()) {
+    return true;
+  }
+  if (worker.pid === process.pid) {
+    return false;
+  }
+  try {
+    process.kill(worker.pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === "EPERM";
+  }
+}
+
+class ProofQueue {
+  /**
+   * @param file Path of the queue state file
+   * @param options.chainId Chain of the monitored deployment
+   * @param options.contractAddress Address of the monitored contract; with
+   *        chainId, jobs recorded for another deployment are ignored
+   * @param options.concurrency Maximum number of proofs generated at once
+   * @param options.maxAttempts Attempts before a job is marked failed
+   * @param options.retryDelay Base delay (ms) before a retry, doubled per attempt
+   * @param options.pollInterval Interval (ms) at which queued jobs are checked
+   */
+  constructor(file = DEFAULT_QUEUE_FILE, options = {}) {
+    this.file = file;
+    this.scope =
+      options.chainId !== undefined && options.contractAddress
+        ? {
+            chainId: options.chainId.toString(),
+            contractAddress: options.contractAddress.toLowerCase(),
+          }
+        : null;
+    this.concurrency = options.concurrency || 1;
+    this.maxAttempts = options.maxAttempts || 3;
+    this.retryDelay =
+      options.retryDelay === undefined ? 60000 : options.retryDelay;
+    this.pollInterval = options.pollInterval || 5000;
+
+    this.handler = null;
+    this.timer = null;
+    this.running = new Map();
+  }
+
+  _read() {
+    const state = readJson(this.file, null);
+    if (!state) {
+      return { ...this.scope, jobs: {} };
+    }
+    if (
+      this.scope &&
+      (state.chainId !== this.scope.chainId ||
+        state.contractAddress !== this.scope.contractAddress)
+    ) {
+      return { ...this.scope, jobs: {} };
+    }
+    return state;
+  }
+
+  // A job marked running whose process is gone
+  _isOrphaned(job) {
+    return (
+      job.status === JOB_STATUS.RUNNING &&
+      !this.running.has(job.periodId) &&
+      !isWorkerAlive(job.worker)
+    );
+  }
+
+  // Read-modify-write the state file; `fn` mutates the state in place
+  _update(fn) {
+    const state = this._read();
+    const result = fn(state);
+    writeJsonAtomic(this.file, state);
+    return result;
+  }
+
+  /**
+   * List jobs ordered by period, optionally filtered by status
+   */
+  list(status) {
+    return Object.values(this._read().jobs)
+      .filter((job) => !status || job.status === status)
+      .sort((a, b) => Number(BigInt(a.periodId) - BigInt(b.periodId)));
+  }
+
+  /**
+   * Get the job for a period, or null
+   */
+  get(periodId) {
+    return this._read().jobs[periodId.toString()] || null;
+  }
+
+  /**
+   * Add a period to the queue
+   *
+   * A period that already has a job is left untouched, so the same period
+   * seen again in a backfill is not proven twice. A cancelled job is queued
+   * again, since the period has completed again on the canonical chain.
+   *
+   * @param source Optional { blockNumber, blockHash, transactionHash } of
+   *               the event that completed the period
+   * @returns The existing or newly created job
+   */
+  enqueue(periodId, source = null) {
+    const key = periodId.toString();
+    const now = new Date().toISOString();
+
+    const job = this._update((state) => {
+      const existing = state.jobs[key];
+      if (!existing || existing.status === JOB_STATUS.CANCELLED) {
+        state.jobs[key] = {
+          periodId: key,
+          status: JOB_STATUS.QUEUED,
+          attempts: 0,
+          lastError: null,
+          nextAttemptAt: null,
+          source,
+          createdAt: existing ? existing.createdAt : now,
+          updatedAt: now,
+        };
+      }
+      return state.jobs[key];
+    });
+
+    this._drain();
+    return job;
+  }
+
+  /**
+   * Put a failed (or stuck) job back in the queue with a fresh retry budget
+   *
+   * A running job can only be retried once the process running it has died.
+   */
+  retry(periodId) {
+    const key = periodId.toString();
+
+    const job = this._update((state) => {
+      const job = state.jobs[key];
+      if (!job) {
+        throw new Error(`No proof job for period ${key}`);
+      }
+      if (job.status === JOB_STATUS.DONE) {
+        throw new Error(`Proof job for period ${key} is already done`);
+      }
+      if (job.status === JOB_STATUS.RUNNING && !this._isOrphaned(job)) {
+        const worker = job.worker ? ` by process ${job.worker.pid} on ${job.worker.host}` : "";
+        throw new Error(`Proof job for period ${key} is still running${worker}`);
+      }
+
+      job.status = JOB_STATUS.QUEUED;
+      job.attempts = 0;
+      job.nextAttemptAt = null;
+      job.updatedAt = new Date().toISOString();
+      return job;
+    });
+
+    this._drain();
+    return job;
+  }
+
+  /**
+   * Cancel a job whose period is no longer complete (e.g. after a reorg)
+   *
+   * A running job is only marked cancelled; its handler is expected to check
+   * before submitting anything, and its outcome no longer changes the status.
+   */
+  cancel(periodId, reason) {
+    const key = periodId.toString();
+
+    return this._update((state) => {
+      const job = state.jobs[key];
+      if (!job) {
+        throw new Error(`No proof job for period ${key}`);
+      }
+      if (job.status === JOB_STATUS.DONE) {
+        throw new Error(`Proof job for period ${key} is already done`);
+      }
+
+      job.status = JOB_STATUS.CANCELLED;
+      job.lastError = reason;
+      job.nextAttemptAt = null;
+      job.updatedAt = new Date().toISOString();
+      return job;
+    });
+  }
+
+  /**
+   * Start processing jobs
+   *
+   * Jobs marked running by a process that is no longer alive are re-queued
+   * first; jobs still running in another live process are left alone.
+   *
+   * @param handler async (job) => void; throwing marks the attempt as failed
+   */
+  start(handler) {
+    this.handler = handler;
+
+    this._update((state) => {
+      for (const job of Object.values(state.jobs)) {
+        if (this._isOrphaned(job)) {
+          job.status = JOB_STATUS.QUEUED;
+          job.updatedAt = new Date().toISOString();
+        }
+      }
+    });
+
+    this.timer = setInterval(() => this._drain(), this.pollInterval);
+    this._drain();
+  }
+
+  /**
+   * Stop picking up new jobs (running jobs are left to finish)
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.handler = null;
+  }
+
+  /**
+   * Resolve once no job is running
+   */
+  async onIdle() {
+    while (this.running.size > 0) {
+      await Promise.allSettled([...this.running.values()]);
+    }
+  }
+
+  // Start as many ready jobs as the concurrency limit allows
+  _drain() {
+    if (!this.handler) {
+      return;
+    }
+
+    const now = Date.now();
+    const ready = this.list(JOB_STATUS.QUEUED).filter(
+      (job) => !job.nextAttemptAt || Date.parse(job.nextAttemptAt) <= now
+    );
+
+    for (const job of ready) {
+      if (this.running.size >= this.concurrency) {
+        break;
+      }
+      if (!this.running.has(job.periodId)) {
+        this._run(job.periodId);
+      }
+    }
+  }
+
+  _run(key) {
+    const handler = this.handler;
+
+    const job = this._update((state) => {
+      const job = state.jobs[key];
+      job.status = JOB_STATUS.RUNNING;
+      job.worker = { pid: process.pid, host: os.hostname() };
+      job.attempts += 1;
+      job.updatedAt = new Date().toISOString();
+      return { ...job };
+    });
+
+    const promise = (async () => {
+      try {
+        await handler(job);
+
+        this._update((state) => {
+          const stored = state.jobs[key];
+          if (!stored || stored.status === JOB_STATUS.CANCELLED) return;
+          stored.status = JOB_STATUS.DONE;
+          stored.lastError = null;
+          stored.nextAttemptAt = null;
+          stored.updatedAt = new Date().toISOString();
+        });
+      } catch (error) {
+        this._update((state) => {
+          const stored = state.jobs[key];
+          if (!stored || stored.status === JOB_STATUS.CANCELLED) return;
+          stored.lastError = error.message;
+          stored.updatedAt = new Date().toISOString();
+
+          if (stored.attempts >= this.maxAttempts) {
+            stored.status = JOB_STATUS.FAILED;
+            stored.nextAttemptAt = null;
+          } else {
+            const delay = this.retryDelay * 2 ** (stored.attempts - 1);
+            stored.status = JOB_STATUS.QUEUED;
+            stored.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+          }
+        });
+      } finally {
+        this.running.delete(key);
+        this._drain();
+      }
+    })();
+
+    this.running.set(key, promise);
+  }
+}
+
+module.exports = {
+  ProofQueue,
+  JOB_STATUS,
+  DEFAULT_QUEUE_FILE,
+};
@@ -0,0 +1,142 @@
+/**
+ * Prover Output
+ *
+ * Reads the verification verdict from the SP1 prover's public outputs and
+ * records it in a sidecar file next to the proof, so the pass/fail value
+ * submitted on-chain is the one the proof commits to rather than one derived
+ * from plaintext configuration.
+ *
+ * The prover is expected to write two files into its working directory:
+ *   proof.bin          - the serialised proof
+ *   public_values.bin  - the committed public values; the first value is the
+ *                        operation result as a bincode bool (0x00 / 0x01)
+ *
+ * The sidecar (proof.json) records the verdict together with hashes of the
+ * proof and the attestation inputs. It is cross-checked against the files on
+ * disk before the result is submitted.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const PROOF_FILE = "proof.bin";
+const PUBLIC_VALUES_FILE = "public_values.bin";
+const SIDECAR_FILE = "proof.json";
+
+function sha256File(file) {
+  return crypto.createHash("sha256").update(fs.readFileSync(file)).digest("hex");
+}
+
+/**
+ * Decode the pass/fail verdict from the prover's public values
+ * @param publicValues Raw public values bytes
+ */
+function decodeVerdict(publicValues) {
+  if (publicValues.length < 1 || publicValues[0] > 1) {
+    throw new Error(
+      `Unexpected prover public values: 0x${Buffer.from(publicValues).toString("hex")}`
+    );
+  }
+  return publicValues[0] === 1;
+}
+
+/**
+ * Read the prover outputs in `workDir` and write the verdict sidecar
+ *
+ * @param workDir Directory containing proof.bin and public_values.bin
+ * @param details.periodId Period the proof is for (null if not yet known)
+ * @param details.operation Operation that was proven
+ * @param details.attestationFiles Attestation files passed to the prover
+ * @returns The sidecar contents, including `passed`
+ */
+function writeProofSidecar(workDir, details) {
+  const proofFile = path.join(workDir, PROOF_FILE);
+  const publicValuesFile = path.join(workDir, PUBLIC_VALUES_FILE);
+
+  for (const file of [proofFile, publicValuesFile]) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`Prover output not found: ${file}`);
+    }
+  }
+
+  const publicValues = fs.readFileSync(publicValuesFile);
+  const sidecar = {
+    periodId: details.periodId === undefined || details.periodId === null
+      ? null
+      : details.periodId.toString(),
+    operation: details.operation,
+    passed: decodeVerdict(publicValues),
+    publicValues: `0x${publicValues.toString("hex")}`,
+    proofSha256: sha256File(proofFile),
+    attestations: details.attestationFiles.map((file) => ({
+      file,
+      sha256: sha256File(file),
+    })),
+    createdAt: new Date().toISOString(),
+  };
+
+  fs.writeFileSync(
+    path.join(workDir, SIDECAR_FILE),
+    JSON.stringify(sidecar, null, 2)
+  );
+
+  return sidecar;
+}
+
+/**
+ * Load the sidecar for a proof and check it still matches the proof
+ *
+ * Fails if the sidecar is missing, belongs to another period, the proof or
+ * attestation files changed since the verdict was recorded, or the recorded
+ * verdict does not match the recorded public values.
+ *
+ * @param proofFile Path of the proof about to be submitted
+ * @param periodId Period the result is being submitted for
+ * @returns The verified sidecar contents
+ */
+function verifyProofSidecar(proofFile, periodId) {
+  const sidecarFile = path.join(path.dirname(proofFile), SIDECAR_FILE);
+  if (!fs.existsSync(sidecarFile)) {
+    throw new Error(`Proof sidecar not found: ${sidecarFile}`);
+  }
+
+  const sidecar = JSON.parse(fs.readFileSync(sidecarFile, "utf8"));
+
+  if (sidecar.periodId !== null && sidecar.periodId !== periodId.toString()) {
+    throw new Error(
+      `Proof sidecar is for period ${sidecar.periodId}, not period ${periodId}`
+    );
+  }
+
+  if (sha256File(proofFile) !== sidecar.proofSha256) {
+    throw new Error(`Proof file ${proofFile} does not match its sidecar`);
+  }
+
+  for (const attestation of sidecar.attestations) {
+    if (
+      !fs.existsSync(attestation.file) ||
+      sha256File(attestation.file) !== attestation.sha256
+    ) {
+      throw new Error(
+        `Attestation input ${attestation.file} changed since the proof was generated`
+      );
+    }
+  }
+
+  const publicValues = Buffer.from(sidecar.publicValues.slice(2), "hex");
+  if (decodeVerdict(publicValues) !== sidecar.passed) {
+    throw new Error("Proof sidecar verdict does not match its public values");
+  }
+
+  return sidecar;
+}
+
+module.exports = {
+  PROOF_FILE,
+  PUBLIC_VALUES_FILE,
+  SIDECAR_FILE,
+  decodeVerdict,
+  writeProofSidecar,
+  verifyProofSidecar,
+};
@@ -0,0 +1,107 @@
+/**
+ * Prover Backends
+ *
+ * Every backend implements:
+ *
+ *   name          - identifier used in logs and config ("sp1", "mock")
+ *   requiresKeys  - whether the shared encryption keys must be present
+ *   prove({ operation, attestationFiles, reservesCount, workDir, periodId,
+ *           logger })
+ *                 - writes proof.bin and public_values.bin into workDir and
+ *                   logs through logger (see logger.js);
+ *                   operation is a parsed operation (see operations.js);
+ *                   attestationFiles holds the reserves attestations followed
+ *                   by the liabilities attestations, reservesCount says where
+ *                   the split is (see attestor_roles.js)
+ *
+ * `generateProof` runs a backend and records the verdict sidecar, so callers
+ * never deal with a specific prover.
+ */
+
+const path = require("path");
+const { PROOF_FILE, writeProofSidecar } = require("../prover_output");
+const { parseOperation } = require("../operations");
+const { defaultLogger } = require("../logger");
+const { Sp1Prover } = require("./sp1");
+const { MockProver } = require("./mock");
+
+const PROVER_BACKENDS = ["sp1", "mock"];
+
+// Networks the mock backend's fake proofs may be submitted to
+const MOCK_PROVER_NETWORKS = ["hardhat", "localhost"];
+
+/**
+ * Create the prover backend selected in the configuration
+ *
+ * @param config.backend "sp1" (default) or "mock"
+ * @param config.sp1Binary Path to the SP1 binary (sp1 backend)
+ * @param config.keysDir Shared keys directory
+ * @param config.mockFixturesFile Plaintext fixtures file (mock backend)
+ * @param config.network Network the proofs are submitted to; the mock
+ *                       backend refuses any but MOCK_PROVER_NETWORKS
+ * @param config.allowMockProver Allow the mock backend on any network
+ */
+function createProver(config) {
+  const backend = config.backend || "sp1";
+
+  switch (backend) {
+    case "sp1":
+      return new Sp1Prover({
+        binary: config.sp1Binary,
+        keysDir: config.keysDir,
+      });
+    case "mock":
+      if (!config.allowMockProver && !MOCK_PROVER_NETWORKS.includes(config.network)) {
+        throw new Error(
+          `The mock prover writes fake proofs and only runs on ${MOCK_PROVER_NETWORKS.join(" or ")}, ` +
+            `not ${config.network} (set ALLOW_MOCK_PROVER=true to use it anyway)`
+        );
+      }
+      return new MockProver({
+        fixturesFile: config.mockFixturesFile,
+        keysDir: config.keysDir,
+      });
+    default:
+      throw new Error(
+        `Unknown prover backend "${backend}" (expected one of: ${PROVER_BACKENDS.join(", ")})`
+      );
+  }
+}
+
+/**
+ * Generate a proof with a backend and record its verdict sidecar
+ * @returns { proofFile, passed, sidecar }
+ */
+async function generateProof(
+  prover,
+  { operation, attestationFiles, reservesCount = 1, workDir, periodId, logger = defaultLogger }
+) {
+  const parsed = parseOperation(operation);
+  await prover.prove({
+    operation: parsed,
+    attestationFiles,
+    reservesCount,
+    workDir,
+    periodId,
+    logger,
+  });
+
+  const sidecar = writeProofSidecar(workDir, {
+    periodId,
+    operation: parsed.spec,
+    attestationFiles,
+  });
+
+  return {
+    proofFile: path.join(workDir, PROOF_FILE),
+    passed: sidecar.passed,
+    sidecar,
+  };
+}
+
+module.exports = {
+  PROVER_BACKENDS,
+  MOCK_PROVER_NETWORKS,
+  createProver,
+  generateProof,
+};
@@ -0,0 +1,129 @@
+/**
+ * Mock Prover Backend
+ *
+ * Deterministic stand-in for the SP1 prover, for tests and CI machines
+ * without an SP1 toolchain. It evaluates the operation on plaintext values
+ * and writes a fake proof with the same output layout as the SP1 backend.
+ *
+ * The plaintext value of an attestation file is resolved in this order:
+ *   1. a fixtures file that maps the SHA-256 of the attestation to its value:
+ *        { "<sha256 hex>": "1000000", ... }
+ *   2. attestations created by the local epic-node (scripts/epic_node.js) are
+ *      decrypted with <keys-dir>/private.key
+ *   3. otherwise the file must contain the value itself as a decimal string
+ *
+ * The operation (see operations.js) is evaluated on the sum of the first
+ * `reservesCount` attestations (reserves) and the sum of the rest
+ * (liabilities).
+ *
+ * The fake proof is NOT a proof of anything, so createProver only creates
+ * this backend for the local networks (see MOCK_PROVER_NETWORKS) unless it
+ * is explicitly allowed.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { PROOF_FILE, PUBLIC_VALUES_FILE } = require("../prover_output");
+const epicNode = require("../epic_node");
+const { parseOperation, evaluateOperation } = require("../operations");
+const { defaultLogger } = require("../logger");
+
+const MOCK_PROOF_MAGIC = Buffer.from("MOCKPROOF");
+
+function sha256(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+class MockProver {
+  /**
+   * @param options.fixturesFile Optional JSON file of attestation hash -> value
+   * @param options.keysDir Optional keys directory for local epic-node attestations
+   */
+  constructor(options = {}) {
+    this.name = "mock";
+    this.requiresKeys = false;
+    this.keysDir = options.keysDir;
+    this.fixtures = options.fixturesFile
+      ? JSON.parse(fs.readFileSync(options.fixturesFile, "utf8"))
+      : {};
+  }
+
+  // Decrypt the first value of a local epic-node attestation
+  decryptLocalAttestation(file, attestation) {
+    const privateKeyPath = this.keysDir && path.join(this.keysDir, "private.key");
+    if (!privateKeyPath || !fs.existsSync(privateKeyPath)) {
+      throw new Error(
+        `Mock prover needs private.key in the keys directory to decrypt ${file}`
+      );
+    }
+
+    const privateKey = epicNode.readPrivateKey(privateKeyPath);
+    return epicNode.decryptAttestation(privateKey, attestation)[0];
+  }
+
+  // Resolve the plaintext value behind an attestation file
+  readValue(file) {
+    const data = fs.readFileSync(file);
+    const fixture = this.fixtures[sha256(data)];
+
+    if (fixture === undefined) {
+      const attestation = epicNode.parseAttestation(data);
+      if (attestation) {
+        return this.decryptLocalAttestation(file, attestation);
+      }
+    }
+
+    const text = fixture !== undefined ? String(fixture) : data.toString("utf8").trim();
+
+    if (!/^\d+$/.test(text)) {
+      throw new Error(
+        `Mock prover has no plaintext value for ${file} (add its SHA-256 to the fixtures file)`
+      );
+    }
+    return BigInt(text);
+  }
+
+  async prove({ operation, attestationFiles, reservesCount = 1, workDir, logger = defaultLogger }) {
+    const { spec } = parseOperation(operation);
+
+    if (reservesCount < 1 || reservesCount >= attestationFiles.length) {
+      throw new Error(
+        `Mock prover needs reserves and liabilities attestations (${reservesCount} of ${attestationFiles.length} are reserves)`
+      );
+    }
+
+    const sum = (values) => values.reduce((total, value) => total + value, 0n);
+    const values = attestationFiles.map((file) => this.readValue(file));
+    const passed = evaluateOperation(
+      operation,
+      sum(values.slice(0, reservesCount)),
+      sum(values.slice(reservesCount))
+    );
+    logger.info(`Mock prover: ${spec} -> ${passed ? "PASSED" : "FAILED"}`, { prover: this.name, passed });
+
+    // The fake proof binds the operation, inputs and verdict together so
+    // identical inputs always produce an identical proof
+    const digest = crypto.createHash("sha256");
+    digest.update(spec);
+    for (const file of attestationFiles) {
+      digest.update(fs.readFileSync(file));
+    }
+    digest.update(passed ? "1" : "0");
+
+    fs.mkdirSync(workDir, { recursive: true });
+    fs.writeFileSync(
+      path.join(workDir, PROOF_FILE),
+      Buffer.concat([MOCK_PROOF_MAGIC, digest.digest()])
+    );
+    fs.writeFileSync(
+      path.join(workDir, PUBLIC_VALUES_FILE),
+      Buffer.from([passed ? 1 : 0])
+    );
+  }
+}
+
+module.exports = {
+  MockProver,
+  MOCK_PROOF_MAGIC,
+};
@@ -0,0 +1,112 @@
+/**
+ * SP1 Prover Backend
+ *
+ * Runs the SP1 attestation program binary, which proves the operation over
+ * the encrypted attestations and writes proof.bin and public_values.bin into
+ * its working directory.
+ */
+
+const { spawn } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { PROOF_FILE, PUBLIC_VALUES_FILE } = require("../prover_output");
+const { operationArgs } = require("../operations");
+const { defaultLogger } = require("../logger");
+
+class Sp1Prover {
+  /**
+   * @param options.binary Path to the SP1 attestation binary
+   * @param options.keysDir Directory holding the shared public.key
+   */
+  constructor(options) {
+    this.name = "sp1";
+    this.requiresKeys = true;
+    this.binary = options.binary;
+    this.keysDir = options.keysDir;
+  }
+
+  /**
+   * Arguments passed to the binary, also printed for manual runs.
+   * Attestation i (1-based) is passed as --att-file<i>, reserves first. The
+   * number of reserves attestations is only passed when it is not 1, so the
+   * single reserves / single liabilities case keeps the original arguments.
+   */
+  buildArgs(operation, attestationFiles, reservesCount = 1) {
+    return [
+      "--prove",
+      ...operationArgs(operation),
+      ...attestationFiles.flatMap((file, i) => [`--att-file${i + 1}`, file]),
+      ...(reservesCount === 1 ? [] : ["--reserves-count", String(reservesCount)]),
+      "--debug",
+    ];
+  }
+
+  async prove({ operation, attestationFiles, reservesCount, workDir, logger = defaultLogger }) {
+    const publicKeyPath = path.join(this.keysDir, "public.key");
+    const missing = [publicKeyPath, ...attestationFiles].filter(
+      (file) => !fs.existsSync(file)
+    );
+    if (missing.length > 0) {
+      logger.error("MISSING REQUIRED FILES:", { missing });
+      missing.forEach((file) => logger.error(`- ${file}`));
+      throw new Error("Missing required files for proof generation");
+    }
+
+    const args = this.buildArgs(operation, attestationFiles, reservesCount);
+    logger.info(`Running SP1 binary: ${this.binary}`, { binary: this.binary, args });
+    logger.info(`Args: ${args.join(" ")}`);
+
+    // Every line the binary prints becomes a log line of its own
+    const output = {
+      stdout: logger.child({ source: "sp1", stream: "stdout" }, { prefix: "SP1: " }),
+      stderr: logger.child({ source: "sp1", stream: "stderr" }, { prefix: "SP1 Error: " }),
+    };
+
+    // Outputs left by an earlier run must not pass for this run's proof
+    const outputs = [PROOF_FILE, PUBLIC_VALUES_FILE].map((file) => path.join(workDir, file));
+    outputs.forEach((file) => fs.rmSync(file, { force: true }));
+
+    await new Promise((resolve, reject) => {
+      const proofProcess = spawn(this.binary, args, {
+        cwd: workDir,
+        env: {
+          ...process.env,
+          KEYS_DIR: this.keysDir,
+        },
+      });
+
+      for (const stream of ["stdout", "stderr"]) {
+        const lines = readline.createInterface({ input: proofProcess[stream] });
+        lines.on("line", (line) => {
+          if (stream === "stdout") {
+            output.stdout.info(line);
+          } else {
+            output.stderr.warn(line);
+          }
+        });
+      }
+
+      proofProcess.on("error", reject);
+
+      proofProcess.on("close", (code) => {
+        if (code === 0) {
+          logger.info("SP1 proof generation completed successfully");
+          resolve();
+        } else {
+          logger.error(`SP1 process exited with code ${code}`, { exitCode: code });
+          reject(new Error(`SP1 proof generation failed with code ${code}`));
+        }
+      });
+    });
+
+    const missingOutputs = outputs.filter((file) => !fs.existsSync(file));
+    if (missingOutputs.length > 0) {
+      throw new Error(`SP1 binary exited without writing ${missingOutputs.join(", ")}`);
+    }
+  }
+}
+
+module.exports = {
+  Sp1Prover,
+};
@@ -0,0 +1,684 @@
+/**
+ * Transaction Manager
+ *
+ * Sends the contract writes of the scripts and the AttestationClient:
+ *
+ *   - every call is simulated first, so a revert surfaces as a typed error
+ *     (e.g. PeriodNotCompleteError) before a nonce or any gas is spent
+ *   - nonces are tracked locally per sender, so transactions can be sent
+ *     back to back without waiting for the node's pending count
+ *   - transient RPC errors (timeouts, rate limits, dropped connections) are
+ *     retried with exponential backoff. A send is only repeated once the
+ *     node's pending nonce shows the transaction did not arrive; one that
+ *     arrived without its hash coming back is found by its nonce once mined
+ *   - a transaction that is not mined within `stuckTimeout` is replaced by
+ *     one with the same nonce and its fees bumped by `feeBumpPercent`
+ *     (EIP-1559 maxFeePerGas and maxPriorityFeePerGas, or gasPrice on
+ *     legacy networks), up to `maxReplacements` times
+ *
+ * In dry-run mode nothing is sent: every write is simulated with staticCall
+ * and estimateGas, and an estimate (gas, fee at current prices, calldata
+ * size, revert reason) is returned and collected in `estimates` instead.
+ */
+
+const { ethers } = require("ethers");
+const { defaultLogger } = require("./logger");
+
+// Revert reasons of AttestationPlatform mapped to error classes below
+const REVERT_REASONS = {
+  "Attestation period not complete": "PeriodNotCompleteError",
+  "Attestor already registered": "AttestorAlreadyRegisteredError",
+  "Attestor already submitted for this period": "AttestationAlreadySubmittedError",
+  "Attestor role required": "AttestorRoleRequiredError",
+  "Address is not a registered attestor": "NotRegisteredAttestorError",
+  "Sender is not a registered attestor": "NotRegisteredAttestorError",
+  "Verification result already submitted": "VerificationAlreadySubmittedError",
+  "Verification rule does not exist": "VerificationRuleNotFoundError",
+  "No upload in progress": "UploadNotStartedError",
+  "Unexpected chunk index": "UnexpectedChunkIndexError",
+  "Upload hash mismatch": "UploadHashMismatchError",
+  // OpenZeppelin Ownable custom error
+  OwnableUnauthorizedAccount: "NotOwnerError",
+};
+
+// Error codes and messages of RPC failures worth retrying
+const TRANSIENT_CODES = ["NETWORK_ERROR", "SERVER_ERROR", "TIMEOUT"];
+const TRANSIENT_MESSAGE =
+  /ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|socket hang up|rate limit|too many requests|\b(429|502|503|504)\b/i;
+
+const DEFAULT_OPTIONS = {
+  confirmations: 1,
+  maxRetries: 3,
+  retryDelay: 1000,
+  stuckTimeout: 120000,
+  feeBumpPercent: 20,
+  maxReplacements: 3,
+  pollInterval: 2000,
+  gasLimitMarginPercent: 20,
+  dryRun: false,
+};
+
+// Base cost of a transaction and per-byte calldata costs (EIP-2028)
+const TX_BASE_GAS = 21000n;
+const ZERO_BYTE_GAS = 4n;
+const NONZERO_BYTE_GAS = 16n;
+
+class TransactionError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    Object.assign(this, details);
+  }
+}
+
+/**
+ * A call reverted. `reason` is the revert string or custom error name.
+ */
+class ContractRevertError extends TransactionError {}
+
+class PeriodNotCompleteError extends ContractRevertError {}
+class AttestorAlreadyRegisteredError extends ContractRevertError {}
+class AttestationAlreadySubmittedError extends ContractRevertError {}
+class AttestorRoleRequiredError extends ContractRevertError {}
+class NotRegisteredAttestorError extends ContractRevertError {}
+class VerificationAlreadySubmittedError extends ContractRevertError {}
+class VerificationRuleNotFoundError extends ContractRevertError {}
+class NotOwnerError extends ContractRevertError {}
+class UploadNotStartedError extends ContractRevertError {}
+class UnexpectedChunkIndexError extends ContractRevertError {}
+class UploadHashMismatchError extends ContractRevertError {}
+
+/**
+ * No transaction with the nonce was mined, even after every fee bump
+ */
+class TransactionStuckError extends TransactionError {}
+
+const REVERT_ERROR_CLASSES = {
+  PeriodNotCompleteError,
+  AttestorAlreadyRegisteredError,
+  AttestationAlreadySubmittedError,
+  AttestorRoleRequiredError,
+  NotRegisteredAttestorError,
+  VerificationAlreadySubmittedError,
+  VerificationRuleNotFoundError,
+  NotOwnerError,
+  UploadNotStartedError,
+  UnexpectedChunkIndexError,
+  UploadHashMismatchError,
+};
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Walk an error and the errors it wraps (ethers `error`/`info.error`,
+// Hardhat `parent`, standard `cause`)
+function* errorChain(error) {
+  const seen = new Set();
+  const pending = [error];
+  while (pending.length > 0) {
+    const current = pending.shift();
+    if (!current || typeof current !== "object" || seen.has(current)) continue;
+    seen.add(current);
+    yield current;
+    pending.push(current.error, current.info && current.info.error, current.parent, current.cause);
+  }
+}
+
+/**
+ * Extract the revert reason (string or custom error name) from an ethers or
+ * Hardhat error, or null if the error is not a revert
+ */
+function getRevertReason(error) {
+  for (const current of errorChain(error)) {
+    if (current.revert && current.revert.name && current.revert.name !== "Error") {
+      return current.revert.name;
+    }
+    if (typeof current.reason === "string" && current.reason) {
+      return current.reason;
+    }
+
+    const message = String(current.message || "");
+    const reasonString = /reverted with reason string '([^']*)'/.exec(message);
+    if (reasonString) return reasonString[1];
+    const customError = /reverted with custom error '(\w+)\(/.exec(message);
+    if (customError) return customError[1];
+    const executionReverted = /execution reverted: ([^"\n]+)/.exec(message);
+    if (executionReverted) return executionReverted[1].trim();
+  }
+
+  return null;
+}
+
+/**
+ * Convert a revert into a ContractRevertError (or the typed subclass for
+ * known reasons). Returns null if the error is not a revert.
+ */
+function decodeRevertError(error, details = {}) {
+  const reason = getRevertReason(error);
+  const isRevert =
+    reason !== null ||
+    [...errorChain(error)].some((current) => current.code === "CALL_EXCEPTION");
+  if (!isRevert) {
+    return null;
+  }
+
+  const className = reason !== null && Object.hasOwn(REVERT_REASONS, reason)
+    ? REVERT_REASONS[reason]
+    : null;
+  const ErrorClass = className ? REVERT_ERROR_CLASSES[className] : ContractRevertError;
+
+  return new ErrorClass(reason || "Transaction reverted without a reason", {
+    ...details,
+    reason,
+    cause: error,
+  });
+}
+
+/**
+ * Whether an RPC error is temporary and the request can be repeated
+ */
+function isTransientError(error) {
+  for (const current of errorChain(error)) {
+    if (TRANSIENT_CODES.includes(current.code)) return true;
+    if (TRANSIENT_MESSAGE.test(String(current.message || ""))) return true;
+  }
+  return false;
+}
+
+function isNonceError(error) {
+  return [...errorChain(error)].some(
+    (current) =>
+      current.code === "NONCE_EXPIRED" ||
+      /nonce too (low|high)|nonce has already been used/i.test(String(current.message || ""))
+  );
+}
+
+// The node already has this exact transaction
+function isAlreadyKnownError(error) {
+  return [...errorChain(error)].some((current) =>
+    /already known|already imported|known transaction/i.test(String(current.message || ""))
+  );
+}
+
+function isUnderpricedError(error) {
+  return [...errorChain(error)].some(
+    (current) =>
+      current.code === "REPLACEMENT_UNDERPRICED" ||
+      /underpriced/i.test(String(current.message || ""))
+  );
+}
+
+function bump(value, percent) {
+  const bumped = (value * BigInt(100 + percent)) / 100n;
+  return bumped > value ? bumped : value + 1n;
+}
+
+class TransactionManager {
+  /**
+   * @param options.confirmations Blocks to wait for after a transaction is mined
+   * @param options.maxRetries Retries of a transient RPC error
+   * @param options.retryDelay Base backoff in ms, doubled on every retry
+   * @param options.stuckTimeout Ms without the transaction being mined before
+   *                             it is replaced with higher fees (0 = never)
+   * @param options.feeBumpPercent Fee increase per replacement (nodes
+   *                               require at least 10)
+   * @param options.maxReplacements Replacements before giving up
+   * @param options.maxFeePerGas Optional cap (wei) for bumped fees
+   * @param options.dryRun Estimate writes instead of sending them
+   * @param options.logger Logger for retries and replacements (see logger.js)
+   * @param options.onRpcError Called with every transient RPC error, retried
+   *                           or not, e.g. to count them in a metric
+   */
+  constructor(options = {}) {
+    const { logger, onRpcError, ...rest } = options;
+    const defined = Object.fromEntries(
+      Object.entries(rest).filter(([, value]) => value !== undefined && value !== null)
+    );
+    this.options = { ...DEFAULT_OPTIONS, ...defined };
+    this.logger = logger || defaultLogger;
+    this.onRpcError = onRpcError || (() => {});
+    this.dryRun = Boolean(this.options.dryRun);
+    this.estimates = [];
+    this.nonces = new Map();
+    this.locks = new Map();
+  }
+
+  /**
+   * Send a contract call and wait for it to be mined
+   *
+   * @param contract ethers Contract connected to the sending signer
+   * @param method Contract function name
+   * @param args Function arguments
+   * @returns The transaction receipt (`receipt.hash` is the mined transaction,
+   *          which may be a fee-bumped replacement), or in dry-run mode the
+   *          estimate (with `dryRun: true`)
+   * @throws ContractRevertError (or a typed subclass), TransactionStuckError
+   */
+  async send(contract, method, args = []) {
+    if (this.dryRun) {
+      const estimate = await this.estimate(contract, method, args);
+      this.estimates.push(estimate);
+      return estimate;
+    }
+
+    const signer = contract.runner;
+    const from = await signer.getAddress();
+    const details = { method, from };
+
+    // Simulate first: reverts are decoded here, before a nonce is used
+    let gasLimit;
+    try {
+      gasLimit = await this.withRetry(() => contract[method].estimateGas(...args));
+    } catch (error) {
+      throw decodeRevertError(error, details) || error;
+    }
+
+    const request = await contract[method].populateTransaction(...args);
+    request.gasLimit =
+      gasLimit + (gasLimit * BigInt(this.options.gasLimitMarginPercent)) / 100n;
+    Object.assign(request, await this.getFees(signer.provider));
+
+    const sent = await this.lock(from, () => this.broadcast(signer, from, request));
+    const receipt = await this.waitMined(signer, from, sent);
+
+    if (receipt.status === 0) {
+      throw new ContractRevertError("Transaction reverted", {
+        ...details,
+        reason: null,
+        transactionHash: receipt.hash,
+      });
+    }
+    return receipt;
+  }
+
+  /**
+   * Simulate a contract call without sending it
+   *
+   * @returns { dryRun, method, from, to, calldataBytes, intrinsicGas,
+   *            gasEstimate, gasPrice, maxFeePerGas, expectedFee, maxFee,
+   *            reverted, revertReason, error, skipped, skipReason }
+   *          Fees are in wei at current prices: expectedFee uses the node's
+   *          gas price, maxFee the EIP-1559 maxFeePerGas. For a reverting call
+   *          gasEstimate and the fees are null.
+   */
+  async estimate(contract, method, args = []) {
+    const estimate = await this.describe(contract, method, args);
+    const { from } = estimate;
+
+    try {
+      await this.withRetry(() => contract[method].staticCall(...args));
+      estimate.gasEstimate = await this.withRetry(() =>
+        contract[method].estimateGas(...args)
+      );
+    } catch (error) {
+      const revert = decodeRevertError(error, { method, from });
+      if (!revert) {
+        throw error;
+      }
+      estimate.reverted = true;
+      estimate.revertReason = revert.reason;
+      estimate.error = revert.name;
+      return estimate;
+    }
+
+    if (estimate.gasPrice !== null) {
+      estimate.expectedFee = estimate.gasEstimate * estimate.gasPrice;
+    }
+    if (estimate.maxFeePerGas !== null) {
+      estimate.maxFee = estimate.gasEstimate * estimate.maxFeePerGas;
+    }
+    return estimate;
+  }
+
+  /**
+   * Record a dry-run write that cannot be simulated, because it depends on
+   * an earlier write of the same run that was not sent (e.g. a chunk append
+   * after beginAttestationUpload). Only its calldata size and intrinsic gas
+   * are reported, with `skipped: true`.
+   *
+   * @param reason Why the call cannot be simulated
+   */
+  async skipEstimate(contract, method, args, reason) {
+    const estimate = await this.describe(contract, method, args);
+    estimate.skipped = true;
+    estimate.skipReason = reason;
+    this.estimates.push(estimate);
+    return estimate;
+  }
+
+  // Dry-run estimate of a call before it is simulated: calldata, intrinsic
+  // gas and current gas prices
+  async describe(contract, method, args) {
+    const signer = contract.runner;
+    const from = await signer.getAddress();
+    const request = await contract[method].populateTransaction(...args);
+    const data = ethers.getBytes(request.data);
+    const feeData = await this.withRetry(() => signer.provider.getFeeData());
+
+    return {
+      dryRun: true,
+      method,
+      from,
+      to: request.to,
+      calldataBytes: data.length,
+      intrinsicGas: data.reduce(
+        (gas, byte) => gas + (byte === 0 ? ZERO_BYTE_GAS : NONZERO_BYTE_GAS),
+        TX_BASE_GAS
+      ),
+      gasEstimate: null,
+      gasPrice: feeData.gasPrice,
+      maxFeePerGas: feeData.maxFeePerGas,
+      expectedFee: null,
+      maxFee: null,
+      reverted: false,
+      revertReason: null,
+      error: null,
+      skipped: false,
+      skipReason: null,
+    };
+  }
+
+  /**
+   * Run an RPC request, retrying transient errors with exponential backoff
+   */
+  async withRetry(request) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await request();
+      } catch (error) {
+        if (!isTransientError(error)) {
+          throw error;
+        }
+        this.onRpcError(error);
+        if (attempt >= this.options.maxRetries) {
+          throw error;
+        }
+        await this.backoff(error, attempt);
+      }
+    }
+  }
+
+  // Wait before retry `attempt` (0-based) of a transient error
+  async backoff(error, attempt) {
+    const delay = this.options.retryDelay * 2 ** attempt;
+    this.logger.warn(
+      `Transient RPC error (${error.message}), retrying in ${delay}ms ` +
+        `(${attempt + 1}/${this.options.maxRetries})`,
+      { error }
+    );
+    await sleep(delay);
+  }
+
+  /**
+   * Current fee fields for a new transaction
+   */
+  async getFees(provider) {
+    const feeData = await this.withRetry(() => provider.getFeeData());
+    if (feeData.maxFeePerGas !== null && feeData.maxFeePerGas !== undefined) {
+      return {
+        maxFeePerGas: feeData.maxFeePerGas,
+        maxPriorityFeePerGas: feeData.maxPriorityFeePerGas,
+      };
+    }
+    return { gasPrice: feeData.gasPrice };
+  }
+
+  // Fees of a replacement transaction, raised by feeBumpPercent but never
+  // above the maxFeePerGas cap; null once the request already pays the cap
+  bumpFees(request) {
+    const percent = this.options.feeBumpPercent;
+    const cap = this.options.maxFeePerGas === undefined ? undefined : BigInt(this.options.maxFeePerGas);
+    const capped = (value) => (cap !== undefined && value > cap ? cap : value);
+
+    if (request.gasPrice !== undefined) {
+      if (cap !== undefined && request.gasPrice >= cap) {
+        return null;
+      }
+      return { ...request, gasPrice: capped(bump(request.gasPrice, percent)) };
+    }
+
+    if (cap !== undefined && request.maxFeePerGas >= cap) {
+      return null;
+    }
+    const maxFeePerGas = capped(bump(request.maxFeePerGas, percent));
+    const maxPriorityFeePerGas = bump(request.maxPriorityFeePerGas, percent);
+    return {
+      ...request,
+      maxFeePerGas,
+      maxPriorityFeePerGas: maxPriorityFeePerGas > maxFeePerGas ? maxFeePerGas : maxPriorityFeePerGas,
+    };
+  }
+
+  // Serialise nonce assignment and broadcast per sender
+  lock(from, task) {
+    const previous = this.locks.get(from) || Promise.resolve();
+    const result = previous.then(task, task);
+    this.locks.set(from, result.catch(() => {}));
+    return result;
+  }
+
+  /**
+   * The next nonce for a sender: the local counter, or the node's pending
+   * count if something else has sent from the account meanwhile
+   */
+  async nextNonce(provider, from) {
+    const pending = await this.withRetry(() =>
+      provider.getTransactionCount(from, "pending")
+    );
+    const local = this.nonces.get(from);
+    return local === undefined ? pending : Math.max(local, pending);
+  }
+
+  // Assign a nonce and send, resyncing the nonce if the node rejects it
+  async broadcast(signer, from, request) {
+    const provider = signer.provider;
+    const fromBlock = await this.withRetry(() => provider.getBlockNumber());
+
+    for (let attempt = 0; ; attempt++) {
+      const nonce = await this.nextNonce(provider, from);
+      const tx = { ...request, nonce };
+
+      try {
+        const hash = await this.sendOnce(signer, from, tx);
+        this.nonces.set(from, nonce + 1);
+        return {
+          request: tx,
+          hashes: hash ? [hash] : [],
+          lostHash: !hash,
+          fromBlock,
+          sentAt: Date.now(),
+        };
+      } catch (error) {
+        // The local counter is out of step with the node, e.g. after a
+        // reorg dropped our transactions or another process sent some
+        if (isNonceError(error) && attempt < this.options.maxRetries) {
+          this.logger.warn(`Nonce ${nonce} for ${from} was rejected, resyncing`, { from, nonce });
+          this.nonces.delete(from);
+          continue;
+        }
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Send a transaction, retrying transient errors without sending it twice
+   *
+   * A request that fails with a transient error may still have reached the
+   * node, so it is only repeated while the node's pending nonce shows it did
+   * not. Once it did, or the node reports it as already known, it counts as
+   * sent.
+   *
+   * @returns The transaction hash, or null if the node has the transaction
+   *          but its hash was lost with the response
+   */
+  async sendOnce(signer, from, tx) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return (await signer.sendTransaction(tx)).hash;
+      } catch (error) {
+        // After a lost response, a nonce error means the first request arrived
+        if (isAlreadyKnownError(error) || (attempt > 0 && isNonceError(error))) {
+          this.logger.warn(`Transaction with nonce ${tx.nonce} from ${from} was already sent`, {
+            from,
+            nonce: tx.nonce,
+          });
+          return null;
+        }
+        if (!isTransientError(error)) {
+          throw error;
+        }
+        this.onRpcError(error);
+
+        const pending = await this.withRetry(() =>
+          signer.provider.getTransactionCount(from, "pending")
+        );
+        if (pending > tx.nonce) {
+          this.logger.warn(
+            `Sending nonce ${tx.nonce} from ${from} failed (${error.message}), ` +
+              `but the node has it; not sending it again`,
+            { from, nonce: tx.nonce, error }
+          );
+          return null;
+        }
+        if (attempt >= this.options.maxRetries) {
+          throw error;
+        }
+        await this.backoff(error, attempt);
+      }
+    }
+  }
+
+  /**
+   * Find the mined transaction that used a nonce, by scanning the blocks
+   * since it was sent; null if the nonce is not used in a mined block yet
+   *
+   * @throws TransactionError if another transaction used the nonce
+   */
+  async findMinedByNonce(provider, from, sent) {
+    const { nonce } = sent.request;
+    const mined = await this.withRetry(() => provider.getTransactionCount(from, "latest"));
+    if (mined <= nonce) {
+      return null;
+    }
+
+    const latest = await this.withRetry(() => provider.getBlockNumber());
+    for (let number = sent.fromBlock; number <= latest; number++) {
+      const block = await this.withRetry(() => provider.getBlock(number, true));
+      const tx = block && block.prefetchedTransactions.find(
+        (candidate) => candidate.from.toLowerCase() === from.toLowerCase() && candidate.nonce === nonce
+      );
+      if (!tx) {
+        continue;
+      }
+      const sameCall =
+        tx.to && tx.to.toLowerCase() === sent.request.to.toLowerCase() &&
+        tx.data.toLowerCase() === sent.request.data.toLowerCase();
+      if (!sameCall) {
+        throw new TransactionError(
+          `Nonce ${nonce} from ${from} was used by another transaction (${tx.hash})`,
+          { from, nonce, transactionHash: tx.hash }
+        );
+      }
+      return tx.hash;
+    }
+    return null;
+  }
+
+  /**
+   * Wait until one of the transactions sent with the nonce is mined,
+   * replacing it with bumped fees whenever it is stuck
+   */
+  async waitMined(signer, from, sent) {
+    const provider = signer.provider;
+    const { stuckTimeout, maxReplacements, pollInterval, confirmations } = this.options;
+    let replacements = 0;
+
+    const confirmed = async (receipt) =>
+      confirmations > 1
+        ? this.withRetry(() => provider.waitForTransaction(receipt.hash, confirmations))
+        : receipt;
+
+    for (;;) {
+      for (const hash of sent.hashes) {
+        const receipt = await this.withRetry(() => provider.getTransactionReceipt(hash));
+        if (receipt) {
+          return confirmed(receipt);
+        }
+      }
+
+      // A send whose hash was lost is only found by its nonce
+      if (sent.lostHash) {
+        const hash = await this.findMinedByNonce(provider, from, sent);
+        if (hash) {
+          return confirmed(await this.withRetry(() => provider.getTransactionReceipt(hash)));
+        }
+      }
+
+      if (stuckTimeout > 0 && Date.now() - sent.sentAt >= stuckTimeout) {
+        const replacement =
+          replacements < maxReplacements ? this.bumpFees(sent.request) : null;
+        if (!replacement) {
+          throw new TransactionStuckError(
+            `Transaction with nonce ${sent.request.nonce} from ${from} was not mined`,
+            { from, nonce: sent.request.nonce, transactionHashes: sent.hashes }
+          );
+        }
+
+        replacements++;
+        sent.request = replacement;
+        sent.sentAt = Date.now();
+        try {
+          const hash = await this.sendOnce(signer, from, replacement);
+          if (hash) {
+            sent.hashes.push(hash);
+          } else {
+            sent.lostHash = true;
+          }
+          this.logger.warn(
+            `Transaction with nonce ${replacement.nonce} from ${from} is stuck, replaced ` +
+              `with ${hash || "a transaction whose hash was lost"} (bump ${replacements}/${maxReplacements})`,
+            { txHash: hash, replacedTxHash: sent.hashes[0] || null }
+          );
+        } catch (error) {
+          // Either an earlier transaction was just mined (nonce used) or the
+          // bump was too small; keep polling and bump again later
+          if (!isNonceError(error) && !isUnderpricedError(error)) {
+            throw error;
+          }
+        }
+        continue;
+      }
+
+      await sleep(pollInterval);
+    }
+  }
+}
+
+/**
+ * Transaction manager options from TX_* environment variables
+ */
+function transactionOptionsFromEnv(env = process.env) {
+  const number = (name) => (env[name] === undefined || env[name] === "" ? undefined : Number(env[name]));
+  return {
+    maxRetries: number("TX_MAX_RETRIES"),
+    retryDelay: number("TX_RETRY_DELAY"),
+    stuckTimeout: number("TX_STUCK_TIMEOUT"),
+    feeBumpPercent: number("TX_FEE_BUMP_PERCENT"),
+    maxReplacements: number("TX_MAX_REPLACEMENTS"),
+    maxFeePerGas: env.TX_MAX_FEE_PER_GAS ? BigInt(env.TX_MAX_FEE_PER_GAS) : undefined,
+  };
+}
+
+module.exports = {
+  TransactionManager,
+  TransactionError,
+  ContractRevertError,
+  TransactionStuckError,
+  ...REVERT_ERROR_CLASSES,
+  getRevertReason,
+  decodeRevertError,
+  isTransientError,
+  transactionOptionsFromEnv,
+};
@@ -0,0 +1,161 @@
+/**
+ * Verification Rule Encoding
+ *
+ * `AttestationPlatform.verificationRules[i].ruleData` holds the ABI encoding
+ * of
+ *
+ *   (uint8 version, string operation, uint8 leftRole, uint8 rightRole,
+ *    uint256[] thresholds, bool active)
+ *
+ *   version     RULE_VERSION (1)
+ *   operation   operation name from operations.js, e.g. "CollateralRatio"
+ *   leftRole    AttestorRole whose attestations are summed as the left
+ *               operand (normally ReservesProvider)
+ *   rightRole   AttestorRole summed as the right operand (normally
+ *               LiabilitiesProvider)
+ *   thresholds  the operation's parameters in registry order, as fixed-point
+ *               numbers with THRESHOLD_DECIMALS decimals (1.05 -> 1.05e18)
+ *   active      inactive rules are kept on-chain but not proven
+ *
+ * A period's proof data bundles one proof per rule as
+ *
+ *   (uint256[] ruleIds, bool[] results, bytes[] proofs)
+ */
+
+const { ethers } = require("ethers");
+const { OPERATIONS, parseOperation } = require("./operations");
+const { ROLE, parseRole, roleName } = require("./attestor_roles");
+
+const RULE_VERSION = 1;
+const THRESHOLD_DECIMALS = 18;
+
+const RULE_TYPES = ["uint8", "string", "uint8", "uint8", "uint256[]", "bool"];
+const PROOF_BUNDLE_TYPES = ["uint256[]", "bool[]", "bytes[]"];
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+/**
+ * Encode a rule into ruleData bytes
+ *
+ * @param rule.operation Operation string or parsed operation
+ * @param rule.leftRole Left operand role (default ReservesProvider)
+ * @param rule.rightRole Right operand role (default LiabilitiesProvider)
+ * @param rule.active Whether the rule is proven (default true)
+ * @returns Hex string
+ */
+function encodeRule(rule) {
+  const operation = parseOperation(rule.operation);
+  const leftRole = parseRole(rule.leftRole || ROLE.ReservesProvider);
+  const rightRole = parseRole(rule.rightRole || ROLE.LiabilitiesProvider);
+
+  if (leftRole === 0 || rightRole === 0 || leftRole === rightRole) {
+    throw new Error("Rule operand roles must be two different assigned roles");
+  }
+
+  const thresholds = Object.values(operation.params).map((value) =>
+    ethers.parseUnits(value.text, THRESHOLD_DECIMALS)
+  );
+
+  return abiCoder.encode(RULE_TYPES, [
+    RULE_VERSION,
+    operation.name,
+    leftRole,
+    rightRole,
+    thresholds,
+    rule.active !== false,
+  ]);
+}
+
+/**
+ * Decode ruleData bytes
+ *
+ * @returns { operation (parsed), leftRole, rightRole, active }
+ * @throws If the data is not a valid version 1 rule
+ */
+function decodeRule(ruleData) {
+  let decoded;
+  try {
+    decoded = abiCoder.decode(RULE_TYPES, ruleData);
+  } catch (error) {
+    throw new Error("Rule data is not an encoded verification rule");
+  }
+
+  const [version, name, leftRole, rightRole, thresholds, active] = decoded;
+  if (Number(version) !== RULE_VERSION) {
+    throw new Error(`Unsupported verification rule version ${version}`);
+  }
+
+  const definition = Object.hasOwn(OPERATIONS, name) ? OPERATIONS[name] : null;
+  const paramNames = definition ? Object.keys(definition.params) : [];
+  if (definition && thresholds.length !== paramNames.length) {
+    throw new Error(
+      `Rule for ${name} has ${thresholds.length} thresholds, expected ${paramNames.length}`
+    );
+  }
+
+  const params = paramNames.map((param, i) => {
+    const text = ethers.formatUnits(thresholds[i], THRESHOLD_DECIMALS);
+    return `${param}=${text.replace(/\.0$/, "")}`;
+  });
+
+  return {
+    operation: parseOperation(params.length > 0 ? `${name}:${params.join(",")}` : name),
+    leftRole: roleName(leftRole),
+    rightRole: roleName(rightRole),
+    active,
+  };
+}
+
+/**
+ * Decode ruleData, returning null for data that is not an encoded rule
+ * (e.g. free-text rules added before the encoding existed)
+ */
+function tryDecodeRule(ruleData) {
+  try {
+    return decodeRule(ruleData);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Bundle the per-rule proofs of a period into a single proofData value
+ * @param results Array of { ruleId, passed, proof (bytes) }
+ */
+function encodeProofBundle(results) {
+  return abiCoder.encode(PROOF_BUNDLE_TYPES, [
+    results.map((result) => BigInt(result.ruleId)),
+    results.map((result) => result.passed),
+    results.map((result) => ethers.hexlify(result.proof)),
+  ]);
+}
+
+/**
+ * Unpack a proof bundle, or return null if proofData is a single proof
+ * @returns Array of { ruleId, passed, proof (hex) }
+ */
+function decodeProofBundle(proofData) {
+  try {
+    const [ruleIds, results, proofs] = abiCoder.decode(PROOF_BUNDLE_TYPES, proofData);
+    if (ruleIds.length !== results.length || ruleIds.length !== proofs.length) {
+      return null;
+    }
+    return ruleIds.map((ruleId, i) => ({
+      ruleId: Number(ruleId),
+      passed: results[i],
+      proof: proofs[i],
+    }));
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  RULE_VERSION,
+  THRESHOLD_DECIMALS,
+  encodeRule,
+  decodeRule,
+  tryDecodeRule,
+  encodeProofBundle,
+  decodeProofBundle,
+};
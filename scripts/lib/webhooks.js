@@ -0,0 +1,305 @@
+/**
+ * Webhooks
+ *
+ * Outbound notifications for the events operators have to react to, posted
+ * as JSON to HTTP endpoints:
+ *
+ *   verification.failed   a VerificationResultSubmitted with passed=false
+ *   proof.failed          a proof job attempt failed
+ *   period.stuck          the current period has been below quorum too long
+ *   attestor.registered   a new attestor was registered
+ *
+ * Every request body is { id, type, createdAt, ...context, data }. The id is
+ * the same for every delivery of a notification, so receivers can drop
+ * duplicates. Requests are signed with HMAC-SHA256 over
+ * `<timestamp>.<body>` using the shared secret:
+ *
+ *   X-Webhook-Id         notification id
+ *   X-Webhook-Event      notification type
+ *   X-Webhook-Timestamp  unix seconds of this attempt
+ *   X-Webhook-Signature  sha256=<hex HMAC>, see verifySignature
+ *
+ * Failed deliveries (network errors, timeouts, 408, 429 and 5xx answers) are
+ * retried with exponential backoff. Deliveries that still fail, or that an
+ * endpoint rejects with another status, are appended to a dead-letter file
+ * (one JSON object per line) from which they can be replayed with
+ * `npx hardhat webhooks:replay`.
+ *
+ * Usage:
+ *   const notifier = new WebhookNotifier({ urls, secret, deadLetterFile });
+ *   notifier.notify("verification.failed", { periodId: "3", ... });
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { defaultLogger } = require("./logger");
+
+const NOTIFICATION_TYPES = ["verification.failed", "proof.failed", "period.stuck", "attestor.registered"];
+
+const DEFAULT_DEAD_LETTER_FILE = path.join(__dirname, "../../attestation_temp/webhook_dead_letters.jsonl");
+
+// Signatures older than this are rejected by verifySignature (seconds)
+const DEFAULT_SIGNATURE_TOLERANCE = 300;
+
+/**
+ * Signature header value for a request body
+ */
+function signPayload(secret, timestamp, body) {
+  const hmac = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `sha256=${hmac}`;
+}
+
+/**
+ * Check the signature of a received webhook, for receivers written in
+ * JavaScript
+ *
+ * @param body Raw request body (string or Buffer), before JSON parsing
+ * @param timestamp, signature Values of X-Webhook-Timestamp and
+ *                             X-Webhook-Signature
+ * @param options.tolerance Maximum age of the timestamp in seconds
+ * @returns true if the body was signed with `secret` within the tolerance
+ */
+function verifySignature(secret, body, timestamp, signature, options = {}) {
+  const tolerance = options.tolerance ?? DEFAULT_SIGNATURE_TOLERANCE;
+  const now = Math.floor((options.now ?? Date.now()) / 1000);
+  if (!/^\d+$/.test(String(timestamp)) || Math.abs(now - Number(timestamp)) > tolerance) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// JSON text of a value, with bigints (e.g. period IDs) as strings
+function toJson(value) {
+  return JSON.stringify(value, (key, item) => (typeof item === "bigint" ? item.toString() : item));
+}
+
+// Error of a delivery attempt; `retryable` is false for answers a retry
+// would not change
+class DeliveryError extends Error {
+  constructor(message, retryable) {
+    super(message);
+    this.name = "DeliveryError";
+    this.retryable = retryable;
+  }
+}
+
+class WebhookNotifier {
+  /**
+   * @param options.urls Endpoints every notification is posted to
+   * @param options.secret Shared secret the requests are signed with
+   * @param options.events Notification types to send (default: all)
+   * @param options.context Fields added to every body, e.g. { contract, chainId }
+   * @param options.maxAttempts Attempts per endpoint before a delivery is
+   *                            dead-lettered
+   * @param options.retryDelay Base delay (ms) before a retry, doubled per attempt
+   * @param options.timeout Time (ms) an endpoint has to answer
+   * @param options.deadLetterFile File failed deliveries are appended to
+   * @param options.logger Logger for delivery failures (see logger.js)
+   */
+  constructor(options = {}) {
+    this.urls = options.urls || [];
+    this.secret = options.secret || null;
+    this.events = options.events || NOTIFICATION_TYPES;
+    this.context = options.context || {};
+    this.maxAttempts = options.maxAttempts || 5;
+    this.retryDelay = options.retryDelay ?? 2000;
+    this.timeout = options.timeout || 10000;
+    this.deadLetterFile = options.deadLetterFile || DEFAULT_DEAD_LETTER_FILE;
+    this.logger = options.logger || defaultLogger;
+
+    this.pending = new Set();
+  }
+
+  /**
+   * Whether notifications of a type are sent anywhere
+   */
+  isEnabled(type) {
+    return this.urls.length > 0 && this.events.includes(type);
+  }
+
+  /**
+   * Post a notification to every endpoint, in the background
+   *
+   * @param type One of NOTIFICATION_TYPES
+   * @param data Notification details (JSON-serializable; bigints become strings)
+   * @param options.id Stable id, e.g. derived from the event behind the
+   *                   notification (default: a random UUID)
+   * @returns Promise of one { url, delivered, attempts, error } per
+   *          endpoint; it never rejects
+   */
+  notify(type, data, options = {}) {
+    if (!NOTIFICATION_TYPES.includes(type)) {
+      throw new Error(
+        `Unknown notification type "${type}" (expected one of: ${NOTIFICATION_TYPES.join(", ")})`
+      );
+    }
+    if (!this.isEnabled(type)) {
+      return Promise.resolve([]);
+    }
+
+    const payload = JSON.parse(
+      toJson({
+        id: options.id || crypto.randomUUID(),
+        type,
+        createdAt: new Date().toISOString(),
+        ...this.context,
+        data,
+      })
+    );
+    return this._track(Promise.all(this.urls.map((url) => this._deliver(url, payload))));
+  }
+
+  /**
+   * Resolve once every notification sent so far was delivered or
+   * dead-lettered
+   */
+  async onIdle() {
+    while (this.pending.size > 0) {
+      await Promise.allSettled([...this.pending]);
+    }
+  }
+
+  /**
+   * Deliveries in the dead-letter file
+   * @returns Array of { url, payload, attempts, error, failedAt }
+   */
+  readDeadLetters() {
+    if (!fs.existsSync(this.deadLetterFile)) {
+      return [];
+    }
+    return fs
+      .readFileSync(this.deadLetterFile, "utf8")
+      .split("\n")
+      .filter((line) => line.trim() !== "")
+      .map((line) => JSON.parse(line));
+  }
+
+  /**
+   * Deliver every dead-lettered notification again; the ones that still
+   * fail stay in the file, as do deliveries dead-lettered meanwhile by a
+   * running monitor
+   * @returns { delivered, failed }
+   */
+  async replayDeadLetters() {
+    const entries = this.readDeadLetters();
+    const remaining = [];
+
+    for (const entry of entries) {
+      const result = await this._deliver(entry.url, entry.payload, { deadLetter: false });
+      if (!result.delivered) {
+        remaining.push({
+          ...entry,
+          attempts: entry.attempts + result.attempts,
+          error: result.error,
+          failedAt: new Date().toISOString(),
+        });
+      }
+    }
+
+    const added = this.readDeadLetters().slice(entries.length);
+    this._writeDeadLetters([...remaining, ...added]);
+    return { delivered: entries.length - remaining.length, failed: remaining.length };
+  }
+
+  _track(promise) {
+    this.pending.add(promise);
+    promise.finally(() => this.pending.delete(promise));
+    return promise;
+  }
+
+  // Post a payload to one endpoint with retries, dead-lettering it if every
+  // attempt fails
+  async _deliver(url, payload, options = {}) {
+    const body = JSON.stringify(payload);
+    let attempts = 0;
+    let lastError = null;
+
+    while (attempts < this.maxAttempts) {
+      attempts += 1;
+      try {
+        await this._post(url, payload, body);
+        return { url, delivered: true, attempts, error: null };
+      } catch (error) {
+        lastError = error;
+        this.logger.warn(
+          `Webhook ${payload.type} to ${url} failed (attempt ${attempts}/${this.maxAttempts}): ${error.message}`,
+          { notificationId: payload.id, url }
+        );
+        if (error.retryable === false) {
+          break;
+        }
+        if (attempts < this.maxAttempts) {
+          await new Promise((resolve) => setTimeout(resolve, this.retryDelay * 2 ** (attempts - 1)));
+        }
+      }
+    }
+
+    if (options.deadLetter !== false) {
+      this._appendDeadLetter({
+        url,
+        payload,
+        attempts,
+        error: lastError.message,
+        failedAt: new Date().toISOString(),
+      });
+      this.logger.error(`Webhook ${payload.type} to ${url} written to ${this.deadLetterFile}`, {
+        notificationId: payload.id,
+      });
+    }
+    return { url, delivered: false, attempts, error: lastError.message };
+  }
+
+  async _post(url, payload, body) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      "Content-Type": "application/json",
+      "User-Agent": "attestation-monitor",
+      "X-Webhook-Id": payload.id,
+      "X-Webhook-Event": payload.type,
+      "X-Webhook-Timestamp": String(timestamp),
+    };
+    if (this.secret) {
+      headers["X-Webhook-Signature"] = signPayload(this.secret, timestamp, body);
+    }
+
+    let response;
+    try {
+      response = await fetch(url, { method: "POST", headers, body, signal: AbortSignal.timeout(this.timeout) });
+    } catch (error) {
+      const reason =
+        error.name === "TimeoutError" ? `no answer within ${this.timeout}ms` : error.cause?.message || error.message;
+      throw new DeliveryError(reason, true);
+    }
+    await response.arrayBuffer();
+
+    if (!response.ok) {
+      const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+      throw new DeliveryError(`HTTP ${response.status}`, retryable);
+    }
+  }
+
+  _appendDeadLetter(entry) {
+    fs.mkdirSync(path.dirname(this.deadLetterFile), { recursive: true });
+    fs.appendFileSync(this.deadLetterFile, JSON.stringify(entry) + "\n");
+  }
+
+  // Replace the dead-letter file (via a temporary file, like json_file.js)
+  _writeDeadLetters(entries) {
+    fs.mkdirSync(path.dirname(this.deadLetterFile), { recursive: true });
+    const tempFile = `${this.deadLetterFile}.tmp`;
+    fs.writeFileSync(tempFile, entries.map((entry) => JSON.stringify(entry) + "\n").join(""));
+    fs.renameSync(tempFile, this.deadLetterFile);
+  }
+}
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  DEFAULT_DEAD_LETTER_FILE,
+  WebhookNotifier,
+  signPayload,
+  verifySignature,
+};
@@ -8,47 +8,198 @@
  * Usage:
  * npx hardhat run scripts/monitor_events.js --network sepolia
  *
- * Environment variables are loaded from .env file (copy from .env.example)
+ * Configuration is loaded from the environment, .env (copy from .env.example)
+ * and the optional CONFIG_FILE, see scripts/lib/config.js
  */
 
-// Load environment variables from .env file
-require("dotenv").config();
-
-const { ethers } = require("hardhat");
-const { spawn, execSync } = require("child_process");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { execSync } = require("child_process");
 const fs = require("fs");
 const path = require("path");
+const { AttestationClient } = require("./lib/attestation_client");
+const { resolveContract } = require("./lib/deployments");
+const { loadConfigOrExit, printConfigReport, configLogger } = require("./lib/config");
+const { newRunId, logProcessOutput } = require("./lib/logger");
+const { MetricsRegistry, startMetricsServer } = require("./lib/metrics");
+const { WebhookNotifier } = require("./lib/webhooks");
+const {
+  VerificationAlreadySubmittedError,
+  transactionOptionsFromEnv,
+} = require("./lib/transaction_manager");
+const { printDryRunReport } = require("./lib/dry_run");
+const { createBlobStore } = require("./lib/blob_stores");
+const { resolveAttestation } = require("./lib/attestation_storage");
+const { loadCheckpoint, saveCheckpoint } = require("./lib/checkpoint");
+const { ProofQueue, JOB_STATUS } = require("./lib/proof_queue");
+const { verifyProofSidecar } = require("./lib/prover_output");
+const { ROLE, roleName, selectProverInputs } = require("./lib/attestor_roles");
+const { interpretResult } = require("./lib/operations");
+const {
+  encodeProofBundle,
+  decodeProofBundle,
+} = require("./lib/verification_rules");
+const {
+  createProver,
+  generateProof: runProver,
+} = require("./lib/provers");
+
+// Configuration, validated up front (see scripts/lib/config.js)
+const CONFIG = loadConfigOrExit(
+  [
+    "contract",
+    "prover",
+    "storage",
+    "monitor",
+    "eventScan",
+    "proofQueue",
+    "transactions",
+    "logging",
+    "metrics",
+    "notifications",
+  ],
+  { network: hre.network.name }
+);
+
+// Leveled text or JSON logging (LOG_LEVEL, LOG_FORMAT, see scripts/lib/logger.js).
+// Every line carries the ID of this monitor run.
+const logger = configLogger(CONFIG, { runId: newRunId() });
+const {
+  AUTO_GENERATE_PROOF,
+  // Operation to verify when the contract has no active verification rules
+  OPERATION,
+  EPIC_NODE_BINARY,
+  SP1_BINARY,
+  PROVER_BACKEND,
+  MOCK_PROVER_FIXTURES,
+  // Checkpoint of the last fully processed block, used to backfill on restart
+  MONITOR_CHECKPOINT_FILE: CHECKPOINT_FILE,
+  // Maximum number of blocks per eth_getLogs request
+  BACKFILL_BLOCK_RANGE,
+  // Blocks an event must be buried under before its period is processed
+  // (1 = process as soon as the event is mined). Also used as the number of
+  // confirmations to wait for on submitted transactions.
+  CONFIRMATIONS,
+  // Prove pending periods once and estimate their submissions without
+  // sending anything, then exit
+  DRY_RUN,
+  // Blocks to rescan when the last processed block turns out to have been
+  // reorganised away
+  REORG_RESCAN_BLOCKS,
+  // Persistent queue of periods waiting for a proof
+  PROOF_QUEUE_FILE,
+  // Number of proofs generated in parallel
+  PROOF_CONCURRENCY,
+  // Attempts per period before its job is marked failed
+  PROOF_MAX_ATTEMPTS,
+  // Base delay before retrying a failed proof (doubled on every attempt)
+  PROOF_RETRY_DELAY,
+  // Port and interface of the /metrics and /healthz server, which is only
+  // started when METRICS_PORT is set
+  METRICS_PORT,
+  METRICS_HOST,
+  // Seconds the current period may stay below quorum after its first
+  // attestation before a period.stuck notification is sent
+  PERIOD_STUCK_AFTER,
+} = CONFIG.values;
+
+// Prometheus metrics, served on METRICS_PORT (see scripts/lib/metrics.js)
+const metrics = new MetricsRegistry({ prefix: "attestation_monitor_" });
+const eventsSeen = metrics.counter("events_total", "Contract events seen, by event name", ["event"]);
+const periodsProven = metrics.counter(
+  "periods_proven_total",
+  "Periods whose verification result was submitted, by result",
+  ["result"]
+);
+const proofFailures = metrics.counter("proof_failures_total", "Failed proof job attempts");
+const proofDuration = metrics.histogram(
+  "proof_duration_seconds",
+  "Time to retrieve the attestations of a period and prove all its rules"
+);
+const lastProcessedBlock = metrics.gauge("last_processed_block", "Last block whose events were processed");
+const rpcErrors = metrics.counter("rpc_errors_total", "Failed RPC requests, by operation", ["operation"]);
+for (const operation of ["sync", "transaction", "health"]) {
+  rpcErrors.inc({ operation }, 0);
+}
 
-// Configuration from environment variables
-const CONTRACT_ADDRESS =
-  process.env.CONTRACT_ADDRESS ||
-  (() => {
-    console.error("❌ CONTRACT_ADDRESS not set in .env file");
-    process.exit(1);
-  })();
+// Complete periods without a verification result seen by this monitor:
+// period ID -> time the period completed (unix seconds)
+const unverifiedPeriods = new Map();
+metrics.gauge(
+  "oldest_unverified_period_age_seconds",
+  "Age of the oldest complete period without a verification result (0 if none)",
+  [],
+  { collect: () => oldestUnverifiedPeriodAge() }
+);
 
-const AUTO_GENERATE_PROOF = process.env.AUTO_GENERATE_PROOF !== "false"; // Default to true
-const OPERATION = process.env.OPERATION || "GreaterThan";
-const EXCHANGE_VALUE = process.env.EXCHANGE_VALUE || "1000000";
-const REGULATOR_VALUE = process.env.REGULATOR_VALUE || "900000";
+// Error of the last live sync, null once a sync succeeds
+let lastSyncError = null;
 
-// Path to epic-node binary (for attestation creation)
-const EPIC_NODE_BINARY =
-  process.env.EPIC_NODE_BINARY || 
-  "/Users/agam/succinct/epic-node/target/debug/epic-node";
+// Time allowed for the RPC node to answer a health check
+const HEALTH_RPC_TIMEOUT = 5000;
 
-// Path to SP1 binary (for proof generation)
-const SP1_BINARY =
-  process.env.SP1_BINARY ||
-  "/Users/agam/succinct/fibonacci/target/debug/epic_attestation";
+// Interval between checks for a period stuck below quorum
+const STUCK_CHECK_INTERVAL = 60000;
+
+// Periods already reported as stuck by this monitor run
+const stuckPeriods = new Set();
+
+// Contract to use: CONTRACT_ADDRESS if set, otherwise the deployment manifest
+// of the selected --network (see scripts/lib/deployments.js)
+const DEPLOYMENT = (() => {
+  try {
+    return resolveContract(hre, { address: CONFIG.values.CONTRACT_ADDRESS });
+  } catch (error) {
+    logger.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+})();
+const CONTRACT_ADDRESS = DEPLOYMENT.address;
+if (DEPLOYMENT.abiChanged) {
+  logger.warn(
+    `⚠️ The compiled AttestationPlatform ABI differs from the one deployed at ${CONTRACT_ADDRESS}`
+  );
+}
+
+// Outbound webhooks (WEBHOOK_URLS) for failed verifications, failed proofs,
+// periods stuck below quorum and new attestors, see scripts/lib/webhooks.js
+const notifier = new WebhookNotifier({
+  urls: CONFIG.values.WEBHOOK_URLS,
+  secret: CONFIG.values.WEBHOOK_SECRET,
+  events: CONFIG.values.WEBHOOK_EVENTS,
+  maxAttempts: CONFIG.values.WEBHOOK_MAX_ATTEMPTS,
+  retryDelay: CONFIG.values.WEBHOOK_RETRY_DELAY,
+  timeout: CONFIG.values.WEBHOOK_TIMEOUT,
+  deadLetterFile: CONFIG.values.WEBHOOK_DEAD_LETTER_FILE,
+  context: { contract: CONTRACT_ADDRESS },
+  logger,
+});
 
 // Directories for temporary files
-const TEMP_DIR = path.join(__dirname, "../attestation_temp");
+const TEMP_DIR = CONFIG.values.ATTESTATION_TEMP_DIR;
 const KEYS_DIR = path.join(TEMP_DIR, "keys");
 const ATTESTATIONS_DIR = path.join(TEMP_DIR, "attestations");
 
-// Flag to track if we're currently processing a proof
-let isGeneratingProof = false;
+// Blob store holding attestations submitted off-chain (only a hash and
+// locator on-chain, see scripts/lib/attestation_storage.js)
+const blobStore = createBlobStore({
+  backend: CONFIG.values.BLOB_STORE,
+  dir: CONFIG.values.BLOB_STORE_DIR,
+});
+
+// Block to start scanning from when there is no checkpoint yet, defaulting
+// to the deployment block recorded in the manifest
+const MONITOR_START_BLOCK =
+  CONFIG.values.MONITOR_START_BLOCK ?? (DEPLOYMENT.manifest ? DEPLOYMENT.manifest.blockNumber : 0);
+
+const prover = createProver({
+  backend: PROVER_BACKEND,
+  sp1Binary: SP1_BINARY,
+  keysDir: KEYS_DIR,
+  mockFixturesFile: MOCK_PROVER_FIXTURES,
+  network: hre.network.name,
+  allowMockProver: CONFIG.values.ALLOW_MOCK_PROVER,
+});
 
 // Create necessary directories
 function ensureDirectories() {
@@ -61,292 +212,286 @@ function ensureDirectories() {
   }
 }
 
-// Retrieve attestations from the smart contract
-async function retrieveAttestations(periodId, attestationPlatform) {
-  console.log("\n=== Retrieving Attestations ===");
+// Working directory for a single period, so concurrent proofs don't collide
+function getPeriodDir(periodId) {
+  return path.join(TEMP_DIR, "periods", periodId.toString());
+}
+
+// The rules to prove for a period: every active encoded rule in the
+// contract's verificationRules, or the OPERATION setting when there are none.
+// Returns an array of { ruleId (null for OPERATION), description, operation,
+// leftRole, rightRole }.
+async function getPeriodRules(client, log = logger) {
+  const rules = await client.listActiveRules();
+
+  if (rules.length === 0) {
+    log.info(`No active verification rules, using OPERATION ${OPERATION.spec}`);
+    return [
+      {
+        ruleId: null,
+        description: "OPERATION setting",
+        operation: OPERATION,
+        leftRole: ROLE.ReservesProvider,
+        rightRole: ROLE.LiabilitiesProvider,
+      },
+    ];
+  }
+
+  log.info(`Active verification rules: ${rules.length}`);
+  return rules.map(({ ruleId, description, rule }) => {
+    log.info(`- [${ruleId}] ${description}: ${rule.operation.spec} (${rule.leftRole} vs ${rule.rightRole})`);
+    return {
+      ruleId,
+      description,
+      operation: rule.operation,
+      leftRole: rule.leftRole,
+      rightRole: rule.rightRole,
+    };
+  });
+}
+
+// Retrieve the prover inputs for a period from the smart contract.
+// Inputs are selected by attestor role: the rule's left operand role
+// (reserves providers by default) first, then its right operand role
+// (liabilities providers), each ordered by attestor registration. They are
+// saved as attestation_<i>.bin (1-based) in outputDir. Attestations stored
+// off-chain are fetched from the blob store and checked against their
+// on-chain hash first.
+// Returns an array of { address, name, role, file }, or null on failure.
+async function retrieveAttestations(
+  periodId,
+  client,
+  outputDir = ATTESTATIONS_DIR,
+  operands = {},
+  log = logger
+) {
+  log.info("\n=== Retrieving Attestations ===");
 
   try {
     // Get the attestor addresses for this period
-    const attestorCount = await attestationPlatform.getPeriodAttestorCount(
-      periodId
+    const periodAttestors = await client.listPeriodAttestors(periodId);
+    log.info(
+      `Found ${periodAttestors.length} attestors for period ${periodId}`
     );
-    console.log(`Found ${attestorCount} attestors for period ${periodId}`);
-
-    if (attestorCount < 2) {
-      console.error("Not enough attestations to generate proof");
-      return null;
-    }
 
-    let exchangeAddress, regulatorAddress;
+    // Order by registration so every run passes attestors to the prover in
+    // the same order, whatever order they submitted in
+    const registered = await client.listAttestors();
+    const submitted = registered.filter((attestor) =>
+      periodAttestors.some(
+        (address) => address.toLowerCase() === attestor.address.toLowerCase()
+      )
+    );
 
-    // First try to find attestor by name
-    const totalAttestors = await attestationPlatform.getAttestorCount();
-    for (let i = 0; i < totalAttestors; i++) {
-      try {
-        const address = await attestationPlatform.attestorAddresses(i);
-        const attestor = await attestationPlatform.attestors(address);
-
-        if (attestor.name === "Exchange") {
-          exchangeAddress = address;
-          console.log(`Found Exchange attestor: ${address}`);
-        } else if (attestor.name === "Regulator") {
-          regulatorAddress = address;
-          console.log(`Found Regulator attestor: ${address}`);
-        }
-      } catch (error) {
-        console.error(
-          `Error retrieving attestor at index ${i}:`,
-          error.message
-        );
-      }
+    for (const attestor of submitted) {
+      log.info(`- ${attestor.name} (${attestor.role}): ${attestor.address}`);
     }
 
-    // If we couldn't find by name, just use the first two attestors
-    if (!exchangeAddress || !regulatorAddress) {
-      console.log(
-        "Could not find attestors by name, using the first two attestors"
-      );
-
-      for (let i = 0; i < attestorCount && i < 2; i++) {
-        const address = await attestationPlatform.periodAttestors(periodId, i);
-        if (i === 0) {
-          exchangeAddress = address;
-          console.log(`Using first attestor as Exchange: ${address}`);
-        } else if (i === 1) {
-          regulatorAddress = address;
-          console.log(`Using second attestor as Regulator: ${address}`);
-        }
-      }
+    let selection;
+    try {
+      selection = selectProverInputs(submitted, operands);
+    } catch (error) {
+      log.error(`Not enough attestations to generate proof: ${error.message}`, { error });
+      return null;
     }
 
-    if (!exchangeAddress || !regulatorAddress) {
-      console.error("Failed to identify Exchange and Regulator attestors");
-      return null;
+    const skipped = submitted.length - selection.inputs.length;
+    if (skipped > 0) {
+      log.info(`${skipped} attestation(s) are not prover inputs (e.g. ${ROLE.Auditor})`);
     }
 
-    // Get the attestation data
-    const exchangeAttestation = await attestationPlatform.getAttestation(
-      periodId,
-      exchangeAddress
-    );
-    const regulatorAttestation = await attestationPlatform.getAttestation(
-      periodId,
-      regulatorAddress
-    );
+    fs.mkdirSync(outputDir, { recursive: true });
+    const attestations = [];
 
-    console.log(
-      `Retrieved Exchange attestation: ${exchangeAttestation.encryptedData.length} bytes`
-    );
-    console.log(
-      `Retrieved Regulator attestation: ${regulatorAttestation.encryptedData.length} bytes`
-    );
+    for (const [i, attestor] of selection.inputs.entries()) {
+      const attestation = await client.getAttestation(periodId, attestor.address);
+      if (!attestation) {
+        log.error(`${attestor.address} has not submitted an attestation for this period`);
+        return null;
+      }
 
-    // Save the attestations to files
-    const exchangeFile = path.join(ATTESTATIONS_DIR, "attestation_1.bin");
-    const regulatorFile = path.join(ATTESTATIONS_DIR, "attestation_2.bin");
+      // A chunked upload leaves encryptedData empty; reassemble its chunks
+      let encryptedData = attestation.encryptedData;
+      if (encryptedData.length === 0) {
+        const uploaded = await client.getUploadedAttestationData(periodId, attestor.address);
+        if (uploaded) {
+          log.info(`Reassembled ${attestor.name} attestation from its chunked upload`);
+          encryptedData = uploaded;
+        }
+      }
 
-    // Create binary data from hex string
-    const exchangeData = ethers.getBytes(exchangeAttestation.encryptedData);
-    const regulatorData = ethers.getBytes(regulatorAttestation.encryptedData);
+      const { data, reference } = await resolveAttestation(encryptedData, blobStore);
+      if (reference) {
+        log.info(
+          `Fetched ${attestor.name} attestation from ${blobStore.name} blob store: ${reference.locator}`
+        );
+        log.info(`Content hash verified: ${reference.contentHash}`);
+      }
 
-    fs.writeFileSync(exchangeFile, Buffer.from(exchangeData));
-    fs.writeFileSync(regulatorFile, Buffer.from(regulatorData));
+      const file = path.join(outputDir, `attestation_${i + 1}.bin`);
+      fs.writeFileSync(file, data);
 
-    console.log(`Saved Exchange attestation to: ${exchangeFile}`);
-    console.log(`Saved Regulator attestation to: ${regulatorFile}`);
+      log.info(
+        `Retrieved ${attestor.name} attestation: ${data.length} bytes`
+      );
+      log.info(`Saved ${attestor.role} attestation to: ${file}`);
 
-    return {
-      exchangeFile,
-      regulatorFile,
-    };
+      attestations.push({
+        address: attestor.address,
+        name: attestor.name,
+        role: attestor.role,
+        file,
+      });
+    }
+
+    return attestations;
   } catch (error) {
-    console.error("Error retrieving attestations:", error.message);
+    log.error(`Error retrieving attestations: ${error.message}`, { error });
     return null;
   }
 }
 
-// Generate the proof using the SP1 binary
-async function generateProof(attestationFiles) {
-  console.log("\n=== Generating Proof with SP1 ===");
+// Generate the proof of a rule over the attestations selected by
+// retrieveAttestations with the configured prover backend, writing proof.bin
+// and the verdict sidecar into workDir
+async function generateProof(
+  attestations,
+  workDir = TEMP_DIR,
+  periodId = null,
+  rule = {},
+  log = logger
+) {
+  const operation = rule.operation || OPERATION;
+  const leftRole = rule.leftRole || ROLE.ReservesProvider;
+
+  log.info(`\n=== Generating Proof (${prover.name} backend) ===`);
 
-  if (
-    !attestationFiles ||
-    !attestationFiles.exchangeFile ||
-    !attestationFiles.regulatorFile
-  ) {
-    console.error("Missing required attestation files:", attestationFiles);
+  if (!Array.isArray(attestations) || attestations.length < 2) {
+    log.error(`Missing required attestation files: ${JSON.stringify(attestations)}`);
     throw new Error("Invalid attestation files");
   }
 
-  console.log(`Using attestation files:`);
-  console.log(`- Exchange: ${attestationFiles.exchangeFile}`);
-  console.log(`- Regulator: ${attestationFiles.regulatorFile}`);
-
-  return new Promise((resolve, reject) => {
-    try {
-      // Verify we have everything we need
-      const publicKeyPath = path.join(KEYS_DIR, "public.key");
-      const privateKeyPath = path.join(KEYS_DIR, "private.key");
-      const useAttestation = fs.existsSync(publicKeyPath) && 
-                        fs.existsSync(attestationFiles.exchangeFile) && 
-                        fs.existsSync(attestationFiles.regulatorFile);
-      
-      // We should use the attestation files when possible
-      if (!useAttestation) {
-        console.log("MISSING REQUIRED FILES:");
-        if (!fs.existsSync(publicKeyPath)) console.log("- Public key missing");
-        if (!fs.existsSync(attestationFiles.exchangeFile)) console.log("- Exchange attestation missing");
-        if (!fs.existsSync(attestationFiles.regulatorFile)) console.log("- Regulator attestation missing");
-        
-        console.error("Critical files missing - cannot generate proof with attestation files");
-        throw new Error("Missing required files for proof generation");
-      }
-      
-      // Using real attestation files with the shared encryption key
-      console.log("Using real attestation files with shared encryption key for proof generation");
-      console.log(`Public key: ${publicKeyPath}`);
-      console.log(`Exchange attestation: ${attestationFiles.exchangeFile}`);
-      console.log(`Regulator attestation: ${attestationFiles.regulatorFile}`);
-      
-      const args = [
-        "--prove",
-        "--operation",
-        OPERATION,
-        "--att-file1",
-        attestationFiles.exchangeFile,
-        "--att-file2", 
-        attestationFiles.regulatorFile,
-        "--debug"
-      ];
-
-      console.log(`Running SP1 binary: ${SP1_BINARY}`);
-      console.log(`Args: ${args.join(" ")}`);
-
-      const proofProcess = spawn(SP1_BINARY, args, {
-        cwd: TEMP_DIR,
-      });
-
-      let stdoutData = "";
-      let stderrData = "";
+  log.info(`Using attestation files:`);
+  attestations.forEach((attestation, i) =>
+    log.info(`- ${i + 1} (${attestation.role}): ${attestation.file}`)
+  );
 
-      proofProcess.stdout.on("data", (data) => {
-        const output = data.toString();
-        stdoutData += output;
-        console.log(`SP1: ${output.trim()}`);
-      });
+  try {
+    const proofResult = await runProver(prover, {
+      operation,
+      attestationFiles: attestations.map((attestation) => attestation.file),
+      reservesCount: attestations.filter(
+        (attestation) => attestation.role === leftRole
+      ).length,
+      workDir,
+      periodId,
+      logger: log,
+    });
 
-      proofProcess.stderr.on("data", (data) => {
-        const output = data.toString();
-        stderrData += output;
-        console.error(`SP1 Error: ${output.trim()}`);
-      });
+    log.info(`Proof file: ${proofResult.proofFile}`);
+    log.info(`Prover verdict: ${proofResult.passed ? "PASSED" : "FAILED"}`);
 
-      proofProcess.on("close", (code) => {
-        if (code === 0) {
-          console.log("SP1 proof generation completed successfully");
-
-          // Look for proof.bin in different potential locations
-          const proofFile = path.join(TEMP_DIR, "proof.bin");
-          const altProofFile = "./proof.bin"; // Alternative location
-
-          if (fs.existsSync(proofFile)) {
-            console.log(`Proof file found: ${proofFile}`);
-            resolve({
-              success: true,
-              proofFile,
-              // For demo, determine pass/fail based on the configured values
-              passed:
-                OPERATION === "GreaterThan" &&
-                parseInt(EXCHANGE_VALUE) > parseInt(REGULATOR_VALUE),
-            });
-          } else if (fs.existsSync(altProofFile)) {
-            console.log(`Proof file found in alternate location: ${altProofFile}`);
-            // Copy it to the expected location
-            fs.copyFileSync(altProofFile, proofFile);
-            resolve({
-              success: true,
-              proofFile,
-              // For demo, determine pass/fail based on the configured values
-              passed:
-                OPERATION === "GreaterThan" &&
-                parseInt(EXCHANGE_VALUE) > parseInt(REGULATOR_VALUE),
-            });
-          } else {
-            console.error(
-              "Proof file not found after successful SP1 execution"
-            );
-            resolve({
-              success: false,
-              error: "Proof file not found",
-            });
-          }
-        } else {
-          console.error(`SP1 process exited with code ${code}`);
-          console.error(`Stdout: ${stdoutData}`);
-          console.error(`Stderr: ${stderrData}`);
-
-          reject(new Error(`SP1 proof generation failed with code ${code}`));
-        }
-      });
-    } catch (error) {
-      console.error("Error spawning SP1 process:", error.message);
-      reject(error);
-    }
-  });
+    return {
+      success: true,
+      proofFile: proofResult.proofFile,
+      passed: proofResult.passed,
+    };
+  } catch (error) {
+    log.error(`Proof generation failed: ${error.message}`, { error });
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
 }
 
-// Submit the verification result to the smart contract
-async function submitVerificationResult(
-  periodId,
-  proofResult,
-  attestationPlatform
-) {
-  console.log(
+// Submit the verification result to the smart contract.
+// `proofResults` holds one { proofFile, passed, ruleId } per proven rule (a
+// single result is accepted too). The period passes only if every rule
+// passed. A single OPERATION proof is submitted as is; rule proofs are
+// bundled with their rule IDs (see scripts/lib/verification_rules.js).
+async function submitVerificationResult(periodId, proofResults, client, log = logger) {
+  log.info(
     `\n=== Submitting Verification Result for Period ${periodId} ===`
   );
 
+  const results = Array.isArray(proofResults) ? proofResults : [proofResults];
+
   try {
-    // Check if verification has already been submitted
-    const existingResult = await attestationPlatform.verificationResults(
-      periodId
-    );
-    if (
-      existingResult &&
-      existingResult.timestamp &&
-      Number(existingResult.timestamp) > 0
-    ) {
-      console.log(`Verification result already exists for period ${periodId}`);
-      return {
-        success: true,
-        alreadySubmitted: true,
-      };
+    // Cross-check every verdict against the prover outputs before submitting
+    for (const result of results) {
+      const sidecar = verifyProofSidecar(result.proofFile, periodId);
+      if (sidecar.passed !== result.passed) {
+        throw new Error("Verification result does not match the proof sidecar");
+      }
     }
 
-    // Read the proof file
-    const proofData = fs.readFileSync(proofResult.proofFile);
-    console.log(`Proof data size: ${proofData.length} bytes`);
-
-    // Submit the verification result
-    console.log(
-      `Submitting result: ${proofResult.passed ? "PASSED" : "FAILED"}`
+    const passed = results.every((result) => result.passed);
+    const isRuleBundle = results.some(
+      (result) => result.ruleId !== undefined && result.ruleId !== null
     );
 
-    const tx = await attestationPlatform.submitVerificationResult(
+    const proofData = isRuleBundle
+      ? ethers.getBytes(
+          encodeProofBundle(
+            results.map((result) => ({
+              ruleId: result.ruleId,
+              passed: result.passed,
+              proof: fs.readFileSync(result.proofFile),
+            }))
+          )
+        )
+      : fs.readFileSync(results[0].proofFile);
+    log.info(`Proof data size: ${proofData.length} bytes`);
+
+    // Submit the verification result (skipped if one already exists)
+    log.info(`Submitting result: ${passed ? "PASSED" : "FAILED"}`);
+
+    const submission = await client.submitVerification(
       periodId,
-      proofResult.passed,
-      ethers.hexlify(proofData)
+      passed,
+      proofData
     );
 
-    console.log(`Transaction hash: ${tx.hash}`);
-    const receipt = await tx.wait();
-    console.log(`Transaction confirmed in block ${receipt.blockNumber}`);
+    if (submission.alreadySubmitted) {
+      log.info(`Verification result already exists for period ${periodId}`);
+      return {
+        success: true,
+        alreadySubmitted: true,
+      };
+    }
+    if (submission.dryRun) {
+      log.info("Dry run: the result was not submitted");
+      return {
+        success: true,
+        passed,
+        dryRun: submission.dryRun,
+      };
+    }
+
+    const txLog = log.child({ txHash: submission.transactionHash });
+    txLog.info(`Transaction hash: ${submission.transactionHash}`);
+    txLog.info(`Transaction confirmed in block ${submission.blockNumber}`, {
+      blockNumber: submission.blockNumber,
+      passed,
+    });
 
     return {
       success: true,
-      transactionHash: tx.hash,
+      passed,
+      transactionHash: submission.transactionHash,
     };
   } catch (error) {
-    console.error("Error submitting verification result:", error.message);
+    // Another monitor submitted between our check and our transaction
+    if (error instanceof VerificationAlreadySubmittedError) {
+      log.info(`Verification result already exists for period ${periodId}`);
+      return {
+        success: true,
+        alreadySubmitted: true,
+      };
+    }
+
+    log.error(`Error submitting verification result: ${error.message}`, { error });
     return {
       success: false,
       error: error.message,
@@ -354,256 +499,724 @@ async function submitVerificationResult(
   }
 }
 
-// Process an attestation complete event
-async function processAttestationComplete(
-  periodId,
-  attestorCount,
-  attestationPlatform
-) {
-  if (isGeneratingProof) {
-    console.log("Already generating a proof, skipping");
+// Generate and submit the proof for a completed period.
+// Throws on failure so the proof queue can retry the period.
+// Lines are logged with the period ID and step through `options.logger`
+// (default: the monitor's logger).
+// `options.beforeSubmit` is awaited once the proofs are ready; if it returns
+// false nothing is submitted (e.g. the period was reorged out meanwhile).
+async function processAttestationComplete(periodId, client, options = {}) {
+  const periodLog = (options.logger || logger).child({ periodId });
+  let log = periodLog.child({ step: "check-period" });
+  log.info(`\n=== Processing Attestation Period ${periodId} ===`);
+
+  // Ensure directories exist
+  ensureDirectories();
+
+  // Skip periods verified since the job was queued (e.g. by another monitor)
+  const status = await client.getPeriodStatus(periodId);
+  if (status.verified) {
+    log.info(`Period ${periodId} already has a verification result`);
     return;
   }
 
-  isGeneratingProof = true;
+  // We'll need the same shared public key that was used by the attestor nodes
+  log = periodLog.child({ step: "load-keys" });
+  const publicKeyPath = path.join(KEYS_DIR, "public.key");
+  if (!prover.requiresKeys) {
+    log.info(`Prover backend ${prover.name} does not need the shared keys`);
+  } else if (!fs.existsSync(publicKeyPath)) {
+    log.info("IMPORTANT: Public key not found in expected location");
+    log.info("This key should be the same one used by the attestor nodes");
+    log.info("Ideally, copy this file from the attestation_flow.js script's keys directory");
+
+    // Try to generate the same deterministic key using same seed/process
+    log.info("Attempting to generate the deterministic key that should match attestor keys...");
+    try {
+      const output = execSync(`${EPIC_NODE_BINARY} generate-keys 1024 ${KEYS_DIR}`, {
+        cwd: TEMP_DIR
+      });
+      logProcessOutput(log.child({ source: "epic-node" }), output);
+      log.info("Generated deterministic key - should match if using same seed");
 
-  try {
-    console.log(`\n=== Processing Attestation Period ${periodId} ===`);
-
-    // Ensure directories exist
-    ensureDirectories();
-
-        // We'll need the same shared public key that was used by the attestor nodes
-    const publicKeyPath = path.join(KEYS_DIR, "public.key");
-    if (!fs.existsSync(publicKeyPath)) {
-      console.log("IMPORTANT: Public key not found in expected location");
-      console.log("This key should be the same one used by the attestor nodes");
-      console.log("Ideally, copy this file from the attestation_flow.js script's keys directory");
-      
-      // Try to generate the same deterministic key using same seed/process
-      console.log("Attempting to generate the deterministic key that should match attestor keys...");
-      try {
-        execSync(`${EPIC_NODE_BINARY} generate-keys 1024 ${KEYS_DIR}`, { 
-          cwd: TEMP_DIR
-        });
-        console.log("Generated deterministic key - should match if using same seed");
-        
-        if (fs.existsSync(publicKeyPath)) {
-          console.log("Successfully generated public key");
-        } else {
-          console.error("Failed to generate public key at expected location");
-        }
-      } catch (error) {
-        console.error("Failed to generate keys:", error.message);
-        console.error("Will attempt to continue, but proof generation may fail");
+      if (fs.existsSync(publicKeyPath)) {
+        log.info("Successfully generated public key");
+      } else {
+        log.error("Failed to generate public key at expected location");
       }
-    } else {
-      console.log("Found existing shared public key - using for verification");
+    } catch (error) {
+      log.error(`Failed to generate keys: ${error.message}`, { error });
+      logProcessOutput(log.child({ source: "epic-node" }), error.stdout, error.stderr);
+      log.error("Will attempt to continue, but proof generation may fail");
     }
-    
-    console.log("Using encrypted attestations from the blockchain");
+  } else {
+    log.info("Found existing shared public key - using for verification");
+  }
+
+  log.info("Using encrypted attestations from the blockchain");
 
-    // Retrieve attestations
-    const attestationFiles = await retrieveAttestations(
+  // Prove every active rule in its own working directory under the period's
+  const periodDir = getPeriodDir(periodId);
+  const rules = await getPeriodRules(client, periodLog.child({ step: "load-rules" }));
+  const proofResults = [];
+  const proofStart = process.hrtime.bigint();
+
+  for (const rule of rules) {
+    const workDir =
+      rule.ruleId === null
+        ? periodDir
+        : path.join(periodDir, "rules", rule.ruleId.toString());
+
+    const ruleLog = periodLog.child({ ruleId: rule.ruleId });
+    const attestations = await retrieveAttestations(
       periodId,
-      attestationPlatform
+      client,
+      path.join(workDir, "attestations"),
+      rule,
+      ruleLog.child({ step: "retrieve-attestations" })
     );
-    if (!attestationFiles) {
-      console.error("Failed to retrieve attestations");
-      return;
+    if (!attestations) {
+      throw new Error(`Failed to retrieve attestations for period ${periodId}`);
     }
 
-    // Generate proof
-    const proofResult = await generateProof(attestationFiles);
+    const proofResult = await generateProof(
+      attestations,
+      workDir,
+      periodId,
+      rule,
+      ruleLog.child({ step: "prove" })
+    );
     if (!proofResult.success) {
-      console.error("Failed to generate proof");
-      return;
+      throw new Error(
+        `Failed to generate proof for period ${periodId}: ${proofResult.error}`
+      );
     }
 
-    // Submit verification result
-    const submitResult = await submitVerificationResult(
-      periodId,
-      proofResult,
-      attestationPlatform
+    proofResults.push({ ...proofResult, rule, ruleId: rule.ruleId });
+  }
+  proofDuration.observe(Number(process.hrtime.bigint() - proofStart) / 1e9);
+
+  log = periodLog.child({ step: "submit-verification" });
+  if (options.beforeSubmit && !(await options.beforeSubmit())) {
+    log.info(`Period ${periodId} is no longer valid, not submitting its result`);
+    return;
+  }
+
+  // Submit verification result
+  const submitResult = await submitVerificationResult(
+    periodId,
+    proofResults,
+    client,
+    log
+  );
+  if (!submitResult.success) {
+    throw new Error(
+      `Failed to submit verification result for period ${periodId}: ${submitResult.error}`
     );
+  }
 
-    if (submitResult.success) {
-      console.log(`\n=== Verification Complete ===`);
-      console.log(`Period ID: ${periodId}`);
-      console.log(`Operation: ${OPERATION}`);
-      console.log(`Result: ${proofResult.passed ? "✅ PASSED" : "❌ FAILED"}`);
-
-      if (OPERATION === "GreaterThan") {
-        console.log(
-          `Verification interpretation: ${
-            proofResult.passed
-              ? "Exchange reserves exceed liabilities"
-              : "Exchange reserves do not exceed liabilities"
-          }`
-        );
+  const passed = proofResults.every((result) => result.passed);
+  if (!submitResult.dryRun) {
+    periodsProven.inc({ result: passed ? "passed" : "failed" });
+    unverifiedPeriods.delete(periodId.toString());
+  }
+
+  log = periodLog.child({ step: "result", txHash: submitResult.transactionHash || null });
+  log.info(`\n=== Verification Complete${submitResult.dryRun ? " (dry run)" : ""} ===`);
+  log.info(`Period ID: ${periodId}`);
+  log.info(`Result: ${passed ? "✅ PASSED" : "❌ FAILED"}`, { passed });
+  for (const { rule, passed: rulePassed } of proofResults) {
+    const label = rule.ruleId === null ? "Operation" : `Rule ${rule.ruleId}`;
+    log.info(
+      `${label} (${rule.operation.spec}): ${rulePassed ? "PASSED" : "FAILED"} - ${interpretResult(rule.operation, rulePassed, rule)}`
+    );
+  }
+}
+
+// Check that the event a proof job was queued for is still on the canonical
+// chain. If it was reorged out, the job stays valid only while the period is
+// still complete on the new chain; otherwise the job is cancelled.
+// Returns true if the job should go ahead.
+async function validateProofJob(job, client, proofQueue) {
+  const current = proofQueue.get(job.periodId);
+  if (current && current.status === JOB_STATUS.CANCELLED) {
+    return false;
+  }
+
+  const source = job.source;
+  if (!source || !source.blockHash) {
+    return true;
+  }
+
+  if (await client.isBlockCanonical(source.blockNumber, source.blockHash)) {
+    return true;
+  }
+
+  logger.info(
+    `Block ${source.blockNumber} with the completion of period ${job.periodId} was reorged out`
+  );
+
+  const status = await client.getPeriodStatus(job.periodId);
+  if (status.complete) {
+    logger.info(`Period ${job.periodId} is still complete on the canonical chain`);
+    return true;
+  }
+
+  proofQueue.cancel(job.periodId, "Period completion was reorged out");
+  unverifiedPeriods.delete(job.periodId.toString());
+  logger.info(`Cancelled proof job for period ${job.periodId}`);
+  return false;
+}
+
+// Create the proof queue and start working through pending periods
+function startProofQueue(client, chainId) {
+  const proofQueue = new ProofQueue(PROOF_QUEUE_FILE, {
+    chainId,
+    contractAddress: CONTRACT_ADDRESS,
+    concurrency: PROOF_CONCURRENCY,
+    maxAttempts: PROOF_MAX_ATTEMPTS,
+    retryDelay: PROOF_RETRY_DELAY,
+  });
+
+  proofQueue.start(async (job) => {
+    try {
+      // Re-validate before the (slow) proof and again before submitting
+      if (!(await validateProofJob(job, client, proofQueue))) {
+        return;
       }
+      await processAttestationComplete(BigInt(job.periodId), client, {
+        beforeSubmit: () => validateProofJob(job, client, proofQueue),
+      });
+    } catch (error) {
+      proofFailures.inc();
+      logger.error(
+        `Proof job for period ${job.periodId} failed (attempt ${job.attempts}/${PROOF_MAX_ATTEMPTS}): ${error.message}`,
+        { periodId: job.periodId, attempt: job.attempts, error }
+      );
+      notifier.notify(
+        "proof.failed",
+        {
+          periodId: job.periodId,
+          attempt: job.attempts,
+          maxAttempts: PROOF_MAX_ATTEMPTS,
+          willRetry: job.attempts < PROOF_MAX_ATTEMPTS,
+          error: error.message,
+        },
+        { id: `proof.failed:${CONTRACT_ADDRESS}:${job.periodId}:${job.createdAt}:${job.attempts}` }
+      );
+      throw error;
+    }
+  });
+
+  const pending = proofQueue
+    .list()
+    .filter(
+      (job) =>
+        job.status !== JOB_STATUS.DONE && job.status !== JOB_STATUS.CANCELLED
+    );
+  logger.info(`Proof queue: ${PROOF_QUEUE_FILE}`);
+  logger.info(`Pending proof jobs: ${pending.length}`);
+
+  return proofQueue;
+}
+
+// Log a VerificationResultSubmitted event. Rule proof bundles are broken
+// down per rule; a single proof is interpreted under OPERATION.
+// Returns the outcome of every rule as { ruleId (null for OPERATION),
+// passed, interpretation }.
+async function logVerificationResult(periodId, passed, timestamp, client) {
+  logger.info(`\n==== VerificationResultSubmitted Event ====`);
+  logger.info(`Period ID: ${periodId}`);
+  logger.info(`Passed: ${passed ? "✅ PASSED" : "❌ FAILED"}`);
+  logger.info(
+    `Timestamp: ${new Date(Number(timestamp) * 1000).toLocaleString()}`
+  );
+
+  const result = await client.getVerificationResult(periodId);
+  const bundle = result ? decodeProofBundle(result.proofData) : null;
+
+  if (!bundle) {
+    // Add interpretation of the result under the configured operation
+    const interpretation = interpretResult(OPERATION, passed);
+    if (passed) {
+      logger.info(`✅ ${interpretation} - Attestation verified!`);
     } else {
-      console.error("Failed to submit verification result");
+      logger.info(`❌ ${interpretation} - Verification failed!`);
     }
+    return [{ ruleId: null, passed, interpretation }];
+  }
+
+  const rules = await client.listVerificationRules();
+  return bundle.map((entry) => {
+    const rule = rules[entry.ruleId] && rules[entry.ruleId].rule;
+    const interpretation = rule
+      ? interpretResult(rule.operation, entry.passed, rule)
+      : "unknown rule";
+    logger.info(
+      `${entry.passed ? "✅" : "❌"} Rule ${entry.ruleId}: ${interpretation}`
+    );
+    return { ruleId: entry.ruleId, passed: entry.passed, interpretation };
+  });
+}
+
+// Notification id of a contract event, the same whenever the event is seen
+// again (e.g. in a rescan after a restart)
+function eventNotificationId(type, event) {
+  return `${type}:${event.transactionHash}:${event.index}`;
+}
+
+// Remember when a complete period without a verification result completed:
+// the time of the given block, or now if the block is unknown
+async function trackUnverifiedPeriod(periodId, blockNumber, client) {
+  const key = periodId.toString();
+  if (unverifiedPeriods.has(key)) {
+    return;
+  }
+  const timestamp = blockNumber === undefined ? null : await client.getBlockTimestamp(blockNumber);
+  unverifiedPeriods.set(key, timestamp ?? Math.floor(Date.now() / 1000));
+}
+
+// Seconds since the oldest tracked unverified period completed, 0 if none
+function oldestUnverifiedPeriodAge() {
+  if (unverifiedPeriods.size === 0) {
+    return 0;
+  }
+  const oldest = Math.min(...unverifiedPeriods.values());
+  return Math.max(0, Math.floor(Date.now() / 1000) - oldest);
+}
+
+// Whether webhooks go out for an event: not for events an earlier sync
+// already handled (rescanned after a reorg) or from before the monitor's
+// first run, which are history rather than news
+function isNewEvent(event, checkpoint) {
+  return checkpoint.notifiedThroughBlock === undefined || event.blockNumber > checkpoint.notifiedThroughBlock;
+}
+
+// Handle a period lifecycle event or attestor registration found by the
+// backfill or live sync. Notifications are only sent when `notify` is set.
+async function handlePeriodEvent(event, client, proofQueue, handledPeriods, notify) {
+  eventsSeen.inc({ event: event.eventName });
+
+  if (event.eventName === "VerificationResultSubmitted") {
+    const [periodId, passed, timestamp] = event.args;
+    unverifiedPeriods.delete(periodId.toString());
+    const rules = await logVerificationResult(periodId, passed, timestamp, client);
+    if (!passed && notify) {
+      notifier.notify(
+        "verification.failed",
+        {
+          periodId,
+          submittedAt: new Date(Number(timestamp) * 1000).toISOString(),
+          failedRules: rules.filter((rule) => !rule.passed),
+          transactionHash: event.transactionHash,
+          blockNumber: event.blockNumber,
+        },
+        { id: eventNotificationId("verification.failed", event) }
+      );
+    }
+    return;
+  }
+
+  if (event.eventName === "AttestorRegistered") {
+    const [attestor, name, role] = event.args;
+    logger.info(`\n==== AttestorRegistered Event ====`);
+    logger.info(`Attestor: ${name} (${roleName(role)}): ${attestor}`);
+    if (notify) {
+      notifier.notify(
+        "attestor.registered",
+        {
+          attestor,
+          name,
+          role: roleName(role),
+          transactionHash: event.transactionHash,
+          blockNumber: event.blockNumber,
+        },
+        { id: eventNotificationId("attestor.registered", event) }
+      );
+    }
+    return;
+  }
+
+  // AttestationPeriodComplete fires again for every submission past the
+  // required count, so only handle each period once per sync
+  const [periodId, attestorCount] = event.args;
+  if (handledPeriods.has(periodId)) {
+    return;
+  }
+  handledPeriods.add(periodId);
+
+  logger.info(`\n==== AttestationPeriodComplete Event ====`);
+  logger.info(`Period ID: ${periodId}`);
+  logger.info(`Total attestors: ${attestorCount}`);
+  logger.info(`Block: ${event.blockNumber}`);
+
+  const status = await client.getPeriodStatus(periodId);
+  if (status.verified) {
+    logger.info(
+      `Period ${periodId} already has verification result: ${
+        status.passed ? "PASSED" : "FAILED"
+      }`
+    );
+    return;
+  }
+  await trackUnverifiedPeriod(periodId, event.blockNumber, client);
+
+  if (proofQueue) {
+    const job = proofQueue.enqueue(periodId, {
+      blockNumber: event.blockNumber,
+      blockHash: event.blockHash,
+      transactionHash: event.transactionHash,
+    });
+    logger.info(`Proof job for period ${periodId}: ${job.status}`);
+  } else {
+    logger.info("Automatic proof generation is disabled");
+    logger.info("Set AUTO_GENERATE_PROOF=true to enable");
+  }
+}
+
+// Latest block that has CONFIRMATIONS confirmations
+function getSafeBlock(headBlock) {
+  return headBlock - CONFIRMATIONS + 1;
+}
+
+// Detect a reorg of the checkpointed block. On a mismatch, rewind the
+// checkpoint by REORG_RESCAN_BLOCKS so the replaced blocks are scanned again,
+// and re-validate every pending proof job against the new chain.
+async function checkForReorg(client, checkpoint, proofQueue) {
+  if (!checkpoint.lastProcessedBlockHash) {
+    return false;
+  }
+
+  const hash = await client.getBlockHash(checkpoint.lastProcessedBlock);
+  if (hash === checkpoint.lastProcessedBlockHash) {
+    return false;
+  }
+
+  const rewindTo = Math.max(
+    checkpoint.startBlock === undefined ? -1 : checkpoint.startBlock - 1,
+    checkpoint.lastProcessedBlock - REORG_RESCAN_BLOCKS
+  );
+  logger.info(
+    `\n⚠️  Reorg detected: block ${checkpoint.lastProcessedBlock} changed, rescanning from block ${rewindTo + 1}`
+  );
+
+  checkpoint.lastProcessedBlock = rewindTo;
+  checkpoint.lastProcessedBlockHash =
+    rewindTo >= 0 ? await client.getBlockHash(rewindTo) : null;
+  saveCheckpoint(CHECKPOINT_FILE, checkpoint);
+
+  if (proofQueue) {
+    const pending = proofQueue
+      .list()
+      .filter(
+        (job) =>
+          job.status !== JOB_STATUS.DONE &&
+          job.status !== JOB_STATUS.CANCELLED
+      );
+    for (const job of pending) {
+      await validateProofJob(job, client, proofQueue);
+    }
+  }
+
+  return true;
+}
+
+// Process every period event and attestor registration up to `toBlock` in
+// block ranges, saving the checkpoint after each range so a restart resumes
+// where this one stopped. `toBlock` should already account for the
+// confirmation depth. Events up to checkpoint.notifiedThroughBlock are
+// handled without notifications.
+async function syncEvents(client, checkpoint, toBlock, proofQueue) {
+  const handledPeriods = new Set();
+
+  await checkForReorg(client, checkpoint, proofQueue);
+
+  while (checkpoint.lastProcessedBlock < toBlock) {
+    const fromBlock = checkpoint.lastProcessedBlock + 1;
+    const rangeEnd = Math.min(fromBlock + BACKFILL_BLOCK_RANGE - 1, toBlock);
+
+    const events = await client.getEvents(
+      ["AttestorRegistered", "AttestationPeriodComplete", "VerificationResultSubmitted"],
+      fromBlock,
+      rangeEnd
+    );
+
+    for (const event of events) {
+      await handlePeriodEvent(event, client, proofQueue, handledPeriods, isNewEvent(event, checkpoint));
+    }
+
+    checkpoint.lastProcessedBlock = rangeEnd;
+    checkpoint.lastProcessedBlockHash = await client.getBlockHash(rangeEnd);
+    checkpoint.notifiedThroughBlock = Math.max(checkpoint.notifiedThroughBlock ?? -1, rangeEnd);
+    saveCheckpoint(CHECKPOINT_FILE, checkpoint);
+  }
+  lastProcessedBlock.set(checkpoint.lastProcessedBlock);
+}
+
+// Warn about the current period, and notify period.stuck once per period,
+// when it has had attestations but stayed below quorum for
+// PERIOD_STUCK_AFTER seconds since the first one.
+// Returns the details of a newly stuck period, or null.
+async function checkStuckPeriod(client) {
+  const status = await client.getPeriodStatus();
+  const key = status.periodId.toString();
+  if (status.complete || status.attestorCount === 0 || stuckPeriods.has(key)) {
+    return null;
+  }
+
+  const addresses = await client.listPeriodAttestors(status.periodId);
+  const timestamps = [];
+  for (const address of addresses) {
+    timestamps.push((await client.getAttestation(status.periodId, address)).timestamp);
+  }
+  const firstAttestationAt = Math.min(...timestamps);
+  const stuckForSeconds = Math.floor(Date.now() / 1000) - firstAttestationAt;
+  if (stuckForSeconds < PERIOD_STUCK_AFTER) {
+    return null;
+  }
+
+  const submitted = new Set(addresses.map((address) => address.toLowerCase()));
+  const missing = (await client.listAttestors())
+    .filter((attestor) => !submitted.has(attestor.address.toLowerCase()))
+    .map(({ address, name, role }) => ({ address, name, role }));
+  stuckPeriods.add(key);
+
+  const details = {
+    periodId: key,
+    attestorCount: status.attestorCount,
+    requiredAttestorCount: status.requiredAttestorCount,
+    firstAttestationAt: new Date(firstAttestationAt * 1000).toISOString(),
+    stuckForSeconds,
+    missing,
+  };
+  const names = missing.map((attestor) => attestor.name).join(", ") || "none";
+  logger.warn(
+    `⚠️ Period ${key} has been below quorum (${status.attestorCount}/${status.requiredAttestorCount}) ` +
+      `for ${Math.floor(stuckForSeconds / 60)} minutes; not submitted: ${names}`,
+    { periodId: key }
+  );
+  notifier.notify("period.stuck", details, { id: `period.stuck:${CONTRACT_ADDRESS}:${key}` });
+  return details;
+}
+
+// Health report for /healthz: healthy while the RPC node answers and the
+// last live sync succeeded
+async function checkHealth(checkpoint) {
+  const report = {
+    lastProcessedBlock: checkpoint.lastProcessedBlock,
+    oldestUnverifiedPeriodAgeSeconds: oldestUnverifiedPeriodAge(),
+    lastSyncError,
+  };
+
+  let timer;
+  try {
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(
+        () => reject(new Error(`no answer within ${HEALTH_RPC_TIMEOUT}ms`)),
+        HEALTH_RPC_TIMEOUT
+      );
+    });
+    report.headBlock = await Promise.race([ethers.provider.getBlockNumber(), timeout]);
+    report.blocksBehind = Math.max(0, getSafeBlock(report.headBlock) - checkpoint.lastProcessedBlock);
   } catch (error) {
-    console.error("Error processing attestation complete:", error.message);
+    rpcErrors.inc({ operation: "health" });
+    return { healthy: false, ...report, error: `RPC node unavailable: ${error.message}` };
   } finally {
-    isGeneratingProof = false;
+    clearTimeout(timer);
+  }
+
+  return { healthy: lastSyncError === null, ...report };
+}
+
+// Dry run: prove every complete period without a verification result and
+// estimate submitting it, then print the report. Nothing is sent and neither
+// the checkpoint nor the proof queue is touched.
+async function dryRunPendingPeriods(client) {
+  logger.info("\n=== Dry Run: Estimating Pending Verifications ===");
+
+  const currentPeriodId = await client.getCurrentPeriodId();
+  for (let periodId = 0n; periodId <= currentPeriodId; periodId++) {
+    const status = await client.getPeriodStatus(periodId);
+    if (!status.complete || status.verified) {
+      continue;
+    }
+
+    try {
+      await processAttestationComplete(periodId, client);
+    } catch (error) {
+      logger.error(`Dry run for period ${periodId} failed: ${error.message}`, { periodId, error });
+    }
   }
+
+  printDryRunReport(client.transactions.estimates, logger);
 }
 
 // Main monitoring function
 async function monitorEvents() {
-  console.log(
+  printConfigReport(CONFIG, logger);
+  logger.info(
     `Monitoring events from AttestationPlatform at ${CONTRACT_ADDRESS}`
   );
-  console.log(`Auto-generate proof: ${AUTO_GENERATE_PROOF}`);
-  console.log(`Operation to verify: ${OPERATION}`);
-  console.log(`Exchange value: ${EXCHANGE_VALUE}`);
-  console.log(`Regulator value: ${REGULATOR_VALUE}`);
+  logger.info(
+    `Contract from: ${DEPLOYMENT.source === "address" ? "CONTRACT_ADDRESS" : DEPLOYMENT.source}`
+  );
 
   // Connect to the contract
-  const attestationPlatform = await ethers.getContractAt(
-    "AttestationPlatform",
-    CONTRACT_ADDRESS
+  const client = await AttestationClient.connect(
+    ethers,
+    CONTRACT_ADDRESS,
+    undefined,
+    {
+      confirmations: CONFIRMATIONS,
+      dryRun: DRY_RUN,
+      logger,
+      onRpcError: () => rpcErrors.inc({ operation: "transaction" }),
+      ...transactionOptionsFromEnv(CONFIG.values),
+    }
+  );
+  const attestationPlatform = client.contract;
+
+  if (DRY_RUN) {
+    await dryRunPendingPeriods(client);
+    return;
+  }
+
+  // Load the last processed block for this deployment
+  const network = await ethers.provider.getNetwork();
+  const checkpoint = loadCheckpoint(
+    CHECKPOINT_FILE,
+    network.chainId,
+    CONTRACT_ADDRESS,
+    MONITOR_START_BLOCK
+  );
+  logger.info(`Checkpoint file: ${CHECKPOINT_FILE}`);
+  logger.info(`First-run start block: ${MONITOR_START_BLOCK}`);
+  logger.info(`Last processed block: ${checkpoint.lastProcessedBlock}`);
+  lastProcessedBlock.set(checkpoint.lastProcessedBlock);
+
+  // Resume proof jobs left over from a previous run
+  const proofQueue = AUTO_GENERATE_PROOF ? startProofQueue(client, network.chainId) : null;
+  if (proofQueue) {
+    for (const job of proofQueue.list()) {
+      if (job.status !== JOB_STATUS.DONE && job.status !== JOB_STATUS.CANCELLED) {
+        await trackUnverifiedPeriod(job.periodId, job.source ? job.source.blockNumber : undefined, client);
+      }
+    }
+  }
+
+  if (METRICS_PORT !== undefined) {
+    const server = await startMetricsServer({
+      registry: metrics,
+      health: () => checkHealth(checkpoint),
+      port: METRICS_PORT,
+      host: METRICS_HOST,
+    });
+    const { address, port } = server.address();
+    logger.info(`Metrics: http://${address}:${port}/metrics (health: /healthz)`);
+  }
+
+  // Backfill events missed while the monitor was not running
+  logger.info("\n=== Backfilling Missed Events ===");
+  const safeBlock = getSafeBlock(await ethers.provider.getBlockNumber());
+  logger.info(
+    `Scanning blocks ${checkpoint.lastProcessedBlock + 1} to ${safeBlock} in ranges of ${BACKFILL_BLOCK_RANGE}`
   );
+  // Only events after the checkpoint are news; a first run backfills the
+  // whole history up to the current block without notifications
+  if (checkpoint.notifiedThroughBlock === undefined) {
+    checkpoint.notifiedThroughBlock = checkpoint.lastProcessedBlockHash ? checkpoint.lastProcessedBlock : safeBlock;
+  }
+  if (checkpoint.notifiedThroughBlock > checkpoint.lastProcessedBlock) {
+    logger.info(`No notifications for events up to block ${checkpoint.notifiedThroughBlock}`);
+  }
+  await syncEvents(client, checkpoint, safeBlock, proofQueue);
+  logger.info(`Backfill complete up to block ${checkpoint.lastProcessedBlock}`);
 
-  // Listen for AttestationSubmitted events
+  // Listen for AttestationSubmitted events (informational only)
   attestationPlatform.on(
     "AttestationSubmitted",
     async (periodId, attestor, timestamp) => {
-      console.log(`\n==== AttestationSubmitted Event ====`);
-      console.log(`Period ID: ${periodId}`);
-      console.log(`Attestor: ${attestor}`);
-      console.log(
+      eventsSeen.inc({ event: "AttestationSubmitted" });
+      logger.info(`\n==== AttestationSubmitted Event ====`);
+      logger.info(`Period ID: ${periodId}`);
+      logger.info(`Attestor: ${attestor}`);
+      logger.info(
         `Timestamp: ${new Date(Number(timestamp) * 1000).toLocaleString()}`
       );
 
       // Get attestor name if possible
       try {
-        const attestorInfo = await attestationPlatform.attestors(attestor);
-        console.log(`Attestor name: ${attestorInfo.name}`);
+        const attestorInfo = await client.getAttestor(attestor);
+        logger.info(`Attestor name: ${attestorInfo.name}`);
       } catch (error) {
         // Ignore error, name is optional
       }
 
       // Get attestor count for this period
-      const attestorCount = await attestationPlatform.getPeriodAttestorCount(
-        periodId
-      );
-      console.log(
-        `Attestations received for period ${periodId}: ${attestorCount}`
+      const status = await client.getPeriodStatus(periodId);
+      logger.info(
+        `Attestations received for period ${periodId}: ${status.attestorCount}`
       );
     }
   );
 
-  // Listen for AttestationPeriodComplete events
-  attestationPlatform.on(
-    "AttestationPeriodComplete",
-    async (periodId, attestorCount) => {
-      console.log(`\n==== AttestationPeriodComplete Event ====`);
-      console.log(`Period ID: ${periodId}`);
-      console.log(`Total attestors: ${attestorCount}`);
-
-      if (AUTO_GENERATE_PROOF) {
-        console.log(
-          `\nAutomatically generating proof for period ${periodId}...`
-        );
-        processAttestationComplete(
-          periodId,
-          attestorCount,
-          attestationPlatform
-        );
-      } else {
-        console.log("Automatic proof generation is disabled");
-        console.log("Set AUTO_GENERATE_PROOF=true to enable");
-      }
-    }
-  );
-
-  // Listen for VerificationResultSubmitted events
-  attestationPlatform.on(
-    "VerificationResultSubmitted",
-    async (periodId, passed, timestamp) => {
-      console.log(`\n==== VerificationResultSubmitted Event ====`);
-      console.log(`Period ID: ${periodId}`);
-      console.log(`Passed: ${passed ? "✅ PASSED" : "❌ FAILED"}`);
-      console.log(
-        `Timestamp: ${new Date(Number(timestamp) * 1000).toLocaleString()}`
-      );
+  // Live mode: on every new block, process the blocks since the checkpoint
+  // that have enough confirmations. Syncs are chained so blocks are always
+  // handled in order.
+  let syncQueue = Promise.resolve();
+  await ethers.provider.on("block", (blockNumber) => {
+    syncQueue = syncQueue
+      .then(() =>
+        syncEvents(client, checkpoint, getSafeBlock(blockNumber), proofQueue)
+      )
+      .then(() => {
+        lastSyncError = null;
+      })
+      .catch((error) => {
+        rpcErrors.inc({ operation: "sync" });
+        lastSyncError = error.message;
+        logger.error(`Error processing events up to block ${blockNumber}: ${error.message}`, {
+          blockNumber,
+          error,
+        });
+        logger.error("Will retry from the checkpoint on the next block");
+      });
+  });
 
-      // Add interpretation of the result
-      if (passed) {
-        console.log(
-          "✅ Exchange reserves exceed liabilities - Attestation verified!"
-        );
-      } else {
-        console.log(
-          "❌ Exchange reserves do not exceed liabilities - Verification failed!"
-        );
-      }
-    }
-  );
+  // Watch the current period for a stalled quorum
+  setInterval(() => {
+    checkStuckPeriod(client).catch((error) => {
+      logger.error(`Error checking the current period's quorum: ${error.message}`, { error });
+    });
+  }, STUCK_CHECK_INTERVAL);
 
-  // Check for existing periods that need verification
-  console.log("\n=== Checking Existing Attestation Periods ===");
-  try {
-    const currentPeriodId = await attestationPlatform.currentPeriodId();
-    console.log(`Current period ID: ${currentPeriodId}`);
-
-    // Check periods that might need verification
-    for (let i = 0; i <= Number(currentPeriodId); i++) {
-      const attestorCount = await attestationPlatform.getPeriodAttestorCount(i);
-      const requiredCount = await attestationPlatform.requiredAttestorCount();
-
-      console.log(`Period ${i}: ${attestorCount}/${requiredCount} attestors`);
-
-      if (Number(attestorCount) >= Number(requiredCount)) {
-        // This period is complete, check if it has verification
-        try {
-          const result = await attestationPlatform.verificationResults(i);
-          if (result && result.timestamp && Number(result.timestamp) > 0) {
-            console.log(
-              `Period ${i} already has verification result: ${
-                result.passed ? "PASSED" : "FAILED"
-              }`
-            );
-          } else {
-            console.log(`Period ${i} is complete but needs verification`);
-
-            if (AUTO_GENERATE_PROOF) {
-              console.log(`Generating proof for period ${i}...`);
-              processAttestationComplete(i, attestorCount, attestationPlatform);
-            }
-          }
-        } catch (error) {
-          console.log(`No verification result for period ${i}`);
-
-          if (AUTO_GENERATE_PROOF) {
-            console.log(`Generating proof for period ${i}...`);
-            processAttestationComplete(i, attestorCount, attestationPlatform);
-          }
-        }
-      }
-    }
-  } catch (error) {
-    console.error("Error checking existing periods:", error.message);
+  if (notifier.urls.length > 0) {
+    logger.info(`Webhooks: ${notifier.urls.length} endpoint(s) for ${notifier.events.join(", ")}`);
+    logger.info(`Webhook dead letters: ${notifier.deadLetterFile}`);
   }
 
   // Keep the script running
-  console.log("\nMonitoring events... (Press Ctrl+C to exit)");
+  logger.info("\nMonitoring events... (Press Ctrl+C to exit)");
 }
 
 // Run the monitoring function
 if (require.main === module) {
   monitorEvents().catch((error) => {
-    console.error("Error monitoring events:", error);
+    logger.error(`Error monitoring events: ${error.message}`, { error });
+    logger.debug(error.stack);
     process.exit(1);
   });
 }
 
 module.exports = {
+  metrics,
+  notifier,
   monitorEvents,
+  checkStuckPeriod,
+  syncEvents,
+  validateProofJob,
+  dryRunPendingPeriods,
+  processAttestationComplete,
   generateProof,
   retrieveAttestations,
   submitVerificationResult,
@@ -0,0 +1,88 @@
+/**
+ * Upgrade Script for the Upgradeable AttestationPlatform
+ *
+ * This script will:
+ * 1. Resolve the proxy from the deployment manifest (or CONTRACT_ADDRESS)
+ * 2. Check that the new implementation's storage layout is compatible with
+ *    the deployed one, so no attestation history is lost or misread
+ * 3. Deploy the new implementation, point the proxy at it and print the old
+ *    and new implementation addresses
+ * 4. Record the upgrade in the deployment manifest
+ *
+ * Usage:
+ * npx hardhat run scripts/upgrade.js --network sepolia
+ *
+ * Settings (environment, .env or CONFIG_FILE, see scripts/lib/config.js):
+ * UPGRADE_CONTRACT  Contract to upgrade to (default AttestationPlatformUpgradeable)
+ * DRY_RUN=true      Only run the compatibility check
+ */
+
+const hre = require("hardhat");
+const { ethers, upgrades } = hre;
+const { resolveContract, recordUpgrade } = require("./lib/deployments");
+const { loadConfigOrExit } = require("./lib/config");
+
+const CONFIG = loadConfigOrExit(["contract", "deploy"]);
+const { UPGRADE_CONTRACT, DRY_RUN } = CONFIG.values;
+
+async function main() {
+  const deployment = resolveContract(hre, { address: CONFIG.values.CONTRACT_ADDRESS });
+  const proxyAddress = deployment.address;
+  if (deployment.manifest && !deployment.manifest.proxy) {
+    throw new Error(
+      `${proxyAddress} is a plain AttestationPlatform deployment and cannot be upgraded; ` +
+        "deploy with scripts/deploy_upgradeable.js"
+    );
+  }
+
+  const previousImplementation = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+  console.log(`Proxy: ${proxyAddress}`);
+  console.log(`Current implementation: ${previousImplementation}`);
+  console.log(`Upgrading to: ${UPGRADE_CONTRACT}`);
+
+  // Compare the storage layout with the one recorded for the current
+  // implementation (in .openzeppelin/) and reject unsafe changes
+  const Implementation = await ethers.getContractFactory(UPGRADE_CONTRACT);
+  console.log("\nChecking storage layout compatibility...");
+  try {
+    await upgrades.validateUpgrade(proxyAddress, Implementation, { kind: "uups" });
+  } catch (error) {
+    console.error("❌ The new implementation is not upgrade-safe:");
+    console.error(error.message);
+    process.exitCode = 1;
+    return;
+  }
+  console.log("✅ Storage layout is compatible");
+
+  if (DRY_RUN) {
+    console.log("Dry run: not upgrading");
+    return;
+  }
+
+  const upgraded = await upgrades.upgradeProxy(proxyAddress, Implementation, { kind: "uups" });
+  const receipt = await upgraded.deployTransaction.wait();
+  const implementation = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+
+  console.log("\n=== Upgrade Complete ===");
+  console.log(`Old implementation: ${previousImplementation}`);
+  console.log(`New implementation: ${implementation}`);
+  console.log(`Transaction hash: ${receipt.hash}`);
+
+  if (deployment.manifest) {
+    const { file } = await recordUpgrade(hre, {
+      contractName: UPGRADE_CONTRACT,
+      previousImplementation,
+      implementation,
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+    });
+    console.log(`Deployment manifest updated: ${file}`);
+  }
+}
+
+main()
+  .then(() => process.exit())
+  .catch((error) => {
+    console.error("Upgrade failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,61 @@
+const { task, types } = require("hardhat/config");
+const { withContractParams, getClient, loadTaskConfig, readPayload } = require("./helpers");
+const { createBlobStore } = require("../scripts/lib/blob_stores");
+const { storeAttestation } = require("../scripts/lib/attestation_storage");
+
+withContractParams(
+  task("attestation:submit", "Submit an encrypted attestation for the current period")
+    .addParam("file", "Path to the encrypted attestation file")
+    .addOptionalParam(
+      "attestor",
+      "Submit on behalf of this attestor with submitAttestationFor (owner only)"
+    )
+    .addFlag("offchain", "Keep the ciphertext in the blob store and submit only its hash and locator")
+    .addOptionalParam("blobStore", "Blob store backend (defaults to BLOB_STORE)")
+    .addOptionalParam("blobDir", "Filesystem blob store directory (defaults to BLOB_STORE_DIR)")
+    .addOptionalParam(
+      "chunkSize",
+      "Upload in chunks of this many bytes over several transactions (resumes a partial upload)",
+      undefined,
+      types.int
+    )
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  const data = readPayload(args.file);
+  console.log(`Attestation size: ${data.length} bytes`);
+
+  let payload = data;
+  if (args.offchain) {
+    // The monitor and the API read blobs from the same configured store
+    const { values } = loadTaskConfig(["storage"]);
+    const store = createBlobStore({
+      backend: args.blobStore ?? values.BLOB_STORE,
+      dir: args.blobDir ?? values.BLOB_STORE_DIR,
+    });
+    const stored = await storeAttestation(store, data);
+    payload = stored.reference;
+    console.log(`Stored attestation at ${stored.locator} (${store.name} blob store)`);
+    console.log(`Content hash: ${stored.contentHash}`);
+  }
+
+  const result = args.chunkSize
+    ? await client.uploadAttestation(payload, {
+        attestor: args.attestor,
+        chunkSize: args.chunkSize,
+        onChunk: ({ index, chunkCount, uploadedSize, totalSize }) =>
+          console.log(`Uploaded chunk ${index + 1}/${chunkCount} (${uploadedSize}/${totalSize} bytes)`),
+      })
+    : await client.submitAttestation(payload, {
+        attestor: args.attestor,
+      });
+  if (result.alreadySubmitted) {
+    console.log(`Attestor already submitted for period ${result.periodId}`);
+    return;
+  }
+
+  if (result.resumedFrom > 0) {
+    console.log(`Resumed a partial upload at chunk ${result.resumedFrom + 1}`);
+  }
+  console.log(`Transaction hash: ${result.transactionHash}`);
+  console.log(`Attestation submitted for period ${result.periodId}`);
+});
@@ -0,0 +1,33 @@
+const { task } = require("hardhat/config");
+const { withContractParams, getClient } = require("./helpers");
+const { ATTESTOR_ROLES } = require("../scripts/lib/attestor_roles");
+
+withContractParams(
+  task("attestor:register", "Register an attestor (owner only)")
+    .addParam("attestor", "Address of the attestor to register")
+    .addParam("name", "Name or identifier of the attestor")
+    .addParam("role", `Attestor role (${ATTESTOR_ROLES.slice(1).join(", ")})`)
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+
+  const result = await client.registerAttestor(args.attestor, args.name, args.role);
+  if (result.alreadyRegistered) {
+    console.log(`Attestor already registered as ${result.role}: ${args.attestor}`);
+    return;
+  }
+
+  console.log(`Transaction hash: ${result.transactionHash}`);
+  console.log(`Attestor registered: ${args.name} as ${result.role} (${args.attestor})`);
+});
+
+withContractParams(
+  task("attestor:list", "List registered attestors")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+
+  const attestors = await client.listAttestors();
+  console.log(`\nRegistered attestors: ${attestors.length}`);
+  for (const attestor of attestors) {
+    console.log(`- ${attestor.name} (${attestor.role}): ${attestor.address}`);
+  }
+});
@@ -0,0 +1,39 @@
+const { task } = require("hardhat/config");
+const { withContractParams, getClient } = require("./helpers");
+const { resolveContract } = require("../scripts/lib/deployments");
+
+withContractParams(
+  task("contract:check", "Check that the contract is deployed and accessible")
+).setAction(async (args, hre) => {
+  const network = await hre.ethers.provider.getNetwork();
+  console.log(`Connected to network: ${network.name} (chainId: ${network.chainId})`);
+
+  const client = await getClient(hre, args);
+  const address = await client.getAddress();
+
+  // Get contract bytecode to check if contract exists
+  const bytecode = await hre.ethers.provider.getCode(address);
+  if (bytecode === "0x") {
+    throw new Error(`No contract deployed at address ${address}`);
+  }
+  console.log(`Contract exists (bytecode length: ${bytecode.length})`);
+
+  const { manifest, abiChanged } = resolveContract(hre, { address });
+  if (manifest) {
+    console.log(`Deployed in block ${manifest.blockNumber} by transaction ${manifest.transactionHash}`);
+    console.log(`Compiler: ${manifest.compiler ? manifest.compiler.version : "unknown"}`);
+    console.log(`ABI matches compiled contract: ${!abiChanged}`);
+  }
+
+  const owner = await client.contract.owner();
+  const signerAddress = await client.contract.runner.getAddress();
+  console.log(`Contract owner: ${owner}`);
+  console.log(`Signer is owner: ${owner.toLowerCase() === signerAddress.toLowerCase()}`);
+
+  const attestors = await client.listAttestors();
+  console.log(`Registered attestors: ${attestors.length}`);
+
+  const status = await client.getPeriodStatus();
+  console.log(`Current period: ${status.periodId}`);
+  console.log(`Attestations: ${status.attestorCount}/${status.requiredAttestorCount}`);
+});
@@ -0,0 +1,137 @@
+const { task, types } = require("hardhat/config");
+const { withContractParams, getClient, loadTaskConfig, resolveTaskContract } = require("./helpers");
+const { INDEXED_EVENTS, EventIndex, parseTime } = require("../scripts/lib/event_index");
+const { syncEventIndex } = require("../scripts/lib/event_indexer");
+
+function withIndexFile(definition) {
+  return definition.addOptionalParam("file", "Event index database (defaults to EVENT_INDEX_FILE)");
+}
+
+withIndexFile(
+  withContractParams(
+    task("events:index", "Index the contract's events into the local event database")
+      .addOptionalParam("fromBlock", "First block of a new index (defaults to the deployment block)", undefined, types.int)
+      .addOptionalParam(
+        "confirmations",
+        "Confirmations before a block is indexed (defaults to CONFIRMATIONS)",
+        undefined,
+        types.int
+      )
+      .addOptionalParam(
+        "blockRange",
+        "Blocks per log query (defaults to BACKFILL_BLOCK_RANGE)",
+        undefined,
+        types.int
+      )
+      .addOptionalParam(
+        "reorgBlocks",
+        "Blocks re-indexed after a reorg (defaults to REORG_RESCAN_BLOCKS)",
+        undefined,
+        types.int
+      )
+      .addFlag("watch", "Keep indexing new blocks until interrupted")
+      .addOptionalParam("interval", "Milliseconds between polls with --watch", 15000, types.int)
+  )
+).setAction(async (args, hre) => {
+  const config = loadTaskConfig(["contract", "eventScan", "eventIndex"]);
+  const { values } = config;
+  const file = args.file ?? values.EVENT_INDEX_FILE;
+  const confirmations = args.confirmations ?? values.CONFIRMATIONS;
+  const blockRange = args.blockRange ?? values.BACKFILL_BLOCK_RANGE;
+  const reorgBlocks = args.reorgBlocks ?? values.REORG_RESCAN_BLOCKS;
+
+  const client = await getClient(hre, args);
+  const { manifest } = resolveTaskContract(hre, args, config);
+  const network = await hre.ethers.provider.getNetwork();
+
+  const index = await EventIndex.open(file);
+  const startBlock = args.fromBlock ?? (manifest ? manifest.blockNumber : 0);
+  const state = index.initialize(network.chainId, await client.getAddress(), startBlock);
+  console.log(`Event index: ${file}`);
+  console.log(`Last indexed block: ${state.lastIndexedBlock}`);
+
+  for (;;) {
+    try {
+      const safeBlock = (await hre.ethers.provider.getBlockNumber()) - confirmations + 1;
+      const result = await syncEventIndex(client, index, safeBlock, { blockRange, reorgBlocks });
+      if (result.indexed > 0 || result.removed > 0 || !args.watch) {
+        console.log(`Indexed ${result.indexed} event(s) up to block ${result.lastIndexedBlock}`);
+      }
+    } catch (error) {
+      if (!args.watch) {
+        index.close();
+        throw error;
+      }
+      // The index only advances after a whole range is stored, so the next
+      // poll picks up where this one failed
+      console.error(`Error indexing events: ${error.message}`);
+      console.error("Will retry on the next poll");
+    }
+
+    if (!args.watch) break;
+    await new Promise((resolve) => setTimeout(resolve, args.interval));
+  }
+
+  for (const [event, count] of Object.entries(index.countEvents())) {
+    console.log(`- ${event}: ${count}`);
+  }
+  index.close();
+});
+
+withIndexFile(
+  task("events:query", "Query the local event database (run events:index first)")
+    .addOptionalParam("event", `Event name: ${INDEXED_EVENTS.join(", ")}`)
+    .addOptionalParam("period", "Period ID", undefined, types.int)
+    .addOptionalParam("attestor", "Attestor address")
+    .addOptionalParam("outcome", "Verification outcome: passed or failed")
+    .addOptionalParam("since", "Start of the time range: ISO date, unix seconds or a duration ago like 90d")
+    .addOptionalParam("until", "End of the time range, same formats as --since")
+    .addOptionalParam("limit", "Maximum number of events, newest first", 50, types.int)
+    .addFlag("json", "Print the events as JSON")
+).setAction(async (args) => {
+  if (args.outcome !== undefined && !["passed", "failed"].includes(args.outcome)) {
+    throw new Error(`--outcome must be passed or failed, got "${args.outcome}"`);
+  }
+
+  const file = args.file ?? loadTaskConfig(["eventIndex"]).values.EVENT_INDEX_FILE;
+  const index = await EventIndex.open(file);
+  const events = index.queryEvents({
+    event: args.event,
+    periodId: args.period,
+    attestor: args.attestor,
+    passed: args.outcome === undefined ? undefined : args.outcome === "passed",
+    since: args.since === undefined ? undefined : parseTime(args.since),
+    until: args.until === undefined ? undefined : parseTime(args.until),
+    limit: args.limit,
+  });
+
+  if (args.json) {
+    console.log(JSON.stringify(events, null, 2));
+    index.close();
+    return;
+  }
+
+  const state = index.getState();
+  console.log(`Event index: ${file}${state ? ` (up to block ${state.lastIndexedBlock})` : " (empty)"}`);
+  console.log(`Events: ${events.length}`);
+
+  const attestors = index.attestorNames();
+  const describeAttestor = (address) => {
+    const attestor = attestors.get(address);
+    return attestor ? `${attestor.name} (${address})` : address;
+  };
+
+  for (const event of events) {
+    const details = [];
+    if (event.periodId !== null) details.push(`period ${event.periodId}`);
+    if (event.attestor !== null) details.push(`attestor ${describeAttestor(event.attestor)}`);
+    if (event.event === "AttestorRegistered") details.push(event.role);
+    if (event.event === "AttestationPeriodComplete") details.push(`${event.attestorCount} attestations`);
+    if (event.ruleId !== null) details.push(`rule ${event.ruleId}: ${event.description}`);
+    if (event.passed !== null) details.push(event.passed ? "PASSED" : "FAILED");
+
+    console.log(`- ${event.time} ${event.event}: ${details.join(", ")}`);
+    console.log(`    block ${event.blockNumber}, tx ${event.transactionHash}`);
+  }
+  index.close();
+});
@@ -0,0 +1,101 @@
+/**
+ * Shared helpers for the operator tasks
+ */
+
+const fs = require("fs");
+const { types } = require("hardhat/config");
+const { AttestationClient } = require("../scripts/lib/attestation_client");
+const { transactionOptionsFromEnv } = require("../scripts/lib/transaction_manager");
+const { resolveContract } = require("../scripts/lib/deployments");
+const { loadConfig } = require("../scripts/lib/config");
+
+// Add the --address and --signer flags every task accepts
+function withContractParams(definition) {
+  return definition
+    .addOptionalParam(
+      "address",
+      "AttestationPlatform contract address (defaults to CONTRACT_ADDRESS, then the network's deployment manifest)"
+    )
+    .addOptionalParam(
+      "signer",
+      "Index of the Hardhat account to send transactions from",
+      0,
+      types.int
+    );
+}
+
+// Resolve the signer selected with --signer
+async function getSigner(hre, index) {
+  const signers = await hre.ethers.getSigners();
+  if (index < 0 || index >= signers.length) {
+    throw new Error(
+      `Signer index ${index} out of range (${signers.length} accounts configured for ${hre.network.name})`
+    );
+  }
+  return signers[index];
+}
+
+// Resolve the contract selected with --address, else CONTRACT_ADDRESS, else
+// the network's deployment manifest
+function resolveTaskContract(hre, args, config = loadTaskConfig(["contract"])) {
+  return resolveContract(hre, { address: args.address ?? config.values.CONTRACT_ADDRESS });
+}
+
+// Build a client for the contract and signer selected on the command line
+async function getClient(hre, args) {
+  const config = loadTaskConfig(["contract", "transactions"]);
+  const deployment = resolveTaskContract(hre, args, config);
+  if (deployment.abiChanged) {
+    console.warn("Warning: the compiled AttestationPlatform ABI differs from the deployed one");
+  }
+
+  const signer = await getSigner(hre, args.signer);
+  const client = await AttestationClient.connect(
+    hre.ethers,
+    deployment.address,
+    signer,
+    transactionOptionsFromEnv(config.values)
+  );
+
+  console.log(`Network: ${hre.network.name}`);
+  console.log(
+    `Contract: ${deployment.address}` +
+      (deployment.source === "address" ? "" : ` (from ${deployment.source})`)
+  );
+  console.log(`Signer: ${signer.address}`);
+
+  return client;
+}
+
+// Load config sections for a task, failing with every invalid setting
+function loadTaskConfig(sections) {
+  const config = loadConfig(sections);
+  if (config.problems.length > 0) {
+    throw new Error(
+      `Invalid configuration:\n${config.problems.map(({ key, message }) => `  ${key}: ${message}`).join("\n")}`
+    );
+  }
+  return config;
+}
+
+// Read a binary payload file, failing with the path in the message
+function readPayload(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Payload file not found: ${file}`);
+  }
+  return fs.readFileSync(file);
+}
+
+function formatTimestamp(timestamp) {
+  return new Date(Number(timestamp) * 1000).toLocaleString();
+}
+
+module.exports = {
+  withContractParams,
+  getSigner,
+  getClient,
+  loadTaskConfig,
+  resolveTaskContract,
+  readPayload,
+  formatTimestamp,
+};
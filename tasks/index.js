@@ -0,0 +1,15 @@
+/**
+ * Operator tasks for the AttestationPlatform contract
+ *
+ * Run `npx hardhat help` to list them and `npx hardhat help <task>` for flags.
+ */
+
+require("./attestor");
+require("./attestation");
+require("./period");
+require("./rule");
+require("./verification");
+require("./contract");
+require("./proof_queue");
+require("./event_index");
+require("./webhooks");
@@ -0,0 +1,39 @@
+const { task, types } = require("hardhat/config");
+const { withContractParams, getClient, formatTimestamp } = require("./helpers");
+
+withContractParams(
+  task("period:status", "Show submissions and verification state of a period")
+    .addOptionalParam("period", "Period ID (defaults to the current period)", undefined, types.int)
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+
+  const status = await client.getPeriodStatus(args.period);
+  console.log(`\nPeriod ${status.periodId}`);
+  console.log(`Attestations: ${status.attestorCount}/${status.requiredAttestorCount}`);
+  console.log(`Complete: ${status.complete}`);
+
+  const submitted = await client.listPeriodAttestors(status.periodId);
+  for (const attestor of await client.listAttestors()) {
+    const hasSubmitted = submitted.some(
+      (address) => address.toLowerCase() === attestor.address.toLowerCase()
+    );
+    console.log(`- ${attestor.name} (${attestor.address}): ${hasSubmitted ? "submitted" : "pending"}`);
+  }
+
+  if (status.verified) {
+    console.log(`Verification: ${status.passed ? "PASSED" : "FAILED"} at ${formatTimestamp(status.verifiedAt)}`);
+  } else {
+    console.log("Verification: not submitted");
+  }
+});
+
+withContractParams(
+  task("period:start-new", "Force start a new attestation period (owner only)")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+
+  const result = await client.startNewPeriod();
+
+  console.log(`Transaction hash: ${result.transactionHash}`);
+  console.log(`Period ${result.previousPeriodId} closed, current period is now ${await client.getCurrentPeriodId()}`);
+});
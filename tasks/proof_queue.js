@@ -0,0 +1,49 @@
+const { task, types } = require("hardhat/config");
+const { ProofQueue } = require("../scripts/lib/proof_queue");
+const { loadTaskConfig, resolveTaskContract } = require("./helpers");
+
+function withQueueFile(definition) {
+  return definition
+    .addOptionalParam("file", "Proof queue state file (defaults to PROOF_QUEUE_FILE)")
+    .addOptionalParam(
+      "address",
+      "AttestationPlatform contract address (defaults to CONTRACT_ADDRESS, then the network's deployment manifest)"
+    );
+}
+
+// Open the monitor's queue of the selected deployment; jobs of another one
+// are ignored
+async function openQueue(hre, args) {
+  const config = loadTaskConfig(["contract", "proofQueue"]);
+  const { address } = resolveTaskContract(hre, args, config);
+  const file = args.file ?? config.values.PROOF_QUEUE_FILE;
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  console.log(`Proof queue: ${file}`);
+  console.log(`Contract: ${address} on chain ${chainId}`);
+  return new ProofQueue(file, { chainId, contractAddress: address });
+}
+
+withQueueFile(
+  task("proof-queue:list", "List proof jobs of the event monitor")
+    .addOptionalParam("status", "Only show jobs in this status (queued, running, failed, done, cancelled)")
+).setAction(async (args, hre) => {
+  const queue = await openQueue(hre, args);
+  const jobs = queue.list(args.status);
+
+  console.log(`Proof jobs: ${jobs.length}`);
+  for (const job of jobs) {
+    let line = `- Period ${job.periodId}: ${job.status} (attempts: ${job.attempts}, updated: ${job.updatedAt})`;
+    if (job.nextAttemptAt) line += `, next attempt: ${job.nextAttemptAt}`;
+    console.log(line);
+    if (job.lastError) console.log(`    last error: ${job.lastError}`);
+  }
+});
+
+withQueueFile(
+  task("proof-queue:retry", "Re-queue a failed or cancelled proof job with a fresh retry budget")
+    .addParam("period", "Period ID", undefined, types.int)
+).setAction(async (args, hre) => {
+  const queue = await openQueue(hre, args);
+  const job = queue.retry(args.period);
+  console.log(`Proof job for period ${job.periodId} re-queued`);
+});
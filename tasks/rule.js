@@ -0,0 +1,72 @@
+const { task, types } = require("hardhat/config");
+const { withContractParams, getClient, readPayload } = require("./helpers");
+
+withContractParams(
+  task("rule:add", "Add a verification rule (owner only)")
+    .addParam("description", "Human-readable description of the rule")
+    .addOptionalParam("operation", "Operation to prove, e.g. CollateralRatio:min=1.05")
+    .addOptionalParam("leftRole", "Attestor role of the left operand", "ReservesProvider")
+    .addOptionalParam("rightRole", "Attestor role of the right operand", "LiabilitiesProvider")
+    .addFlag("inactive", "Add the rule without activating it")
+    .addOptionalParam("data", "Raw rule data as a hex string")
+    .addOptionalParam("dataFile", "Path to a file containing raw rule data")
+).setAction(async (args, hre) => {
+  const sources = [args.operation, args.data, args.dataFile].filter(Boolean);
+  if (sources.length !== 1) {
+    throw new Error("Pass exactly one of --operation, --data or --data-file");
+  }
+
+  const client = await getClient(hre, args);
+
+  let rule;
+  if (args.operation) {
+    rule = {
+      operation: args.operation,
+      leftRole: args.leftRole,
+      rightRole: args.rightRole,
+      active: !args.inactive,
+    };
+  } else {
+    rule = args.dataFile ? readPayload(args.dataFile) : args.data;
+  }
+
+  const result = await client.addVerificationRule(args.description, rule);
+  console.log(`Transaction hash: ${result.transactionHash}`);
+  console.log(`Verification rule ${result.ruleId} added: ${args.description}`);
+});
+
+withContractParams(
+  task("rule:list", "List verification rules")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+
+  const rules = await client.listVerificationRules();
+  console.log(`\nVerification rules: ${rules.length}`);
+  for (const { ruleId, description, ruleData, rule } of rules) {
+    if (!rule) {
+      console.log(`- [${ruleId}] ${description} (raw data ${ruleData}, not proven)`);
+      continue;
+    }
+    console.log(
+      `- [${ruleId}] ${description}: ${rule.operation.spec} ` +
+        `(${rule.leftRole} vs ${rule.rightRole}, ${rule.active ? "active" : "inactive"})`
+    );
+  }
+});
+
+withContractParams(
+  task("rule:set-active", "Activate or deactivate a verification rule (owner only)")
+    .addParam("rule", "Rule ID", undefined, types.int)
+    .addParam("active", "true to activate, false to deactivate", undefined, types.boolean)
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+
+  const result = await client.setVerificationRuleActive(args.rule, args.active);
+  if (!result.changed) {
+    console.log(`Rule ${args.rule} is already ${args.active ? "active" : "inactive"}`);
+    return;
+  }
+
+  console.log(`Transaction hash: ${result.transactionHash}`);
+  console.log(`Rule ${args.rule} is now ${args.active ? "active" : "inactive"}`);
+});
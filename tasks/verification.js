@@ -0,0 +1,29 @@
+const { task, types } = require("hardhat/config");
+const { withContractParams, getClient, readPayload } = require("./helpers");
+
+withContractParams(
+  task("verification:submit", "Submit the verification result for a period (owner only)")
+    .addParam("period", "Period ID", undefined, types.int)
+    .addParam("passed", "Whether verification passed (true/false)", undefined, types.boolean)
+    .addParam("proofFile", "Path to the ZK proof file")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  const proofData = readPayload(args.proofFile);
+  console.log(`Proof size: ${proofData.length} bytes`);
+
+  const status = await client.getPeriodStatus(args.period);
+  if (!status.complete) {
+    throw new Error(
+      `Period ${args.period} is not complete (${status.attestorCount}/${status.requiredAttestorCount} attestations)`
+    );
+  }
+
+  const result = await client.submitVerification(args.period, args.passed, proofData);
+  if (result.alreadySubmitted) {
+    console.log(`Verification result already exists for period ${args.period}`);
+    return;
+  }
+
+  console.log(`Transaction hash: ${result.transactionHash}`);
+  console.log(`Verification result submitted: ${args.passed ? "PASSED" : "FAILED"}`);
+});
@@ -0,0 +1,47 @@
+const { task } = require("hardhat/config");
+const { WebhookNotifier } = require("../scripts/lib/webhooks");
+const { loadTaskConfig } = require("./helpers");
+
+function withDeadLetterFile(definition) {
+  return definition.addOptionalParam("file", "Webhook dead-letter file (defaults to WEBHOOK_DEAD_LETTER_FILE)");
+}
+
+// The notifications settings, with the dead-letter file chosen by --file
+function loadNotificationConfig(args) {
+  const { values } = loadTaskConfig(["storage", "notifications"]);
+  return { ...values, WEBHOOK_DEAD_LETTER_FILE: args.file ?? values.WEBHOOK_DEAD_LETTER_FILE };
+}
+
+withDeadLetterFile(task("webhooks:dead-letters", "List webhook deliveries that failed every attempt")).setAction(
+  async (args) => {
+    const { WEBHOOK_DEAD_LETTER_FILE } = loadNotificationConfig(args);
+    const notifier = new WebhookNotifier({ deadLetterFile: WEBHOOK_DEAD_LETTER_FILE });
+    const entries = notifier.readDeadLetters();
+
+    console.log(`Dead letters: ${entries.length}`);
+    for (const entry of entries) {
+      console.log(`- ${entry.payload.type} ${entry.payload.id} to ${entry.url}`);
+      console.log(`    failed at ${entry.failedAt} after ${entry.attempts} attempt(s): ${entry.error}`);
+    }
+  }
+);
+
+withDeadLetterFile(
+  task("webhooks:replay", "Deliver dead-lettered webhooks again, signed with WEBHOOK_SECRET")
+).setAction(async (args) => {
+  const config = loadNotificationConfig(args);
+  if (!config.WEBHOOK_SECRET) {
+    throw new Error("WEBHOOK_SECRET is not set; receivers would reject unsigned requests");
+  }
+
+  const notifier = new WebhookNotifier({
+    secret: config.WEBHOOK_SECRET,
+    maxAttempts: config.WEBHOOK_MAX_ATTEMPTS,
+    retryDelay: config.WEBHOOK_RETRY_DELAY,
+    timeout: config.WEBHOOK_TIMEOUT,
+    deadLetterFile: config.WEBHOOK_DEAD_LETTER_FILE,
+  });
+  const { delivered, failed } = await notifier.replayDeadLetters();
+  console.log(`Delivered: ${delivered}`);
+  console.log(`Still failing (kept in ${config.WEBHOOK_DEAD_LETTER_FILE}): ${failed}`);
+});
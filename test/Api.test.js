@@ -0,0 +1,244 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { AttestationClient } = require("../scripts/lib/attestation_client");
+const { createBlobStore } = require("../scripts/lib/blob_stores");
+const { storeAttestation } = require("../scripts/lib/attestation_storage");
+const { createLogger } = require("../scripts/lib/logger");
+const { ProofQueue } = require("../scripts/lib/proof_queue");
+const { startApiServer } = require("../scripts/lib/api");
+
+describe("REST API", function () {
+  let dir, blobStore, proofQueue, client, server, fromBlock;
+  let exchange, regulator;
+
+  async function get(pathname) {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${pathname}`);
+    const type = response.headers.get("content-type");
+    const body = type.includes("json") ? await response.json() : Buffer.from(await response.arrayBuffer());
+    return { status: response.status, headers: response.headers, body };
+  }
+
+  beforeEach(async function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "api-"));
+    blobStore = createBlobStore({ dir });
+    proofQueue = new ProofQueue(path.join(dir, "proof_queue.json"));
+    [, exchange, regulator] = await ethers.getSigners();
+
+    const AttestationPlatform = await ethers.getContractFactory("AttestationPlatform");
+    const attestationPlatform = await AttestationPlatform.deploy(2);
+    fromBlock = (await attestationPlatform.deploymentTransaction().wait()).blockNumber;
+
+    client = await AttestationClient.connect(ethers, await attestationPlatform.getAddress());
+    await client.registerAttestor(exchange.address, "Exchange", "ReservesProvider");
+    await client.registerAttestor(regulator.address, "Regulator", "LiabilitiesProvider");
+
+    server = await startApiServer({
+      client,
+      blobStore,
+      proofQueue,
+      fromBlock,
+      logger: createLogger({ write: () => {} }),
+      port: 0,
+    });
+  });
+
+  afterEach(async function () {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should return a period with its attestations, verification result and transactions", async function () {
+    const inline = await client.submitAttestation("0x0102", { attestor: exchange.address });
+    const ciphertext = Buffer.from("off-chain ciphertext");
+    const { reference, contentHash, locator } = await storeAttestation(blobStore, ciphertext);
+    await client.submitAttestation(reference, { attestor: regulator.address });
+    const verification = await client.submitVerification(0, true, "0x01");
+
+    const { status, body: period } = await get("/periods/0");
+    expect(status).to.equal(200);
+    expect(period).to.include({ periodId: "0", attestorCount: 2, complete: true, verified: true, passed: true });
+
+    const [first, second] = period.attestations;
+    expect(first).to.deep.include({
+      attestor: exchange.address,
+      name: "Exchange",
+      role: "ReservesProvider",
+      storage: "inline",
+      size: 2,
+      contentHash: ethers.keccak256("0x0102"),
+      transaction: { transactionHash: inline.transactionHash, blockNumber: inline.blockNumber },
+    });
+    expect(first.submitted.time).to.equal(new Date(first.submitted.timestamp * 1000).toISOString());
+    expect(second).to.include({ storage: "offchain", contentHash, locator });
+
+    expect(period.verification).to.deep.include({
+      passed: true,
+      proofSize: 1,
+      rules: null,
+      transaction: { transactionHash: verification.transactionHash, blockNumber: verification.blockNumber },
+    });
+    expect((await get("/periods/0/verification")).body).to.deep.equal(period.verification);
+    expect((await get(`/periods/0/attestations/${regulator.address.toLowerCase()}`)).body).to.deep.equal(second);
+
+    // Raw ciphertexts, off-chain ones fetched from the blob store
+    const inlineDownload = await get(first.ciphertextUrl);
+    expect(inlineDownload.headers.get("content-type")).to.equal("application/octet-stream");
+    expect(inlineDownload.headers.get("content-disposition")).to.include(`period-0-${exchange.address}.bin`);
+    expect(inlineDownload.body).to.deep.equal(Buffer.from([1, 2]));
+    expect((await get(second.ciphertextUrl)).body).to.deep.equal(ciphertext);
+
+    fs.writeFileSync(path.join(dir, fs.readdirSync(dir)[0]), "tampered");
+    const tampered = await get(second.ciphertextUrl);
+    expect(tampered.status).to.equal(502);
+    expect(tampered.body.error).to.include("does not match its on-chain hash");
+  });
+
+  it("Should describe and serve a chunked attestation from its reassembled chunks", async function () {
+    const data = Buffer.from(ethers.randomBytes(1000));
+    await client.uploadAttestation(data, { attestor: exchange.address, chunkSize: 256 });
+
+    const { status, body: attestation } = await get(`/periods/0/attestations/${exchange.address}`);
+    expect(status).to.equal(200);
+    expect(attestation).to.include({ storage: "inline", size: data.length, contentHash: ethers.keccak256(data) });
+    expect((await get("/periods/0")).body.attestations[0]).to.deep.equal(attestation);
+    expect((await get(attestation.ciphertextUrl)).body).to.deep.equal(data);
+  });
+
+  it("Should list periods, attestors and rules", async function () {
+    await client.submitAttestation("0x01", { attestor: exchange.address });
+    await client.startNewPeriod();
+    await client.startNewPeriod();
+    const added = await client.addVerificationRule("Reserves cover liabilities", { operation: "GreaterThan" });
+    const updated = await client.setVerificationRuleActive(0, false);
+
+    const { body: overview } = await get("/");
+    expect(overview).to.include({ contract: await client.getAddress(), chainId: "31337", currentPeriodId: "2" });
+
+    const { body: page } = await get("/periods?limit=2");
+    expect(page.periods.map((period) => period.periodId)).to.deep.equal(["2", "1"]);
+    expect(page.next).to.equal("/periods?limit=2&from=0");
+    const { body: last } = await get(page.next);
+    expect(last.periods.map((period) => [period.periodId, period.attestorCount])).to.deep.equal([["0", 1]]);
+    expect(last.next).to.equal(null);
+
+    const { body: attestors } = await get("/attestors");
+    expect(attestors.attestors.map((attestor) => [attestor.name, attestor.role])).to.deep.equal([
+      ["Exchange", "ReservesProvider"],
+      ["Regulator", "LiabilitiesProvider"],
+    ]);
+    expect((await get(`/attestors/${regulator.address}`)).body).to.deep.equal(attestors.attestors[1]);
+
+    const { body: rules } = await get("/rules");
+    expect(rules.rules).to.have.length(1);
+    expect(rules.rules[0]).to.deep.include({
+      ruleId: 0,
+      description: "Reserves cover liabilities",
+      rule: { operation: "GreaterThan", leftRole: "ReservesProvider", rightRole: "LiabilitiesProvider", active: false },
+      added: { transactionHash: added.transactionHash, blockNumber: added.blockNumber },
+      updates: [{ transactionHash: updated.transactionHash, blockNumber: updated.blockNumber }],
+    });
+    expect((await get("/rules/0")).body).to.deep.equal(rules.rules[0]);
+  });
+
+  it("Should serve the dashboard with the current period, quorum and proof jobs", async function () {
+    await client.submitAttestation("0x01", { attestor: exchange.address });
+    await client.submitAttestation("0x02", { attestor: regulator.address });
+    await client.submitVerification(0, false, "0x01");
+    const submitted = await client.submitAttestation("0x03", { attestor: regulator.address });
+    proofQueue.enqueue(0);
+
+    const { body: status } = await get("/status");
+    expect(status).to.include({ currentPeriodId: "1", requiredAttestorCount: "2" });
+    expect(status.currentPeriod).to.include({ periodId: "1", attestorCount: 1, complete: false, verified: false });
+
+    const block = await ethers.provider.getBlock(submitted.blockNumber);
+    expect(status.currentPeriod.attestors).to.deep.equal([
+      { address: exchange.address, name: "Exchange", role: "ReservesProvider", submitted: null },
+      {
+        address: regulator.address,
+        name: "Regulator",
+        role: "LiabilitiesProvider",
+        submitted: { timestamp: block.timestamp, time: new Date(block.timestamp * 1000).toISOString() },
+      },
+    ]);
+
+    const { body: jobs } = await get("/proof-jobs?status=queued");
+    expect(jobs.jobs.map((job) => [job.periodId, job.status])).to.deep.equal([["0", "queued"]]);
+    expect((await get("/proof-jobs?status=done")).body.jobs).to.deep.equal([]);
+    expect((await get("/proof-jobs?status=stuck")).status).to.equal(400);
+
+    const dashboard = await get("/dashboard");
+    expect(dashboard.headers.get("content-type")).to.equal("text/html; charset=utf-8");
+    expect(dashboard.body.toString()).to.include("<title>Attestation Dashboard</title>");
+  });
+
+  it("Should read events in block ranges and only new blocks on later requests", async function () {
+    const ranges = [];
+    const counting = Object.create(client);
+    counting.getEvents = (names, from, to) => {
+      ranges.push([from, to]);
+      return client.getEvents(names, from, to);
+    };
+    await new Promise((resolve) => server.close(resolve));
+    server = await startApiServer({
+      client: counting,
+      fromBlock,
+      blockRange: 2,
+      reorgBlocks: 1,
+      logger: createLogger({ write: () => {} }),
+      port: 0,
+    });
+
+    let head = await ethers.provider.getBlockNumber();
+    const first = await get("/attestors");
+    expect(first.body.attestors.map((attestor) => attestor.registered !== null)).to.deep.equal([true, true]);
+    expect(ranges.every(([from, to]) => to - from < 2)).to.be.true;
+    expect(ranges[0][0]).to.equal(fromBlock);
+    expect(ranges[ranges.length - 1][1]).to.equal(head);
+
+    // Later requests only read the block that settled and the unsettled head
+    await client.submitAttestation("0x01", { attestor: exchange.address });
+    head = await ethers.provider.getBlockNumber();
+    ranges.length = 0;
+    const period = await get("/periods/0");
+    expect(period.body.attestations[0].transaction.blockNumber).to.equal(head);
+    expect(ranges).to.deep.equal([[head - 1, head - 1], [head, head]]);
+  });
+
+  it("Should answer bad requests with JSON errors", async function () {
+    const pathnames = [
+      "/periods/abc",
+      "/periods/5",
+      "/periods/0/verification",
+      `/periods/0/attestations/${exchange.address}`,
+      "/periods/0/attestations/0x123",
+      `/attestors/${ethers.ZeroAddress}`,
+      "/rules/0",
+      "/periods?limit=500",
+      "/missing",
+    ];
+    const errors = [];
+    for (const pathname of pathnames) {
+      const { status, body } = await get(pathname);
+      errors.push([status, body.error]);
+    }
+
+    expect(errors).to.deep.equal([
+      [400, 'Invalid period ID "abc"'],
+      [404, "Period 5 has not started (current period is 0)"],
+      [404, "Period 0 has no verification result"],
+      [404, `${exchange.address} has not submitted an attestation for period 0`],
+      [400, 'Invalid address "0x123"'],
+      [404, `${ethers.ZeroAddress} is not a registered attestor`],
+      [404, "Rule 0 does not exist (0 rules)"],
+      [400, "limit must be an integer from 1 to 100"],
+      [404, "No such endpoint: /missing"],
+    ]);
+
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/periods`, { method: "DELETE" });
+    expect(response.status).to.equal(405);
+  });
+});
@@ -0,0 +1,160 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { AttestationClient } = require("../scripts/lib/attestation_client");
+const { splitChunks, chunkChainHash } = require("../scripts/lib/chunked_upload");
+
+describe("AttestationClient", function () {
+  let client;
+  let owner, exchange, regulator, other;
+  const requiredAttestorCount = 2;
+
+  beforeEach(async function () {
+    [owner, exchange, regulator, other] = await ethers.getSigners();
+
+    const AttestationPlatform = await ethers.getContractFactory("AttestationPlatform");
+    const attestationPlatform = await AttestationPlatform.deploy(requiredAttestorCount);
+
+    client = await AttestationClient.connect(ethers, await attestationPlatform.getAddress());
+    await client.registerAttestor(exchange.address, "Exchange", "ReservesProvider");
+    await client.registerAttestor(regulator.address, "Regulator", "LiabilitiesProvider");
+  });
+
+  it("Should list registered attestors", async function () {
+    const attestors = await client.listAttestors();
+
+    expect(attestors.map((a) => a.address)).to.deep.equal([exchange.address, regulator.address]);
+    expect(attestors.map((a) => a.name)).to.deep.equal(["Exchange", "Regulator"]);
+    expect(attestors.map((a) => a.role)).to.deep.equal(["ReservesProvider", "LiabilitiesProvider"]);
+    expect(await client.listAttestorsByRole("LiabilitiesProvider")).to.deep.equal([regulator.address]);
+  });
+
+  it("Should skip registering an attestor twice", async function () {
+    const result = await client.registerAttestor(exchange.address, "Exchange", "Auditor");
+
+    expect(result.alreadyRegistered).to.be.true;
+    expect(result.role).to.equal("ReservesProvider");
+    expect(await client.contract.getAttestorCount()).to.equal(2);
+  });
+
+  it("Should submit on behalf of attestors and track submissions", async function () {
+    const result = await client.submitAttestation(ethers.randomBytes(100), {
+      attestor: exchange.address,
+    });
+
+    expect(result.submitted).to.be.true;
+    expect(await client.hasSubmitted(0, exchange.address)).to.be.true;
+    expect(await client.hasSubmitted(0, regulator.address)).to.be.false;
+    expect(await client.listPeriodAttestors(0)).to.deep.equal([exchange.address]);
+
+    const again = await client.submitAttestation(ethers.randomBytes(100), {
+      attestor: exchange.address,
+    });
+    expect(again.alreadySubmitted).to.be.true;
+  });
+
+  it("Should submit directly when the signer is the attestor", async function () {
+    const data = ethers.randomBytes(64);
+    await client.withSigner(exchange).submitAttestation(data);
+
+    const attestation = await client.getAttestation(0, exchange.address);
+    expect(attestation.attestor).to.equal(exchange.address);
+    expect(ethers.hexlify(attestation.encryptedData)).to.equal(ethers.hexlify(data));
+    expect(await client.getAttestation(0, other.address)).to.be.null;
+  });
+
+  it("Should report period status through verification", async function () {
+    let status = await client.getPeriodStatus();
+    expect(status.periodId).to.equal(0n);
+    expect(status.complete).to.be.false;
+
+    await client.submitAttestation("0x1234", { attestor: exchange.address });
+    await client.submitAttestation("0x5678", { attestor: regulator.address });
+
+    status = await client.getPeriodStatus(0);
+    expect(status.attestorCount).to.equal(2);
+    expect(status.complete).to.be.true;
+    expect(status.verified).to.be.false;
+
+    await client.submitVerification(0, true, ethers.randomBytes(32));
+
+    status = await client.getPeriodStatus(0);
+    expect(status.verified).to.be.true;
+    expect(status.passed).to.be.true;
+    expect(await client.getCurrentPeriodId()).to.equal(1n);
+
+    const again = await client.submitVerification(0, false, "0x00");
+    expect(again.alreadySubmitted).to.be.true;
+  });
+
+  it("Should wait for a period to complete", async function () {
+    await client.submitAttestation("0x1234", { attestor: exchange.address });
+
+    const waiting = client.waitForPeriodComplete(0, { timeout: 5000, pollInterval: 100 });
+    await client.submitAttestation("0x5678", { attestor: regulator.address });
+
+    expect(await waiting).to.be.true;
+  });
+
+  it("Should time out waiting for an incomplete period", async function () {
+    expect(await client.waitForPeriodComplete(0, { timeout: 300, pollInterval: 100 })).to.be.false;
+  });
+
+  it("Should force start a new period", async function () {
+    const result = await client.startNewPeriod();
+
+    expect(result.previousPeriodId).to.equal(0n);
+    expect(result.transactionHash).to.be.a("string");
+    expect(await client.getCurrentPeriodId()).to.equal(1n);
+  });
+
+  it("Should resume a failed chunked upload and read it back", async function () {
+    const data = ethers.randomBytes(1000);
+    const send = client.transactions.send.bind(client.transactions);
+    let appends = 0;
+    client.transactions.send = (contract, method, args) => {
+      if (method === "appendAttestationChunk" && ++appends > 2) {
+        throw new Error("connection lost");
+      }
+      return send(contract, method, args);
+    };
+
+    const options = { attestor: exchange.address, chunkSize: 256 };
+    await expect(client.uploadAttestation(data, options)).to.be.rejectedWith("connection lost");
+    const partial = await client.getAttestationUpload(0, exchange.address);
+    expect(partial.chunkCount).to.equal(2);
+    expect(partial.finalized).to.be.false;
+
+    client.transactions.send = send;
+    const result = await client.uploadAttestation(data, options);
+    expect(result.submitted).to.be.true;
+    expect(result.chunkCount).to.equal(4);
+    expect(result.resumedFrom).to.equal(2);
+
+    expect(await client.hasSubmitted(0, exchange.address)).to.be.true;
+    expect(await client.getUploadedAttestationData(0, exchange.address)).to.deep.equal(Buffer.from(data));
+  });
+
+  it("Should only estimate the first write of a chunked upload in a dry run", async function () {
+    const dryRun = await AttestationClient.connect(ethers, await client.getAddress(), undefined, { dryRun: true });
+    const data = ethers.randomBytes(1000);
+
+    const fresh = await dryRun.uploadAttestation(data, { attestor: exchange.address, chunkSize: 256 });
+    expect(fresh.dryRun.map((estimate) => [estimate.method, estimate.reverted, estimate.skipped])).to.deep.equal([
+      ["beginAttestationUpload", false, false],
+      ...Array(4).fill(["appendAttestationChunk", false, true]),
+      ["finalizeAttestationUpload", false, true],
+    ]);
+    expect(fresh.dryRun[1].skipReason).to.equal("needs beginAttestationUpload to be sent first");
+    expect(fresh.dryRun[1].gasEstimate).to.equal(null);
+
+    // A resumed upload can simulate its next chunk
+    await client.transactions.send(client.contract, "beginAttestationUpload", [
+      exchange.address,
+      chunkChainHash(splitChunks(data, 256)),
+      data.length,
+    ]);
+    const resumed = await dryRun.uploadAttestation(data, { attestor: exchange.address, chunkSize: 256 });
+    expect(resumed.dryRun.map((estimate) => estimate.skipped)).to.deep.equal([false, true, true, true, true]);
+    expect(resumed.dryRun[0].gasEstimate > 0n).to.be.true;
+  });
+});
@@ -0,0 +1,51 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+
+// The flow reads its configuration when it is loaded
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "flow-"));
+process.env.ATTESTATION_TEMP_DIR = tempDir;
+process.env.PROVER_BACKEND = "mock";
+process.env.CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS || ethers.ZeroAddress;
+
+const { SIDECAR_FILE } = require("../scripts/lib/prover_output");
+const { generateProof } = require("../scripts/attestation_flow");
+
+describe("Attestation flow (mock prover)", function () {
+  const attestors = [
+    { name: "Exchange", role: "ReservesProvider" },
+    { name: "Regulator", role: "LiabilitiesProvider" },
+  ];
+  let files;
+
+  const sidecar = () => JSON.parse(fs.readFileSync(path.join(tempDir, SIDECAR_FILE), "utf8"));
+
+  beforeEach(function () {
+    files = ["1000000", "900000"].map((value, i) => {
+      const file = path.join(tempDir, `attestation_${i + 1}.bin`);
+      fs.writeFileSync(file, value);
+      return file;
+    });
+  });
+
+  after(function () {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it("Should generate a proof with the configured operation", async function () {
+    const result = await generateProof(attestors, files);
+
+    expect(result.passed).to.be.true;
+    expect(result.proofPath).to.equal(path.join(tempDir, "proof.bin"));
+    expect(sidecar().operation).to.equal("GreaterThan");
+  });
+
+  it("Should generate a proof with the given operation", async function () {
+    const result = await generateProof(attestors, files, "CollateralRatio:min=1.2");
+
+    expect(result.passed).to.be.false;
+    expect(sidecar().operation).to.equal("CollateralRatio:min=1.2");
+  });
+});
@@ -5,6 +5,10 @@ describe("AttestationPlatform", function () {
   let attestationPlatform;
   let owner, exchange, regulator, other;
   const requiredAttestorCount = 2;
+  // AttestorRole enum values
+  const ReservesProvider = 1;
+  const LiabilitiesProvider = 2;
+  const Auditor = 3;
 
   beforeEach(async function () {
     // Get signers
@@ -27,27 +31,57 @@ describe("AttestationPlatform", function () {
   
   describe("Attestor Registration", function () {
     it("Should register attestors correctly", async function () {
-      await attestationPlatform.registerAttestor(exchange.address, "Exchange A");
+      await attestationPlatform.registerAttestor(exchange.address, "Exchange A", ReservesProvider);
       
       const attestor = await attestationPlatform.attestors(exchange.address);
       expect(attestor.addr).to.equal(exchange.address);
       expect(attestor.name).to.equal("Exchange A");
       expect(attestor.isRegistered).to.be.true;
+      expect(attestor.role).to.equal(ReservesProvider);
       
       expect(await attestationPlatform.getAttestorCount()).to.equal(1);
     });
     
+    it("Should emit the role on registration", async function () {
+      await expect(attestationPlatform.registerAttestor(regulator.address, "Regulator B", LiabilitiesProvider))
+        .to.emit(attestationPlatform, "AttestorRegistered")
+        .withArgs(regulator.address, "Regulator B", LiabilitiesProvider);
+      
+      expect(await attestationPlatform.getAttestorRole(regulator.address)).to.equal(LiabilitiesProvider);
+    });
+    
+    it("Should require a role", async function () {
+      await expect(
+        attestationPlatform.registerAttestor(exchange.address, "Exchange A", 0)
+      ).to.be.revertedWith("Attestor role required");
+    });
+    
+    it("Should list attestors by role", async function () {
+      await attestationPlatform.registerAttestor(exchange.address, "Exchange A", ReservesProvider);
+      await attestationPlatform.registerAttestor(regulator.address, "Regulator B", LiabilitiesProvider);
+      await attestationPlatform.registerAttestor(other.address, "Auditor C", Auditor);
+      
+      expect(await attestationPlatform.getAttestorsByRole(ReservesProvider)).to.deep.equal([exchange.address]);
+      expect(await attestationPlatform.getAttestorsByRole(Auditor)).to.deep.equal([other.address]);
+      
+      await attestationPlatform.submitAttestationFor(other.address, "0x01");
+      await attestationPlatform.submitAttestationFor(exchange.address, "0x02");
+      
+      expect(await attestationPlatform.getPeriodAttestorsByRole(0, ReservesProvider)).to.deep.equal([exchange.address]);
+      expect(await attestationPlatform.getPeriodAttestorsByRole(0, LiabilitiesProvider)).to.deep.equal([]);
+    });
+    
     it("Should prevent duplicate registration", async function () {
-      await attestationPlatform.registerAttestor(exchange.address, "Exchange A");
+      await attestationPlatform.registerAttestor(exchange.address, "Exchange A", ReservesProvider);
       
       await expect(
-        attestationPlatform.registerAttestor(exchange.address, "Exchange A Again")
+        attestationPlatform.registerAttestor(exchange.address, "Exchange A Again", ReservesProvider)
       ).to.be.revertedWith("Attestor already registered");
     });
     
     it("Should only allow owner to register attestors", async function () {
       await expect(
-        attestationPlatform.connect(other).registerAttestor(exchange.address, "Exchange A")
+        attestationPlatform.connect(other).registerAttestor(exchange.address, "Exchange A", ReservesProvider)
       ).to.be.revertedWithCustomError(attestationPlatform, "OwnableUnauthorizedAccount");
     });
   });
@@ -55,8 +89,8 @@ describe("AttestationPlatform", function () {
   describe("Attestation Submission", function () {
     beforeEach(async function () {
       // Register attestors
-      await attestationPlatform.registerAttestor(exchange.address, "Exchange A");
-      await attestationPlatform.registerAttestor(regulator.address, "Regulator B");
+      await attestationPlatform.registerAttestor(exchange.address, "Exchange A", ReservesProvider);
+      await attestationPlatform.registerAttestor(regulator.address, "Regulator B", LiabilitiesProvider);
     });
     
     it("Should allow registered attestors to submit attestations", async function () {
@@ -100,11 +134,83 @@ describe("AttestationPlatform", function () {
     });
   });
   
+  describe("Chunked Upload", function () {
+    // Hash chain committed to by beginAttestationUpload
+    function chainHash(chunks) {
+      return chunks.reduce(
+        (hash, chunk) => ethers.solidityPackedKeccak256(["bytes32", "bytes32"], [hash, ethers.keccak256(chunk)]),
+        ethers.ZeroHash
+      );
+    }
+
+    const chunks = [ethers.randomBytes(64), ethers.randomBytes(64), ethers.randomBytes(10)];
+    const totalSize = 138;
+
+    beforeEach(async function () {
+      await attestationPlatform.registerAttestor(exchange.address, "Exchange A", ReservesProvider);
+      await attestationPlatform.registerAttestor(regulator.address, "Regulator B", LiabilitiesProvider);
+    });
+    
+    it("Should record the attestation once every chunk is uploaded", async function () {
+      const platform = attestationPlatform.connect(exchange);
+      await expect(platform.beginAttestationUpload(exchange.address, chainHash(chunks), totalSize))
+        .to.emit(attestationPlatform, "AttestationUploadStarted")
+        .withArgs(0, exchange.address, chainHash(chunks), totalSize);
+      
+      for (const [i, chunk] of chunks.entries()) {
+        await platform.appendAttestationChunk(exchange.address, i, chunk);
+      }
+      await expect(platform.finalizeAttestationUpload(exchange.address))
+        .to.emit(attestationPlatform, "AttestationSubmitted");
+      
+      const attestation = await attestationPlatform.getAttestation(0, exchange.address);
+      expect(attestation.encryptedData).to.equal("0x");
+      expect(Number(attestation.timestamp)).to.be.greaterThan(0);
+      
+      const upload = await attestationPlatform.getAttestationUpload(0, exchange.address);
+      expect(upload.finalized).to.be.true;
+      expect(upload.chunkCount).to.equal(3);
+      expect(await attestationPlatform.getAttestationChunk(0, exchange.address, 1))
+        .to.equal(ethers.hexlify(chunks[1]));
+    });
+    
+    it("Should reject out-of-order chunks, incomplete uploads and hash mismatches", async function () {
+      const platform = attestationPlatform.connect(exchange);
+      await platform.beginAttestationUpload(exchange.address, chainHash(chunks), totalSize);
+      
+      await expect(platform.appendAttestationChunk(exchange.address, 1, chunks[1]))
+        .to.be.revertedWith("Unexpected chunk index");
+      await platform.appendAttestationChunk(exchange.address, 0, chunks[0]);
+      await expect(platform.finalizeAttestationUpload(exchange.address))
+        .to.be.revertedWith("Upload incomplete");
+      
+      // Same sizes, different content
+      await platform.appendAttestationChunk(exchange.address, 1, chunks[1]);
+      await platform.appendAttestationChunk(exchange.address, 2, ethers.randomBytes(10));
+      await expect(platform.finalizeAttestationUpload(exchange.address))
+        .to.be.revertedWith("Upload hash mismatch");
+      expect(await attestationPlatform.getPeriodAttestorCount(0)).to.equal(0);
+    });
+    
+    it("Should only let the attestor or the owner upload", async function () {
+      await expect(
+        attestationPlatform.connect(regulator).beginAttestationUpload(exchange.address, chainHash(chunks), totalSize)
+      ).to.be.revertedWithCustomError(attestationPlatform, "OwnableUnauthorizedAccount");
+      await expect(
+        attestationPlatform.beginAttestationUpload(other.address, chainHash(chunks), totalSize)
+      ).to.be.revertedWith("Address is not a registered attestor");
+      
+      await attestationPlatform.beginAttestationUpload(exchange.address, chainHash(chunks), totalSize);
+      const upload = await attestationPlatform.getAttestationUpload(0, exchange.address);
+      expect(upload.totalSize).to.equal(totalSize);
+    });
+  });
+  
   describe("Verification", function () {
     beforeEach(async function () {
       // Register attestors
-      await attestationPlatform.registerAttestor(exchange.address, "Exchange A");
-      await attestationPlatform.registerAttestor(regulator.address, "Regulator B");
+      await attestationPlatform.registerAttestor(exchange.address, "Exchange A", ReservesProvider);
+      await attestationPlatform.registerAttestor(regulator.address, "Regulator B", LiabilitiesProvider);
       
       // Submit attestations
       await attestationPlatform.connect(exchange).submitAttestation(ethers.hexlify(ethers.randomBytes(100)));
@@ -124,6 +230,20 @@ describe("AttestationPlatform", function () {
       expect(rule.ruleData).to.equal(ruleData);
     });
     
+    it("Should let the owner update rule data", async function () {
+      await attestationPlatform.addVerificationRule("Rule", "0x01");
+      
+      await expect(attestationPlatform.updateVerificationRule(0, "0x02"))
+        .to.emit(attestationPlatform, "VerificationRuleUpdated")
+        .withArgs(0);
+      expect((await attestationPlatform.verificationRules(0)).ruleData).to.equal("0x02");
+      
+      await expect(attestationPlatform.updateVerificationRule(1, "0x02"))
+        .to.be.revertedWith("Verification rule does not exist");
+      await expect(attestationPlatform.connect(other).updateVerificationRule(0, "0x03"))
+        .to.be.revertedWithCustomError(attestationPlatform, "OwnableUnauthorizedAccount");
+    });
+    
     it("Should submit verification results", async function () {
       const periodId = await attestationPlatform.currentPeriodId();
       const passed = true;
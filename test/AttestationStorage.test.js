@@ -0,0 +1,63 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const { createBlobStore } = require("../scripts/lib/blob_stores");
+const {
+  encodeAttestationReference,
+  decodeAttestationReference,
+  storeAttestation,
+  resolveAttestation,
+} = require("../scripts/lib/attestation_storage");
+
+describe("Off-chain attestation storage", function () {
+  let dir, store;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "blobs-"));
+    store = createBlobStore({ dir });
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should round-trip a reference and leave inline attestations alone", function () {
+    const contentHash = ethers.keccak256(ethers.toUtf8Bytes("ciphertext"));
+    const reference = encodeAttestationReference({ contentHash, locator: "fs:abc" });
+
+    expect(decodeAttestationReference(reference)).to.deep.equal({ contentHash, locator: "fs:abc" });
+    expect(decodeAttestationReference(ethers.toUtf8Bytes("1000000"))).to.be.null;
+    expect(decodeAttestationReference(new Uint8Array(128))).to.be.null;
+  });
+
+  it("Should store blobs by content hash and resolve them", async function () {
+    const data = Buffer.from('{"format":"epic-paillier-attestation"}');
+
+    const stored = await storeAttestation(store, data);
+    expect(stored.contentHash).to.equal(ethers.keccak256(data));
+    expect(stored.locator).to.equal(`fs:${stored.contentHash.slice(2)}`);
+    expect((await storeAttestation(store, data)).locator).to.equal(stored.locator);
+    expect(ethers.getBytes(stored.reference).length).to.be.lessThan(300);
+
+    const resolved = await resolveAttestation(stored.reference, store);
+    expect(resolved.data.equals(data)).to.be.true;
+    expect(resolved.reference.locator).to.equal(stored.locator);
+
+    const inline = await resolveAttestation(ethers.toUtf8Bytes("900000"), store);
+    expect(inline.data.toString()).to.equal("900000");
+    expect(inline.reference).to.be.null;
+  });
+
+  it("Should reject a blob that does not match its on-chain hash", async function () {
+    const stored = await storeAttestation(store, Buffer.from("1000000"));
+    fs.writeFileSync(path.join(dir, stored.locator.slice(3)), "9999999");
+
+    await expect(resolveAttestation(stored.reference, store)).to.be.rejectedWith(
+      "does not match its on-chain hash"
+    );
+    await expect(store.get("fs:../../etc/passwd")).to.be.rejectedWith("Not a filesystem blob locator");
+    expect(() => createBlobStore({ backend: "s3" })).to.throw('Unknown blob store "s3"');
+  });
+});
@@ -0,0 +1,138 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadConfig, summarizeConfig } = require("../scripts/lib/config");
+
+describe("Configuration", function () {
+  let dir, envFile;
+
+  // Load from the given environment, with no .env unless one is written
+  function load(sections, env, options = {}) {
+    return loadConfig(sections, { env, envFile, ...options });
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "config-"));
+    envFile = path.join(dir, ".env");
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should merge the environment, .env and a config file over defaults", function () {
+    fs.writeFileSync(envFile, "CONFIRMATIONS=3\nEXCHANGE_VALUE=5\n");
+    const file = path.join(dir, "attestation.yaml");
+    fs.writeFileSync(
+      file,
+      [
+        "EXCHANGE_VALUE: 7",
+        "REGULATOR_VALUE: 6",
+        "ATTESTOR_ROLES: [ReservesProvider, 2]",
+        "ATTESTATION_VALUES: [10, 20]",
+        "ATTESTATION_TEMP_DIR: ./work",
+        "DRY_RUN: true",
+      ].join("\n")
+    );
+
+    const config = load(["contract", "attestors", "storage"], {
+      CONFIG_FILE: file,
+      CONFIRMATIONS: "4",
+    });
+
+    expect(config.problems).to.deep.equal([]);
+    expect(config.values.CONFIRMATIONS).to.equal(4);
+    expect(config.sources.CONFIRMATIONS).to.equal("env");
+    expect(config.values.EXCHANGE_VALUE).to.equal("5");
+    expect(config.sources.EXCHANGE_VALUE).to.equal(".env");
+    expect(config.values.REGULATOR_VALUE).to.equal("6");
+    expect(config.sources.REGULATOR_VALUE).to.equal(file);
+    expect(config.values.DRY_RUN).to.be.true;
+    expect(config.values.ATTESTATION_VALUES).to.deep.equal(["10", "20"]);
+    expect(config.values.ATTESTOR_ROLES).to.deep.equal(["ReservesProvider", "LiabilitiesProvider"]);
+    // Relative paths in a config file are relative to the file
+    expect(config.values.ATTESTATION_TEMP_DIR).to.equal(path.join(dir, "work"));
+    expect(config.values.BLOB_STORE_DIR).to.equal(path.join(dir, "work", "blobs"));
+    expect(config.values.ATTESTATION_STORAGE).to.equal("onchain");
+    expect(config.sources.ATTESTATION_STORAGE).to.equal("default");
+  });
+
+  it("Should report every invalid setting at once", function () {
+    const file = path.join(dir, "attestation.json");
+    fs.writeFileSync(file, JSON.stringify({ PROOF_CONCURRENCY: 0, PROVER_BACKEND: "groth16", NOT_A_SETTING: 1 }));
+
+    const config = load(["contract", "attestors", "prover", "monitor"], {
+      CONFIG_FILE: file,
+      CONTRACT_ADDRESS: "0x1234",
+      EXCHANGE_VALUE: "lots",
+      OPERATION: "Between",
+      EPIC_NODE_BINARY: path.join(dir, "missing-epic-node") + " --fast",
+      MOCK_PROVER_FIXTURES: path.join(dir, "fixtures.json"),
+    });
+
+    expect(config.problems.map((problem) => problem.key)).to.have.members([
+      "CONTRACT_ADDRESS",
+      "EXCHANGE_VALUE",
+      "OPERATION",
+      "PROVER_BACKEND",
+      "EPIC_NODE_BINARY",
+      "MOCK_PROVER_FIXTURES",
+      "PROOF_CONCURRENCY",
+    ]);
+    const byKey = Object.fromEntries(config.problems.map(({ key, message }) => [key, message]));
+    expect(byKey.EXCHANGE_VALUE).to.equal('expected a non-negative integer, got "lots" (from env)');
+    expect(byKey.PROOF_CONCURRENCY).to.equal(`must be at least 1, got 0 (from ${file})`);
+    expect(config.warnings).to.deep.equal([`Unknown setting NOT_A_SETTING in ${file}`]);
+  });
+
+  it("Should require an executable SP1 binary for the sp1 backend", function () {
+    expect(load(["prover"], {}).problems).to.deep.equal([
+      { key: "SP1_BINARY", message: "required with PROVER_BACKEND=sp1 (or set PROVER_BACKEND=mock)" },
+    ]);
+    expect(load(["prover", "monitor"], { AUTO_GENERATE_PROOF: "false" }).problems).to.deep.equal([]);
+    expect(load(["prover"], { PROVER_BACKEND: "mock" }).problems).to.deep.equal([]);
+
+    const binary = path.join(dir, "epic_attestation");
+    fs.writeFileSync(binary, "#!/bin/sh\n");
+    expect(load(["prover"], { SP1_BINARY: binary }).problems[0].key).to.equal("SP1_BINARY");
+
+    fs.chmodSync(binary, 0o755);
+    const config = load(["prover"], { SP1_BINARY: binary });
+    expect(config.problems).to.deep.equal([]);
+    expect(config.values.SP1_BINARY).to.equal(binary);
+  });
+
+  it("Should refuse the mock prover outside the local networks unless allowed", function () {
+    const mock = { PROVER_BACKEND: "mock" };
+    expect(load(["prover"], mock, { network: "localhost" }).problems).to.deep.equal([]);
+    expect(load(["prover"], mock, { network: "sepolia" }).problems).to.deep.equal([
+      {
+        key: "PROVER_BACKEND",
+        message:
+          "mock writes fake proofs and only runs on hardhat or localhost, not sepolia " +
+          "(set ALLOW_MOCK_PROVER=true to use it anyway)",
+      },
+    ]);
+    expect(load(["prover"], { ...mock, ALLOW_MOCK_PROVER: "true" }, { network: "sepolia" }).problems).to.deep.equal([]);
+    expect(load(["prover", "monitor"], { ...mock, AUTO_GENERATE_PROOF: "false" }, { network: "sepolia" }).problems).to.deep.equal([]);
+  });
+
+  it("Should require a secret for webhooks and keep it out of the report", function () {
+    expect(load(["notifications"], { WEBHOOK_URLS: "https://hooks.example.com/a,ftp://example.com" }).problems).to.deep.equal([
+      { key: "WEBHOOK_URLS", message: 'item 2: expected an http(s) URL, got "ftp://example.com" (from env)' },
+    ]);
+    expect(load(["notifications"], { WEBHOOK_URLS: "https://hooks.example.com/a" }).problems).to.deep.equal([
+      { key: "WEBHOOK_SECRET", message: "required with WEBHOOK_URLS, receivers check the signatures" },
+    ]);
+
+    const config = load(["notifications"], {
+      WEBHOOK_URLS: "https://hooks.example.com/a",
+      WEBHOOK_SECRET: "s3cret",
+      WEBHOOK_EVENTS: "verification.failed,period.stuck",
+    });
+    expect(config.problems).to.deep.equal([]);
+    expect(config.values.WEBHOOK_EVENTS).to.deep.equal(["verification.failed", "period.stuck"]);
+    expect(summarizeConfig(config).settings.WEBHOOK_SECRET).to.deep.equal({ value: "********", source: "env" });
+  });
+});
@@ -0,0 +1,76 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const {
+  manifestFile,
+  loadDeployment,
+  recordDeployment,
+  resolveContract,
+  resolveContractOffline,
+} = require("../scripts/lib/deployments");
+
+describe("Deployment manifests", function () {
+  let dir, attestationPlatform;
+
+  beforeEach(async function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+
+    const AttestationPlatform = await hre.ethers.getContractFactory("AttestationPlatform");
+    attestationPlatform = await AttestationPlatform.deploy(2);
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should record the deployment of a contract", async function () {
+    const { manifest, file } = await recordDeployment(hre, attestationPlatform, {
+      constructorArgs: [2n],
+      dir,
+    });
+
+    const receipt = await attestationPlatform.deploymentTransaction().wait();
+    expect(file).to.equal(manifestFile("hardhat", dir));
+    expect(loadDeployment("hardhat", dir)).to.deep.equal(manifest);
+    expect(manifest.address).to.equal(await attestationPlatform.getAddress());
+    expect(manifest.transactionHash).to.equal(receipt.hash);
+    expect(manifest.blockNumber).to.equal(receipt.blockNumber);
+    expect(manifest.chainId).to.equal("31337");
+    expect(manifest.constructorArgs).to.deep.equal(["2"]);
+    expect(manifest.compiler.version.startsWith(hre.config.solidity.compilers[0].version)).to.be.true;
+    expect(manifest.compiler.optimizer.enabled).to.be.true;
+    expect(manifest.abiHash).to.match(/^0x[0-9a-f]{64}$/);
+  });
+
+  it("Should resolve the contract from the manifest unless an address is given", async function () {
+    expect(() => resolveContract(hre, { dir })).to.throw("No AttestationPlatform deployment for network hardhat");
+
+    const { manifest } = await recordDeployment(hre, attestationPlatform, { dir });
+    const fromManifest = resolveContract(hre, { dir });
+    expect(fromManifest.address).to.equal(manifest.address);
+    expect(fromManifest.manifest).to.deep.equal(manifest);
+    expect(fromManifest.abiChanged).to.be.false;
+
+    const other = hre.ethers.Wallet.createRandom().address;
+    const explicit = resolveContract(hre, { address: other, dir });
+    expect(explicit).to.deep.equal({ address: other, source: "address", manifest: null, abiChanged: false });
+
+    fs.writeFileSync(manifestFile("hardhat", dir), JSON.stringify({ ...manifest, abiHash: "0x00" }));
+    expect(resolveContract(hre, { dir }).abiChanged).to.be.true;
+  });
+
+  it("Should resolve the contract and its ABI without a Hardhat runtime", async function () {
+    const { manifest } = await recordDeployment(hre, attestationPlatform, { dir });
+
+    const deployment = resolveContractOffline("hardhat", { dir });
+    expect(deployment).to.deep.include({ address: manifest.address, manifest, abiChanged: false });
+    expect(deployment.abi).to.deep.equal((await hre.artifacts.readArtifact("AttestationPlatform")).abi);
+
+    expect(() => resolveContractOffline("sepolia", { dir })).to.throw("No AttestationPlatform deployment for network sepolia");
+    expect(() => resolveContractOffline("hardhat", { dir, artifactsDir: dir })).to.throw(
+      "No compiled artifact for AttestationPlatform"
+    );
+  });
+});
@@ -0,0 +1,56 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const paillier = require("../scripts/lib/epic_node/paillier");
+const epicNode = require("../scripts/lib/epic_node");
+const { MockProver } = require("../scripts/lib/provers/mock");
+
+describe("Local epic-node", function () {
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "epic-node-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should encrypt, add and decrypt with Paillier", function () {
+    const { publicKey, privateKey } = paillier.generateKeyPair(512, "test");
+    const a = paillier.encrypt(publicKey, 1000000n);
+    const b = paillier.encrypt(publicKey, 234n);
+
+    expect(paillier.decrypt(privateKey, a)).to.equal(1000000n);
+    expect(paillier.decrypt(privateKey, paillier.addCiphertexts(publicKey, a, b))).to.equal(1000234n);
+  });
+
+  it("Should generate the same keys from the same seed", function () {
+    const first = epicNode.generateKeys(512, path.join(dir, "a"), "seed");
+    const second = epicNode.generateKeys(512, path.join(dir, "b"), "seed");
+
+    expect(fs.readFileSync(first.publicKeyPath, "utf8"))
+      .to.equal(fs.readFileSync(second.publicKeyPath, "utf8"));
+  });
+
+  it("Should let the mock prover decrypt local attestations", async function () {
+    const keysDir = path.join(dir, "keys");
+    const { publicKeyPath } = epicNode.generateKeys(512, keysDir);
+
+    const files = [["1", "1000000"], ["2", "900000"]].map(([nodeId, value]) => {
+      const valuesFile = path.join(dir, `values_${nodeId}.txt`);
+      const attestationFile = path.join(dir, `attestation_${nodeId}.bin`);
+      fs.writeFileSync(valuesFile, value);
+      epicNode.createAttestation(nodeId, publicKeyPath, valuesFile, attestationFile);
+      return attestationFile;
+    });
+
+    const prover = new MockProver({ keysDir });
+    await prover.prove({ operation: "GreaterThan", attestationFiles: files, workDir: dir });
+    expect(fs.readFileSync(path.join(dir, "public_values.bin"))[0]).to.equal(1);
+
+    await prover.prove({ operation: "GreaterThan", attestationFiles: files.reverse(), workDir: dir });
+    expect(fs.readFileSync(path.join(dir, "public_values.bin"))[0]).to.equal(0);
+  });
+});
@@ -0,0 +1,128 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { AttestationClient } = require("../scripts/lib/attestation_client");
+const { EventIndex, parseTime } = require("../scripts/lib/event_index");
+const { syncEventIndex } = require("../scripts/lib/event_indexer");
+const { createLogger } = require("../scripts/lib/logger");
+
+describe("Event index", function () {
+  let dir, file, client, index;
+  let exchange, regulator;
+  const logger = createLogger({ write: () => {} });
+
+  async function sync(options = {}) {
+    return syncEventIndex(client, index, await ethers.provider.getBlockNumber(), { blockRange: 3, logger, ...options });
+  }
+
+  async function submitPeriod(reserves, liabilities) {
+    await client.submitAttestation(reserves, { attestor: exchange.address });
+    await client.submitAttestation(liabilities, { attestor: regulator.address });
+  }
+
+  beforeEach(async function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "event-index-"));
+    file = path.join(dir, "events.sqlite");
+    [, exchange, regulator] = await ethers.getSigners();
+
+    const AttestationPlatform = await ethers.getContractFactory("AttestationPlatform");
+    const attestationPlatform = await AttestationPlatform.deploy(2);
+    const startBlock = (await attestationPlatform.deploymentTransaction().wait()).blockNumber;
+
+    client = await AttestationClient.connect(ethers, await attestationPlatform.getAddress());
+    await client.registerAttestor(exchange.address, "Exchange", "ReservesProvider");
+    await client.registerAttestor(regulator.address, "Regulator", "LiabilitiesProvider");
+
+    index = await EventIndex.open(file);
+    index.initialize((await ethers.provider.getNetwork()).chainId, await client.getAddress(), startBlock);
+  });
+
+  afterEach(function () {
+    index.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should index every event and answer queries by period, attestor, outcome and time", async function () {
+    await client.addVerificationRule("Reserves cover liabilities", { operation: "GreaterThan" });
+    await submitPeriod("0x01", "0x02");
+    await client.submitVerification(0, false, "0x01");
+    await ethers.provider.send("evm_increaseTime", [86400]);
+    await submitPeriod("0x03", "0x04");
+    const passed = await client.submitVerification(1, true, "0x01");
+
+    expect((await sync()).indexed).to.equal(11);
+    expect(index.countEvents()).to.deep.equal({
+      AttestorRegistered: 2,
+      VerificationRuleAdded: 1,
+      AttestationSubmitted: 4,
+      AttestationPeriodComplete: 2,
+      VerificationResultSubmitted: 2,
+    });
+
+    // Reopened from its file, the index resumes where it stopped
+    index.close();
+    index = await EventIndex.open(file);
+    expect((await sync()).indexed).to.equal(0);
+
+    const failed = index.queryEvents({ event: "VerificationResultSubmitted", passed: false });
+    expect(failed.map((event) => [event.periodId, event.passed])).to.deep.equal([[0, false]]);
+
+    const [latest] = index.queryEvents({ event: "AttestationSubmitted", attestor: regulator.address.toLowerCase(), limit: 1 });
+    expect(latest).to.include({ periodId: 1, attestor: regulator.address, blockNumber: passed.blockNumber - 1 });
+    expect(latest.time).to.equal(new Date(latest.timestamp * 1000).toISOString());
+
+    const [verification] = index.queryEvents({ periodId: 1, event: "VerificationResultSubmitted" });
+    expect(verification).to.include({ passed: true, transactionHash: passed.transactionHash });
+
+    // The second period was a day later than the first
+    const since = latest.timestamp - 3600;
+    expect(index.queryEvents({ since }).map((event) => event.periodId)).to.deep.equal([1, 1, 1, 1]);
+    expect(index.queryEvents({ until: since, event: "AttestationPeriodComplete" })).to.have.length(1);
+
+    const [rule] = index.queryEvents({ event: "VerificationRuleAdded" });
+    expect(rule).to.include({ ruleId: 0, description: "Reserves cover liabilities" });
+    expect(index.attestorNames().get(exchange.address)).to.deep.equal({ name: "Exchange", role: "ReservesProvider" });
+    expect(() => index.queryEvents({ event: "Transfer" })).to.throw('Unknown event "Transfer"');
+  });
+
+  it("Should roll back events of blocks replaced by a reorg", async function () {
+    await client.submitAttestation("0x01", { attestor: exchange.address });
+    const snapshot = await ethers.provider.send("evm_snapshot", []);
+    await client.submitAttestation("0x02", { attestor: regulator.address });
+
+    await sync();
+    expect(index.queryEvents({ periodId: 0 }).map((event) => event.event)).to.deep.equal([
+      "AttestationPeriodComplete",
+      "AttestationSubmitted",
+      "AttestationSubmitted",
+    ]);
+
+    // Replace the completing submission, as a reorg to a fork without it would
+    await ethers.provider.send("evm_revert", [snapshot]);
+    await ethers.provider.send("evm_mine", []);
+    await ethers.provider.send("evm_mine", []);
+
+    // Only the last block is rescanned
+    const result = await sync({ reorgBlocks: 1 });
+    expect(result.removed).to.equal(2);
+    expect(index.queryEvents({ periodId: 0 }).map((event) => event.attestor)).to.deep.equal([exchange.address]);
+    expect(index.getState().lastIndexedBlockHash).to.equal(
+      (await ethers.provider.getBlock(index.getState().lastIndexedBlock)).hash
+    );
+  });
+
+  it("Should refuse an index file of another contract", async function () {
+    const address = await client.getAddress();
+    expect(() => index.initialize(1n, address, 0)).to.throw("use another index file");
+  });
+
+  it("Should parse times as ISO dates, unix seconds or durations", function () {
+    const now = Date.parse("2026-10-01T00:00:00Z");
+    expect(parseTime("2026-07-01", now)).to.equal(Date.parse("2026-07-01") / 1000);
+    expect(parseTime("1790000000", now)).to.equal(1790000000);
+    expect(parseTime("90d", now)).to.equal(now / 1000 - 90 * 86400);
+    expect(() => parseTime("last quarter")).to.throw('Invalid time "last quarter"');
+  });
+});
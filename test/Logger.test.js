@@ -0,0 +1,90 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createLogger, logProcessOutput } = require("../scripts/lib/logger");
+const { Sp1Prover } = require("../scripts/lib/provers/sp1");
+const { parseOperation } = require("../scripts/lib/operations");
+
+describe("Logger", function () {
+  let lines;
+
+  function capture(options) {
+    lines = [];
+    return createLogger({ ...options, write: (level, line) => lines.push({ level, line }) });
+  }
+
+  const entries = () => lines.map(({ line }) => JSON.parse(line));
+
+  it("Should write JSON lines with correlation fields", function () {
+    const logger = capture({ format: "json" }).child({ runId: "run-1" });
+    const periodLog = logger.child({ periodId: 3n, step: "prove" });
+
+    logger.info("\n=== Heading ===");
+    logger.info("");
+    periodLog.warn("Retrying", { txHash: "0xabc", error: Object.assign(new Error("timeout"), { code: "TIMEOUT" }) });
+
+    const [heading, retry] = entries();
+    expect(lines).to.have.length(2);
+    expect(heading).to.include({ level: "info", msg: "=== Heading ===", runId: "run-1", periodId: null, step: null, txHash: null });
+    expect(retry).to.deep.include({
+      level: "warn",
+      msg: "Retrying",
+      runId: "run-1",
+      periodId: "3",
+      step: "prove",
+      txHash: "0xabc",
+      error: { name: "Error", message: "timeout", code: "TIMEOUT" },
+    });
+  });
+
+  it("Should keep the plain message in text format and filter by level", function () {
+    const logger = capture({ level: "warn" });
+
+    logger.info("hidden");
+    logger.child({ source: "sp1" }, { prefix: "SP1: " }).warn("cycle limit");
+    logProcessOutput(logger, "ignored stdout\n", "bad input\n\n");
+
+    expect(lines).to.deep.equal([
+      { level: "warn", line: "SP1: cycle limit" },
+      { level: "error", line: "bad input" },
+    ]);
+    expect(() => createLogger({ level: "verbose" })).to.throw('Unknown log level "verbose"');
+  });
+
+  it("Should log SP1 output as child lines of the proof", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sp1-log-"));
+    try {
+      fs.writeFileSync(path.join(dir, "public.key"), "key");
+      const attestations = ["a.bin", "b.bin"].map((name) => path.join(dir, name));
+      attestations.forEach((file) => fs.writeFileSync(file, "1"));
+
+      const binary = path.join(dir, "epic_attestation");
+      fs.writeFileSync(
+        binary,
+        "#!/bin/sh\necho 'cycles: 100'\necho 'proving'\necho 'slow' >&2\nprintf x > proof.bin\nprintf '\\001' > public_values.bin\n"
+      );
+      fs.chmodSync(binary, 0o755);
+
+      const logger = capture({ format: "json" }).child({ runId: "run-2", periodId: 7 });
+      const prover = new Sp1Prover({ binary, keysDir: dir });
+      await prover.prove({
+        operation: parseOperation("GreaterThan"),
+        attestationFiles: attestations,
+        reservesCount: 1,
+        workDir: dir,
+        logger,
+      });
+
+      const output = entries().filter((entry) => entry.source === "sp1");
+      expect(output.map(({ msg, stream, level }) => [msg, stream, level])).to.have.deep.members([
+        ["cycles: 100", "stdout", "info"],
+        ["proving", "stdout", "info"],
+        ["slow", "stderr", "warn"],
+      ]);
+      expect(output.every((entry) => entry.runId === "run-2" && entry.periodId === 7)).to.be.true;
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,79 @@
+const { expect } = require("chai");
+const { MetricsRegistry, startMetricsServer } = require("../scripts/lib/metrics");
+
+describe("Metrics", function () {
+  it("Should render counters, gauges and histograms in the Prometheus text format", function () {
+    const registry = new MetricsRegistry({ prefix: "test_" });
+    const events = registry.counter("events_total", "Events seen", ["event"]);
+    const block = registry.gauge("last_block", "Last block");
+    registry.gauge("lag_seconds", "Lag", [], { collect: () => 42 });
+    const duration = registry.histogram("duration_seconds", "Duration", [], { buckets: [1, 10] });
+
+    events.inc({ event: "Complete" });
+    events.inc({ event: "Complete" });
+    events.inc({ event: 'Quote"d' }, 3);
+    block.set(17);
+    duration.observe(0.5);
+    duration.observe(5);
+    duration.observe(50);
+
+    expect(registry.render()).to.equal(
+      [
+        "# HELP test_events_total Events seen",
+        "# TYPE test_events_total counter",
+        'test_events_total{event="Complete"} 2',
+        'test_events_total{event="Quote\\"d"} 3',
+        "",
+        "# HELP test_last_block Last block",
+        "# TYPE test_last_block gauge",
+        "test_last_block 17",
+        "",
+        "# HELP test_lag_seconds Lag",
+        "# TYPE test_lag_seconds gauge",
+        "test_lag_seconds 42",
+        "",
+        "# HELP test_duration_seconds Duration",
+        "# TYPE test_duration_seconds histogram",
+        'test_duration_seconds_bucket{le="1"} 1',
+        'test_duration_seconds_bucket{le="10"} 2',
+        'test_duration_seconds_bucket{le="+Inf"} 3',
+        "test_duration_seconds_sum 55.5",
+        "test_duration_seconds_count 3",
+        "",
+      ].join("\n")
+    );
+
+    expect(() => events.inc({ source: "x" })).to.throw('Unknown label "source"');
+    expect(() => events.inc({}, -1)).to.throw("cannot decrease");
+    expect(() => registry.counter("events_total", "Again")).to.throw("already registered");
+  });
+
+  it("Should serve /metrics and /healthz", async function () {
+    const registry = new MetricsRegistry();
+    registry.counter("requests_total", "Requests").inc();
+
+    let health = { healthy: true, headBlock: 10n };
+    const server = await startMetricsServer({ registry, health: async () => health, port: 0 });
+    const url = (pathname) => `http://127.0.0.1:${server.address().port}${pathname}`;
+
+    try {
+      const metrics = await fetch(url("/metrics"));
+      expect(metrics.status).to.equal(200);
+      expect(metrics.headers.get("content-type")).to.include("text/plain; version=0.0.4");
+      expect(await metrics.text()).to.include("requests_total 1\n");
+
+      const healthy = await fetch(url("/healthz"));
+      expect(healthy.status).to.equal(200);
+      expect(await healthy.json()).to.deep.equal({ status: "ok", healthy: true, headBlock: "10" });
+
+      health = { healthy: false, lastSyncError: "timeout" };
+      const unhealthy = await fetch(url("/healthz"));
+      expect(unhealthy.status).to.equal(503);
+      expect(await unhealthy.json()).to.include({ status: "unhealthy", lastSyncError: "timeout" });
+
+      expect((await fetch(url("/other"))).status).to.equal(404);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
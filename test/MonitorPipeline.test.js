@@ -0,0 +1,276 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+
+// The monitor reads its configuration when it is loaded
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "monitor-"));
+process.env.ATTESTATION_TEMP_DIR = tempDir;
+process.env.PROVER_BACKEND = "mock";
+process.env.CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS || ethers.ZeroAddress;
+process.env.WEBHOOK_SECRET = "monitor-secret";
+
+const { AttestationClient } = require("../scripts/lib/attestation_client");
+const { ProofQueue, JOB_STATUS } = require("../scripts/lib/proof_queue");
+const { MOCK_PROOF_MAGIC } = require("../scripts/lib/provers/mock");
+const { decodeProofBundle } = require("../scripts/lib/verification_rules");
+const { createBlobStore } = require("../scripts/lib/blob_stores");
+const { storeAttestation } = require("../scripts/lib/attestation_storage");
+const {
+  metrics,
+  notifier,
+  checkStuckPeriod,
+  processAttestationComplete,
+  syncEvents,
+  validateProofJob,
+} = require("../scripts/monitor_events");
+
+describe("Monitor pipeline (mock prover)", function () {
+  let client;
+  let exchange, regulator;
+
+  async function submitPeriod(reserves, liabilities) {
+    await client.submitAttestation(reserves, { attestor: exchange.address });
+    await client.submitAttestation(liabilities, { attestor: regulator.address });
+  }
+
+  beforeEach(async function () {
+    [, exchange, regulator] = await ethers.getSigners();
+
+    const AttestationPlatform = await ethers.getContractFactory("AttestationPlatform");
+    const attestationPlatform = await AttestationPlatform.deploy(2);
+
+    client = await AttestationClient.connect(ethers, await attestationPlatform.getAddress());
+    await client.registerAttestor(exchange.address, "Exchange", "ReservesProvider");
+    await client.registerAttestor(regulator.address, "Regulator", "LiabilitiesProvider");
+  });
+
+  after(function () {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it("Should prove a completed period and submit a passing result", async function () {
+    await submitPeriod("1000000", "900000");
+
+    await processAttestationComplete(0n, client);
+
+    const result = await client.getVerificationResult(0);
+    expect(result.passed).to.be.true;
+    expect(ethers.getBytes(result.proofData).slice(0, MOCK_PROOF_MAGIC.length))
+      .to.deep.equal(new Uint8Array(MOCK_PROOF_MAGIC));
+  });
+
+  it("Should submit a failing result when reserves do not exceed liabilities", async function () {
+    await submitPeriod("800000", "900000");
+
+    await processAttestationComplete(0n, client);
+
+    expect((await client.getVerificationResult(0)).passed).to.be.false;
+  });
+
+  it("Should prove attestations stored off-chain after checking their hashes", async function () {
+    const blobStore = createBlobStore({ dir: path.join(tempDir, "blobs") });
+    const reserves = await storeAttestation(blobStore, Buffer.from("1000000"));
+    const liabilities = await storeAttestation(blobStore, Buffer.from("900000"));
+
+    await client.submitAttestation(reserves.reference, { attestor: exchange.address });
+    await client.submitAttestation(liabilities.reference, { attestor: regulator.address });
+    await processAttestationComplete(0n, client);
+
+    const attestationsDir = path.join(tempDir, "periods", "0", "attestations");
+    expect(fs.readFileSync(path.join(attestationsDir, "attestation_1.bin"), "utf8")).to.equal("1000000");
+    expect((await client.getVerificationResult(0)).passed).to.be.true;
+  });
+
+  it("Should select prover inputs by attestor role", async function () {
+    const [, , , custodian, auditor] = await ethers.getSigners();
+    await client.registerAttestor(auditor.address, "Auditor", "Auditor");
+    await client.registerAttestor(custodian.address, "Custodian", "ReservesProvider");
+
+    // Reserves 700 + 400 > liabilities 1000 only when grouped by role,
+    // whatever order the attestations were submitted in
+    await client.submitAttestation("1000", { attestor: regulator.address });
+    await client.submitAttestation("5", { attestor: auditor.address });
+    await client.submitAttestation("400", { attestor: custodian.address });
+    await client.submitAttestation("700", { attestor: exchange.address });
+
+    await processAttestationComplete(0n, client);
+
+    const attestationsDir = path.join(tempDir, "periods", "0", "attestations");
+    const read = (i) => fs.readFileSync(path.join(attestationsDir, `attestation_${i}.bin`), "utf8");
+    expect([1, 2, 3].map(read)).to.deep.equal(["700", "400", "1000"]);
+    expect((await client.getVerificationResult(0)).passed).to.be.true;
+  });
+
+  it("Should prove every active rule and bundle the proofs", async function () {
+    await client.addVerificationRule("Collateral", { operation: "CollateralRatio:min=1.05" });
+    await client.addVerificationRule("Band", { operation: "RatioInRange:min=1,max=1.2" });
+    await client.addVerificationRule("Old", { operation: "LessThan", active: false });
+    await client.addVerificationRule("Free text", ethers.toUtf8Bytes("reserves > liabilities"));
+
+    await submitPeriod("1100", "1000");
+    await processAttestationComplete(0n, client);
+
+    const result = await client.getVerificationResult(0);
+    const bundle = decodeProofBundle(result.proofData);
+    expect(bundle.map(({ ruleId, passed }) => [ruleId, passed])).to.deep.equal([[0, true], [1, true]]);
+    expect(result.passed).to.be.true;
+
+    // Deactivating the band rule and tightening the ratio fails the next period
+    await client.setVerificationRuleActive(1, false);
+    await client.addVerificationRule("Strict", { operation: "CollateralRatio:min=1.2" });
+
+    await submitPeriod("1100", "1000");
+    await processAttestationComplete(1n, client);
+
+    const next = await client.getVerificationResult(1);
+    expect(decodeProofBundle(next.proofData).map(({ ruleId, passed }) => [ruleId, passed]))
+      .to.deep.equal([[0, true], [4, false]]);
+    expect(next.passed).to.be.false;
+  });
+
+  it("Should backfill and prove every completed period through the queue", async function () {
+    await submitPeriod("1000000", "900000");
+    await client.submitVerification(0, true, "0x01");
+    await submitPeriod("500", "400");
+
+    const proofQueue = new ProofQueue(path.join(tempDir, "queue.json"), { retryDelay: 0 });
+    proofQueue.start((job) => processAttestationComplete(BigInt(job.periodId), client));
+
+    const checkpoint = { lastProcessedBlock: -1 };
+    await syncEvents(client, checkpoint, await ethers.provider.getBlockNumber(), proofQueue);
+    await proofQueue.onIdle();
+    proofQueue.stop();
+
+    expect(proofQueue.list().map((job) => [job.periodId, job.status])).to.deep.equal([["1", "done"]]);
+    expect((await client.getPeriodStatus(1)).passed).to.be.true;
+  });
+
+  it("Should count events and proofs and the age of unverified periods in the metrics", async function () {
+    const value = (name, labels) => metrics.get(name).get(labels);
+    const proven = value("periods_proven_total", { result: "passed" });
+    const completions = value("events_total", { event: "AttestationPeriodComplete" });
+
+    await submitPeriod("1000000", "900000");
+    const head = await ethers.provider.getBlockNumber();
+    await syncEvents(client, { lastProcessedBlock: -1 }, head, null);
+
+    expect(value("events_total", { event: "AttestationPeriodComplete" })).to.equal(completions + 1);
+    expect(value("last_processed_block")).to.equal(head);
+
+    // An hour after its completion block the period is still waiting for
+    // its proof
+    const completedAt = (await ethers.provider.getBlock(head)).timestamp;
+    const now = Date.now;
+    Date.now = () => (completedAt + 3600) * 1000;
+    try {
+      expect(value("oldest_unverified_period_age_seconds")).to.equal(3600);
+    } finally {
+      Date.now = now;
+    }
+
+    await processAttestationComplete(0n, client);
+    expect(value("periods_proven_total", { result: "passed" })).to.equal(proven + 1);
+    expect(value("proof_duration_seconds").count).to.be.greaterThan(0);
+    expect(value("oldest_unverified_period_age_seconds")).to.equal(0);
+    expect(metrics.render()).to.include(`attestation_monitor_last_processed_block ${head}\n`);
+  });
+
+  it("Should cancel the proof job of a period whose completion was reorged out", async function () {
+    const proofQueue = new ProofQueue(path.join(tempDir, "reorg-queue.json"));
+    const checkpoint = { lastProcessedBlock: -1 };
+
+    await client.submitAttestation("1000000", { attestor: exchange.address });
+    const snapshot = await ethers.provider.send("evm_snapshot", []);
+    await client.submitAttestation("900000", { attestor: regulator.address });
+
+    await syncEvents(client, checkpoint, await ethers.provider.getBlockNumber(), proofQueue);
+    const job = proofQueue.get(0);
+    expect(job.status).to.equal(JOB_STATUS.QUEUED);
+    expect(job.source.blockHash).to.equal(checkpoint.lastProcessedBlockHash);
+
+    // Drop the completing submission, as a reorg to a fork without it would
+    await ethers.provider.send("evm_revert", [snapshot]);
+    await ethers.provider.send("evm_mine", []);
+    await syncEvents(client, checkpoint, await ethers.provider.getBlockNumber(), proofQueue);
+
+    expect(proofQueue.get(0).status).to.equal(JOB_STATUS.CANCELLED);
+    expect(await validateProofJob(job, client, proofQueue)).to.be.false;
+
+    // The period completes again on the new chain
+    await client.submitAttestation("900000", { attestor: regulator.address });
+    await syncEvents(client, checkpoint, await ethers.provider.getBlockNumber(), proofQueue);
+
+    const requeued = proofQueue.get(0);
+    expect(requeued.status).to.equal(JOB_STATUS.QUEUED);
+    expect(await validateProofJob(requeued, client, proofQueue)).to.be.true;
+  });
+
+  it("Should notify webhooks of failed verifications, new attestors and periods stuck below quorum", async function () {
+    const received = [];
+    const server = http.createServer((request, response) => {
+      let body = "";
+      request.on("data", (chunk) => (body += chunk));
+      request.on("end", () => {
+        received.push(JSON.parse(body));
+        response.end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    notifier.urls = [`http://127.0.0.1:${server.address().port}/hook`];
+
+    try {
+      const fromBlock = (await ethers.provider.getBlockNumber()) - 1;
+      await submitPeriod("800000", "900000");
+      await processAttestationComplete(0n, client);
+      const checkpoint = { lastProcessedBlock: fromBlock };
+      await syncEvents(client, checkpoint, await ethers.provider.getBlockNumber(), null);
+      await notifier.onIdle();
+
+      expect(received.map((notification) => notification.type)).to.deep.equal([
+        "attestor.registered",
+        "verification.failed",
+      ]);
+      expect(received[0].data).to.include({ attestor: regulator.address, name: "Regulator", role: "LiabilitiesProvider" });
+      expect(received[1].data).to.deep.include({
+        periodId: "0",
+        failedRules: [{ ruleId: null, passed: false, interpretation: received[1].data.failedRules[0].interpretation }],
+      });
+
+      // Rescanning the same blocks, as after a reorg, sends nothing again
+      checkpoint.lastProcessedBlock = fromBlock;
+      checkpoint.lastProcessedBlockHash = null;
+      await syncEvents(client, checkpoint, await ethers.provider.getBlockNumber(), null);
+      await notifier.onIdle();
+      expect(received).to.have.lengthOf(2);
+
+      // Period 1 has one of two attestations; the alert fires once, an hour
+      // after that attestation
+      const attestation = await client.submitAttestation("1000000", { attestor: exchange.address });
+      const attestedAt = (await ethers.provider.getBlock(attestation.blockNumber)).timestamp;
+      const now = Date.now;
+      try {
+        Date.now = () => (attestedAt + 3599) * 1000;
+        expect(await checkStuckPeriod(client)).to.equal(null);
+        Date.now = () => (attestedAt + 3600) * 1000;
+        expect(await checkStuckPeriod(client)).to.deep.include({
+          periodId: "1",
+          attestorCount: 1,
+          requiredAttestorCount: 2,
+          stuckForSeconds: 3600,
+          missing: [{ address: regulator.address, name: "Regulator", role: "LiabilitiesProvider" }],
+        });
+        expect(await checkStuckPeriod(client)).to.equal(null);
+      } finally {
+        Date.now = now;
+      }
+      await notifier.onIdle();
+      expect(received.map((notification) => notification.type)).to.include("period.stuck");
+    } finally {
+      notifier.urls = [];
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
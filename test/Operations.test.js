@@ -0,0 +1,61 @@
+const { expect } = require("chai");
+const {
+  parseOperation,
+  evaluateOperation,
+  operationArgs,
+  interpretResult,
+} = require("../scripts/lib/operations");
+
+describe("Operations", function () {
+  it("Should parse operations with defaults into a canonical form", function () {
+    expect(parseOperation("GreaterThan").spec).to.equal("GreaterThan");
+    expect(parseOperation("CollateralRatio").spec).to.equal("CollateralRatio:min=1.05");
+    expect(parseOperation(" RatioInRange:max=1.5, min=1 ").spec).to.equal("RatioInRange:min=1,max=1.5");
+  });
+
+  it("Should reject unknown operations and invalid parameters", function () {
+    expect(() => parseOperation("GreaterOrEqual")).to.throw('Unknown operation "GreaterOrEqual"');
+    expect(() => parseOperation("toString")).to.throw("Unknown operation");
+    expect(() => parseOperation("GreaterThan:min=1")).to.throw('has no parameter "min"');
+    expect(() => parseOperation("CollateralRatio:min=-1")).to.throw("non-negative decimal");
+    expect(() => parseOperation("CollateralRatio:min=0")).to.throw("greater than 0");
+    expect(() => parseOperation("RatioInRange:min=1")).to.throw("requires parameter max");
+    expect(() => parseOperation("RatioInRange:min=2,max=1.5")).to.throw("must not exceed max");
+  });
+
+  it("Should check the collateral ratio exactly", function () {
+    expect(evaluateOperation("CollateralRatio", 1050n, 1000n)).to.be.true;
+    expect(evaluateOperation("CollateralRatio", 1049n, 1000n)).to.be.false;
+    expect(evaluateOperation("CollateralRatio:min=1.2", 1200n, 1000n)).to.be.true;
+  });
+
+  it("Should check bounded ranges and tolerance-based equality", function () {
+    const range = "RatioInRange:min=1,max=1.5";
+    expect(evaluateOperation(range, 1000n, 1000n)).to.be.true;
+    expect(evaluateOperation(range, 1500n, 1000n)).to.be.true;
+    expect(evaluateOperation(range, 1501n, 1000n)).to.be.false;
+    expect(evaluateOperation(range, 999n, 1000n)).to.be.false;
+
+    expect(evaluateOperation("Equal", 1000n, 1000n)).to.be.true;
+    expect(evaluateOperation("Equal", 1001n, 1000n)).to.be.false;
+    expect(evaluateOperation("Equal:tolerance=0.01", 990n, 1000n)).to.be.true;
+    expect(evaluateOperation("Equal:tolerance=0.01", 1011n, 1000n)).to.be.false;
+  });
+
+  it("Should map operations to prover arguments and interpretations", function () {
+    expect(operationArgs("GreaterThan")).to.deep.equal(["--operation", "GreaterThan"]);
+    expect(operationArgs("Equal")).to.deep.equal(["--operation", "Equal"]);
+    expect(operationArgs("RatioInRange:min=1,max=1.5")).to.deep.equal([
+      "--operation", "RatioInRange", "--min-ratio", "1", "--max-ratio", "1.5",
+    ]);
+
+    expect(interpretResult("CollateralRatio", true)).to.equal("Exchange reserves are at least 1.05x liabilities");
+    expect(interpretResult("GreaterThan", false)).to.equal("Exchange reserves do not exceed liabilities");
+    expect(
+      interpretResult("CollateralRatio:min=1.2", false, { leftRole: "Auditor", rightRole: "ReservesProvider" })
+    ).to.equal("Auditor attestations are below 1.2x exchange reserves");
+    expect(interpretResult("Equal:tolerance=0.01", true, { rightRole: "Auditor" })).to.equal(
+      "Exchange reserves match auditor attestations within 0.01 of auditor attestations"
+    );
+  });
+});
@@ -0,0 +1,179 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { ProofQueue, JOB_STATUS } = require("../scripts/lib/proof_queue");
+
+describe("ProofQueue", function () {
+  let dir, file, queue;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "proof-queue-"));
+    file = path.join(dir, "queue.json");
+  });
+
+  afterEach(async function () {
+    if (queue) {
+      queue.stop();
+      await queue.onIdle();
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should queue each period once", function () {
+    queue = new ProofQueue(file);
+    queue.enqueue(1n);
+    queue.enqueue(1n);
+    queue.enqueue(2n);
+
+    expect(queue.list().map((job) => job.periodId)).to.deep.equal(["1", "2"]);
+    expect(queue.get(1).status).to.equal(JOB_STATUS.QUEUED);
+  });
+
+  it("Should prove a period that completes while another proof is running", async function () {
+    const proven = [];
+    let release;
+    const blocker = new Promise((resolve) => (release = resolve));
+
+    queue = new ProofQueue(file, { concurrency: 1 });
+    queue.start(async (job) => {
+      if (job.periodId === "0") await blocker;
+      proven.push(job.periodId);
+    });
+
+    queue.enqueue(0);
+    queue.enqueue(1);
+    expect(queue.get(0).status).to.equal(JOB_STATUS.RUNNING);
+    expect(queue.get(1).status).to.equal(JOB_STATUS.QUEUED);
+
+    release();
+    await queue.onIdle();
+
+    expect(proven).to.deep.equal(["0", "1"]);
+    expect(queue.list(JOB_STATUS.DONE)).to.have.length(2);
+  });
+
+  it("Should run jobs up to the concurrency limit", async function () {
+    let active = 0;
+    let peak = 0;
+
+    queue = new ProofQueue(file, { concurrency: 2 });
+    queue.start(async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      active--;
+    });
+
+    [0, 1, 2, 3].forEach((periodId) => queue.enqueue(periodId));
+    await queue.onIdle();
+
+    expect(peak).to.equal(2);
+    expect(queue.list(JOB_STATUS.DONE)).to.have.length(4);
+  });
+
+  it("Should retry failures and mark the job failed after maxAttempts", async function () {
+    queue = new ProofQueue(file, { maxAttempts: 2, retryDelay: 0, pollInterval: 10 });
+    queue.start(async () => {
+      throw new Error("prover crashed");
+    });
+
+    queue.enqueue(5);
+    while (queue.get(5).status !== JOB_STATUS.FAILED) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+
+    const job = queue.get(5);
+    expect(job.attempts).to.equal(2);
+    expect(job.lastError).to.equal("prover crashed");
+  });
+
+  it("Should re-queue a failed job on retry", function () {
+    queue = new ProofQueue(file);
+    queue.enqueue(3);
+    const state = JSON.parse(fs.readFileSync(file, "utf8"));
+    Object.assign(state.jobs["3"], { status: JOB_STATUS.FAILED, attempts: 3 });
+    fs.writeFileSync(file, JSON.stringify(state));
+
+    const job = queue.retry(3);
+    expect(job.status).to.equal(JOB_STATUS.QUEUED);
+    expect(job.attempts).to.equal(0);
+    expect(() => queue.retry(4)).to.throw("No proof job for period 4");
+  });
+
+  it("Should keep a job cancelled while it runs and re-queue it when enqueued again", async function () {
+    let release;
+    const blocker = new Promise((resolve) => (release = resolve));
+
+    queue = new ProofQueue(file);
+    queue.start(() => blocker);
+
+    queue.enqueue(2, { blockNumber: 10, blockHash: "0xaa" });
+    queue.cancel(2, "Period completion was reorged out");
+    release();
+    await queue.onIdle();
+
+    expect(queue.get(2).status).to.equal(JOB_STATUS.CANCELLED);
+    expect(queue.get(2).lastError).to.equal("Period completion was reorged out");
+
+    queue.stop();
+    const job = queue.enqueue(2, { blockNumber: 12, blockHash: "0xbb" });
+    expect(job.status).to.equal(JOB_STATUS.QUEUED);
+    expect(job.source.blockHash).to.equal("0xbb");
+    expect(() => queue.cancel(9, "reorg")).to.throw("No proof job for period 9");
+  });
+
+  it("Should resume jobs left running by a previous process", async function () {
+    new ProofQueue(file).enqueue(7);
+    const state = JSON.parse(fs.readFileSync(file, "utf8"));
+    state.jobs["7"].status = JOB_STATUS.RUNNING;
+    fs.writeFileSync(file, JSON.stringify(state));
+
+    const proven = [];
+    queue = new ProofQueue(file);
+    queue.start(async (job) => proven.push(job.periodId));
+    await queue.onIdle();
+
+    expect(proven).to.deep.equal(["7"]);
+    expect(queue.get(7).status).to.equal(JOB_STATUS.DONE);
+  });
+
+  it("Should only take over running jobs whose process has died", async function () {
+    // A process that has exited, and one that is alive (the test runner's parent)
+    const { pid: deadPid } = spawnSync(process.execPath, ["-e", ""]);
+    new ProofQueue(file).enqueue(3);
+    new ProofQueue(file).enqueue(4);
+    const state = JSON.parse(fs.readFileSync(file, "utf8"));
+    state.jobs["3"].status = JOB_STATUS.RUNNING;
+    state.jobs["3"].worker = { pid: deadPid, host: os.hostname() };
+    state.jobs["4"].status = JOB_STATUS.RUNNING;
+    state.jobs["4"].worker = { pid: process.ppid, host: os.hostname() };
+    fs.writeFileSync(file, JSON.stringify(state));
+
+    const proven = [];
+    queue = new ProofQueue(file);
+    expect(() => queue.retry(4)).to.throw(`still running by process ${process.ppid}`);
+    queue.start(async (job) => proven.push(job.periodId));
+    await queue.onIdle();
+
+    expect(proven).to.deep.equal(["3"]);
+    expect(queue.get(3).status).to.equal(JOB_STATUS.DONE);
+    expect(queue.get(4).status).to.equal(JOB_STATUS.RUNNING);
+  });
+
+  it("Should keep the jobs of each deployment apart", function () {
+    const deployment = { chainId: 31337n, contractAddress: "0x5FbDB2315678afecb367f032d93F642f64180aa3" };
+    new ProofQueue(file, deployment).enqueue(1);
+
+    expect(new ProofQueue(file, deployment).list().map((job) => job.periodId)).to.deep.equal(["1"]);
+    const other = new ProofQueue(file, { ...deployment, chainId: 1n });
+    expect(other.list()).to.deep.equal([]);
+    expect(new ProofQueue(file, { ...deployment, contractAddress: "0x0000000000000000000000000000000000000001" }).get(1)).to.equal(null);
+
+    // The first change for another deployment replaces the file
+    other.enqueue(5);
+    expect(new ProofQueue(file, deployment).list()).to.deep.equal([]);
+    expect(JSON.parse(fs.readFileSync(file, "utf8"))).to.include({ chainId: "1" });
+  });
+});
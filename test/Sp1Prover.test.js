@@ -0,0 +1,55 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Sp1Prover } = require("../scripts/lib/provers/sp1");
+const { parseOperation } = require("../scripts/lib/operations");
+const { createLogger } = require("../scripts/lib/logger");
+
+describe("Sp1Prover", function () {
+  let dir, workDir, attestations;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "sp1-"));
+    workDir = path.join(dir, "work");
+    fs.mkdirSync(workDir);
+    fs.writeFileSync(path.join(dir, "public.key"), "key");
+    attestations = ["a.bin", "b.bin"].map((name) => path.join(dir, name));
+    attestations.forEach((file) => fs.writeFileSync(file, "1"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function prove(script) {
+    const binary = path.join(dir, "epic_attestation");
+    fs.writeFileSync(binary, `#!/bin/sh\n${script}\n`);
+    fs.chmodSync(binary, 0o755);
+
+    return new Sp1Prover({ binary, keysDir: dir }).prove({
+      operation: parseOperation("GreaterThan"),
+      attestationFiles: attestations,
+      reservesCount: 1,
+      workDir,
+      logger: createLogger({ write: () => {} }),
+    });
+  }
+
+  it("Should fail when the binary does not write its outputs into the working directory", async function () {
+    // Outputs of an earlier run, and outputs written to the wrong directory
+    fs.writeFileSync(path.join(workDir, "proof.bin"), "stale");
+    fs.writeFileSync(path.join(workDir, "public_values.bin"), "\x01");
+
+    await expect(prove(`printf x > ${dir}/proof.bin; printf '\\001' > ${dir}/public_values.bin`))
+      .to.be.rejectedWith(`SP1 binary exited without writing ${path.join(workDir, "proof.bin")}`);
+    expect(fs.existsSync(path.join(workDir, "proof.bin"))).to.be.false;
+    expect(fs.existsSync(path.join(workDir, "public_values.bin"))).to.be.false;
+  });
+
+  it("Should keep the outputs written by the binary", async function () {
+    await prove("printf x > proof.bin; printf '\\001' > public_values.bin");
+
+    expect(fs.readFileSync(path.join(workDir, "proof.bin"), "utf8")).to.equal("x");
+  });
+});
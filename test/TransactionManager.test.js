@@ -0,0 +1,231 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { AttestationClient } = require("../scripts/lib/attestation_client");
+const {
+  TransactionManager,
+  PeriodNotCompleteError,
+  NotOwnerError,
+  AttestorRoleRequiredError,
+  ContractRevertError,
+} = require("../scripts/lib/transaction_manager");
+const { summarizeEstimates, printDryRunReport } = require("../scripts/lib/dry_run");
+const { createLogger } = require("../scripts/lib/logger");
+
+describe("TransactionManager", function () {
+  let attestationPlatform, client;
+  let owner, exchange, regulator;
+
+  // A contract whose method and signer calls can be intercepted
+  function wrapContract(contract, method, hooks) {
+    const signer = contract.runner;
+    return {
+      runner: {
+        getAddress: () => signer.getAddress(),
+        provider: signer.provider,
+        sendTransaction: (tx) =>
+          hooks.sendTransaction ? hooks.sendTransaction(tx, signer) : signer.sendTransaction(tx),
+      },
+      [method]: {
+        estimateGas: (...args) =>
+          hooks.estimateGas ? hooks.estimateGas(args) : contract[method].estimateGas(...args),
+        populateTransaction: (...args) => contract[method].populateTransaction(...args),
+      },
+    };
+  }
+
+  beforeEach(async function () {
+    [owner, exchange, regulator] = await ethers.getSigners();
+
+    const AttestationPlatform = await ethers.getContractFactory("AttestationPlatform");
+    attestationPlatform = await AttestationPlatform.deploy(2);
+    client = await AttestationClient.connect(ethers, await attestationPlatform.getAddress());
+  });
+
+  it("Should decode revert reasons into typed errors", async function () {
+    const error = await client.submitVerification(0, true, "0x01").catch((e) => e);
+    expect(error).to.be.instanceOf(PeriodNotCompleteError);
+    expect(error).to.be.instanceOf(ContractRevertError);
+    expect(error.reason).to.equal("Attestation period not complete");
+    expect(error.method).to.equal("submitVerificationResult");
+
+    await expect(client.registerAttestor(exchange.address, "Exchange", 0))
+      .to.be.rejectedWith(AttestorRoleRequiredError);
+    await expect(client.withSigner(exchange).registerAttestor(regulator.address, "Regulator", 1))
+      .to.be.rejectedWith(NotOwnerError);
+  });
+
+  it("Should track nonces locally for back-to-back transactions", async function () {
+    const start = await ethers.provider.getTransactionCount(owner.address, "pending");
+    const receipts = await Promise.all([
+      client.registerAttestor(exchange.address, "Exchange", "ReservesProvider"),
+      client.registerAttestor(regulator.address, "Regulator", "LiabilitiesProvider"),
+    ]);
+
+    const nonces = await Promise.all(
+      receipts.map(async ({ transactionHash }) =>
+        (await ethers.provider.getTransaction(transactionHash)).nonce
+      )
+    );
+    // Either send may take the lock first, but together they use the next
+    // two nonces
+    expect(nonces.sort((a, b) => a - b)).to.deep.equal([start, start + 1]);
+    expect(client.transactions.nonces.get(owner.address)).to.equal(start + 2);
+  });
+
+  it("Should retry transient RPC errors", async function () {
+    let failures = 2;
+    const contract = wrapContract(attestationPlatform, "registerAttestor", {
+      estimateGas: (args) => {
+        if (failures-- > 0) {
+          throw Object.assign(new Error("socket hang up"), { code: "NETWORK_ERROR" });
+        }
+        return attestationPlatform.registerAttestor.estimateGas(...args);
+      },
+    });
+
+    const manager = new TransactionManager({ retryDelay: 1 });
+    const receipt = await manager.send(contract, "registerAttestor", [exchange.address, "Exchange", 1]);
+
+    expect(receipt.status).to.equal(1);
+    expect(failures).to.equal(-1);
+    expect(await client.isRegistered(exchange.address)).to.be.true;
+  });
+
+  it("Should not send a transaction again when only the response was lost", async function () {
+    let calls = 0;
+    const contract = wrapContract(attestationPlatform, "registerAttestor", {
+      sendTransaction: async (tx, signer) => {
+        calls++;
+        await signer.sendTransaction(tx);
+        throw Object.assign(new Error("socket hang up"), { code: "NETWORK_ERROR" });
+      },
+    });
+    const start = await ethers.provider.getTransactionCount(owner.address);
+
+    const manager = new TransactionManager({ retryDelay: 1, pollInterval: 10 });
+    const receipt = await manager.send(contract, "registerAttestor", [exchange.address, "Exchange", 1]);
+
+    expect(calls).to.equal(1);
+    expect(receipt.status).to.equal(1);
+    expect((await ethers.provider.getTransaction(receipt.hash)).nonce).to.equal(start);
+    expect(await ethers.provider.getTransactionCount(owner.address)).to.equal(start + 1);
+  });
+
+  it("Should resend a transaction the node did not get and take 'already known' as sent", async function () {
+    let calls = 0;
+    const contract = wrapContract(attestationPlatform, "registerAttestor", {
+      sendTransaction: async (tx, signer) => {
+        if (++calls === 1) {
+          throw Object.assign(new Error("socket hang up"), { code: "NETWORK_ERROR" });
+        }
+        await signer.sendTransaction(tx);
+        throw new Error("already known");
+      },
+    });
+    const start = await ethers.provider.getTransactionCount(owner.address);
+
+    const manager = new TransactionManager({ retryDelay: 1, pollInterval: 10 });
+    const receipt = await manager.send(contract, "registerAttestor", [exchange.address, "Exchange", 1]);
+
+    expect(calls).to.equal(2);
+    expect(receipt.status).to.equal(1);
+    expect(await ethers.provider.getTransactionCount(owner.address)).to.equal(start + 1);
+    expect(manager.nonces.get(owner.address)).to.equal(start + 1);
+  });
+
+  it("Should replace a stuck transaction with bumped fees", async function () {
+    const sent = [];
+    const contract = wrapContract(attestationPlatform, "registerAttestor", {
+      sendTransaction: async (tx, signer) => {
+        // Record only once the node has the transaction, so evm_mine below
+        // cannot run ahead of the replacement
+        const response = await signer.sendTransaction(tx);
+        sent.push(tx);
+        return response;
+      },
+    });
+    const manager = new TransactionManager({
+      stuckTimeout: 300,
+      pollInterval: 10,
+      maxReplacements: 1,
+    });
+
+    await ethers.provider.send("evm_setAutomine", [false]);
+    try {
+      const pending = manager.send(contract, "registerAttestor", [exchange.address, "Exchange", 1]);
+      while (sent.length < 2) {
+        await new Promise((resolve) => setTimeout(resolve, 5));
+      }
+      await ethers.provider.send("evm_mine", []);
+      const receipt = await pending;
+
+      expect(sent[1].nonce).to.equal(sent[0].nonce);
+      expect(sent[1].maxFeePerGas).to.equal((sent[0].maxFeePerGas * 120n) / 100n);
+      expect(sent[1].maxPriorityFeePerGas).to.equal((sent[0].maxPriorityFeePerGas * 120n) / 100n);
+
+      const mined = await ethers.provider.getTransaction(receipt.hash);
+      expect(mined.maxFeePerGas).to.equal(sent[1].maxFeePerGas);
+    } finally {
+      await ethers.provider.send("evm_setAutomine", [true]);
+    }
+  });
+
+  it("Should clamp fee bumps to the fee cap and give up only once the cap was tried", function () {
+    const manager = new TransactionManager({ feeBumpPercent: 20, maxFeePerGas: 1100n });
+
+    const capped = manager.bumpFees({ nonce: 0, maxFeePerGas: 1000n, maxPriorityFeePerGas: 1000n });
+    expect(capped).to.include({ maxFeePerGas: 1100n, maxPriorityFeePerGas: 1100n });
+    expect(manager.bumpFees(capped)).to.equal(null);
+
+    expect(manager.bumpFees({ nonce: 0, gasPrice: 1000n })).to.include({ gasPrice: 1100n });
+    expect(manager.bumpFees({ nonce: 0, gasPrice: 1100n })).to.equal(null);
+    expect(manager.bumpFees({ nonce: 0, maxFeePerGas: 500n, maxPriorityFeePerGas: 10n })).to.include({
+      maxFeePerGas: 600n,
+      maxPriorityFeePerGas: 12n,
+    });
+  });
+
+  it("Should estimate writes without sending them in dry-run mode", async function () {
+    const dryRun = await AttestationClient.connect(
+      ethers,
+      await attestationPlatform.getAddress(),
+      undefined,
+      { dryRun: true }
+    );
+    const blockNumber = await ethers.provider.getBlockNumber();
+
+    const registration = await dryRun.registerAttestor(exchange.address, "Exchange", "ReservesProvider");
+    expect(registration.registered).to.be.false;
+    expect(registration.dryRun.reverted).to.be.false;
+    expect(registration.dryRun.gasEstimate > registration.dryRun.intrinsicGas).to.be.true;
+    expect(registration.dryRun.expectedFee).to.equal(
+      registration.dryRun.gasEstimate * registration.dryRun.gasPrice
+    );
+
+    // Not registered on-chain, so the submission would revert
+    const payload = new Uint8Array(1000).fill(1);
+    const submission = await dryRun.submitAttestation(payload, { attestor: exchange.address });
+    expect(submission.dryRun.reverted).to.be.true;
+    expect(submission.dryRun.revertReason).to.equal("Address is not a registered attestor");
+    expect(submission.dryRun.calldataBytes).to.be.greaterThan(payload.length);
+    expect(submission.dryRun.intrinsicGas >= 21000n + 16n * 1000n).to.be.true;
+
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+    expect(await client.isRegistered(exchange.address)).to.be.false;
+
+    const totals = summarizeEstimates(dryRun.transactions.estimates);
+    expect(totals.transactions).to.equal(2);
+    expect(totals.reverting).to.equal(1);
+    expect(totals.gas).to.equal(registration.dryRun.gasEstimate);
+
+    const lines = [];
+    const logger = createLogger({ format: "json", write: (level, line) => lines.push(JSON.parse(line)) });
+    printDryRunReport(dryRun.transactions.estimates, logger);
+    expect(lines.every((line) => line.step === "dry-run")).to.be.true;
+    expect(lines.find((line) => line.estimates).estimates).to.include({ transactions: 2, reverting: 1 });
+    expect(lines.filter((line) => line.estimate).map((line) => line.estimate.method)).to.deep.equal([
+      "registerAttestor",
+      "submitAttestationFor",
+    ]);
+  });
+});
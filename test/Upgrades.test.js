@@ -0,0 +1,60 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { AttestationClient } = require("../scripts/lib/attestation_client");
+
+describe("AttestationPlatformUpgradeable", function () {
+  let proxy, client;
+  let owner, exchange, regulator;
+
+  beforeEach(async function () {
+    [owner, exchange, regulator] = await ethers.getSigners();
+
+    const AttestationPlatform = await ethers.getContractFactory("AttestationPlatformUpgradeable");
+    proxy = await upgrades.deployProxy(AttestationPlatform, [owner.address, 2], { kind: "uups" });
+    await proxy.waitForDeployment();
+
+    client = await AttestationClient.connect(ethers, await proxy.getAddress());
+    await client.registerAttestor(exchange.address, "Exchange", "ReservesProvider");
+    await client.registerAttestor(regulator.address, "Regulator", "LiabilitiesProvider");
+  });
+
+  it("Should keep attestation history across an upgrade", async function () {
+    const data = ethers.hexlify(ethers.randomBytes(100));
+    await client.submitAttestation(data, { attestor: exchange.address });
+    await client.submitAttestation(ethers.randomBytes(100), { attestor: regulator.address });
+
+    const address = await proxy.getAddress();
+    const previousImplementation = await upgrades.erc1967.getImplementationAddress(address);
+    const V2 = await ethers.getContractFactory("AttestationPlatformUpgradeableV2");
+    const upgraded = await upgrades.upgradeProxy(address, V2, { kind: "uups" });
+
+    expect(await upgraded.getAddress()).to.equal(address);
+    expect(await upgrades.erc1967.getImplementationAddress(address)).to.not.equal(previousImplementation);
+    expect(await upgraded.owner()).to.equal(owner.address);
+    expect(await upgraded.requiredAttestorCount()).to.equal(2);
+    expect((await client.getAttestation(0, exchange.address)).encryptedData).to.deep.equal(ethers.getBytes(data));
+    expect((await client.getPeriodStatus(0)).complete).to.be.true;
+    expect(await client.listAttestorsByRole("LiabilitiesProvider")).to.deep.equal([regulator.address]);
+
+    await upgraded.setReleaseNote("v2");
+    expect(await upgraded.releaseNote()).to.equal("v2");
+  });
+
+  it("Should reject incompatible storage layouts", async function () {
+    const Incompatible = await ethers.getContractFactory("IncompatibleAttestationPlatform");
+
+    await expect(
+      upgrades.validateUpgrade(await proxy.getAddress(), Incompatible, { kind: "uups" })
+    ).to.be.rejectedWith(/requiredAttestorCount/);
+  });
+
+  it("Should only let the owner upgrade and initialize once", async function () {
+    const V2 = await ethers.getContractFactory("AttestationPlatformUpgradeableV2");
+    const implementation = await upgrades.deployImplementation(V2, { kind: "uups" });
+
+    await expect(proxy.connect(exchange).upgradeToAndCall(implementation, "0x"))
+      .to.be.revertedWithCustomError(proxy, "OwnableUnauthorizedAccount");
+    await expect(proxy.initialize(exchange.address, 1))
+      .to.be.revertedWithCustomError(proxy, "InvalidInitialization");
+  });
+});
@@ -0,0 +1,54 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const {
+  encodeRule,
+  decodeRule,
+  tryDecodeRule,
+  encodeProofBundle,
+  decodeProofBundle,
+} = require("../scripts/lib/verification_rules");
+
+describe("Verification rule encoding", function () {
+  it("Should round-trip a rule", function () {
+    const data = encodeRule({ operation: "RatioInRange:min=1,max=1.25", active: false });
+    const rule = decodeRule(data);
+
+    expect(rule.operation.spec).to.equal("RatioInRange:min=1,max=1.25");
+    expect(rule.leftRole).to.equal("ReservesProvider");
+    expect(rule.rightRole).to.equal("LiabilitiesProvider");
+    expect(rule.active).to.be.false;
+  });
+
+  it("Should store thresholds as 18-decimal fixed point", function () {
+    const data = encodeRule({ operation: "CollateralRatio:min=1.05", leftRole: "Auditor" });
+    const [, name, leftRole, rightRole, thresholds, active] = ethers.AbiCoder.defaultAbiCoder().decode(
+      ["uint8", "string", "uint8", "uint8", "uint256[]", "bool"],
+      data
+    );
+
+    expect(name).to.equal("CollateralRatio");
+    expect([leftRole, rightRole]).to.deep.equal([3n, 2n]);
+    expect(thresholds).to.deep.equal([1050000000000000000n]);
+    expect(active).to.be.true;
+  });
+
+  it("Should reject invalid rules", function () {
+    expect(() => encodeRule({ operation: "Bogus" })).to.throw("Unknown operation");
+    expect(() => encodeRule({ operation: "GreaterThan", rightRole: "ReservesProvider" }))
+      .to.throw("two different assigned roles");
+    expect(tryDecodeRule(ethers.hexlify(ethers.toUtf8Bytes("reserves > liabilities")))).to.be.null;
+  });
+
+  it("Should round-trip a proof bundle", function () {
+    const data = encodeProofBundle([
+      { ruleId: 0, passed: true, proof: "0x01" },
+      { ruleId: 3, passed: false, proof: new Uint8Array([2, 3]) },
+    ]);
+
+    expect(decodeProofBundle(data)).to.deep.equal([
+      { ruleId: 0, passed: true, proof: "0x01" },
+      { ruleId: 3, passed: false, proof: "0x0203" },
+    ]);
+    expect(decodeProofBundle("0x4d4f434b")).to.be.null;
+  });
+});
@@ -0,0 +1,117 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { createLogger } = require("../scripts/lib/logger");
+const { WebhookNotifier, verifySignature } = require("../scripts/lib/webhooks");
+
+describe("Webhooks", function () {
+  let dir, server, url, received, answers;
+  const secret = "webhook-secret";
+
+  // Notifier posting to the test server, retrying without delay
+  function createNotifier(options = {}) {
+    return new WebhookNotifier({
+      urls: [url],
+      secret,
+      retryDelay: 0,
+      maxAttempts: 3,
+      deadLetterFile: path.join(dir, "dead_letters.jsonl"),
+      logger: createLogger({ write: () => {} }),
+      ...options,
+    });
+  }
+
+  beforeEach(async function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "webhooks-"));
+    received = [];
+    // Status codes to answer with, in order; 200 once they run out
+    answers = [];
+
+    server = http.createServer((request, response) => {
+      let body = "";
+      request.on("data", (chunk) => (body += chunk));
+      request.on("end", () => {
+        received.push({ headers: request.headers, body });
+        response.writeHead(answers.shift() || 200);
+        response.end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+  });
+
+  afterEach(async function () {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should post signed notifications and retry transient failures", async function () {
+    answers = [503, 429];
+    const notifier = createNotifier({ context: { contract: "0x0000000000000000000000000000000000000001" } });
+
+    const [result] = await notifier.notify(
+      "verification.failed",
+      { periodId: 3n, failedRules: [{ ruleId: 0, passed: false }] },
+      { id: "verification.failed:0xabc:1" }
+    );
+    expect(result).to.deep.equal({ url, delivered: true, attempts: 3, error: null });
+    expect(received).to.have.length(3);
+
+    const { headers, body } = received[2];
+    expect(JSON.parse(body)).to.deep.include({
+      id: "verification.failed:0xabc:1",
+      type: "verification.failed",
+      contract: "0x0000000000000000000000000000000000000001",
+      data: { periodId: "3", failedRules: [{ ruleId: 0, passed: false }] },
+    });
+    expect(headers["x-webhook-event"]).to.equal("verification.failed");
+    expect(received.map((request) => request.headers["x-webhook-id"])).to.deep.equal(
+      Array(3).fill("verification.failed:0xabc:1")
+    );
+
+    const timestamp = headers["x-webhook-timestamp"];
+    expect(verifySignature(secret, body, timestamp, headers["x-webhook-signature"])).to.be.true;
+    expect(verifySignature("other-secret", body, timestamp, headers["x-webhook-signature"])).to.be.false;
+    expect(verifySignature(secret, body.replace('"3"', '"4"'), timestamp, headers["x-webhook-signature"])).to.be
+      .false;
+    expect(
+      verifySignature(secret, body, timestamp, headers["x-webhook-signature"], { now: (Number(timestamp) + 600) * 1000 })
+    ).to.be.false;
+  });
+
+  it("Should only send the configured notification types", async function () {
+    const notifier = createNotifier({ events: ["period.stuck"] });
+
+    expect(await notifier.notify("attestor.registered", { attestor: "0x01" })).to.deep.equal([]);
+    await notifier.notify("period.stuck", { periodId: "1" });
+    expect(received.map((request) => JSON.parse(request.body).type)).to.deep.equal(["period.stuck"]);
+    expect(() => notifier.notify("period.late", {})).to.throw('Unknown notification type "period.late"');
+  });
+
+  it("Should dead-letter failed deliveries and replay them", async function () {
+    const notifier = createNotifier({ urls: [url, "http://127.0.0.1:1/unreachable"] });
+
+    // Rejected outright: no retry
+    answers = [400];
+    notifier.notify("proof.failed", { periodId: "2", error: "prover crashed" });
+    await notifier.onIdle();
+
+    const deadLetters = notifier.readDeadLetters();
+    expect(deadLetters.map((entry) => [entry.url, entry.attempts, entry.error])).to.have.deep.members([
+      [url, 1, "HTTP 400"],
+      ["http://127.0.0.1:1/unreachable", 3, deadLetters.find((entry) => entry.attempts === 3).error],
+    ]);
+    expect(deadLetters[0].payload).to.deep.equal(deadLetters[1].payload);
+
+    // The test server accepts the replay; the unreachable endpoint stays
+    const replayed = await notifier.replayDeadLetters();
+    expect(replayed).to.deep.equal({ delivered: 1, failed: 1 });
+    expect(received).to.have.length(2);
+    expect(JSON.parse(received[1].body).id).to.equal(deadLetters[0].payload.id);
+
+    const [remaining] = notifier.readDeadLetters();
+    expect(remaining).to.include({ url: "http://127.0.0.1:1/unreachable", attempts: 6 });
+  });
+});